@@ -0,0 +1,70 @@
+// config/itemLifecycle.js
+
+// Every status an item can be in
+const ITEM_STATUSES = [
+  'active',
+  'claimed',
+  'returned',
+  'expired',
+  'in_storage',
+  'disposed',
+  'handed_to_police'
+];
+
+// Where an item may go from each status. Returned, disposed and handed over
+// items have left the branch for good, so nothing leads out of them.
+const ITEM_TRANSITIONS = {
+  active: ['claimed', 'expired', 'in_storage', 'handed_to_police'],
+  // Back to active when the approved claim is withdrawn or overturned
+  claimed: ['returned', 'active', 'in_storage'],
+  // Back to active when the listing is renewed
+  expired: ['active', 'in_storage', 'handed_to_police', 'disposed'],
+  in_storage: ['active', 'claimed', 'handed_to_police', 'disposed'],
+  returned: [],
+  disposed: [],
+  handed_to_police: []
+};
+
+// Statuses that need more than a reason, so they are only reached through
+// their own endpoint, with how to get there
+const DEDICATED_TRANSITIONS = {
+  claimed: 'approve a claim on it',
+  returned: 'use PUT /api/items/:id/return',
+  handed_to_police: 'use PUT /api/items/handover/:id with a police report number'
+};
+
+// Statuses that are only left through their own endpoints, with how. A
+// claimed item has an approved claim (and perhaps a booked pickup) that
+// has to be taken back with it.
+const DEDICATED_EXITS = {
+  claimed: 'change its approved claim with PUT /api/items/:itemId/claims/:claimId, or use PUT /api/items/:id/return'
+};
+
+const isItemStatus = status => ITEM_STATUSES.includes(status);
+
+const canTransition = (from, to) =>
+  Boolean(ITEM_TRANSITIONS[from]) && ITEM_TRANSITIONS[from].includes(to);
+
+const allowedTransitions = from => ITEM_TRANSITIONS[from] || [];
+
+// Raised when code asks for a move the table above does not allow
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change item status from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = allowedTransitions(from);
+  }
+}
+
+module.exports = {
+  ITEM_STATUSES,
+  ITEM_TRANSITIONS,
+  DEDICATED_TRANSITIONS,
+  DEDICATED_EXITS,
+  isItemStatus,
+  canTransition,
+  allowedTransitions,
+  InvalidTransitionError
+};
@@ -0,0 +1,47 @@
+// config/itemUpdatePolicy.js
+
+// What the reporter describes about their item
+const DESCRIPTIVE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'location',
+  'district',
+  'date',
+  'geoLocation',
+  'contactInfo',
+  'contactPreference',
+  'additionalDetails'
+];
+
+// How the item is being handled
+const OPERATIONAL_FIELDS = [
+  'type',
+  'branch',
+  'expiryDate'
+];
+
+// Fields PUT /api/items/:id accepts, by who is asking: the item's owner,
+// or anyone holding the named permission. Everything else (status, claims,
+// reportedBy, images, verification questions, police handover) has its own
+// endpoint or is fixed.
+const ITEM_UPDATE_POLICY = {
+  owner: DESCRIPTIVE_FIELDS,
+  'items.manage': [...DESCRIPTIVE_FIELDS, ...OPERATIONAL_FIELDS]
+};
+
+// Sub-documents merged field by field instead of being replaced whole
+const NESTED_FIELDS = ['contactInfo', 'additionalDetails'];
+
+const allowedItemFields = ({ isOwner, permissions }) => {
+  const allowed = new Set();
+
+  Object.entries(ITEM_UPDATE_POLICY).forEach(([who, fields]) => {
+    const applies = who === 'owner' ? isOwner : permissions.has(who);
+    if (applies) fields.forEach(field => allowed.add(field));
+  });
+
+  return allowed;
+};
+
+module.exports = { ITEM_UPDATE_POLICY, NESTED_FIELDS, allowedItemFields };
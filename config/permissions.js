@@ -0,0 +1,68 @@
+// config/permissions.js
+
+// Every permission a route or controller can ask for
+const PERMISSIONS = {
+  'items.create': 'Report lost and found items',
+  'items.manage': 'Edit, delete and upload photos for items reported by others',
+  'items.return': 'Mark items as returned to their owner and manage pickup appointments',
+  'items.handover': 'Hand unclaimed items over to the police',
+  'items.bulk_update': 'Update many items at once',
+  'matches.manage': 'Confirm and dismiss matches on items reported by others',
+  'claims.submit': 'Submit claims for found items',
+  'claims.view': 'View claims and claim evidence for their branch',
+  'claims.approve': 'Approve or reject claims',
+  'claims.assign': 'Assign claim reviewers and hear about claims past their review SLA',
+  'dashboard.view': 'View staff dashboards and branch activity',
+  'analytics.view': 'View analytics for their branch',
+  'analytics.export': 'Download analytics as CSV',
+  'branches.all': 'See data from every branch, not just their own',
+  'branches.manage': 'Create, edit and delete branches',
+  'users.manage': 'Manage user accounts, invitations and login locks',
+  'roles.manage': 'Define custom roles and grant permissions to users',
+  'security.manage': 'Change security settings such as the 2FA policy',
+  'settings.manage': 'Change item settings such as expiry and renewal policies',
+  'system.overview': 'View the system-wide overview',
+  'jobs.manage': 'View scheduled jobs and run them on demand',
+  'data.export': 'Export raw system data'
+};
+
+const USER_PERMISSIONS = [
+  'items.create',
+  'claims.submit'
+];
+
+const STAFF_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'items.manage',
+  'items.return',
+  'items.handover',
+  'matches.manage',
+  'claims.view',
+  'claims.approve',
+  'dashboard.view',
+  'analytics.view',
+  'analytics.export'
+];
+
+// Built-in roles are fixed here; custom roles live in the Role collection
+const BUILT_IN_ROLES = {
+  user: {
+    name: 'User',
+    description: 'Members of the public reporting and claiming items',
+    permissions: USER_PERMISSIONS
+  },
+  staff: {
+    name: 'Staff',
+    description: 'Branch staff handling items and claims',
+    permissions: STAFF_PERMISSIONS
+  },
+  admin: {
+    name: 'Admin',
+    description: 'Full access to every branch and setting',
+    permissions: Object.keys(PERMISSIONS)
+  }
+};
+
+const isPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+module.exports = { PERMISSIONS, BUILT_IN_ROLES, isPermission };
@@ -1,10 +1,26 @@
 // controllers/adminController.js
 const User = require('../models/User');
 const Item = require('../models/Item');
+const Claim = require('../models/Claim');
+const Branch = require('../models/Branch');
+const Role = require('../models/Role');
+const AuthThrottle = require('../models/AuthThrottle');
+const SessionService = require('../services/sessionService');
+const AuthThrottleService = require('../services/authThrottleService');
+const PermissionService = require('../services/permissionService');
+const mongoose = require('mongoose');
+const { canTransition, DEDICATED_EXITS } = require('../config/itemLifecycle');
+
+// Whether an update document touches a field, directly or through an
+// operator such as $set
+const touchesField = (update, field) =>
+  Object.entries(update).some(([key, value]) =>
+    key === field || key.startsWith(`${field}.`) ||
+    (key.startsWith('$') && value && typeof value === 'object' && touchesField(value, field)));
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/admin/users
-// @access  Private (Admin)
+// @access  Private (users.manage)
 // controllers/adminController.js - Update the getAllUsers function
 // controllers/adminController.js - Better filter handling
 const getAllUsers = async (req, res) => {
@@ -22,7 +38,12 @@ const getAllUsers = async (req, res) => {
     
     // Only add to filter if value exists and is not empty string
     if (role && role.trim() !== '') filter.role = role;
-    if (branch && branch.trim() !== '') filter.branch = branch;
+    if (branch && branch.trim() !== '') {
+      if (!mongoose.Types.ObjectId.isValid(branch)) {
+        return res.status(400).json({ message: 'Invalid branch' });
+      }
+      filter.branch = branch;
+    }
     if (isActive && isActive.trim() !== '') filter.isActive = isActive === 'true';
     
     if (search && search.trim() !== '') {
@@ -36,6 +57,7 @@ const getAllUsers = async (req, res) => {
 
     const users = await User.find(filter)
       .select('-password')
+      .populate('branch', 'name code')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -48,7 +70,7 @@ const getAllUsers = async (req, res) => {
         try {
           const [itemsReported, claimsSubmitted] = await Promise.all([
             Item.countDocuments({ reportedBy: user._id }),
-            Item.countDocuments({ 'claims.claimedBy': user._id })
+            Claim.countDocuments({ claimedBy: user._id })
           ]);
 
           return {
@@ -88,7 +110,7 @@ const getAllUsers = async (req, res) => {
 
 // @desc    Update user role/status (Admin only)
 // @route   PUT /api/admin/users/:id
-// @access  Private (Admin)
+// @access  Private (users.manage)
 const updateUser = async (req, res) => {
   try {
     const { role, isActive, branch } = req.body;
@@ -105,6 +127,25 @@ const updateUser = async (req, res) => {
       return res.status(400).json({ message: 'Cannot deactivate your own account' });
     }
 
+    if (branch) {
+      const branchExists = mongoose.Types.ObjectId.isValid(branch) && await Branch.exists({ _id: branch });
+      if (!branchExists) {
+        return res.status(400).json({ message: 'Branch not found' });
+      }
+    }
+
+    if (role) {
+      if (!(await Role.isAssignable(role))) {
+        return res.status(400).json({ message: 'Role not found' });
+      }
+
+      // A role can only be handed out by someone holding all of its permissions
+      const rolePermissions = await PermissionService.getRolePermissions(role);
+      if (rolePermissions.some(permission => !req.permissions.has(permission))) {
+        return res.status(403).json({ message: 'Cannot assign a role with permissions you do not hold' });
+      }
+    }
+
     // Update fields
     if (role) user.role = role;
     if (isActive !== undefined) user.isActive = isActive;
@@ -112,6 +153,11 @@ const updateUser = async (req, res) => {
 
     await user.save();
 
+    // Deactivated accounts are signed out everywhere, not just blocked by protect
+    if (isActive === false) {
+      await SessionService.revokeAll(user._id, 'account_deactivated');
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -124,7 +170,7 @@ const updateUser = async (req, res) => {
 
 // @desc    Delete user (Admin only)
 // @route   DELETE /api/admin/users/:id
-// @access  Private (Admin)
+// @access  Private (users.manage)
 const deleteUser = async (req, res) => {
   try {
     const userId = req.params.id;
@@ -143,7 +189,7 @@ const deleteUser = async (req, res) => {
     // Check if user has active items or claims
     const [activeItems, activeClaims] = await Promise.all([
       Item.countDocuments({ reportedBy: userId, status: 'active' }),
-      Item.countDocuments({ 'claims.claimedBy': userId, 'claims.status': 'pending' })
+      Claim.countDocuments({ claimedBy: userId, status: 'pending' })
     ]);
 
     if (activeItems > 0 || activeClaims > 0) {
@@ -153,6 +199,7 @@ const deleteUser = async (req, res) => {
     }
 
     await User.findByIdAndDelete(userId);
+    await SessionService.revokeAll(userId, 'account_deleted');
 
     res.json({
       success: true,
@@ -163,9 +210,110 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// @desc    Get login/reset throttles for a user (Admin only)
+// @route   GET /api/admin/users/:id/locks
+// @access  Private (users.manage)
+const getUserLocks = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('email');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const throttles = await AuthThrottleService.findForAccount(user.email);
+
+    res.json({
+      success: true,
+      data: {
+        isLocked: throttles.some(throttle => throttle.isLocked),
+        throttles
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Clear login/reset throttles for a user (Admin only)
+// @route   DELETE /api/admin/users/:id/locks
+// @access  Private (users.manage)
+const clearUserLocks = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('email');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const cleared = await AuthThrottleService.clearForAccount(user.email);
+
+    res.json({
+      success: true,
+      message: cleared > 0 ? 'Account lock cleared' : 'Account was not locked'
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List active account and IP locks (Admin only)
+// @route   GET /api/admin/security/locks
+// @access  Private (users.manage)
+const getActiveLocks = async (req, res) => {
+  try {
+    const { scope } = req.query;
+
+    if (scope && !AuthThrottleService.RULES[scope]) {
+      return res.status(400).json({ message: 'Invalid scope' });
+    }
+
+    const locks = await AuthThrottleService.findLocked({ scope });
+
+    res.json({
+      success: true,
+      data: locks
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Clear a single lock, e.g. an office IP (Admin only)
+// @route   DELETE /api/admin/security/locks/:id
+// @access  Private (users.manage)
+const clearLock = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Lock not found' });
+    }
+
+    const lock = await AuthThrottle.findByIdAndDelete(req.params.id);
+
+    if (!lock) {
+      return res.status(404).json({ message: 'Lock not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lock cleared'
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // @desc    Get system overview (Admin only)
 // @route   GET /api/admin/overview
-// @access  Private (Admin)
+// @access  Private (system.overview)
 const getSystemOverview = async (req, res) => {
   try {
     const [
@@ -183,7 +331,7 @@ const getSystemOverview = async (req, res) => {
       User.countDocuments({ role: 'admin' }),
       User.countDocuments({ isActive: true }),
       Item.countDocuments(),
-      Item.countDocuments({ 'claims.status': 'pending' }),
+      Claim.countDocuments({ status: 'pending' }),
       Item.countDocuments({ 
         expiryDate: { $lt: new Date() }, 
         status: 'active' 
@@ -208,6 +356,21 @@ const getSystemOverview = async (req, res) => {
           }
         }
       },
+      {
+        $lookup: {
+          from: 'branches',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'branch'
+        }
+      },
+      {
+        $addFields: {
+          name: { $ifNull: [{ $arrayElemAt: ['$branch.name', 0] }, 'Unassigned'] },
+          code: { $arrayElemAt: ['$branch.code', 0] }
+        }
+      },
+      { $project: { branch: 0 } },
       { $sort: { count: -1 } }
     ]);
 
@@ -246,27 +409,76 @@ const getSystemOverview = async (req, res) => {
 
 // @desc    Bulk update items (Admin only)
 // @route   PUT /api/admin/items/bulk-update
-// @access  Private (Admin)
+// @access  Private (items.bulk_update)
 const bulkUpdateItems = async (req, res) => {
   try {
-    const { itemIds, updateData } = req.body;
+    const { itemIds, updateData = {}, reason } = req.body;
 
     if (!itemIds || !Array.isArray(itemIds) || itemIds.length === 0) {
       return res.status(400).json({ message: 'Item IDs array is required' });
     }
 
-    const result = await Item.updateMany(
-      { _id: { $in: itemIds } },
-      updateData,
-      { runValidators: true }
-    );
+    // Status goes through the lifecycle item by item; only a plain value
+    // (top level or in $set) is accepted, and the history is never written directly
+    const fields = { ...updateData };
+    let status = fields.status;
+    delete fields.status;
+
+    if (fields.$set) {
+      fields.$set = { ...fields.$set };
+      if (fields.$set.status !== undefined) status = fields.$set.status;
+      delete fields.$set.status;
+    }
+
+    if (touchesField(fields, 'status') || touchesField(fields, 'statusHistory')) {
+      return res.status(400).json({ message: 'Status can only be changed by setting a new value' });
+    }
+
+    let matched = 0;
+    let modified = 0;
+
+    const hasFields = Object.entries(fields).some(([key, value]) =>
+      !key.startsWith('$') || Object.keys(value || {}).length > 0);
+
+    if (hasFields) {
+      const result = await Item.updateMany(
+        { _id: { $in: itemIds } },
+        fields,
+        { runValidators: true }
+      );
+      matched = result.matchedCount;
+      modified = result.modifiedCount;
+    }
+
+    let statusChanged = 0;
+    const skipped = [];
+
+    if (status !== undefined) {
+      const items = await Item.find({ _id: { $in: itemIds } });
+      matched = items.length;
+
+      for (const item of items) {
+        if (item.status === status) continue;
+
+        if (!canTransition(item.status, status) || DEDICATED_EXITS[item.status]) {
+          skipped.push({ id: item._id, status: item.status });
+          continue;
+        }
+
+        item.transitionTo(status, { actor: req.user._id, reason });
+        await item.save();
+        statusChanged += 1;
+      }
+    }
 
     res.json({
       success: true,
-      message: `${result.modifiedCount} items updated successfully`,
+      message: `${Math.max(modified, statusChanged)} items updated successfully`,
       data: {
-        matched: result.matchedCount,
-        modified: result.modifiedCount
+        matched,
+        modified,
+        statusChanged,
+        skipped
       }
     });
   } catch (error) {
@@ -276,7 +488,7 @@ const bulkUpdateItems = async (req, res) => {
 
 // @desc    Export data (Admin only)
 // @route   GET /api/admin/export
-// @access  Private (Admin)
+// @access  Private (data.export)
 const exportData = async (req, res) => {
   try {
     const { type, format = 'json', startDate, endDate } = req.query;
@@ -304,26 +516,23 @@ const exportData = async (req, res) => {
         break;
         
       case 'claims':
-        const itemsWithClaims = await Item.find({ 
-          'claims.0': { $exists: true },
-          ...(Object.keys(dateFilter).length > 0 ? { createdAt: dateFilter } : {})
-        })
-        .populate('reportedBy', 'name email')
-        .populate('claims.claimedBy', 'name email');
+        const claims = await Claim.find(
+          Object.keys(dateFilter).length > 0 ? { createdAt: dateFilter } : {}
+        )
+        .populate({ path: 'item', select: 'title type category reportedBy', populate: { path: 'reportedBy', select: 'name email' } })
+        .populate('claimedBy', 'name email');
         
-        data = itemsWithClaims.flatMap(item => 
-          item.claims.map(claim => ({
-            itemId: item._id,
-            itemTitle: item.title,
-            itemType: item.type,
-            itemCategory: item.category,
-            reportedBy: item.reportedBy,
-            claimedBy: claim.claimedBy,
-            claimDate: claim.claimDate,
-            claimStatus: claim.status,
-            notes: claim.notes
-          }))
-        );
+        data = claims.filter(claim => claim.item).map(claim => ({
+          itemId: claim.item._id,
+          itemTitle: claim.item.title,
+          itemType: claim.item.type,
+          itemCategory: claim.item.category,
+          reportedBy: claim.item.reportedBy,
+          claimedBy: claim.claimedBy,
+          claimDate: claim.createdAt,
+          claimStatus: claim.status,
+          notes: claim.notes
+        }));
         filename = `claims_export_${Date.now()}`;
         break;
         
@@ -373,6 +582,10 @@ module.exports = {
   getAllUsers,
   updateUser,
   deleteUser,
+  getUserLocks,
+  clearUserLocks,
+  getActiveLocks,
+  clearLock,
   getSystemOverview,
   bulkUpdateItems,
   exportData
@@ -1,6 +1,9 @@
 // controllers/analyticsController.js - CORRECTED VERSION
 const Item = require('../models/Item');
+const Claim = require('../models/Claim');
 const User = require('../models/User');
+const Branch = require('../models/Branch');
+const mongoose = require('mongoose');
 
 const analyticsController = {
   getAnalytics: async (req, res) => {
@@ -12,36 +15,57 @@ const analyticsController = {
       const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
       const end = endDate ? new Date(endDate) : new Date();
       
-      // Role-based filtering
+      const userBranch = user.branch ? await Branch.findById(user.branch).select('name') : null;
+      const userBranchName = userBranch ? userBranch.name : 'N/A';
+
+      // Permission-based filtering
       let locationFilter = {};
       let userBranchFilter = {};
       let reportScope = 'All Locations';
+      const allBranches = req.permissions.has('branches.all');
+
+      if (format === 'csv' && !req.permissions.has('analytics.export')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to export analytics'
+        });
+      }
       
-      if (user.role === 'staff') {
-        // Staff can only see data from their branch/location
+      if (!allBranches) {
+        // Without branches.all, only data from the user's own branch
         if (!user.branch) {
           return res.status(400).json({
             success: false,
             message: 'Staff user must have a branch assigned'
           });
         }
-        locationFilter.location = { $regex: user.branch, $options: 'i' };
+        locationFilter.branch = user.branch;
         userBranchFilter.branch = user.branch;
-        reportScope = `${user.branch} Branch`;
-      } else if (user.role === 'admin') {
-        // Admin can see all data, but can filter by branch if requested
+        reportScope = `${userBranchName} Branch`;
+      } else {
+        // All data, optionally filtered by branch
         if (branch && branch !== 'all') {
-          locationFilter.location = { $regex: branch, $options: 'i' };
-          userBranchFilter.branch = branch;
-          reportScope = `${branch} Branch`;
+          if (!mongoose.Types.ObjectId.isValid(branch)) {
+            return res.status(400).json({
+              success: false,
+              message: 'Invalid branch'
+            });
+          }
+
+          const selectedBranch = await Branch.findById(branch).select('name');
+          if (!selectedBranch) {
+            return res.status(404).json({
+              success: false,
+              message: 'Branch not found'
+            });
+          }
+
+          // Aggregations don't cast, so use a real ObjectId
+          locationFilter.branch = selectedBranch._id;
+          userBranchFilter.branch = selectedBranch._id;
+          reportScope = `${selectedBranch.name} Branch`;
         }
         // If no branch specified, show all data (locationFilter remains empty)
-      } else {
-        // Regular users shouldn't have access to analytics
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. Insufficient permissions.'
-        });
       }
             
       // Basic statistics with location filtering
@@ -51,14 +75,8 @@ const analyticsController = {
       const returnedItems = await Item.countDocuments({ ...locationFilter, status: 'returned' });
       const expiredItems = await Item.countDocuments({ ...locationFilter, status: 'expired' });
             
-      // Pending claims across filtered items
-      const pendingClaimsResult = await Item.aggregate([
-        { $match: locationFilter },
-        { $unwind: { path: '$claims', preserveNullAndEmptyArrays: true } },
-        { $match: { 'claims.status': 'pending' } },
-        { $count: 'total' }
-      ]);
-      const pendingClaims = pendingClaimsResult[0]?.total || 0;
+      // Pending claims at the filtered branches
+      const pendingClaims = await Claim.countDocuments({ ...locationFilter, status: 'pending' });
       
       // Daily activity trends with location filtering
       const dailyTrends = await Item.aggregate([
@@ -134,7 +152,7 @@ const analyticsController = {
           }
         },
         { $sort: { count: -1 } },
-        { $limit: user.role === 'staff' ? 5 : 15 }
+        { $limit: allBranches ? 15 : 5 }
       ]);
       
       // User activity stats with branch filtering
@@ -177,22 +195,18 @@ const analyticsController = {
       const userStats = userStatsResult[0] || { totalUsers: 0, activeUsers: 0, verifiedUsers: 0, staffUsers: 0 };
       
       // Response time analysis with location filtering
-      const responseTimeResult = await Item.aggregate([
-        {
-          $match: { 
-            ...locationFilter,
-            status: { $in: ['claimed', 'returned'] }
-          }
-        },
-        { $unwind: { path: '$claims', preserveNullAndEmptyArrays: true } },
-        { $match: { 'claims.status': 'approved' } },
+      const responseTimeResult = await Claim.aggregate([
+        { $match: { ...locationFilter, status: 'approved' } },
+        { $lookup: { from: Item.collection.name, localField: 'item', foreignField: '_id', as: 'item' } },
+        { $unwind: '$item' },
+        { $match: { 'item.status': { $in: ['claimed', 'returned'] } } },
         {
           $group: {
             _id: null,
             avgResponseTime: {
               $avg: {
                 $divide: [
-                  { $subtract: ['$claims.createdAt', '$createdAt'] },
+                  { $subtract: ['$createdAt', '$item.createdAt'] },
                   1000 * 60 * 60 * 24 // Convert to days
                 ]
               }
@@ -203,27 +217,13 @@ const analyticsController = {
       ]);
       const responseTime = responseTimeResult[0] || { avgResponseTime: 0, totalProcessed: 0 };
       
-      // Branch performance comparison (admin only)
+      // Branch performance comparison (all-branch access only)
       let branchComparison = [];
-      if (user.role === 'admin') {
+      if (allBranches) {
         branchComparison = await Item.aggregate([
-          {
-            $addFields: {
-              extractedBranch: {
-                $trim: {
-                  input: {
-                    $arrayElemAt: [
-                      { $split: [{ $toLower: '$location' }, ' '] },
-                      0
-                    ]
-                  }
-                }
-              }
-            }
-          },
           {
             $group: {
-              _id: '$extractedBranch',
+              _id: '$branch',
               totalItems: { $sum: 1 },
               activeItems: {
                 $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] }
@@ -233,6 +233,22 @@ const analyticsController = {
               }
             }
           },
+          {
+            $lookup: {
+              from: 'branches',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'branch'
+            }
+          },
+          {
+            $addFields: {
+              branchName: {
+                $ifNull: [{ $arrayElemAt: ['$branch.name', 0] }, 'Unassigned']
+              }
+            }
+          },
+          { $project: { branch: 0 } },
           {
             $addFields: {
               successRate: {
@@ -260,7 +276,7 @@ const analyticsController = {
           ...userStats,
           reportScope,
           userRole: user.role,
-          userBranch: user.branch || 'N/A'
+          userBranch: userBranchName
         },
         dailyTrends,
         categoryStats,
@@ -272,7 +288,7 @@ const analyticsController = {
             
       // If CSV format requested
       if (format === 'csv') {
-        const csv = generateCSV(analytics, user);
+        const csv = generateCSV(analytics, user, allBranches);
         
         const fileName = `lost-found-analytics-${reportScope.replace(/\s+/g, '-').toLowerCase()}-${new Date().toISOString().split('T')[0]}.csv`;
         
@@ -302,20 +318,13 @@ const analyticsController = {
   // Get available branches for admin dropdown
   getAvailableBranches: async (req, res) => {
     try {
-      const branches = await Item.distinct('location');
-      const cleanedBranches = branches
-        .map(location => {
-          // Extract first word as branch name
-          const match = location.toLowerCase().match(/^(\w+)/);
-          return match ? match[1] : location;
-        })
-        .filter((branch, index, arr) => arr.indexOf(branch) === index) // Remove duplicates
-        .filter(Boolean) // Remove empty values
-        .sort();
+      const branches = await Branch.find({ isActive: true })
+        .select('name code')
+        .sort({ name: 1 });
       
       res.json({
         success: true,
-        data: cleanedBranches
+        data: branches
       });
       
     } catch (error) {
@@ -330,7 +339,7 @@ const analyticsController = {
 };
 
 // Enhanced CSV generator with better formatting and error handling
-function generateCSV(analytics, user) {
+function generateCSV(analytics, user, allBranches) {
   try {
     let csv = '';
     
@@ -341,7 +350,7 @@ function generateCSV(analytics, user) {
     csv += 'LOST & FOUND ANALYTICS REPORT\r\n';
     csv += `Report Scope,"${analytics.summary.reportScope}"\r\n`;
     csv += `Generated By,"${user.role.toUpperCase()} - ${user.name || 'N/A'}"\r\n`;
-    csv += `User Branch,"${user.branch || 'N/A'}"\r\n`;
+    csv += `User Branch,"${analytics.summary.userBranch}"\r\n`;
     csv += `Generated On,"${new Date().toISOString()}"\r\n`;
     csv += `Date Range,"${analytics.dateRange.start.toISOString().split('T')[0]} to ${analytics.dateRange.end.toISOString().split('T')[0]}"\r\n`;
     csv += '\r\n';
@@ -387,7 +396,7 @@ function generateCSV(analytics, user) {
     csv += '\r\n';
     
     // Location breakdown
-    csv += `${user.role === 'staff' ? 'BRANCH LOCATIONS' : 'TOP LOCATIONS'}\r\n`;
+    csv += `${allBranches ? 'TOP LOCATIONS' : 'BRANCH LOCATIONS'}\r\n`;
     csv += 'Location,Lost Items,Found Items,Total\r\n';
     if (analytics.locationStats && analytics.locationStats.length > 0) {
       analytics.locationStats.forEach(loc => {
@@ -398,12 +407,12 @@ function generateCSV(analytics, user) {
     }
     csv += '\r\n';
     
-    // Branch comparison for admin
-    if (user.role === 'admin' && analytics.branchComparison && analytics.branchComparison.length > 0) {
+    // Branch comparison (only filled in for all-branch access)
+    if (analytics.branchComparison && analytics.branchComparison.length > 0) {
       csv += 'BRANCH PERFORMANCE COMPARISON\r\n';
       csv += 'Branch,Total Items,Active Items,Returned Items,Success Rate (%)\r\n';
       analytics.branchComparison.forEach(branch => {
-        csv += `"${branch._id}",${branch.totalItems || 0},${branch.activeItems || 0},${branch.returnedItems || 0},${(branch.successRate || 0).toFixed(1)}\r\n`;
+        csv += `"${branch.branchName}",${branch.totalItems || 0},${branch.activeItems || 0},${branch.returnedItems || 0},${(branch.successRate || 0).toFixed(1)}\r\n`;
       });
       csv += '\r\n';
     }
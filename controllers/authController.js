@@ -1,15 +1,25 @@
 // controllers/authController.js
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Invitation = require('../models/Invitation');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
 const emailService = require('../services/emailService');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const AuthThrottleService = require('../services/authThrottleService');
+
+// Start a session and return the token fields sent to the client
+const issueTokens = async (user, req) => {
+  const { token, refreshToken, expiresIn } = await SessionService.createSession(user, req);
+  return { token, refreshToken, expiresIn };
+};
 
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
-  });
+// 429 with Retry-After for a throttled or locked key
+const sendThrottled = (res, result) => {
+  const { retryAfter, body } = AuthThrottleService.rejection(result);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json(body);
 };
 
 // @desc    Register new user
@@ -22,7 +32,9 @@ const registerUser = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, phone, role, branch } = req.body;
+    // Role and branch are never taken from the request: staff and admin
+    // accounts are created through invitations only
+    const { name, email, password, phone } = req.body;
 
     // Check if user exists
     const userExists = await User.findOne({ email });
@@ -36,18 +48,27 @@ const registerUser = async (req, res) => {
       email,
       password,
       phone,
-      role: role || 'user',
-      branch: role === 'staff' || role === 'admin' ? branch : undefined
+      role: 'user'
     });
 
     if (user) {
+      // A failed send is not fatal: the user can ask for another link
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+
+      const emailResult = await emailService.sendVerificationEmail(user.email, verificationToken);
+      if (!emailResult.success) {
+        console.error('Verification email failed for new user:', user._id);
+      }
+
       res.status(201).json({
         _id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
         branch: user.branch,
-        token: generateToken(user._id),
+        isVerified: user.isVerified,
+        ...(await issueTokens(user, req)),
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
@@ -70,10 +91,30 @@ const loginUser = async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Unknown emails are throttled the same way so lockouts reveal nothing
+    const throttle = await AuthThrottleService.checkAll([
+      ['login_account', email],
+      ['login_ip', req.ip]
+    ]);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
     // Check for user email
     const user = await User.findOne({ email });
 
     if (user && (await user.comparePassword(password))) {
+      // Second step required; the session is only issued by /login/2fa,
+      // which clears the failure count once the code checks out
+      if (user.twoFactor.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: TwoFactorService.createChallengeToken(user)
+        });
+      }
+
+      await AuthThrottleService.reset('login_account', email);
+
       // Update last login without running validation
       await User.findByIdAndUpdate(
         user._id, 
@@ -87,9 +128,15 @@ const loginUser = async (req, res) => {
         email: user.email,
         role: user.role,
         branch: user.branch,
-        token: generateToken(user._id),
+        isVerified: user.isVerified,
+        twoFactorSetupRequired: await TwoFactorService.isRequiredFor(user),
+        ...(await issueTokens(user, req)),
       });
     } else {
+      await Promise.all([
+        AuthThrottleService.record('login_account', email),
+        AuthThrottleService.record('login_ip', req.ip)
+      ]);
       res.status(401).json({ message: 'Invalid credentials' });
     }
   } catch (error) {
@@ -104,7 +151,7 @@ const loginUser = async (req, res) => {
 const getUserProfile = async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
-    res.json(user);
+    res.json({ ...user.toJSON(), effectivePermissions: [...req.permissions] });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -126,15 +173,35 @@ const updateUserProfile = async (req, res) => {
         user.password = req.body.password;
       }
 
+      // A new address has to be verified again before it counts
+      let verificationToken;
+      if (user.isModified('email')) {
+        user.isVerified = false;
+        verificationToken = user.createEmailVerificationToken();
+      }
+
       const updatedUser = await user.save();
 
+      if (verificationToken) {
+        const emailResult = await emailService.sendVerificationEmail(updatedUser.email, verificationToken);
+        if (!emailResult.success) {
+          console.error('Verification email failed for changed address:', updatedUser._id);
+        }
+      }
+
+      // A new password signs out every other device
+      if (req.body.password) {
+        await SessionService.revokeAll(updatedUser._id, 'password_changed', req.sessionId);
+      }
+
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
         role: updatedUser.role,
         branch: updatedUser.branch,
-        token: generateToken(updatedUser._id),
+        isVerified: updatedUser.isVerified,
+        token: SessionService.signAccessToken(updatedUser._id, req.sessionId),
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -144,6 +211,119 @@ const updateUserProfile = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rotated = await SessionService.rotate(req.body.refreshToken, req);
+
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(rotated.session.user).select('isActive');
+
+    if (!user || !user.isActive) {
+      await SessionService.revoke(rotated.session._id, rotated.session.user, 'account_deactivated');
+      return res.status(401).json({ message: 'Account deactivated' });
+    }
+
+    res.json({
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: rotated.expiresIn
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Sign out the current device
+// @route   POST /api/auth/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+  try {
+    await SessionService.revoke(req.sessionId, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Sign out every device, including this one
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeAll(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revoked} session(s)`
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List active sessions (signed-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.listActive(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revoked = await SessionService.revoke(req.params.id, req.user._id);
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Forgot Password
 const forgotPassword = async (req, res) => {
   try {
@@ -158,10 +338,23 @@ const forgotPassword = async (req, res) => {
 
     const { email } = req.body;
 
+    const ipThrottle = await AuthThrottleService.check('reset_ip', req.ip);
+    if (!ipThrottle.allowed) {
+      return sendThrottled(res, ipThrottle);
+    }
+
+    // Every request counts, whether or not the account exists
+    const emailThrottle = await AuthThrottleService.check('reset_email', email);
+    await Promise.all([
+      AuthThrottleService.record('reset_ip', req.ip),
+      AuthThrottleService.record('reset_email', email)
+    ]);
+
     // Find user by email
     const user = await User.findOne({ email: email.toLowerCase() });
     
-    if (!user) {
+    // A throttled address gets the same answer but no further emails
+    if (!user || !emailThrottle.allowed) {
       // Don't reveal if email exists or not for security
       return res.status(200).json({
         success: true,
@@ -243,21 +436,25 @@ const resetPassword = async (req, res) => {
 
     await user.save();
 
-    // Generate new JWT token
-    const jwtToken = jwt.sign(
-      { 
-        userId: user._id,
-        email: user.email,
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Whoever knew the old password loses access, then this device signs in
+    await SessionService.revokeAll(user._id, 'password_reset');
+
+    // The mailbox alone mustn't get past 2FA; finish through /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Password reset successful.',
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallengeToken(user)
+      });
+    }
+
+    await AuthThrottleService.reset('login_account', user.email);
 
     res.status(200).json({
       success: true,
       message: 'Password reset successful.',
-      token: jwtToken,
+      ...(await issueTokens(user, req)),
       user: {
         id: user._id,
         name: user.name,
@@ -314,12 +511,204 @@ const validateResetToken = async (req, res) => {
   }
 };
 
+// @desc    Confirm email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link.'
+      });
+    }
+
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified.'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified.'
+      });
+    }
+
+    // One email per minute is plenty for a user waiting on their inbox
+    const RESEND_INTERVAL = 60 * 1000;
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt < RESEND_INTERVAL) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another verification email.'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const emailResult = await emailService.sendVerificationEmail(user.email, verificationToken);
+
+    if (!emailResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification email. Please try again.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent.'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Check an invitation token before showing the accept form
+// @route   GET /api/auth/accept-invite/:token
+// @access  Public
+const validateInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findRedeemable(req.params.token)
+      .populate('branch', 'name code');
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        branch: invitation.branch,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Validate invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Redeem an invitation and set a password
+// @route   POST /api/auth/accept-invite/:token
+// @access  Public
+const acceptInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, password, phone } = req.body;
+
+    // Mark the invitation used in the same query that finds it, so a token
+    // can only ever be redeemed once
+    const invitation = await Invitation.findOneAndUpdate(
+      Invitation.findRedeemable(req.params.token).getFilter(),
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invalid or expired invitation.' });
+    }
+
+    let user;
+    try {
+      // An existing member account with this email is promoted in place
+      user = await User.findOne({ email: invitation.email });
+
+      if (user) {
+        if (name) user.name = name;
+        if (phone) user.phone = phone;
+      } else {
+        user = new User({ name, phone, email: invitation.email });
+      }
+
+      user.password = password;
+      user.role = invitation.role;
+      user.branch = invitation.branch;
+      user.isVerified = true; // Receiving the invitation proves the address
+      await user.save();
+    } catch (userError) {
+      await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+      throw userError;
+    }
+
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    res.status(201).json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      branch: user.branch,
+      ...(await issueTokens(user, req)),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
   getUserProfile,
   updateUserProfile,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  revokeSession,
   forgotPassword,
   resetPassword,
-  validateResetToken
+  validateResetToken,
+  verifyEmail,
+  resendVerificationEmail,
+  validateInvitation,
+  acceptInvitation
 };
\ No newline at end of file
@@ -0,0 +1,184 @@
+// controllers/branchController.js
+const Branch = require('../models/Branch');
+const Item = require('../models/Item');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+
+const BRANCH_FIELDS = ['name', 'code', 'address', 'districts', 'locations', 'openingHours', 'pickup', 'contact', 'isActive'];
+
+const pickBranchFields = (body) => {
+  const data = {};
+  BRANCH_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// @desc    Get all branches
+// @route   GET /api/admin/branches
+// @access  Private (branches.manage)
+const getBranches = async (req, res) => {
+  try {
+    const { isActive, search } = req.query;
+
+    const filter = {};
+    if (isActive && isActive.trim() !== '') filter.isActive = isActive === 'true';
+    if (search && search.trim() !== '') {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const branches = await Branch.find(filter).sort({ name: 1 });
+
+    const branchStats = await Promise.all(
+      branches.map(async (branch) => {
+        const [staffCount, itemCount] = await Promise.all([
+          User.countDocuments({ branch: branch._id, role: { $in: ['staff', 'admin'] } }),
+          Item.countDocuments({ branch: branch._id })
+        ]);
+
+        return {
+          ...branch.toObject(),
+          stats: { staffCount, itemCount }
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      data: branchStats
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get single branch
+// @route   GET /api/admin/branches/:id
+// @access  Private (branches.manage)
+const getBranch = async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    res.json({
+      success: true,
+      data: branch
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Create branch
+// @route   POST /api/admin/branches
+// @access  Private (branches.manage)
+const createBranch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = pickBranchFields(req.body);
+
+    const exists = await Branch.findOne({
+      $or: [{ name: data.name }, { code: data.code.toUpperCase() }]
+    });
+    if (exists) {
+      return res.status(400).json({ message: 'A branch with this name or code already exists' });
+    }
+
+    const branch = await Branch.create(data);
+
+    res.status(201).json({
+      success: true,
+      data: branch
+    });
+  } catch (error) {
+    // Another request created the same branch after the check above
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A branch with this name or code already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Update branch
+// @route   PUT /api/admin/branches/:id
+// @access  Private (branches.manage)
+const updateBranch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    Object.assign(branch, pickBranchFields(req.body));
+    await branch.save();
+
+    res.json({
+      success: true,
+      message: 'Branch updated successfully',
+      data: branch
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A branch with this name or code already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Delete branch
+// @route   DELETE /api/admin/branches/:id
+// @access  Private (branches.manage)
+const deleteBranch = async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    // Branches still referenced by staff or items can only be deactivated
+    const [staffCount, itemCount] = await Promise.all([
+      User.countDocuments({ branch: branch._id }),
+      Item.countDocuments({ branch: branch._id })
+    ]);
+
+    if (staffCount > 0 || itemCount > 0) {
+      return res.status(400).json({
+        message: 'Cannot delete a branch with assigned staff or items. Deactivate it instead.'
+      });
+    }
+
+    await Branch.findByIdAndDelete(branch._id);
+
+    res.json({
+      success: true,
+      message: 'Branch deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getBranches,
+  getBranch,
+  createBranch,
+  updateBranch,
+  deleteBranch
+};
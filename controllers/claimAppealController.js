@@ -0,0 +1,287 @@
+// controllers/claimAppealController.js
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Claim = require('../models/Claim');
+const NotificationService = require('../services/notificationService');
+const ClaimDocumentService = require('../services/claimDocumentService');
+const PermissionService = require('../services/permissionService');
+const { canTransition, allowedTransitions } = require('../config/itemLifecycle');
+const { validationResult } = require('express-validator');
+
+const OPEN_APPEAL_STATUSES = ['pending', 'under_review'];
+
+// Move an appeal on only if it is still in one of the expected states, so
+// two reviewers acting at once can't both decide it
+const advanceAppeal = (claim, fromStatuses, set) => Claim.findOneAndUpdate(
+  { _id: claim._id, 'appeal.status': { $in: fromStatuses } },
+  { $set: set, $inc: { __v: 1 } },
+  { new: true }
+);
+
+// Load an item and one of its claims for staff working an appeal
+const loadAppeal = async ({ itemId, claimId }, user, permissions) => {
+  const item = mongoose.Types.ObjectId.isValid(itemId) && await Item.findById(itemId);
+  if (!item) {
+    return { error: { status: 404, message: 'Item not found' } };
+  }
+
+  const claim = await Claim.findOnItem(item, claimId);
+  if (!claim || !claim.appeal) {
+    return { error: { status: 404, message: 'Appeal not found' } };
+  }
+
+  if (!PermissionService.coversBranch(user, permissions, item.branch)) {
+    return { error: { status: 403, message: 'Not authorized to review appeals for this branch' } };
+  }
+
+  return { item, claim };
+};
+
+// @desc    Appeal a rejected claim with new evidence (multipart "documents")
+// @route   POST /api/items/:itemId/claims/:claimId/appeal
+// @access  Private (Claimant)
+const fileAppeal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { itemId, claimId } = req.params;
+
+    const item = await Item.findById(itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    const claim = await Claim.findOnItem(item, claimId);
+    if (!claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    if (claim.claimedBy.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Only the claimant can appeal this claim' });
+    }
+
+    if (claim.status !== 'rejected') {
+      return res.status(400).json({ message: 'Only rejected claims can be appealed' });
+    }
+
+    if (claim.appeal) {
+      return res.status(400).json({ message: 'An appeal has already been filed for this claim' });
+    }
+
+    if (allowedTransitions(item.status).length === 0) {
+      return res.status(400).json({ message: `Appeals cannot be filed once the item is ${item.status}` });
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'An appeal needs at least one new evidence document' });
+    }
+
+    let storedDocuments;
+    try {
+      storedDocuments = await ClaimDocumentService.storeDocuments(item._id, claim._id, files);
+    } catch (uploadError) {
+      return res.status(400).json({ message: uploadError.message });
+    }
+
+    // Only one appeal per claim, even if two are sent at once
+    const appealedClaim = await Claim.findOneAndUpdate(
+      { _id: claim._id, status: 'rejected', appeal: { $exists: false } },
+      {
+        $set: {
+          appeal: {
+            status: 'pending',
+            reason: req.body.reason,
+            documents: storedDocuments,
+            submittedAt: new Date()
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!appealedClaim) {
+      await ClaimDocumentService.removeDocuments(storedDocuments);
+      return res.status(400).json({ message: 'An appeal has already been filed for this claim' });
+    }
+
+    appealedClaim.appeal.documents.forEach(doc => ClaimDocumentService.logAccess(req, {
+      item: item._id,
+      claim: claim._id,
+      document: doc._id,
+      user: req.user.id,
+      action: 'upload'
+    }));
+
+    await NotificationService.handleClaimAppealed(item, appealedClaim, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted',
+      data: appealedClaim
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Appeals waiting on staff, oldest first (status= to filter)
+// @route   GET /api/claims/appeals
+// @access  Private (claims.view, own branch unless branches.all)
+const getAppealQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+    const statuses = req.query.status ? req.query.status.split(',') : OPEN_APPEAL_STATUSES;
+
+    const filter = { 'appeal.status': { $in: statuses } };
+    if (!req.permissions.has('branches.all')) {
+      if (!req.user.branch) {
+        return res.status(400).json({ message: 'Staff user must have a branch assigned' });
+      }
+      filter.branch = req.user.branch;
+    }
+
+    const [claims, total] = await Promise.all([
+      Claim.find(filter)
+        .sort({ 'appeal.submittedAt': 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('item', 'title type status category branch')
+        .populate('claimedBy', 'name email phone')
+        .populate('appeal.reviewer', 'name'),
+      Claim.countDocuments(filter)
+    ]);
+
+    const queue = claims.map(claim => ({
+      item: claim.item,
+      claim: {
+        _id: claim._id,
+        claimedBy: claim.claimedBy,
+        status: claim.status,
+        rejections: claim.rejections,
+        createdAt: claim.createdAt
+      },
+      appeal: claim.appeal
+    }));
+
+    res.json({
+      success: true,
+      data: queue,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: skip + claims.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Take up a pending appeal for review
+// @route   PUT /api/items/:itemId/claims/:claimId/appeal/review
+// @access  Private (claims.approve, own branch unless branches.all)
+const startAppealReview = async (req, res) => {
+  try {
+    const { error, item, claim } = await loadAppeal(req.params, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const reviewedClaim = await advanceAppeal(claim, ['pending'], {
+      'appeal.status': 'under_review',
+      'appeal.reviewer': req.user._id,
+      'appeal.reviewStartedAt': new Date()
+    });
+
+    if (!reviewedClaim) {
+      return res.status(409).json({ message: 'This appeal is no longer pending' });
+    }
+
+    await NotificationService.handleAppealUpdated(item, reviewedClaim, req.user);
+
+    res.json({
+      success: true,
+      message: 'Appeal under review',
+      data: reviewedClaim
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Grant or deny an appeal; granting puts the claim back to pending
+// @route   PUT /api/items/:itemId/claims/:claimId/appeal
+// @access  Private (claims.approve, own branch unless branches.all)
+const decideAppeal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { error, item, claim } = await loadAppeal(req.params, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const { decision, notes } = req.body;
+
+    // A granted appeal goes back to pending, which only means something
+    // while the claim could still be approved
+    if (decision === 'granted' && !canTransition(item.status, 'claimed')) {
+      return res.status(400).json({ message: `Appeals cannot be granted while the item is ${item.status}` });
+    }
+
+    // The rejection history is left alone, so the claim keeps a record of
+    // what was decided before the appeal
+    const set = {
+      'appeal.status': decision,
+      'appeal.decidedBy': req.user._id,
+      'appeal.decidedAt': new Date()
+    };
+    if (notes) {
+      set['appeal.decisionNotes'] = notes;
+    }
+    if (decision === 'granted') {
+      set.status = 'pending';
+      set.pendingSince = new Date();
+      set.escalatedAt = null;
+    }
+
+    const decidedClaim = await advanceAppeal(claim, OPEN_APPEAL_STATUSES, set);
+
+    if (!decidedClaim) {
+      return res.status(409).json({ message: 'This appeal has already been decided' });
+    }
+
+    await NotificationService.handleAppealUpdated(item, decidedClaim, req.user);
+
+    res.json({
+      success: true,
+      message: `Appeal ${decision}`,
+      data: decidedClaim
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  fileAppeal,
+  getAppealQueue,
+  startAppealReview,
+  decideAppeal
+};
@@ -0,0 +1,101 @@
+// controllers/claimAssignmentController.js
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Claim = require('../models/Claim');
+const User = require('../models/User');
+const ClaimAssignmentService = require('../services/claimAssignmentService');
+const NotificationService = require('../services/notificationService');
+const PermissionService = require('../services/permissionService');
+const { validationResult } = require('express-validator');
+
+// Load an item and one of its pending claims for staff in the item's branch
+const loadPendingClaim = async ({ itemId, claimId }, user, permissions) => {
+  const item = mongoose.Types.ObjectId.isValid(itemId) && await Item.findById(itemId);
+  if (!item) {
+    return { error: { status: 404, message: 'Item not found' } };
+  }
+
+  const claim = await Claim.findOnItem(item, claimId);
+  if (!claim) {
+    return { error: { status: 404, message: 'Claim not found' } };
+  }
+
+  if (!PermissionService.coversBranch(user, permissions, item.branch)) {
+    return { error: { status: 403, message: 'Not authorized to assign claims for this branch' } };
+  }
+
+  if (claim.status !== 'pending') {
+    return { error: { status: 400, message: 'Only pending claims can be assigned' } };
+  }
+
+  return { item, claim };
+};
+
+// @desc    Hand a pending claim to another reviewer
+// @route   PUT /api/items/:itemId/claims/:claimId/reviewer
+// @access  Private (claims.assign, own branch unless branches.all)
+const assignClaimReviewer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { error, item, claim } = await loadPendingClaim(req.params, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const reviewer = await User.findById(req.body.reviewerId).select('name role permissions branch isActive');
+    if (!await ClaimAssignmentService.canReview(reviewer, item)) {
+      return res.status(400).json({ message: 'Reviewer must be active staff who can approve claims for this branch' });
+    }
+
+    const assignedClaim = await ClaimAssignmentService.assign(claim, reviewer._id, 'reassigned');
+    if (!assignedClaim) {
+      return res.status(409).json({ message: 'This claim is no longer pending' });
+    }
+
+    if (reviewer.id !== req.user.id) {
+      await NotificationService.handleClaimAssigned(item, assignedClaim, req.user);
+    }
+
+    res.json({
+      success: true,
+      message: `Claim assigned to ${reviewer.name}`,
+      data: assignedClaim
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Take a pending claim for yourself to review
+// @route   POST /api/items/:itemId/claims/:claimId/assign-to-me
+// @access  Private (claims.approve, own branch unless branches.all)
+const assignClaimToMe = async (req, res) => {
+  try {
+    const { error, claim } = await loadPendingClaim(req.params, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const assignedClaim = await ClaimAssignmentService.assign(claim, req.user._id, 'self');
+    if (!assignedClaim) {
+      return res.status(409).json({ message: 'This claim is no longer pending' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Claim assigned to you',
+      data: assignedClaim
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  assignClaimReviewer,
+  assignClaimToMe
+};
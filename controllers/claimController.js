@@ -1,8 +1,49 @@
 // controllers/claimController.js
 const Item = require('../models/Item');
+const Claim = require('../models/Claim');
 const User = require('../models/User');
+const Match = require('../models/Match');
+const Appointment = require('../models/Appointment');
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const NotificationService = require('../services/notificationService');
+const ClaimDocumentService = require('../services/claimDocumentService');
+const PermissionService = require('../services/permissionService');
+const VerificationQuestionService = require('../services/verificationQuestionService');
+const ClaimAssignmentService = require('../services/claimAssignmentService');
+const PickupScheduleService = require('../services/pickupScheduleService');
+const ItemSerializer = require('../services/itemSerializer');
+const { canTransition } = require('../config/itemLifecycle');
+
+// An item's claims with who made them, for responses that return the item
+const withClaims = claimantFields => ({
+  path: 'claims',
+  options: { sort: { createdAt: 1 } },
+  populate: { path: 'claimedBy', select: claimantFields }
+});
+
+// Answer a write that lost a race with 409 and the item and its claims as
+// they stand now, so the client can decide again on fresh data
+const sendConflict = async (res, message, itemId) => {
+  const currentItem = await Item.findById(itemId)
+    .populate(withClaims('name email phone role branch'))
+    .populate('reportedBy', 'name email');
+
+  return res.status(409).json({ message, data: currentItem });
+};
+
+// The same for a claimant: the item only as they may see it, so other
+// claimants and the reporter's contact details stay hidden
+const sendClaimantConflict = async (req, res, message, itemId) => {
+  const currentItem = await Item.findById(itemId)
+    .populate(withClaims('name'))
+    .populate('reportedBy', 'name');
+
+  return res.status(409).json({
+    message,
+    data: ItemSerializer.serialize(currentItem, req.user, req.permissions)
+  });
+};
 
 // @desc    Submit claim for an item
 // @route   POST /api/items/:id/claim
@@ -14,7 +55,7 @@ const submitClaim = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { verificationDocuments, notes } = req.body;
+    const { notes, matchId } = req.body;
     const itemId = req.params.id;
 
     const item = await Item.findById(itemId);
@@ -27,54 +68,105 @@ const submitClaim = async (req, res) => {
       return res.status(400).json({ message: 'This item is no longer available for claims' });
     }
 
-    // Check if user has already claimed this item
-    const existingClaim = item.claims.find(
-      claim => claim.claimedBy.toString() === req.user.id
-    );
+    // Check if user has already claimed this item; a withdrawn claim
+    // doesn't stop them claiming again
+    const existingClaim = await Claim.exists({
+      item: item._id,
+      claimedBy: req.user.id,
+      status: { $ne: 'withdrawn' }
+    });
 
     if (existingClaim) {
       return res.status(400).json({ message: 'You have already submitted a claim for this item' });
     }
 
-    // IMPORTANT: Explicitly map the verification documents to ensure all fields are preserved
-    const processedDocuments = (verificationDocuments || []).map(doc => {
-      return {
-        url: doc.url,
-        name: doc.name,
-        type: doc.type,
-        size: doc.size,
-        publicId: doc.publicId
-      };
-    });
+    // A confirmed match pre-fills the claim for the lost item's reporter
+    let match = null;
+    if (matchId) {
+      match = await Match.findOne({ _id: matchId, foundItem: item._id, status: 'confirmed' })
+        .populate('lostItem');
+
+      if (!match || !match.lostItem || match.lostItem.reportedBy.toString() !== req.user.id) {
+        return res.status(400).json({ message: 'Match is not a confirmed match for your lost item' });
+      }
+    }
+
+    // Every ownership question the reporter or staff set must be answered
+    const { answers, missing } = VerificationQuestionService.collectAnswers(
+      item.verificationQuestions, req.body.answers
+    );
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        message: 'Please answer every verification question',
+        missingQuestions: missing
+      });
+    }
+
+    // Evidence arrives as uploaded files and is stored privately under the
+    // claim's ID, so the ID is generated before the claim is saved
+    const claimId = new mongoose.Types.ObjectId();
+    let storedDocuments = [];
+
+    try {
+      storedDocuments = await ClaimDocumentService.storeDocuments(item._id, claimId, req.files || []);
+    } catch (uploadError) {
+      return res.status(400).json({ message: uploadError.message });
+    }
+
+    // Hand the claim to a reviewer at the item's branch straight away
+    const assignment = await ClaimAssignmentService.pickReviewer(item.branch);
 
     // Create new claim with explicit structure
-    const newClaim = {
+    const claim = new Claim({
+      _id: claimId,
+      item: item._id,
+      branch: item.branch,
       claimedBy: req.user.id,
-      verificationDocuments: processedDocuments,
-      notes: notes || '',
-      status: 'pending'
-    };
+      verificationDocuments: storedDocuments,
+      answers,
+      notes: notes || (match ? match.buildClaimDraft(match.lostItem).notes : ''),
+      match: match ? match._id : undefined,
+      status: 'pending',
+      ...(assignment && {
+        reviewer: assignment.reviewer,
+        assignedAt: new Date(),
+        assignmentMethod: assignment.method
+      })
+    });
 
-    // Add claim to item
-    item.claims.push(newClaim);
-    await item.save();
+    try {
+      await claim.save();
+    } catch (saveError) {
+      await ClaimDocumentService.removeDocuments(storedDocuments);
+      // Another request from the same claimant got there first
+      if (saveError.code === 11000) {
+        return res.status(400).json({ message: 'You have already submitted a claim for this item' });
+      }
+      throw saveError;
+    }
+
+    claim.verificationDocuments.forEach(doc => ClaimDocumentService.logAccess(req, {
+      item: item._id,
+      claim: claim._id,
+      document: doc._id,
+      user: req.user.id,
+      action: 'upload'
+    }));
 
     try {
-      await NotificationService.handleClaimSubmitted(item, req.user);
+      await NotificationService.handleClaimSubmitted(item, req.user, assignment && assignment.reviewer);
     } catch (notificationError) {
       console.error('Notification error (non-blocking):', notificationError);
     }
 
     // Populate the claim data for response
-    const populatedItem = await Item.findById(itemId)
-      .populate('claims.claimedBy', 'name email phone role');
-
-    const submittedClaim = populatedItem.claims[populatedItem.claims.length - 1];
+    await claim.populate('claimedBy', 'name email phone role');
 
     res.status(201).json({
       success: true,
       message: 'Claim submitted successfully',
-      data: submittedClaim
+      data: claim
     });
 
   } catch (error) {
@@ -83,18 +175,237 @@ const submitClaim = async (req, res) => {
   }
 };
 
+// @desc    Add evidence documents to your own pending claim
+// @route   POST /api/items/:itemId/claims/:claimId/documents
+// @access  Private (Claimant)
+const addClaimDocuments = async (req, res) => {
+  try {
+    const { itemId, claimId } = req.params;
+
+    const item = await Item.findById(itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    const claim = await Claim.findOnItem(item, claimId);
+    if (!claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    if (claim.claimedBy.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Only the claimant can add documents to this claim' });
+    }
+
+    if (claim.status !== 'pending') {
+      return res.status(400).json({ message: 'Documents can only be added to pending claims' });
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No documents uploaded' });
+    }
+
+    if (claim.verificationDocuments.length + files.length > ClaimDocumentService.MAX_DOCUMENTS_PER_CLAIM) {
+      return res.status(400).json({
+        message: `A claim can have at most ${ClaimDocumentService.MAX_DOCUMENTS_PER_CLAIM} documents`
+      });
+    }
+
+    let storedDocuments;
+    try {
+      storedDocuments = await ClaimDocumentService.storeDocuments(item._id, claim._id, files);
+    } catch (uploadError) {
+      return res.status(400).json({ message: uploadError.message });
+    }
+
+    const updatedClaim = await Claim.findOneAndUpdate(
+      { _id: claim._id },
+      { $push: { verificationDocuments: { $each: storedDocuments } } },
+      { new: true }
+    );
+
+    const keys = storedDocuments.map(doc => doc.key);
+
+    updatedClaim.verificationDocuments
+      .filter(doc => keys.includes(doc.key))
+      .forEach(doc => ClaimDocumentService.logAccess(req, {
+        item: item._id,
+        claim: claim._id,
+        document: doc._id,
+        user: req.user.id,
+        action: 'upload'
+      }));
+
+    res.status(201).json({
+      success: true,
+      data: updatedClaim.verificationDocuments
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Withdraw your own pending claim
+// @route   POST /api/items/:itemId/claims/:claimId/withdraw
+// @access  Private (Claimant)
+const withdrawClaim = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { itemId, claimId } = req.params;
+
+    const item = await Item.findById(itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    const claim = await Claim.findOnItem(item, claimId);
+    if (!claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    if (claim.claimedBy.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Only the claimant can withdraw this claim' });
+    }
+
+    if (claim.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending claims can be withdrawn' });
+    }
+
+    claim.status = 'withdrawn';
+    claim.withdrawal = { reason: req.body.reason, withdrawnAt: new Date() };
+
+    try {
+      await claim.save();
+    } catch (saveError) {
+      // Staff decided the claim while it was being withdrawn
+      if (saveError.name === 'VersionError') {
+        return sendClaimantConflict(req, res, 'This claim was reviewed before it could be withdrawn', itemId);
+      }
+      throw saveError;
+    }
+
+    await NotificationService.handleClaimWithdrawn(item, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Claim withdrawn',
+      data: claim
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Issue a short-lived signed download link for a claim document
+// @route   GET /api/items/:itemId/claims/:claimId/documents/:documentId/link
+// @access  Private (Claimant, branch claims.view)
+const getClaimDocumentLink = async (req, res) => {
+  try {
+    const { itemId, claimId, documentId } = req.params;
+
+    const item = await Item.findById(itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    const claim = await Claim.findOnItem(item, claimId);
+    const document = claim && claim.findDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const logEntry = { item: item._id, claim: claim._id, document: document._id, user: req.user.id };
+
+    if (!ClaimDocumentService.canAccess(req.user, req.permissions, item, claim)) {
+      await ClaimDocumentService.logAccess(req, { ...logEntry, action: 'denied', reason: 'link_not_permitted' });
+      return res.status(403).json({ message: 'Not authorized to view this document' });
+    }
+
+    if (!document.key) {
+      return res.status(404).json({ message: 'Document has no stored file' });
+    }
+
+    const token = ClaimDocumentService.createDownloadToken(item, claim, document, req.user);
+    await ClaimDocumentService.logAccess(req, { ...logEntry, action: 'link_issued' });
+
+    res.json({
+      success: true,
+      data: {
+        url: `/api/claims/documents/download?token=${token}`,
+        expiresIn: 300
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Download a claim document through a signed link
+// @route   GET /api/claims/documents/download?token=
+// @access  Signed link
+const downloadClaimDocument = async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = ClaimDocumentService.verifyDownloadToken(req.query.token);
+    } catch (tokenError) {
+      return res.status(401).json({ message: 'Download link is invalid or has expired' });
+    }
+
+    const item = await Item.findById(payload.item);
+    const claim = item && await Claim.findOnItem(item, payload.claim);
+    const document = claim && claim.findDocument(payload.document);
+
+    if (!document || !document.key) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const logEntry = { item: item._id, claim: claim._id, document: document._id, user: payload.user };
+
+    // Re-check access in case the user's role or branch changed since the link was issued
+    const user = await User.findById(payload.user).select('role permissions branch isActive');
+    const permissions = user && await PermissionService.resolve(user);
+    if (!user || !user.isActive || !ClaimDocumentService.canAccess(user, permissions, item, claim)) {
+      await ClaimDocumentService.logAccess(req, { ...logEntry, action: 'denied', reason: 'download_not_permitted' });
+      return res.status(403).json({ message: 'Not authorized to view this document' });
+    }
+
+    const buffer = await ClaimDocumentService.read(document);
+    await ClaimDocumentService.logAccess(req, { ...logEntry, action: 'download' });
+
+    res.setHeader('Content-Type', document.type);
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(document.name)}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(buffer);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // @desc    Get claims for an item
 // @route   GET /api/items/:id/claims
-// @access  Private (Staff/Admin)
+// @access  Private (claims.view, own branch unless branches.all)
 const getItemClaims = async (req, res) => {
   try {
-    const item = await Item.findById(req.params.id)
-      .populate('claims.claimedBy', 'name email phone role branch');
+    const item = await Item.findById(req.params.id).select('+verificationQuestions.answer');
 
     if (!item) {
       return res.status(404).json({ message: 'Item not found' });
     }
 
+    if (!PermissionService.coversBranch(req.user, req.permissions, item.branch)) {
+      return res.status(403).json({ message: 'Not authorized to view claims for this branch' });
+    }
+
+    const claims = await Claim.find({ item: item._id })
+      .sort({ createdAt: 1 })
+      .populate('claimedBy', 'name email phone role branch')
+      .populate('reviewer', 'name');
+
     res.json({
       success: true,
       data: {
@@ -102,9 +413,14 @@ const getItemClaims = async (req, res) => {
           _id: item._id,
           title: item.title,
           status: item.status,
-          type: item.type
+          type: item.type,
+          verificationQuestions: item.verificationQuestions.length
         },
-        claims: item.claims
+        // Answers side by side with the expected ones, for reviewers only
+        claims: claims.map(claim => ({
+          ...claim.toJSON(),
+          verification: VerificationQuestionService.compare(item.verificationQuestions, claim)
+        }))
       }
     });
   } catch (error) {
@@ -114,31 +430,55 @@ const getItemClaims = async (req, res) => {
 
 // @desc    Update claim status
 // @route   PUT /api/items/:itemId/claims/:claimId
-// @access  Private (Staff/Admin)
+// @access  Private (claims.approve, own branch unless branches.all)
 const updateClaimStatus = async (req, res) => {
   try {
-    const { itemId, claimId } = req.params;
-    const { status, notes } = req.body;
-
-    if (!['pending', 'approved', 'rejected'].includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
+    const { itemId, claimId } = req.params;
+    const { status, notes, version } = req.body;
+
     const item = await Item.findById(itemId)
-      .populate('reportedBy', 'name email')
-      .populate('claims.claimedBy', 'name email');
+      .populate('reportedBy', 'name email');
     
     if (!item) {
       return res.status(404).json({ message: 'Item not found' });
     }
 
-    const claim = item.claims.id(claimId);
+    if (!PermissionService.coversBranch(req.user, req.permissions, item.branch)) {
+      return res.status(403).json({ message: 'Not authorized to review claims for this branch' });
+    }
+
+    const claim = await Claim.findOnItem(item, claimId).populate('claimedBy', 'name email');
     if (!claim) {
       return res.status(404).json({ message: 'Claim not found' });
     }
 
     // Store original status for comparison
     const originalStatus = claim.status;
+    const approving = status === 'approved' && originalStatus !== 'approved';
+
+    // The reviewer may send the version they decided on; anything newer
+    // means they haven't seen the latest changes
+    if (version !== undefined && version !== claim.__v) {
+      return sendConflict(res, 'This claim has changed since you loaded it', itemId);
+    }
+
+    if (originalStatus === 'withdrawn') {
+      return res.status(400).json({ message: 'Withdrawn claims cannot be reviewed' });
+    }
+
+    // A rejection stands unless the claimant wins an appeal against it
+    if (originalStatus === 'rejected' && status !== 'rejected') {
+      return res.status(400).json({ message: 'Rejected claims can only be reopened through an appeal' });
+    }
+
+    if (approving && !canTransition(item.status, 'claimed')) {
+      return res.status(400).json({ message: `Claims cannot be approved while the item is ${item.status}` });
+    }
     
     // Update claim status
     claim.status = status;
@@ -146,20 +486,89 @@ const updateClaimStatus = async (req, res) => {
       claim.notes = notes;
     }
 
+    // Back in the queue: the review SLA starts again
+    if (status === 'pending' && originalStatus !== 'pending') {
+      claim.pendingSince = new Date();
+      claim.escalatedAt = undefined;
+    }
+
+    if (status === 'rejected' && originalStatus !== 'rejected') {
+      claim.rejections.push({ reason: notes || 'Claim verification failed', rejectedBy: req.user._id });
+    }
+
+    // The save is version-checked, and the approved-claim index lets only
+    // one claim per item be approved, so of two racing decisions one fails
+    try {
+      await claim.save();
+    } catch (saveError) {
+      if (saveError.code === 11000) {
+        return sendConflict(res, 'Another claim on this item has already been approved', itemId);
+      }
+      if (saveError.name === 'VersionError') {
+        return sendConflict(res, 'This claim was changed by someone else', itemId);
+      }
+      throw saveError;
+    }
+
     // If claim is approved, update item status and reject other pending claims
-    if (status === 'approved') {
-      item.status = 'claimed';
-      
-      // Reject all other pending claims for this item
-      item.claims.forEach(otherClaim => {
-        if (otherClaim._id.toString() !== claimId && otherClaim.status === 'pending') {
-          otherClaim.status = 'rejected';
-          otherClaim.notes = 'Automatically rejected - another claim was approved';
-        }
+    let autoRejected = [];
+    if (approving) {
+      const claimedItem = await Item.transitionIfUnchanged(item, 'claimed', {
+        actor: req.user._id,
+        reason: 'Claim approved'
       });
+
+      // The item moved on while the claim was being approved, so undo it
+      if (!claimedItem) {
+        await Claim.updateOne(
+          { _id: claim._id, status: 'approved' },
+          { $set: { status: originalStatus }, $inc: { __v: 1 } }
+        );
+        return sendConflict(res, 'The item changed while the claim was being approved', itemId);
+      }
+
+      // Reject all other pending claims for this item, skipping any that
+      // were withdrawn or decided in the meantime
+      const otherClaims = await Claim.find({ item: item._id, _id: { $ne: claim._id }, status: 'pending' })
+        .populate('claimedBy', 'name email');
+
+      for (const otherClaim of otherClaims) {
+        const { modifiedCount } = await Claim.updateOne(
+          { _id: otherClaim._id, status: 'pending' },
+          {
+            $set: { status: 'rejected', notes: 'Automatically rejected - another claim was approved' },
+            $push: {
+              rejections: {
+                reason: 'Another claim was approved',
+                rejectedBy: req.user._id,
+                automatic: true,
+                rejectedAt: new Date()
+              }
+            },
+            $inc: { __v: 1 }
+          }
+        );
+        if (modifiedCount > 0) autoRejected.push(otherClaim);
+      }
     }
 
-    await item.save();
+    // Taking back the approval puts the item back up for claims, unless it
+    // has already moved on (returned, say) since it was loaded
+    if (originalStatus === 'approved' && status !== 'approved' && item.status === 'claimed') {
+      await Item.transitionIfUnchanged(item, 'active', {
+        actor: req.user._id,
+        reason: `Approved claim changed to ${status}`
+      });
+    }
+
+    // Only an approved claimant can collect, so their pickup goes too; the
+    // claim status notification tells them why
+    if (originalStatus === 'approved' && status !== 'approved') {
+      const pickup = await Appointment.findOne({ claim: claim._id, status: 'booked' });
+      if (pickup) {
+        await PickupScheduleService.cancel(pickup, req.user._id, `Claim changed to ${status}`);
+      }
+    }
 
     try {
       if (originalStatus !== status) {
@@ -190,13 +599,7 @@ const updateClaimStatus = async (req, res) => {
               });
             }
 
-            const rejectedClaims = item.claims.filter(c => 
-              c._id.toString() !== claimId && 
-              c.status === 'rejected' && 
-              c.notes && c.notes.includes('Automatically rejected')
-            );
-
-            for (const rejectedClaim of rejectedClaims) {
+            for (const rejectedClaim of autoRejected) {
               await NotificationService.createNotification(rejectedClaim.claimedBy._id, {
                 type: 'claim_rejected',
                 title: 'Claim Not Approved',
@@ -238,21 +641,8 @@ const updateClaimStatus = async (req, res) => {
             break;
 
           case 'pending':
-            // If status is changed back to pending (rare case)
-            if (originalStatus !== 'pending') {
-              await NotificationService.createNotification(claimant._id, {
-                type: 'claim_submitted',
-                title: 'Claim Status Updated',
-                message: `Your claim for "${item.title}" status has been updated to pending review.`,
-                relatedItem: item._id,
-                relatedUser: approver._id,
-                data: {
-                  itemTitle: item.title,
-                  itemType: item.type,
-                  updatedBy: approver.name
-                }
-              });
-            }
+            // An approval was taken back for another look
+            await NotificationService.handleClaimReopened(item, claimant, approver);
             break;
         }
       }
@@ -262,7 +652,7 @@ const updateClaimStatus = async (req, res) => {
 
     // Populate and return updated item
     const populatedItem = await Item.findById(itemId)
-      .populate('claims.claimedBy', 'name email phone role branch')
+      .populate(withClaims('name email phone role branch'))
       .populate('reportedBy', 'name email');
 
     res.json({
@@ -278,7 +668,7 @@ const updateClaimStatus = async (req, res) => {
 
 // @desc    Mark item as returned
 // @route   PUT /api/items/:id/return
-// @access  Private (Staff/Admin)
+// @access  Private (items.return, own branch unless branches.all)
 const markItemReturned = async (req, res) => {
   try {
     const { claimId, returnNotes } = req.body;
@@ -289,14 +679,18 @@ const markItemReturned = async (req, res) => {
       return res.status(404).json({ message: 'Item not found' });
     }
 
+    if (!PermissionService.coversBranch(req.user, req.permissions, item.branch)) {
+      return res.status(403).json({ message: 'Not authorized to return items for this branch' });
+    }
+
     // Check if item has been claimed
-    if (item.status !== 'claimed') {
+    if (!canTransition(item.status, 'returned')) {
       return res.status(400).json({ message: 'Item must be claimed before it can be marked as returned' });
     }
 
     // If claimId is provided, verify the claim exists and is approved
     if (claimId) {
-      const claim = item.claims.id(claimId);
+      const claim = await Claim.findOnItem(item, claimId);
       if (!claim) {
         return res.status(404).json({ message: 'Claim not found' });
       }
@@ -306,7 +700,7 @@ const markItemReturned = async (req, res) => {
     }
 
     // Update item status
-    item.status = 'returned';
+    item.transitionTo('returned', { actor: req.user._id, reason: returnNotes || 'Returned to owner' });
     
     // Add return notes if provided
     if (returnNotes) {
@@ -316,8 +710,11 @@ const markItemReturned = async (req, res) => {
 
     await item.save();
 
+    // The handover happened, whether or not it was at the booked time
+    await Appointment.updateMany({ item: item._id, status: 'booked' }, { $set: { status: 'completed' } });
+
     const populatedItem = await Item.findById(itemId)
-      .populate('claims.claimedBy', 'name email phone role')
+      .populate(withClaims('name email phone role'))
       .populate('reportedBy', 'name email');
 
     res.json({
@@ -340,23 +737,24 @@ const getMyClaims = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const itemsWithMyClaims = await Item.find({
-      'claims.claimedBy': userId
-    })
-    .populate('reportedBy', 'name email phone')
-    .populate('claims.claimedBy', 'name email phone')
-    .sort({ createdAt: -1 });
+    const filter = { claimedBy: userId };
 
-    const userClaims = [];
-    
-    itemsWithMyClaims.forEach(item => {
-      const userClaimsOnItem = item.claims.filter(claim => 
-        claim.claimedBy._id.toString() === userId
-      );
-      
-      // For each claim by this user, create a result object
-      userClaimsOnItem.forEach(claim => {
-        userClaims.push({
+    const [claims, total] = await Promise.all([
+      Claim.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate({ path: 'item', populate: { path: 'reportedBy', select: 'name' } })
+        .populate('claimedBy', 'name email phone'),
+      Claim.countDocuments(filter)
+    ]);
+
+    const paginatedClaims = claims
+      .filter(claim => claim.item)
+      .map(claim => {
+        const { item } = claim;
+
+        return {
           // The item data (what was lost/found)
           _id: item._id,
           title: item.title,
@@ -369,7 +767,7 @@ const getMyClaims = async (req, res) => {
           images: item.images,
           reportedBy: item.reportedBy,
           createdAt: item.createdAt,
-          
+
           // The user's claim data (nested under 'claim')
           claim: {
             _id: claim._id,
@@ -377,22 +775,20 @@ const getMyClaims = async (req, res) => {
             verificationDocuments: claim.verificationDocuments,
             notes: claim.notes,
             status: claim.status,
+            rejections: claim.rejections,
+            withdrawal: claim.withdrawal,
+            appeal: claim.appeal,
             createdAt: claim.createdAt,
             updatedAt: claim.updatedAt
           }
-        });
+        };
       });
-    });
-
-    userClaims.sort((a, b) => new Date(b.claim.createdAt) - new Date(a.claim.createdAt));
-
-    const paginatedClaims = userClaims.slice(skip, skip + limit);
 
     const pagination = {
       current: page,
-      pages: Math.ceil(userClaims.length / limit),
-      total: userClaims.length,
-      hasNext: page < Math.ceil(userClaims.length / limit),
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: skip + claims.length < total,
       hasPrev: page > 1
     };
 
@@ -412,10 +808,131 @@ const getMyClaims = async (req, res) => {
   }
 };
 
+// @desc    List claims with filters, newest first unless sort=oldest
+// @route   GET /api/claims
+// @access  Private (claims.view, own branch unless branches.all)
+const getClaims = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { status, appealStatus, item, claimant, reviewer, branch, from, to, sort } = req.query;
+
+    const filter = {};
+
+    if (req.permissions.has('branches.all')) {
+      if (branch) filter.branch = branch;
+    } else {
+      if (!req.user.branch) {
+        return res.status(400).json({ message: 'Staff user must have a branch assigned' });
+      }
+      filter.branch = req.user.branch;
+    }
+
+    if (status) filter.status = { $in: status.split(',') };
+    if (appealStatus) filter['appeal.status'] = { $in: appealStatus.split(',') };
+    if (item) filter.item = item;
+    if (claimant) filter.claimedBy = claimant;
+
+    if (reviewer === 'me') {
+      filter.reviewer = req.user._id;
+    } else if (reviewer === 'unassigned') {
+      filter.reviewer = null;
+    } else if (reviewer) {
+      filter.reviewer = reviewer;
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [claims, total] = await Promise.all([
+      Claim.find(filter)
+        .select('-answers')
+        .sort({ createdAt: sort === 'oldest' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('item', 'title type category status branch')
+        .populate('claimedBy', 'name email phone')
+        .populate('reviewer', 'name'),
+      Claim.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: claims,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: skip + claims.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get a claim; reviewers also get the verification comparison
+// @route   GET /api/claims/:id
+// @access  Private (Claimant, branch claims.view)
+const getClaim = async (req, res) => {
+  try {
+    const claim = mongoose.Types.ObjectId.isValid(req.params.id) && await Claim.findById(req.params.id)
+      .populate('claimedBy', 'name email phone')
+      .populate('reviewer', 'name')
+      .populate('appeal.reviewer', 'name')
+      .populate('rejections.rejectedBy', 'name');
+
+    const item = claim && await Item.findById(claim.item).select('+verificationQuestions.answer');
+
+    if (!item) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    const isClaimant = String(claim.populated('claimedBy') || claim.claimedBy) === req.user.id;
+    const isReviewer = req.permissions.has('claims.view') &&
+      PermissionService.coversBranch(req.user, req.permissions, item.branch);
+
+    if (!isClaimant && !isReviewer) {
+      return res.status(403).json({ message: 'Not authorized to view this claim' });
+    }
+
+    const { _id, title, type, category, status, branch, images } = item;
+
+    res.json({
+      success: true,
+      data: {
+        ...claim.toJSON(),
+        item: { _id, title, type, category, status, branch, images },
+        ...(isReviewer && {
+          verification: VerificationQuestionService.compare(item.verificationQuestions, claim)
+        })
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 module.exports = {
   submitClaim,
+  addClaimDocuments,
+  withdrawClaim,
+  getClaimDocumentLink,
+  downloadClaimDocument,
   getItemClaims,
   updateClaimStatus,
   markItemReturned,
-  getMyClaims
+  getMyClaims,
+  getClaims,
+  getClaim
 };
\ No newline at end of file
@@ -0,0 +1,366 @@
+// controllers/conversationController.js
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Item = require('../models/Item');
+const Claim = require('../models/Claim');
+const User = require('../models/User');
+const ConversationService = require('../services/conversationService');
+const NotificationService = require('../services/notificationService');
+const PermissionService = require('../services/permissionService');
+const { validationResult } = require('express-validator');
+
+const PARTICIPANT_FIELDS = 'name role';
+
+// Load a thread with its item and claim and work out the user's part in
+// it. Access is re-checked every time rather than trusting the participant
+// list, so staff who move branch lose access straight away.
+const loadThread = async (conversationId, user, permissions) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    return { error: { status: 404, message: 'Conversation not found' } };
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  const item = conversation && await Item.findById(conversation.item);
+
+  if (!item) {
+    return { error: { status: 404, message: 'Conversation not found' } };
+  }
+
+  const claim = conversation.claim ? await Claim.findOnItem(item, conversation.claim) : null;
+  if (conversation.claim && !claim) {
+    return { error: { status: 404, message: 'Conversation not found' } };
+  }
+
+  const role = ConversationService.roleFor(user, permissions, item, claim);
+  if (!role) {
+    return { error: { status: 403, message: 'Not authorized to view this conversation' } };
+  }
+
+  return { conversation, item, claim, role };
+};
+
+const summarize = (conversation, item) => ({
+  _id: conversation._id,
+  item: {
+    _id: item._id,
+    title: item.title,
+    type: item.type,
+    status: item.status
+  },
+  claim: conversation.claim,
+  participants: conversation.participants,
+  lastMessageAt: conversation.lastMessageAt,
+  messageCount: conversation.messageCount
+});
+
+// @desc    Open the thread for an item or a claim on it, joining it
+// @route   POST /api/conversations
+// @access  Private (claimant, reporter or branch claims.view)
+const openConversation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { itemId, claimId } = req.body;
+
+    const item = await Item.findById(itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    const claim = claimId ? await Claim.findOnItem(item, claimId) : null;
+    if (claimId && !claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    const role = ConversationService.roleFor(req.user, req.permissions, item, claim);
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to join this conversation' });
+    }
+
+    let conversation = await ConversationService.open(item, claim);
+    conversation = await ConversationService.join(conversation, req.user, role);
+    await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        ...summarize(conversation, item),
+        role,
+        unreadCount: await ConversationService.unreadCount(conversation, req.user._id)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List conversations the user has joined, most recent first
+// @route   GET /api/conversations
+// @access  Private
+const getConversations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+
+    const filter = { 'participants.user': req.user._id };
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .sort({ lastMessageAt: -1, updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('item', 'title type status')
+        .populate('participants.user', PARTICIPANT_FIELDS),
+      Conversation.countDocuments(filter)
+    ]);
+
+    const data = await Promise.all(conversations.map(async conversation => ({
+      ...conversation.toObject(),
+      unreadCount: await ConversationService.unreadCount(conversation, req.user._id)
+    })));
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: skip + conversations.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get a conversation
+// @route   GET /api/conversations/:id
+// @access  Private (claimant, reporter or branch claims.view)
+const getConversation = async (req, res) => {
+  try {
+    const { error, conversation, item, role } = await loadThread(req.params.id, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        ...summarize(conversation, item),
+        role,
+        unreadCount: await ConversationService.unreadCount(conversation, req.user._id)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get messages, newest page first; pass before= to page back
+// @route   GET /api/conversations/:id/messages
+// @access  Private (claimant, reporter or branch claims.view)
+const getMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { error, conversation } = await loadThread(req.params.id, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const limit = parseInt(req.query.limit) || 30;
+    const filter = { conversation: conversation._id };
+    if (req.query.before) {
+      filter.createdAt = { $lt: new Date(req.query.before) };
+    }
+
+    // One extra tells us whether there is an older page
+    const messages = await Message.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit + 1)
+      .populate('sender', PARTICIPANT_FIELDS);
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit).reverse();
+
+    res.json({
+      success: true,
+      data: page.map(message => ({
+        ...message.toJSON(),
+        readBy: ConversationService.readBy(conversation, message)
+      })),
+      hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Send a message (multipart "attachments" optional)
+// @route   POST /api/conversations/:id/messages
+// @access  Private (claimant, reporter or branch claims.view)
+const sendMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const files = req.files || [];
+    const body = (req.body.body || '').trim();
+
+    if (!body && files.length === 0) {
+      return res.status(400).json({ message: 'A message needs text or an attachment' });
+    }
+
+    const thread = await loadThread(req.params.id, req.user, req.permissions);
+    if (thread.error) {
+      return res.status(thread.error.status).json({ message: thread.error.message });
+    }
+
+    const conversation = await ConversationService.join(thread.conversation, req.user, thread.role);
+
+    // Attachments are stored under the message's ID, so it is generated first
+    const messageId = new mongoose.Types.ObjectId();
+    let attachments = [];
+
+    try {
+      attachments = await ConversationService.storeAttachments(conversation._id, messageId, files);
+    } catch (uploadError) {
+      return res.status(400).json({ message: uploadError.message });
+    }
+
+    const message = await ConversationService.postMessage(conversation, req.user, { _id: messageId, body, attachments });
+
+    await NotificationService.handleNewMessage(conversation, message, req.user, thread.item);
+    await message.populate('sender', PARTICIPANT_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...message.toJSON(),
+        readBy: []
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Mark every message in a conversation as read
+// @route   PUT /api/conversations/:id/read
+// @access  Private (claimant, reporter or branch claims.view)
+const markConversationRead = async (req, res) => {
+  try {
+    const thread = await loadThread(req.params.id, req.user, req.permissions);
+    if (thread.error) {
+      return res.status(thread.error.status).json({ message: thread.error.message });
+    }
+
+    const conversation = await ConversationService.join(thread.conversation, req.user, thread.role);
+    const readAt = new Date();
+    await ConversationService.markRead(conversation._id, req.user._id, readAt);
+
+    res.json({
+      success: true,
+      message: 'Conversation marked as read',
+      data: { readAt }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get a short-lived download link for a message attachment
+// @route   GET /api/conversations/:id/messages/:messageId/attachments/:attachmentId/link
+// @access  Private (claimant, reporter or branch claims.view)
+const getAttachmentLink = async (req, res) => {
+  try {
+    const { error, conversation } = await loadThread(req.params.id, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const message = mongoose.Types.ObjectId.isValid(req.params.messageId) &&
+      await Message.findOne({ _id: req.params.messageId, conversation: conversation._id });
+    const attachment = message && message.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const token = ConversationService.createDownloadToken(message, attachment, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        url: `/api/conversations/attachments/download?token=${token}`,
+        expiresIn: 300
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Download a message attachment through a signed link
+// @route   GET /api/conversations/attachments/download?token=
+// @access  Signed link
+const downloadAttachment = async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = ConversationService.verifyDownloadToken(req.query.token);
+    } catch (tokenError) {
+      return res.status(401).json({ message: 'Download link is invalid or has expired' });
+    }
+
+    const message = await Message.findOne({ _id: payload.message, conversation: payload.conversation });
+    const attachment = message && message.attachments.id(payload.attachment);
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    // Re-check access in case the user's role or branch changed since the link was issued
+    const user = await User.findById(payload.user).select('role permissions branch isActive');
+    const permissions = user && await PermissionService.resolve(user);
+    const thread = user && user.isActive && await loadThread(payload.conversation, user, permissions);
+
+    if (!thread || thread.error) {
+      return res.status(403).json({ message: 'Not authorized to view this attachment' });
+    }
+
+    const buffer = await ConversationService.read(attachment);
+
+    res.setHeader('Content-Type', attachment.type);
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(attachment.name)}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(buffer);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  openConversation,
+  getConversations,
+  getConversation,
+  getMessages,
+  sendMessage,
+  markConversationRead,
+  getAttachmentLink,
+  downloadAttachment
+};
@@ -1,5 +1,6 @@
 // controllers/dashboardController.js
 const Item = require('../models/Item');
+const Claim = require('../models/Claim');
 const User = require('../models/User');
 
 // @desc    Get dashboard statistics
@@ -30,7 +31,7 @@ const getDashboardStats = async (req, res) => {
       Item.countDocuments({ status: 'claimed' }),
       Item.countDocuments({ status: 'returned' }),
       Item.countDocuments({ createdAt: { $gte: startDate } }),
-      Item.countDocuments({ 'claims.status': 'pending' }),
+      Claim.countDocuments({ status: 'pending' }),
       Item.countDocuments({ type: 'lost' }),
       Item.countDocuments({ type: 'found' })
     ]);
@@ -77,21 +78,22 @@ const getDashboardStats = async (req, res) => {
     // Success rate (items returned vs total found items)
     const successRate = foundItems > 0 ? ((returnedItems / foundItems) * 100).toFixed(1) : 0;
 
-    // Response time analysis (average time from found to claimed)
-    const responseTimeStats = await Item.aggregate([
+    // Response time analysis (average time from found to first claim)
+    const responseTimeStats = await Claim.aggregate([
+      { $group: { _id: '$item', firstClaimDate: { $min: '$createdAt' } } },
+      { $lookup: { from: Item.collection.name, localField: '_id', foreignField: '_id', as: 'item' } },
+      { $unwind: '$item' },
       {
         $match: {
-          type: 'found',
-          status: { $in: ['claimed', 'returned'] },
-          'claims.0': { $exists: true }
+          'item.type': 'found',
+          'item.status': { $in: ['claimed', 'returned'] }
         }
       },
       {
         $addFields: {
-          firstClaimDate: { $arrayElemAt: ['$claims.claimDate', 0] },
           daysDiff: {
             $divide: [
-              { $subtract: [{ $arrayElemAt: ['$claims.claimDate', 0] }, '$createdAt'] },
+              { $subtract: ['$firstClaimDate', '$item.createdAt'] },
               1000 * 60 * 60 * 24
             ]
           }
@@ -156,12 +158,12 @@ const getRecentActivity = async (req, res) => {
       .select('title type category status createdAt reportedBy location');
 
     // Get recent claims
-    const recentClaims = await Item.find({ 'claims.0': { $exists: true } })
-      .populate('claims.claimedBy', 'name email')
-      .populate('reportedBy', 'name email')
-      .sort({ 'claims.claimDate': -1 })
+    const recentClaims = await Claim.find()
+      .sort({ createdAt: -1 })
       .limit(10)
-      .select('title type claims');
+      .select('item claimedBy status createdAt')
+      .populate('claimedBy', 'name email')
+      .populate({ path: 'item', select: 'title type reportedBy', populate: { path: 'reportedBy', select: 'name email' } });
 
     // Format activity feed
     const activityFeed = [];
@@ -183,19 +185,17 @@ const getRecentActivity = async (req, res) => {
     });
 
     // Add claims to feed
-    recentClaims.forEach(item => {
-      item.claims.forEach(claim => {
-        activityFeed.push({
-          type: 'claim_submitted',
-          timestamp: claim.claimDate,
-          data: {
-            itemTitle: item.title,
-            itemType: item.type,
-            claimedBy: claim.claimedBy,
-            claimStatus: claim.status,
-            reportedBy: item.reportedBy
-          }
-        });
+    recentClaims.filter(claim => claim.item).forEach(claim => {
+      activityFeed.push({
+        type: 'claim_submitted',
+        timestamp: claim.createdAt,
+        data: {
+          itemTitle: claim.item.title,
+          itemType: claim.item.type,
+          claimedBy: claim.claimedBy,
+          claimStatus: claim.status,
+          reportedBy: claim.item.reportedBy
+        }
       });
     });
 
@@ -234,7 +234,7 @@ const getUserDashboardStats = async (req, res) => {
       Item.countDocuments({ reportedBy: userId, status: 'active' }),
       Item.countDocuments({ reportedBy: userId, status: 'claimed' }),
       Item.countDocuments({ reportedBy: userId, status: 'returned' }),
-      Item.countDocuments({ 'claims.claimedBy': userId })
+      Claim.countDocuments({ claimedBy: userId })
     ]);
 
     const myRecentItems = await Item.find({ reportedBy: userId })
@@ -242,52 +242,34 @@ const getUserDashboardStats = async (req, res) => {
       .limit(5)
       .select('title type category status createdAt location');
 
-    const myRecentClaims = await Item.find({ 
-      'claims.claimedBy': userId 
-    })
+    // The 5 most recent claims, each with the item it is for
+    const myRecentClaims = await Claim.find({ claimedBy: userId })
       .sort({ createdAt: -1 })
-      .limit(10)
-      .select('title type category status claims createdAt location')
-      .populate('reportedBy', 'name email')
-      .populate('claims.claimedBy', 'name email'); 
-
-    const formattedClaims = [];
-    
-    myRecentClaims.forEach(item => {
-      // Find all claims by this user on this item
-      const userClaims = item.claims.filter(claim => 
-        claim.claimedBy._id.toString() === userId
-      );
-      
-      // Add each claim to the formatted array
-      userClaims.forEach(claim => {
-        formattedClaims.push({
-          item: {
-            _id: item._id,
-            title: item.title,
-            type: item.type,
-            category: item.category,
-            status: item.status,
-            location: item.location,
-            reportedBy: item.reportedBy
-          },
-          claim: claim
-        });
+      .limit(5)
+      .populate('claimedBy', 'name email')
+      .populate({
+        path: 'item',
+        select: 'title type category status location reportedBy',
+        populate: { path: 'reportedBy', select: 'name email' }
       });
-    });
 
-    // Sort by claim creation date and limit to 5 most recent
-    formattedClaims.sort((a, b) => new Date(b.claim.createdAt) - new Date(a.claim.createdAt));
-    const recentClaims = formattedClaims.slice(0, 5);
+    const recentClaims = myRecentClaims
+      .filter(claim => claim.item)
+      .map(claim => {
+        const { item, ...claimData } = claim.toJSON();
+        return { item, claim: claimData };
+      });
 
     let myNotifications = [];
     let unreadNotifications = 0;
     
     try {
+      const claimedItemIds = await Claim.distinct('item', { claimedBy: userId });
+
       myNotifications = await Item.find({
         $or: [
           { reportedBy: userId },
-          { 'claims.claimedBy': userId }
+          { _id: { $in: claimedItemIds } }
         ],
         'notifications.read': false
       })
@@ -0,0 +1,163 @@
+// controllers/invitationController.js
+const Invitation = require('../models/Invitation');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const PermissionService = require('../services/permissionService');
+const { validationResult } = require('express-validator');
+const emailService = require('../services/emailService');
+
+const INVITATION_EXPIRY_DAYS = Number(process.env.INVITATION_EXPIRY_DAYS) || 7;
+
+// @desc    Invite a staff member or admin
+// @route   POST /api/admin/invitations
+// @access  Private (users.manage)
+const createInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, role, branch } = req.body;
+
+    if (role === 'user' || !(await Role.isAssignable(role))) {
+      return res.status(400).json({ message: 'Role must be staff, admin or an active custom role' });
+    }
+
+    const rolePermissions = await PermissionService.getRolePermissions(role);
+    if (rolePermissions.some(permission => !req.permissions.has(permission))) {
+      return res.status(403).json({ message: 'Cannot invite to a role with permissions you do not hold' });
+    }
+
+    const targetBranch = await Branch.findOne({ _id: branch, isActive: true });
+    if (!targetBranch) {
+      return res.status(400).json({ message: 'Branch not found' });
+    }
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser && existingUser.role !== 'user') {
+      return res.status(400).json({ message: 'This email already belongs to a staff or admin account' });
+    }
+
+    // A fresh invitation replaces any still-pending one for the same email
+    await Invitation.updateMany(
+      { email: email.toLowerCase(), acceptedAt: { $exists: false }, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const invitation = new Invitation({
+      email,
+      role,
+      branch: targetBranch._id,
+      invitedBy: req.user.id
+    });
+    const inviteToken = invitation.createInviteToken(INVITATION_EXPIRY_DAYS);
+    await invitation.save();
+
+    const emailResult = await emailService.sendInvitationEmail(invitation.email, inviteToken, {
+      role,
+      branchName: targetBranch.name,
+      invitedBy: req.user.name,
+      expiresInDays: INVITATION_EXPIRY_DAYS
+    });
+
+    if (!emailResult.success) {
+      await Invitation.findByIdAndDelete(invitation._id);
+      return res.status(500).json({ message: 'Failed to send invitation email. Please try again.' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List invitations
+// @route   GET /api/admin/invitations
+// @access  Private (users.manage)
+const getInvitations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const now = new Date();
+
+    const filter = {};
+    switch (status) {
+      case 'pending':
+        Object.assign(filter, { acceptedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $gt: now } });
+        break;
+      case 'accepted':
+        filter.acceptedAt = { $exists: true };
+        break;
+      case 'revoked':
+        filter.revokedAt = { $exists: true };
+        break;
+      case 'expired':
+        Object.assign(filter, { acceptedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $lte: now } });
+        break;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [invitations, total] = await Promise.all([
+      Invitation.find(filter)
+        .populate('branch', 'name code')
+        .populate('invitedBy', 'name email')
+        .populate('acceptedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Invitation.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: invitations,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/admin/invitations/:id
+// @access  Private (users.manage)
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation is already ${invitation.status}` });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+};
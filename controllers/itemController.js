@@ -1,7 +1,47 @@
 // controllers/itemController.js
 const Item = require('../models/Item');
+const Claim = require('../models/Claim');
+const Match = require('../models/Match');
+const Appointment = require('../models/Appointment');
+const Branch = require('../models/Branch');
+const MatchingService = require('../services/matchingService');
+const ImageService = require('../services/imageService');
+const ClaimDocumentService = require('../services/claimDocumentService');
+const ExpiryPolicyService = require('../services/expiryPolicyService');
+const ItemSerializer = require('../services/itemSerializer');
+const PickupScheduleService = require('../services/pickupScheduleService');
+const NotificationService = require('../services/notificationService');
+const { allowedItemFields, NESTED_FIELDS } = require('../config/itemUpdatePolicy');
+const { canTransition, allowedTransitions, DEDICATED_TRANSITIONS, DEDICATED_EXITS } = require('../config/itemLifecycle');
 const { validationResult } = require('express-validator');
 
+// Claims shown with an item; evidence is only reachable through the claim endpoints
+const listedClaims = claimantFields => ({
+  path: 'claims',
+  select: '-verificationDocuments -appeal.documents',
+  options: { sort: { createdAt: 1 } },
+  populate: { path: 'claimedBy', select: claimantFields }
+});
+
+// Work out which branch an item belongs to: an explicit choice, then the
+// branch covering its location/district, then the reporting staff member's.
+// Returns undefined when nothing applies, or null for an unknown branch.
+const resolveItemBranch = async ({ branch, location, district }, user) => {
+  if (branch) {
+    const selected = await Branch.findOne({ _id: branch, isActive: true }).select('_id');
+    return selected ? selected._id : null;
+  }
+
+  const covering = await Branch.resolveForItem({ location, district });
+  if (covering) return covering._id;
+
+  if (user.branch) {
+    return user.branch;
+  }
+
+  return undefined;
+};
+
 // @desc    Create new item (lost or found)
 // @route   POST /api/items
 // @access  Private
@@ -20,11 +60,17 @@ const createItem = async (req, res) => {
       location,
       district,
       date,
-      images,
       contactInfo,
-      additionalDetails
+      contactPreference,
+      additionalDetails,
+      geoLocation
     } = req.body;
 
+    const branch = await resolveItemBranch({ branch: req.body.branch, location, district }, req.user);
+    if (branch === null) {
+      return res.status(400).json({ message: 'Branch not found' });
+    }
+
     const item = await Item.create({
       title,
       description,
@@ -33,13 +79,17 @@ const createItem = async (req, res) => {
       location,
       district,
       date,
-      images: images || [],
       contactInfo,
+      contactPreference,
       additionalDetails,
+      geoLocation: Item.toGeoPoint(geoLocation) || undefined,
+      branch,
       reportedBy: req.user.id
     });
 
     const populatedItem = await Item.findById(item._id).populate('reportedBy', 'name email');
+
+    MatchingService.queueMatching(item._id);
     
     res.status(201).json({
       success: true,
@@ -52,9 +102,14 @@ const createItem = async (req, res) => {
 
 // @desc    Get all items with filtering and search
 // @route   GET /api/items
-// @access  Public
+// @access  Public (contact details and claims shaped by viewer)
 const getItems = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const {
       page = 1,
       limit = 10,
@@ -66,7 +121,9 @@ const getItems = async (req, res) => {
       district,
       excludeStatus,
       handedOverToPolice,
-      sortBy = 'createdAt',
+      near,
+      radius = 10,
+      sortBy,
       sortOrder = 'desc'
     } = req.query;
 
@@ -125,11 +182,58 @@ const getItems = async (req, res) => {
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    // Radius search: only items with coordinates, nearest first by default
+    if (near) {
+      const [lat, lng] = near.split(',').map(parseFloat);
+      const origin = Item.toGeoPoint({ lat, lng });
+      const radiusKm = parseFloat(radius);
+
+      const [result] = await Item.aggregate([
+        {
+          $geoNear: {
+            near: origin,
+            distanceField: 'distance',
+            distanceMultiplier: 0.001, // metres -> km
+            maxDistance: radiusKm * 1000,
+            spherical: true,
+            query
+          }
+        },
+        { $project: { statusHistory: 0, 'verificationQuestions.answer': 0 } },
+        ...(sortBy ? [{ $sort: { [sortBy]: sortOrder === 'desc' ? -1 : 1 } }] : []),
+        {
+          $facet: {
+            items: [{ $skip: skip }, { $limit: parseInt(limit) }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      const items = await Item.populate(result.items, [
+        { path: 'reportedBy', select: 'name email phone role' },
+        listedClaims('name email phone role branch')
+      ]);
+      const total = result.total[0] ? result.total[0].count : 0;
+
+      return res.json({
+        success: true,
+        data: ItemSerializer.serializeMany(items, req.user, req.permissions),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          hasNext: skip + items.length < total,
+          hasPrev: parseInt(page) > 1
+        }
+      });
+    }
+
     // Execute query with proper population
     const items = await Item.find(query)
+      .select('-statusHistory')
       .populate('reportedBy', 'name email phone role')
-      .populate('claims.claimedBy', 'name email phone role branch')
-      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+      .populate(listedClaims('name email phone role branch'))
+      .sort({ [sortBy || 'createdAt']: sortOrder === 'desc' ? -1 : 1 })
       .skip(skip)
       .limit(parseInt(limit));
 
@@ -137,7 +241,7 @@ const getItems = async (req, res) => {
 
     res.json({
       success: true,
-      data: items,
+      data: ItemSerializer.serializeMany(items, req.user, req.permissions),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / parseInt(limit)),
@@ -153,12 +257,12 @@ const getItems = async (req, res) => {
 
 // @desc    Get single item
 // @route   GET /api/items/:id
-// @access  Public
+// @access  Public (contact details and claims shaped by viewer)
 const getItem = async (req, res) => {
   try {
     const item = await Item.findById(req.params.id)
       .populate('reportedBy', 'name email')
-      .populate('claims.claimedBy', 'name email');
+      .populate(listedClaims('name email'));
 
     if (!item) {
       return res.status(404).json({ message: 'Item not found' });
@@ -166,7 +270,7 @@ const getItem = async (req, res) => {
 
     res.json({
       success: true,
-      data: item
+      data: ItemSerializer.serialize(item, req.user, req.permissions)
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -175,28 +279,107 @@ const getItem = async (req, res) => {
 
 // @desc    Update item
 // @route   PUT /api/items/:id
-// @access  Private (Owner, Staff, Admin)
+// @access  Private (Owner, items.manage)
 const updateItem = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const item = await Item.findById(req.params.id);
 
     if (!item) {
       return res.status(404).json({ message: 'Item not found' });
     }
 
-    // Check ownership or staff/admin role
+    // Check ownership or items.manage permission
     if (item.reportedBy.toString() !== req.user.id && 
-        req.user.role !== 'staff' && 
-        req.user.role !== 'admin') {
+        !req.permissions.has('items.manage')) {
       return res.status(403).json({ message: 'Not authorized to update this item' });
     }
 
+    // Only fields the update policy allows this user to touch
+    const allowed = allowedItemFields({
+      isOwner: item.reportedBy.toString() === req.user.id,
+      permissions: req.permissions
+    });
+    const rejected = Object.keys(req.body).filter(field => !allowed.has(field));
+
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        message: `These fields cannot be updated: ${rejected.join(', ')}`,
+        fields: rejected
+      });
+    }
+
+    if (Object.keys(req.body).length === 0) {
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+
+    const updates = { ...req.body };
+
+    // Merge sub-documents so a partial contactInfo doesn't wipe the rest
+    NESTED_FIELDS.forEach(field => {
+      if (updates[field] === undefined) return;
+
+      Object.entries(updates[field]).forEach(([key, value]) => {
+        updates[`${field}.${key}`] = value;
+      });
+      delete updates[field];
+    });
+
+    // Re-resolve the branch when it is set explicitly or the location moves
+    if (updates.branch || updates.location !== undefined || updates.district !== undefined) {
+      const branch = await resolveItemBranch({
+        branch: updates.branch,
+        location: updates.location !== undefined ? updates.location : item.location,
+        district: updates.district !== undefined ? updates.district : item.district
+      }, req.user);
+
+      if (branch === null) {
+        return res.status(400).json({ message: 'Branch not found' });
+      }
+      updates.branch = branch;
+    }
+
+    // Coordinates come in as { lat, lng }; null clears them
+    if (updates.geoLocation !== undefined) {
+      const point = Item.toGeoPoint(updates.geoLocation);
+      delete updates.geoLocation;
+
+      if (point) {
+        updates.geoLocation = point;
+      } else {
+        updates.$unset = { geoLocation: 1 };
+      }
+    }
+
     const updatedItem = await Item.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     ).populate('reportedBy', 'name email');
 
+    if (String(updatedItem.branch) !== String(item.branch)) {
+      // Staff lists scope claims by their own branch field, so they move too
+      await Claim.updateMany({ item: item._id }, { $set: { branch: updatedItem.branch } });
+
+      // A booked pickup was at the old branch's desk; call it off so the
+      // claimant can book one at the new branch
+      const pickup = await Appointment.findOne({ item: item._id, status: 'booked' })
+        .populate('branch')
+        .populate('claim', 'reviewer');
+      const cancelled = pickup && await PickupScheduleService.cancel(pickup, req.user._id, 'The item moved to another branch');
+      if (cancelled) {
+        await NotificationService.handlePickupUpdated(cancelled, updatedItem, pickup.branch, pickup.claim, req.user);
+      }
+    }
+
+    if (MatchingService.affectsMatching(req.body)) {
+      MatchingService.queueMatching(updatedItem._id);
+    }
+
     res.json({
       success: true,
       data: updatedItem
@@ -206,9 +389,125 @@ const updateItem = async (req, res) => {
   }
 };
 
+// @desc    Change item status
+// @route   PUT /api/items/:id/status
+// @access  Private (items.manage)
+const updateItemStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, reason } = req.body;
+
+    if (DEDICATED_TRANSITIONS[status]) {
+      return res.status(400).json({ message: `To mark an item ${status}, ${DEDICATED_TRANSITIONS[status]}` });
+    }
+
+    const item = await Item.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (DEDICATED_EXITS[item.status]) {
+      return res.status(400).json({ message: `To move a ${item.status} item on, ${DEDICATED_EXITS[item.status]}` });
+    }
+
+    if (!canTransition(item.status, status)) {
+      return res.status(400).json({
+        message: `Cannot change item status from ${item.status} to ${status}`,
+        allowed: allowedTransitions(item.status).filter(to => !DEDICATED_TRANSITIONS[to])
+      });
+    }
+
+    item.transitionTo(status, { actor: req.user._id, reason });
+
+    // Renewing an expired listing needs a future expiry date, or the
+    // pre-save hook would expire it again straight away
+    if (status === 'active' && item.expiryDate < new Date()) {
+      item.expiryDate = await ExpiryPolicyService.expiryDateFor(item);
+    }
+
+    await item.save();
+
+    res.json({
+      success: true,
+      message: `Item marked as ${status}`,
+      data: item
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Renew a listing
+// @route   POST /api/items/:id/renew
+// @access  Private (owner or items.manage)
+const renewItem = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (item.reportedBy.toString() !== req.user.id &&
+        !req.permissions.has('items.manage')) {
+      return res.status(403).json({ message: 'Not authorized to renew this item' });
+    }
+
+    const policy = await ExpiryPolicyService.resolve(item);
+    const now = new Date();
+
+    if (item.renewals.length >= policy.maxRenewals) {
+      return res.status(400).json({
+        message: `This listing has already been renewed the maximum of ${policy.maxRenewals} time(s)`
+      });
+    }
+
+    if (item.status === 'expired') {
+      const graceEnds = new Date(item.expiryDate.getTime() + policy.renewalGraceDays * 24 * 60 * 60 * 1000);
+      if (graceEnds < now) {
+        return res.status(400).json({
+          message: `Listings can only be renewed within ${policy.renewalGraceDays} days of expiring`
+        });
+      }
+    } else if (item.status !== 'active') {
+      return res.status(400).json({ message: `A ${item.status} listing cannot be renewed` });
+    }
+
+    // Active listings extend from their current expiry, so renewing early loses nothing
+    const previousExpiryDate = item.expiryDate;
+    const from = item.status === 'active' && item.expiryDate > now ? item.expiryDate : now;
+
+    item.expiryDate = await ExpiryPolicyService.expiryDateFor(item, from);
+    item.renewals.push({ renewedBy: req.user._id, previousExpiryDate, expiryDate: item.expiryDate });
+
+    if (item.status === 'expired') {
+      item.transitionTo('active', { actor: req.user._id, reason: 'Listing renewed' });
+    }
+
+    await item.save();
+
+    res.json({
+      success: true,
+      message: 'Listing renewed successfully',
+      data: {
+        item,
+        expiryDate: item.expiryDate,
+        renewalsLeft: policy.maxRenewals - item.renewals.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // @desc    Delete item
 // @route   DELETE /api/items/:id
-// @access  Private (Owner, Staff, Admin)
+// @access  Private (Owner, items.manage)
 const deleteItem = async (req, res) => {
   try {
     const item = await Item.findById(req.params.id);
@@ -217,14 +516,21 @@ const deleteItem = async (req, res) => {
       return res.status(404).json({ message: 'Item not found' });
     }
 
-    // Check ownership or staff/admin role
+    // Check ownership or items.manage permission
     if (item.reportedBy.toString() !== req.user.id && 
-        req.user.role !== 'staff' && 
-        req.user.role !== 'admin') {
+        !req.permissions.has('items.manage')) {
       return res.status(403).json({ message: 'Not authorized to delete this item' });
     }
 
+    const claims = await Claim.find({ item: item._id }).select('verificationDocuments appeal.documents');
+
     await Item.findByIdAndDelete(req.params.id);
+    await Claim.deleteMany({ item: item._id });
+    await Appointment.deleteMany({ item: item._id });
+    await Match.deleteMany({ $or: [{ lostItem: item._id }, { foundItem: item._id }] });
+    await Promise.all(item.images.map(image => ImageService.removeImageFiles(image)));
+    await ClaimDocumentService.removeDocuments(claims.flatMap(claim =>
+      [...claim.verificationDocuments, ...(claim.appeal ? claim.appeal.documents : [])]));
 
     res.json({
       success: true,
@@ -269,11 +575,16 @@ const getMyItems = async (req, res) => {
   }
 };
 
-// @desc    Search for potential matches
+// @desc    Search for potential matches, ranked by weighted score
 // @route   POST /api/items/search-matches
 // @access  Private
 const searchMatches = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { itemId } = req.body;
     
     const sourceItem = await Item.findById(itemId);
@@ -281,42 +592,136 @@ const searchMatches = async (req, res) => {
       return res.status(404).json({ message: 'Item not found' });
     }
 
-    // Find potential matches (opposite type, similar category/location/date)
-    const oppositeType = sourceItem.type === 'lost' ? 'found' : 'lost';
-    const dateRange = 7; // Within 7 days
-    
-    const matches = await Item.find({
-      type: oppositeType,
-      category: sourceItem.category,
-      status: 'active',
-      date: {
-        $gte: new Date(sourceItem.date.getTime() - dateRange * 24 * 60 * 60 * 1000),
-        $lte: new Date(sourceItem.date.getTime() + dateRange * 24 * 60 * 60 * 1000)
+    const {
+      textWeight,
+      detailsWeight,
+      locationWeight,
+      dateWeight,
+      minScore,
+      maxDays,
+      maxDistanceKm,
+      limit
+    } = req.query;
+
+    const { matches, options } = await MatchingService.findMatches(sourceItem, {
+      weights: {
+        text: textWeight,
+        details: detailsWeight,
+        location: locationWeight,
+        date: dateWeight
       },
-      $or: [
-        { location: { $regex: sourceItem.location, $options: 'i' } },
-        { title: { $regex: sourceItem.title.split(' ')[0], $options: 'i' } }
-      ]
-    }).populate('reportedBy', 'name email');
+      minScore,
+      maxDays,
+      maxDistanceKm,
+      limit
+    });
+    await Item.populate(matches.map(match => match.item), listedClaims('name email'));
 
     res.json({
       success: true,
-      data: matches,
-      sourceItem: sourceItem.title
+      data: matches.map(match => ({
+        ...match,
+        item: ItemSerializer.serialize(match.item, req.user, req.permissions)
+      })),
+      sourceItem: sourceItem.title,
+      options
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
-const handoverToPolice = async (req, res) => {
+// @desc    Upload photos for an item
+// @route   POST /api/items/:id/images
+// @access  Private (Owner, items.manage)
+const addItemImages = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (item.reportedBy.toString() !== req.user.id && 
+        !req.permissions.has('items.manage')) {
+      return res.status(403).json({ message: 'Not authorized to update this item' });
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No images uploaded' });
+    }
+
+    if (item.images.length + files.length > ImageService.MAX_IMAGES_PER_ITEM) {
+      return res.status(400).json({
+        message: `An item can have at most ${ImageService.MAX_IMAGES_PER_ITEM} images`
+      });
+    }
+
+    const stored = [];
+    try {
+      for (const file of files) {
+        stored.push(await ImageService.storeItemImage(item._id, file, req.user.id));
+      }
+    } catch (processingError) {
+      // Don't leave orphaned files behind when one of several uploads fails
+      await Promise.all(stored.map(image => ImageService.removeImageFiles(image)));
+      return res.status(400).json({ message: processingError.message });
+    }
+
+    const updatedItem = await Item.findByIdAndUpdate(
+      item._id,
+      { $push: { images: { $each: stored } } },
+      { new: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: updatedItem.images
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Delete an item photo and its stored files
+// @route   DELETE /api/items/:id/images/:imageId
+// @access  Private (Owner, items.manage)
+const deleteItemImage = async (req, res) => {
   try {
-    const user = req.user;
+    const item = await Item.findById(req.params.id);
 
-    if (!['staff', 'admin'].includes(user.role)) {
-      return res.status(403).json({ error: 'Only staff or admin can mark items as handed over to police.' });
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (item.reportedBy.toString() !== req.user.id && 
+        !req.permissions.has('items.manage')) {
+      return res.status(403).json({ message: 'Not authorized to update this item' });
     }
 
+    const image = item.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    await Item.updateOne(
+      { _id: item._id },
+      { $pull: { images: { _id: image._id } } }
+    );
+    await ImageService.removeImageFiles(image);
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const handoverToPolice = async (req, res) => {
+  try {
     const { id } = req.params;
     const { policeReportNumber } = req.body;
 
@@ -331,16 +736,24 @@ const handoverToPolice = async (req, res) => {
       return res.status(400).json({ error: 'Item has already been handed over to the police.' });
     }
 
+    if (!canTransition(item.status, 'handed_to_police')) {
+      return res.status(400).json({ error: `A ${item.status} item cannot be handed over to the police.` });
+    }
+
     const itemAge = Date.now() - new Date(item.date).getTime();
-    const THIRTY_DAYS = 30 * 24 * 60 * 60 * 1000;
+    const { policeHandoverDays } = await ExpiryPolicyService.resolve(item);
 
-    if (itemAge < THIRTY_DAYS) {
-      return res.status(400).json({ error: 'Item is not older than 30 days.' });
+    if (itemAge < policeHandoverDays * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Item is not older than ${policeHandoverDays} days.` });
     }
 
+    item.transitionTo('handed_to_police', {
+      actor: req.user._id,
+      reason: `Police report ${policeReportNumber}`
+    });
     item.handedOverToPolice = true;
     item.policeReportNumber = policeReportNumber;
-    item.status = 'expired'; // Optionally mark it as expired
+    item.policeHandoverDate = new Date();
     await item.save();
 
     return res.status(200).json({ message: 'Item marked as handed over to police.', item });
@@ -355,8 +768,12 @@ module.exports = {
   getItems,
   getItem,
   updateItem,
+  updateItemStatus,
+  renewItem,
   deleteItem,
   getMyItems,
   searchMatches,
+  addItemImages,
+  deleteItemImage,
   handoverToPolice,
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+// controllers/jobController.js
+const SchedulerService = require('../services/schedulerService');
+
+// @desc    List scheduled jobs with their last and next run
+// @route   GET /api/admin/jobs
+// @access  Private (jobs.manage)
+const getJobs = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await SchedulerService.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Run a scheduled job now
+// @route   POST /api/admin/jobs/:name/run
+// @access  Private (jobs.manage)
+const runJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!SchedulerService.isJob(name)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const job = await SchedulerService.run(name, { force: true, triggeredBy: req.user._id });
+
+    if (!job) {
+      return res.status(409).json({ message: 'Job is already running' });
+    }
+
+    res.json({
+      success: job.lastStatus === 'succeeded',
+      message: job.lastStatus === 'succeeded' ? 'Job ran successfully' : `Job failed: ${job.lastError}`,
+      data: job
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getJobs,
+  runJob
+};
@@ -0,0 +1,179 @@
+// controllers/matchController.js
+const Item = require('../models/Item');
+const Match = require('../models/Match');
+const MatchingService = require('../services/matchingService');
+const { validationResult } = require('express-validator');
+
+const ITEM_SUMMARY_FIELDS = 'title description type category status location district date images reportedBy';
+
+// Reporters may act on matches for their own items; matches.manage on any
+const canActOnItem = (item, req) => {
+  return item.reportedBy.toString() === req.user.id ||
+    req.permissions.has('matches.manage');
+};
+
+const loadMatchForItem = async (req, res) => {
+  const item = await Item.findById(req.params.id);
+  if (!item) {
+    res.status(404).json({ message: 'Item not found' });
+    return null;
+  }
+
+  if (!canActOnItem(item, req)) {
+    res.status(403).json({ message: 'Not authorized to manage matches for this item' });
+    return null;
+  }
+
+  const match = await Match.findOne({
+    _id: req.params.matchId,
+    $or: [{ lostItem: item._id }, { foundItem: item._id }]
+  });
+
+  if (!match) {
+    res.status(404).json({ message: 'Match not found' });
+    return null;
+  }
+
+  return { item, match };
+};
+
+// @desc    List persisted matches for an item
+// @route   GET /api/items/:id/matches
+// @access  Private (Owner, Staff, Admin)
+const getItemMatches = async (req, res) => {
+  try {
+    const { status, includeDismissed } = req.query;
+
+    const item = await Item.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (!canActOnItem(item, req)) {
+      return res.status(403).json({ message: 'Not authorized to view matches for this item' });
+    }
+
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    } else if (includeDismissed !== 'true') {
+      filter.status = { $ne: 'dismissed' };
+    }
+
+    const matches = await Match.forItem(item._id, filter)
+      .populate('lostItem', ITEM_SUMMARY_FIELDS)
+      .populate('foundItem', ITEM_SUMMARY_FIELDS)
+      .populate('actedBy', 'name role')
+      .sort({ score: -1 });
+
+    res.json({
+      success: true,
+      data: matches
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Save a pair a search found, so it can be confirmed or dismissed
+// @route   POST /api/items/:id/matches
+// @access  Private (Owner, Staff, Admin)
+const saveMatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await Item.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (!canActOnItem(item, req)) {
+      return res.status(403).json({ message: 'Not authorized to manage matches for this item' });
+    }
+
+    const other = await Item.findById(req.body.itemId);
+    if (!other || other.type === item.type) {
+      return res.status(400).json({ message: 'A match pairs a lost item with a found item' });
+    }
+
+    const { weights, maxDays, maxDistanceKm } = MatchingService.resolveOptions();
+    const { score, breakdown } = MatchingService.scorePair(item, other, weights, { maxDays, maxDistanceKm });
+    const match = await Match.recordSuggestion(item, other, score, breakdown);
+
+    res.status(201).json({
+      success: true,
+      data: match
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Confirm a suggested match
+// @route   PUT /api/items/:id/matches/:matchId/confirm
+// @access  Private (Owner, Staff, Admin)
+const confirmMatch = async (req, res) => {
+  try {
+    const loaded = await loadMatchForItem(req, res);
+    if (!loaded) return;
+
+    const { match } = loaded;
+
+    match.status = 'confirmed';
+    match.actedBy = req.user.id;
+    match.actedAt = new Date();
+    await match.save();
+
+    const lostItem = await Item.findById(match.lostItem);
+    const foundItem = await Item.findById(match.foundItem).select('status');
+
+    res.json({
+      success: true,
+      message: 'Match confirmed',
+      data: {
+        match,
+        // Only offered while the found item can still take claims
+        claimDraft: lostItem && foundItem && foundItem.status === 'active'
+          ? match.buildClaimDraft(lostItem)
+          : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Dismiss a suggested match so it is not shown again
+// @route   PUT /api/items/:id/matches/:matchId/dismiss
+// @access  Private (Owner, Staff, Admin)
+const dismissMatch = async (req, res) => {
+  try {
+    const loaded = await loadMatchForItem(req, res);
+    if (!loaded) return;
+
+    const { match } = loaded;
+
+    match.status = 'dismissed';
+    match.actedBy = req.user.id;
+    match.actedAt = new Date();
+    await match.save();
+
+    res.json({
+      success: true,
+      message: 'Match dismissed',
+      data: match
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getItemMatches,
+  saveMatch,
+  confirmMatch,
+  dismissMatch
+};
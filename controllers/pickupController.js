@@ -0,0 +1,389 @@
+// controllers/pickupController.js
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Claim = require('../models/Claim');
+const Branch = require('../models/Branch');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const PickupScheduleService = require('../services/pickupScheduleService');
+const CalendarService = require('../services/calendarService');
+const NotificationService = require('../services/notificationService');
+const PermissionService = require('../services/permissionService');
+const emailService = require('../services/emailService');
+const { validationResult } = require('express-validator');
+
+// Load an item, one of its claims, the item's branch and the claim's booked
+// pickup, for the claimant or staff handling returns at the branch
+const loadPickup = async ({ itemId, claimId }, user, permissions) => {
+  const item = mongoose.Types.ObjectId.isValid(itemId) && await Item.findById(itemId);
+  if (!item) {
+    return { error: { status: 404, message: 'Item not found' } };
+  }
+
+  const claim = await Claim.findOnItem(item, claimId);
+  if (!claim) {
+    return { error: { status: 404, message: 'Claim not found' } };
+  }
+
+  const isClaimant = claim.claimedBy.toString() === user.id;
+  const isStaff = permissions.has('items.return') && PermissionService.coversBranch(user, permissions, item.branch);
+  if (!isClaimant && !isStaff) {
+    return { error: { status: 403, message: 'Not authorized to manage this pickup' } };
+  }
+
+  const branch = item.branch && await Branch.findById(item.branch);
+  if (!branch) {
+    return { error: { status: 400, message: 'This item has no branch to collect it from' } };
+  }
+
+  const appointment = await Appointment.findOne({ claim: claim._id, status: 'booked' });
+
+  return { item, claim, branch, appointment, isClaimant };
+};
+
+// Pickups can only be arranged for the approved claim on an item that is
+// still waiting to be collected
+const pickupBlocked = (item, claim) => {
+  if (claim.status !== 'approved') return 'Pickups can only be booked for approved claims';
+  if (item.status !== 'claimed') return `Pickups cannot be arranged once the item is ${item.status}`;
+  return null;
+};
+
+// Email the claimant the appointment with its calendar file; failures are
+// logged by the email service and don't affect the booking
+const emailClaimant = async (appointment, { item, branch }, change) => {
+  const claimant = await User.findById(appointment.claimant).select('email');
+  if (!claimant || !claimant.email) return;
+
+  await emailService.sendPickupEmail(claimant.email, {
+    change,
+    itemTitle: item.title,
+    when: branch.localTimeLabel(appointment.startsAt),
+    branchName: branch.name,
+    branchAddress: branch.address,
+    calendar: CalendarService.renderPickup(appointment, { item, branch })
+  });
+};
+
+// @desc    Open pickup slots for an approved claim (from=YYYY-MM-DD, days=)
+// @route   GET /api/items/:itemId/claims/:claimId/pickup/slots
+// @access  Private (Claimant, branch items.return)
+const getPickupSlots = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { error, item, claim, branch } = await loadPickup(req.params, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const blocked = pickupBlocked(item, claim);
+    if (blocked) {
+      return res.status(400).json({ message: blocked });
+    }
+
+    const { slotMinutes, capacity, timezone } = PickupScheduleService.settingsFor(branch);
+    const days = await PickupScheduleService.availability(branch, {
+      from: req.query.from,
+      days: req.query.days
+    });
+
+    res.json({
+      success: true,
+      data: {
+        branch: { _id: branch._id, name: branch.name, address: branch.address, timezone },
+        slotMinutes,
+        capacity,
+        days
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get the booked pickup for a claim, if any
+// @route   GET /api/items/:itemId/claims/:claimId/pickup
+// @access  Private (Claimant, branch items.return)
+const getPickup = async (req, res) => {
+  try {
+    const { error, branch, appointment } = await loadPickup(req.params, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({
+      success: true,
+      data: appointment && {
+        ...appointment.toJSON(),
+        localTime: branch.localTimeLabel(appointment.startsAt)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Book a pickup slot for an approved claim
+// @route   POST /api/items/:itemId/claims/:claimId/pickup
+// @access  Private (Claimant)
+const bookPickup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { error, item, claim, branch, appointment, isClaimant } = await loadPickup(req.params, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (!isClaimant) {
+      return res.status(403).json({ message: 'Only the claimant can book a pickup' });
+    }
+
+    const blocked = pickupBlocked(item, claim);
+    if (blocked) {
+      return res.status(400).json({ message: blocked });
+    }
+
+    if (appointment) {
+      return res.status(400).json({ message: 'A pickup is already booked for this claim; reschedule it instead' });
+    }
+
+    const slot = PickupScheduleService.findSlot(branch, new Date(req.body.startsAt));
+    if (!slot) {
+      return res.status(400).json({ message: 'That is not an available pickup slot' });
+    }
+
+    let booked;
+    try {
+      booked = await PickupScheduleService.book({ claim, item, branch }, slot);
+    } catch (bookError) {
+      // Another request booked a pickup for this claim first
+      if (bookError.code === 11000) {
+        return res.status(409).json({ message: 'A pickup is already booked for this claim' });
+      }
+      throw bookError;
+    }
+
+    if (!booked) {
+      return res.status(409).json({ message: 'That slot is fully booked' });
+    }
+
+    const when = branch.localTimeLabel(booked.startsAt);
+
+    await NotificationService.handlePickupBooked(booked, item, branch, claim, req.user);
+    await emailClaimant(booked, { item, branch }, 'booked');
+
+    res.status(201).json({
+      success: true,
+      message: `Pickup booked for ${when}`,
+      data: booked
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Move a booked pickup to another slot
+// @route   PUT /api/items/:itemId/claims/:claimId/pickup
+// @access  Private (Claimant, branch items.return)
+const reschedulePickup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { error, item, claim, branch, appointment } = await loadPickup(req.params, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'No pickup is booked for this claim' });
+    }
+
+    const blocked = pickupBlocked(item, claim);
+    if (blocked) {
+      return res.status(400).json({ message: blocked });
+    }
+
+    const slot = PickupScheduleService.findSlot(branch, new Date(req.body.startsAt));
+    if (!slot) {
+      return res.status(400).json({ message: 'That is not an available pickup slot' });
+    }
+
+    if (slot.startsAt.getTime() === appointment.startsAt.getTime()) {
+      return res.status(400).json({ message: 'The pickup is already booked for that time' });
+    }
+
+    const moved = await PickupScheduleService.reschedule(appointment, branch, slot);
+    if (!moved) {
+      const current = await Appointment.findById(appointment._id);
+      return res.status(409).json({
+        message: current.status === 'booked' ? 'That slot is fully booked' : 'This pickup is no longer booked',
+        data: current
+      });
+    }
+
+    const when = branch.localTimeLabel(moved.startsAt);
+
+    await NotificationService.handlePickupUpdated(moved, item, branch, claim, req.user);
+    await emailClaimant(moved, { item, branch }, 'rescheduled');
+
+    res.json({
+      success: true,
+      message: `Pickup moved to ${when}`,
+      data: moved
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Cancel a booked pickup
+// @route   DELETE /api/items/:itemId/claims/:claimId/pickup
+// @access  Private (Claimant, branch items.return)
+const cancelPickup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { error, item, claim, branch, appointment } = await loadPickup(req.params, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'No pickup is booked for this claim' });
+    }
+
+    const cancelled = await PickupScheduleService.cancel(appointment, req.user._id, req.body.reason);
+    if (!cancelled) {
+      return res.status(409).json({
+        message: 'This pickup is no longer booked',
+        data: await Appointment.findById(appointment._id)
+      });
+    }
+
+    await NotificationService.handlePickupUpdated(cancelled, item, branch, claim, req.user);
+    await emailClaimant(cancelled, { item, branch }, 'cancelled');
+
+    res.json({
+      success: true,
+      message: 'Pickup cancelled',
+      data: cancelled
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Download a claim's pickup as an iCalendar (.ics) file; the most
+//          recent one if none is booked, so a cancellation can be imported
+// @route   GET /api/items/:itemId/claims/:claimId/pickup/calendar
+// @access  Private (Claimant, branch items.return)
+const getPickupCalendar = async (req, res) => {
+  try {
+    const { error, item, claim, branch, appointment } = await loadPickup(req.params, req.user, req.permissions);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const latest = appointment || await Appointment.findOne({ claim: claim._id }).sort({ updatedAt: -1 });
+    if (!latest) {
+      return res.status(404).json({ message: 'No pickup has been booked for this claim' });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="pickup-${latest._id}.ics"`
+    });
+    res.send(CalendarService.renderPickup(latest, { item, branch }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    A branch's pickups for one day, by slot (date=YYYY-MM-DD, default
+//          today at the branch; branch= for staff with branches.all)
+// @route   GET /api/staff/pickups
+// @access  Private (items.return, own branch unless branches.all)
+const getPickupSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const branchId = req.permissions.has('branches.all') && req.query.branch
+      ? req.query.branch
+      : req.user.branch;
+
+    if (!branchId) {
+      return res.status(400).json({ message: 'Staff user must have a branch assigned' });
+    }
+
+    const branch = await Branch.findById(branchId);
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    const { capacity, timezone } = PickupScheduleService.settingsFor(branch);
+    const date = req.query.date || PickupScheduleService.localDate(new Date(), timezone);
+    const dayStart = PickupScheduleService.zonedTime(date, 0, timezone);
+    const dayEnd = PickupScheduleService.zonedTime(date, 24 * 60, timezone);
+
+    const appointments = await Appointment.find({
+      branch: branch._id,
+      status: { $in: ['booked', 'completed'] },
+      startsAt: { $gte: dayStart, $lt: dayEnd }
+    })
+      .sort({ startsAt: 1, seat: 1 })
+      .populate('claimant', 'name email phone')
+      .populate('item', 'title type category status');
+
+    // Every slot of the day, plus any booking left outside them after the
+    // opening hours changed
+    const slots = new Map(PickupScheduleService.slotsOn(branch, date)
+      .map(slot => [slot.startsAt.getTime(), { ...slot, capacity, appointments: [] }]));
+
+    appointments.forEach(appointment => {
+      const key = appointment.startsAt.getTime();
+      if (!slots.has(key)) {
+        slots.set(key, { startsAt: appointment.startsAt, endsAt: appointment.endsAt, capacity, appointments: [] });
+      }
+      slots.get(key).appointments.push(appointment);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        branch: { _id: branch._id, name: branch.name, code: branch.code, timezone },
+        date,
+        total: appointments.length,
+        slots: [...slots.values()].sort((a, b) => a.startsAt - b.startsAt)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getPickupSlots,
+  getPickup,
+  bookPickup,
+  reschedulePickup,
+  cancelPickup,
+  getPickupCalendar,
+  getPickupSchedule
+};
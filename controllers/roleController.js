@@ -0,0 +1,222 @@
+// controllers/roleController.js
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const PermissionService = require('../services/permissionService');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+const { validationResult } = require('express-validator');
+
+// Nobody can hand out a permission they don't hold themselves
+const ungrantable = (req, permissions) =>
+  permissions.filter(permission => !req.permissions.has(permission));
+
+// @desc    List built-in and custom roles with the permission registry
+// @route   GET /api/admin/roles
+// @access  Private (roles.manage)
+const getRoles = async (req, res) => {
+  try {
+    const [customRoles, roleCounts] = await Promise.all([
+      Role.find().sort({ name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const userCount = key => (roleCounts.find(entry => entry._id === key) || { count: 0 }).count;
+
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+        builtIn: Object.entries(BUILT_IN_ROLES).map(([key, role]) => ({
+          key,
+          ...role,
+          userCount: userCount(key)
+        })),
+        custom: customRoles.map(role => ({
+          ...role.toObject(),
+          userCount: userCount(role.key)
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Create a custom role
+// @route   POST /api/admin/roles
+// @access  Private (roles.manage)
+const createRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { key, name, description, permissions = [] } = req.body;
+
+    const denied = ungrantable(req, permissions);
+    if (denied.length > 0) {
+      return res.status(403).json({ message: 'Cannot grant permissions you do not hold', permissions: denied });
+    }
+
+    if (BUILT_IN_ROLES[key.toLowerCase()] || await Role.exists({ key: key.toLowerCase() })) {
+      return res.status(400).json({ message: 'A role with this key already exists' });
+    }
+
+    const role = await Role.create({
+      key,
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+    PermissionService.clearCache();
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Update a custom role
+// @route   PUT /api/admin/roles/:id
+// @access  Private (roles.manage)
+const updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const { name, description, permissions, isActive } = req.body;
+
+    if (permissions) {
+      const denied = ungrantable(req, permissions);
+      if (denied.length > 0) {
+        return res.status(403).json({ message: 'Cannot grant permissions you do not hold', permissions: denied });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    // The key is what users reference, so it never changes
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (isActive !== undefined) role.isActive = isActive;
+
+    await role.save();
+    PermissionService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Delete a custom role
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (roles.manage)
+const deleteRole = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const assigned = await User.countDocuments({ role: role.key });
+    if (assigned > 0) {
+      return res.status(400).json({
+        message: 'Cannot delete a role that is assigned to users. Deactivate it instead.'
+      });
+    }
+
+    await Role.findByIdAndDelete(role._id);
+    PermissionService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Replace a user's direct permission grants
+// @route   PUT /api/admin/users/:id/permissions
+// @access  Private (roles.manage)
+const updateUserPermissions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const permissions = [...new Set(req.body.permissions)];
+
+    const denied = ungrantable(req, permissions);
+    if (denied.length > 0) {
+      return res.status(403).json({ message: 'Cannot grant permissions you do not hold', permissions: denied });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { permissions } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Permissions updated successfully',
+      data: {
+        user,
+        effectivePermissions: [...await PermissionService.resolve(user)]
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  updateUserPermissions
+};
@@ -0,0 +1,92 @@
+// controllers/settingsController.js
+const Branch = require('../models/Branch');
+const ExpiryPolicyService = require('../services/expiryPolicyService');
+const ClaimReviewPolicyService = require('../services/claimReviewPolicyService');
+const { validationResult } = require('express-validator');
+
+// @desc    Get listing expiry, renewal and police handover policy
+// @route   GET /api/admin/settings/expiry-policy
+// @access  Private (settings.manage)
+const getExpiryPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await ExpiryPolicyService.getPolicy()
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Replace the expiry policy; omitted values fall back to defaults
+// @route   PUT /api/admin/settings/expiry-policy
+// @access  Private (settings.manage)
+const updateExpiryPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const branchIds = Object.keys(req.body.branches || {});
+    if (branchIds.length > 0) {
+      const found = await Branch.countDocuments({ _id: { $in: branchIds } });
+      if (found !== branchIds.length) {
+        return res.status(400).json({ message: 'Branch not found' });
+      }
+    }
+
+    const policy = await ExpiryPolicyService.setPolicy(req.body, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Expiry policy updated',
+      data: policy
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get claim reviewer assignment and review SLA policy
+// @route   GET /api/admin/settings/claim-review-policy
+// @access  Private (settings.manage)
+const getClaimReviewPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await ClaimReviewPolicyService.getPolicy()
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Replace the claim review policy; omitted values fall back to defaults
+// @route   PUT /api/admin/settings/claim-review-policy
+// @access  Private (settings.manage)
+const updateClaimReviewPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = await ClaimReviewPolicyService.setPolicy(req.body, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Claim review policy updated',
+      data: policy
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getExpiryPolicy,
+  updateExpiryPolicy,
+  getClaimReviewPolicy,
+  updateClaimReviewPolicy
+};
@@ -1,13 +1,28 @@
 // controllers/staffController.js
 const Item = require('../models/Item');
+const Claim = require('../models/Claim');
 const User = require('../models/User');
+const Branch = require('../models/Branch');
+const ClaimReviewPolicyService = require('../services/claimReviewPolicyService');
+
+// Branch the requesting staff member is scoped to
+const getStaffBranch = async (user) => {
+  if (!user.branch) return null;
+  return Branch.findById(user.branch).select('name code');
+};
 
 // @desc    Get staff dashboard statistics (location-based)
 // @route   GET /api/staff/dashboard/stats
 // @access  Private (Staff/Admin)
 const getStaffDashboardStats = async (req, res) => {
   try {
-    const staffLocation = req.user.branch;
+    const staffBranch = await getStaffBranch(req.user);
+    if (!staffBranch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff user must have a branch assigned'
+      });
+    }
     let { timeRange = '30' } = req.query;
 
     const daysAgo = parseInt(timeRange) || 30;
@@ -20,7 +35,7 @@ const getStaffDashboardStats = async (req, res) => {
     }
 
     const locationFilter = {
-      location: { $regex: staffLocation, $options: 'i' }
+      branch: staffBranch._id
     };
 
     const validStartDate = new Date(startDate);
@@ -51,9 +66,9 @@ const getStaffDashboardStats = async (req, res) => {
         ...locationFilter, 
         createdAt: { $gte: validStartDate }
       }),
-      Item.countDocuments({ 
+      Claim.countDocuments({ 
         ...locationFilter, 
-        'claims.status': 'pending' 
+        status: 'pending' 
       }),
       Item.countDocuments({ ...locationFilter, type: 'lost' }),
       Item.countDocuments({ ...locationFilter, type: 'found' }),
@@ -155,21 +170,22 @@ const getStaffDashboardStats = async (req, res) => {
     const policeHandoverRate = expiredItems > 0 ? 
       ((handedOverToPolice / (expiredItems + handedOverToPolice)) * 100).toFixed(1) : 0;
 
-    const responseTimeStats = await Item.aggregate([
+    const responseTimeStats = await Claim.aggregate([
+      { $match: locationFilter },
+      { $group: { _id: '$item', firstClaimDate: { $min: '$createdAt' } } },
+      { $lookup: { from: Item.collection.name, localField: '_id', foreignField: '_id', as: 'item' } },
+      { $unwind: '$item' },
       {
         $match: {
-          ...locationFilter,
-          type: 'found',
-          status: { $in: ['claimed', 'returned'] },
-          'claims.0': { $exists: true }
+          'item.type': 'found',
+          'item.status': { $in: ['claimed', 'returned'] }
         }
       },
       {
         $addFields: {
-          firstClaimDate: { $arrayElemAt: ['$claims.createdAt', 0] },
           daysDiff: {
             $divide: [
-              { $subtract: [{ $arrayElemAt: ['$claims.createdAt', 0] }, '$createdAt'] },
+              { $subtract: ['$firstClaimDate', '$item.createdAt'] },
               1000 * 60 * 60 * 24
             ]
           }
@@ -237,7 +253,8 @@ const getStaffDashboardStats = async (req, res) => {
     res.json({
       success: true,
       data: {
-        location: staffLocation,
+        location: staffBranch.name,
+        branch: staffBranch,
         overview: {
           totalItems,
           activeItems,
@@ -294,11 +311,17 @@ const getStaffDashboardStats = async (req, res) => {
 // @access  Private (Staff/Admin)
 const getStaffRecentActivity = async (req, res) => {
   try {
-    const staffLocation = req.user.branch;
+    const staffBranch = await getStaffBranch(req.user);
+    if (!staffBranch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff user must have a branch assigned'
+      });
+    }
     const { limit = 20 } = req.query;
 
     const locationFilter = {
-      location: { $regex: staffLocation, $options: 'i' }
+      branch: staffBranch._id
     };
 
     // Get recent items in staff's location
@@ -309,15 +332,12 @@ const getStaffRecentActivity = async (req, res) => {
       .select('title type category status createdAt reportedBy location');
 
     // Get recent claims in staff's location
-    const recentClaims = await Item.find({ 
-      ...locationFilter,
-      'claims.0': { $exists: true } 
-    })
-      .populate('claims.claimedBy', 'name email')
-      .populate('reportedBy', 'name email')
-      .sort({ 'claims.claimDate': -1 })
+    const recentClaims = await Claim.find(locationFilter)
+      .sort({ createdAt: -1 })
       .limit(10)
-      .select('title type claims reportedBy');
+      .select('item claimedBy status createdAt')
+      .populate('claimedBy', 'name email')
+      .populate({ path: 'item', select: 'title type reportedBy', populate: { path: 'reportedBy', select: 'name email' } });
 
     // Format activity feed
     const activityFeed = [];
@@ -339,19 +359,17 @@ const getStaffRecentActivity = async (req, res) => {
     });
 
     // Add claims to feed
-    recentClaims.forEach(item => {
-      item.claims.forEach(claim => {
-        activityFeed.push({
-          type: 'claim_submitted',
-          timestamp: claim.claimDate,
-          data: {
-            itemTitle: item.title,
-            itemType: item.type,
-            claimedBy: claim.claimedBy,
-            claimStatus: claim.status,
-            reportedBy: item.reportedBy
-          }
-        });
+    recentClaims.filter(claim => claim.item).forEach(claim => {
+      activityFeed.push({
+        type: 'claim_submitted',
+        timestamp: claim.createdAt,
+        data: {
+          itemTitle: claim.item.title,
+          itemType: claim.item.type,
+          claimedBy: claim.claimedBy,
+          claimStatus: claim.status,
+          reportedBy: claim.item.reportedBy
+        }
       });
     });
 
@@ -368,25 +386,57 @@ const getStaffRecentActivity = async (req, res) => {
   }
 };
 
-// @desc    Get items requiring staff attention (pending claims, expired items)
+// @desc    Get work requiring staff attention (claims to review, expired items)
 // @route   GET /api/staff/dashboard/attention
 // @access  Private (Staff/Admin)
 const getItemsRequiringAttention = async (req, res) => {
   try {
-    const staffLocation = req.user.branch;
+    const staffBranch = await getStaffBranch(req.user);
+    if (!staffBranch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff user must have a branch assigned'
+      });
+    }
     const locationFilter = {
-      location: { $regex: staffLocation, $options: 'i' }
+      branch: staffBranch._id
     };
 
-    // Items with pending claims
-    const pendingClaimsItems = await Item.find({
+    // Pending claims at the branch, soonest review deadline first
+    const policy = await ClaimReviewPolicyService.getPolicy();
+    const now = new Date();
+
+    const branchPending = await Claim.find({
       ...locationFilter,
-      'claims.status': 'pending'
+      status: 'pending'
     })
-      .populate('reportedBy', 'name email')
-      .populate('claims.claimedBy', 'name email')
-      .sort({ 'claims.claimDate': 1 })
-      .limit(10);
+      .select('item claimedBy reviewer assignedAt pendingSince createdAt')
+      .populate('item', 'title type category')
+      .populate('claimedBy', 'name email')
+      .populate('reviewer', 'name');
+
+    const pendingClaims = branchPending
+      .filter(claim => claim.item)
+      .map(claim => {
+        const dueAt = ClaimReviewPolicyService.dueAt(claim, policy);
+        return {
+          item: claim.item,
+          claim: {
+            _id: claim._id,
+            claimedBy: claim.claimedBy,
+            reviewer: claim.reviewer,
+            assignedAt: claim.assignedAt,
+            createdAt: claim.createdAt
+          },
+          dueAt,
+          overdue: dueAt <= now
+        };
+      })
+      .sort((a, b) => a.dueAt - b.dueAt);
+
+    const assignedToMe = pendingClaims.filter(entry =>
+      entry.claim.reviewer && entry.claim.reviewer._id.toString() === req.user.id);
+    const unassigned = pendingClaims.filter(entry => !entry.claim.reviewer);
 
     // Expired active items
     const expiredItems = await Item.find({
@@ -414,11 +464,15 @@ const getItemsRequiringAttention = async (req, res) => {
     res.json({
       success: true,
       data: {
-        pendingClaims: pendingClaimsItems,
+        pendingClaims: assignedToMe.slice(0, 10),
+        unassignedClaims: unassigned.slice(0, 10),
         expiredItems,
         expiringSoon: expiringSoonItems,
         counts: {
-          pendingClaims: pendingClaimsItems.length,
+          pendingClaims: assignedToMe.length,
+          unassignedClaims: unassigned.length,
+          overdueClaims: pendingClaims.filter(entry => entry.overdue).length,
+          branchPendingClaims: pendingClaims.length,
           expired: expiredItems.length,
           expiringSoon: expiringSoonItems.length
         }
@@ -434,14 +488,20 @@ const getItemsRequiringAttention = async (req, res) => {
 // @access  Private (Staff/Admin)
 const getStaffLocationAnalytics = async (req, res) => {
   try {
-    const staffLocation = req.user.branch;
+    const staffBranch = await getStaffBranch(req.user);
+    if (!staffBranch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff user must have a branch assigned'
+      });
+    }
     const { timeRange = '30' } = req.query;
     const daysAgo = parseInt(timeRange);
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - daysAgo);
 
     const locationFilter = {
-      location: { $regex: staffLocation, $options: 'i' },
+      branch: staffBranch._id,
       createdAt: { $gte: startDate }
     };
 
@@ -475,7 +535,7 @@ const getStaffLocationAnalytics = async (req, res) => {
 
     // Most common categories in location
     const topCategories = await Item.aggregate([
-      { $match: { location: { $regex: staffLocation, $options: 'i' } } },
+      { $match: { branch: staffBranch._id } },
       {
         $group: {
           _id: '$category',
@@ -498,7 +558,8 @@ const getStaffLocationAnalytics = async (req, res) => {
     res.json({
       success: true,
       data: {
-        location: staffLocation,
+        location: staffBranch.name,
+        branch: staffBranch,
         timeRange: daysAgo,
         weeklyTrends: locationAnalytics,
         peakHours,
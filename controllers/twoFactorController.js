@@ -0,0 +1,358 @@
+// controllers/twoFactorController.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const TotpService = require('../services/totpService');
+const TwoFactorService = require('../services/twoFactorService');
+const SessionService = require('../services/sessionService');
+const AuthThrottleService = require('../services/authThrottleService');
+const { validationResult } = require('express-validator');
+
+// @desc    Get 2FA status for the current user
+// @route   GET /api/auth/2fa
+// @access  Private (Staff accounts)
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: await TwoFactorService.isRequiredFor(user),
+        recoveryCodesRemaining: user.twoFactor.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Start enrollment: generate a secret and provisioning URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Staff accounts)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    // Not active until confirmed with a code from the app
+    const secret = TotpService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: TotpService.provisioningUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Confirm enrollment with a first code
+// @route   POST /api/auth/2fa/enable
+// @access  Private (Staff accounts)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = TotpService.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = TotpService.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    // Other devices signed in with the password alone
+    await SessionService.revokeAll(user._id, 'two_factor_enabled', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Turn 2FA off
+// @route   POST /api/auth/2fa/disable
+// @access  Private (Staff accounts)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await TwoFactorService.isRequiredFor(user)) {
+      return res.status(400).json({ message: `Two-factor authentication is required for ${user.role} accounts` });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    if (!(await TwoFactorService.verifyTotp(user._id, req.body.code))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.enabled': false }, $unset: { 'twoFactor.secret': 1, 'twoFactor.recoveryCodes': 1, 'twoFactor.lastUsedStep': 1, 'twoFactor.enabledAt': 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private (Staff accounts)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await TwoFactorService.verifyTotp(req.user.id, req.body.code))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = TotpService.generateRecoveryCodes();
+    await User.updateOne({ _id: req.user.id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Second login step: exchange a challenge token and code for a session
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = TwoFactorService.verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({ message: 'Login challenge expired. Please sign in again.' });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Wrong codes count against the same account limits as wrong passwords
+    const throttle = await AuthThrottleService.checkAll([
+      ['login_account', user.email],
+      ['login_ip', req.ip]
+    ]);
+    if (!throttle.allowed) {
+      const { retryAfter, body } = AuthThrottleService.rejection(throttle);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json(body);
+    }
+
+    const recordFailure = () => Promise.all([
+      AuthThrottleService.record('login_account', user.email),
+      AuthThrottleService.record('login_ip', req.ip)
+    ]);
+
+    let recoveryCodesRemaining;
+    if (recoveryCode) {
+      recoveryCodesRemaining = await TwoFactorService.useRecoveryCode(user._id, recoveryCode);
+      if (recoveryCodesRemaining === null) {
+        await recordFailure();
+        return res.status(401).json({ message: 'Invalid recovery code' });
+      }
+    } else if (!(await TwoFactorService.verifyTotp(user._id, code))) {
+      await recordFailure();
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await AuthThrottleService.reset('login_account', user.email);
+
+    await User.findByIdAndUpdate(
+      user._id,
+      { lastLogin: new Date() },
+      { runValidators: false }
+    );
+
+    const { token, refreshToken, expiresIn } = await SessionService.createSession(user, req);
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      branch: user.branch,
+      isVerified: user.isVerified,
+      token,
+      refreshToken,
+      expiresIn,
+      ...(recoveryCodesRemaining !== undefined && { recoveryCodesRemaining })
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get the 2FA enforcement policy
+// @route   GET /api/admin/security/two-factor
+// @access  Private (security.manage)
+const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const requiredRoles = await TwoFactorService.getRequiredRoles();
+
+    const enrollment = await User.aggregate([
+      { $match: { role: { $ne: 'user' } } },
+      {
+        $group: {
+          _id: '$role',
+          total: { $sum: 1 },
+          enabled: { $sum: { $cond: ['$twoFactor.enabled', 1, 0] } }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        requiredRoles,
+        enrollment
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Choose which roles must use 2FA
+// @route   PUT /api/admin/security/two-factor
+// @access  Private (security.manage)
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const requiredRoles = [...new Set(req.body.requiredRoles)];
+
+    for (const role of requiredRoles) {
+      if (!(await Role.isAssignable(role))) {
+        return res.status(400).json({ message: `Role not found: ${role}` });
+      }
+    }
+
+    await TwoFactorService.setRequiredRoles(requiredRoles, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: { requiredRoles }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Clear a user's 2FA (lost device); they re-enroll at next login
+// @route   DELETE /api/admin/users/:id/two-factor
+// @access  Private (security.manage)
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: { 'twoFactor.secret': 1, 'twoFactor.pendingSecret': 1, 'twoFactor.recoveryCodes': 1, 'twoFactor.lastUsedStep': 1, 'twoFactor.enabledAt': 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await SessionService.revokeAll(user._id, 'two_factor_reset');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor
+};
@@ -0,0 +1,96 @@
+// controllers/verificationQuestionController.js
+const Item = require('../models/Item');
+const PermissionService = require('../services/permissionService');
+const { validationResult } = require('express-validator');
+
+// The reporter of a found item, or staff who manage items
+const canEditQuestions = (item, req) =>
+  (item.type === 'found' && item.reportedBy.toString() === req.user.id) ||
+  req.permissions.has('items.manage');
+
+// Editors, plus claim reviewers of the item's branch
+const canViewAnswers = (item, req) =>
+  canEditQuestions(item, req) ||
+  (req.permissions.has('claims.view') && PermissionService.coversBranch(req.user, req.permissions, item.branch));
+
+const withAnswers = item => item.verificationQuestions.map(question => ({
+  _id: question._id,
+  question: question.question,
+  answer: question.answer
+}));
+
+// @desc    Get an item's verification questions with expected answers
+// @route   GET /api/items/:id/verification-questions
+// @access  Private (found-item reporter, items.manage or branch claims.view)
+const getVerificationQuestions = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id).select('+verificationQuestions.answer');
+
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (!canViewAnswers(item, req)) {
+      return res.status(403).json({ message: 'Not authorized to view verification answers' });
+    }
+
+    res.json({
+      success: true,
+      data: withAnswers(item)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Replace an item's verification questions
+// @route   PUT /api/items/:id/verification-questions
+// @access  Private (found-item reporter or items.manage)
+const updateVerificationQuestions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const item = await Item.findById(req.params.id).select('+verificationQuestions.answer');
+
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (!canEditQuestions(item, req)) {
+      return res.status(403).json({ message: 'Not authorized to change verification questions' });
+    }
+
+    // Questions sent back with their _id keep it, so claims that answered
+    // them still line up; leaving the answer out keeps the current one
+    const existing = new Map(item.verificationQuestions.map(question => [question._id.toString(), question]));
+
+    item.verificationQuestions = req.body.questions.map(({ _id, question, answer }) => {
+      const current = _id && existing.get(String(_id));
+      return {
+        _id: current ? current._id : undefined,
+        question,
+        answer: answer || (current ? current.answer : undefined)
+      };
+    });
+    await item.save();
+
+    res.json({
+      success: true,
+      message: 'Verification questions updated',
+      data: withAnswers(item)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getVerificationQuestions,
+  updateVerificationQuestions
+};
@@ -1,47 +1,4 @@
 // middleware/analytics.js
-const Item = require('../models/Item');
-
-// Middleware to check for expired items and send notifications
-const checkExpiredItems = async (req, res, next) => {
-  try {
-    // Only run this check occasionally to avoid performance impact
-    const shouldCheck = Math.random() < 0.1; // 10% chance
-    
-    if (shouldCheck) {
-      const expiredItems = await Item.find({
-        status: 'active',
-        expiryDate: { $lt: new Date() }
-      });
-
-      // Update expired items
-      if (expiredItems.length > 0) {
-        await Item.updateMany(
-          {
-            status: 'active',
-            expiryDate: { $lt: new Date() }
-          },
-          {
-            $set: { status: 'expired' },
-            $push: {
-              notifications: {
-                type: 'item_expired',
-                message: 'Your item listing has expired',
-                date: new Date(),
-                read: false
-              }
-            }
-          }
-        );
-      }
-    }
-    
-    next();
-  } catch (error) {
-    // Don't fail the request if analytics fails
-    console.error('Analytics middleware error:', error);
-    next();
-  }
-};
 
 // Middleware to log API usage
 const logApiUsage = (req, res, next) => {
@@ -66,6 +23,5 @@ const logApiUsage = (req, res, next) => {
 };
 
 module.exports = {
-  checkExpiredItems,
   logApiUsage
 };
\ No newline at end of file
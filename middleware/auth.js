@@ -1,9 +1,13 @@
 // middleware/auth.js
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const PermissionService = require('../services/permissionService');
 
-// Protect routes - verify JWT token
-const protect = async (req, res, next) => {
+// Verify JWT token. Accounts whose role requires 2FA but who have not
+// enrolled yet only get through routes built with allowTwoFactorSetup.
+// Optional routes let requests without a token through anonymously.
+const authenticate = ({ allowTwoFactorSetup = false, optional = false } = {}) => async (req, res, next) => {
   let token;
 
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
@@ -12,10 +16,17 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
 
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = SessionService.verifyAccessToken(token);
+
+      // Tokens are bound to a session; a revoked session stops them at once
+      const session = decoded.sid && await SessionService.findActive(decoded.sid);
+      if (!session || session.user.toString() !== decoded.id) {
+        return res.status(401).json({ message: 'Session expired or revoked' });
+      }
 
       // Get user from the token
       req.user = await User.findById(decoded.id).select('-password');
+      req.sessionId = session._id;
 
       if (!req.user) {
         return res.status(401).json({ message: 'User not found' });
@@ -25,6 +36,22 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ message: 'Account deactivated' });
       }
 
+      if (!allowTwoFactorSetup && !req.user.twoFactor.enabled && await TwoFactorService.isRequiredFor(req.user)) {
+        // Public pages still work, just without the account
+        if (optional) {
+          req.user = undefined;
+          req.sessionId = undefined;
+          return next();
+        }
+
+        return res.status(403).json({
+          message: 'Two-factor authentication must be set up before continuing',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      req.permissions = await PermissionService.resolve(req.user);
+
       next();
     } catch (error) {
       return res.status(401).json({ message: 'Not authorized, token failed' });
@@ -32,26 +59,60 @@ const protect = async (req, res, next) => {
   }
 
   if (!token) {
+    if (optional) return next();
     return res.status(401).json({ message: 'Not authorized, no token' });
   }
 };
 
-// Admin only access
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Protect routes
+const protect = authenticate();
+
+// Public routes that show more to signed-in users
+const optionalAuth = authenticate({ optional: true });
+
+// Protect routes a user still needs while enrolling in required 2FA
+const protectAllowingTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+// Require every listed permission (see config/permissions.js)
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !(req.permissions && req.permissions.has(permission)));
+
+  if (missing.length === 0) {
+    next();
+  } else {
+    res.status(403).json({
+      message: 'You do not have permission to do this',
+      missingPermissions: missing
+    });
+  }
+};
+
+// Any account beyond a plain user: staff, admin or a custom branch role
+const staffAccount = (req, res, next) => {
+  if (req.user && req.user.role !== 'user') {
     next();
   } else {
-    res.status(403).json({ message: 'Admin access required' });
+    res.status(403).json({ message: 'Staff account required' });
   }
 };
 
-// Staff or Admin access
-const staffOrAdmin = (req, res, next) => {
-  if (req.user && (req.user.role === 'staff' || req.user.role === 'admin')) {
+// Verified email required (blocks throwaway accounts from reporting and claiming)
+const requireVerified = (req, res, next) => {
+  if (req.user && req.user.isVerified) {
     next();
   } else {
-    res.status(403).json({ message: 'Staff or Admin access required' });
+    res.status(403).json({
+      message: 'Please verify your email address before continuing',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
   }
 };
 
-module.exports = { protect, admin, staffOrAdmin };
\ No newline at end of file
+module.exports = {
+  protect,
+  optionalAuth,
+  protectAllowingTwoFactorSetup,
+  requirePermission,
+  staffAccount,
+  requireVerified
+};
\ No newline at end of file
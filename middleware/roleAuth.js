@@ -1,18 +0,0 @@
-const roleAuth = (allowedRoles) => {
-    return (req, res, next) => {
-      if (!req.user) {
-        return res.status(401).json({ success: false, message: 'Authentication required' });
-      }
-      
-      if (!allowedRoles.includes(req.user.role)) {
-        return res.status(403).json({ 
-          success: false, 
-          message: `Access denied. Required roles: ${allowedRoles.join(', ')}` 
-        });
-      }
-      
-      next();
-    };
-  };
-  
-  module.exports = roleAuth;
\ No newline at end of file
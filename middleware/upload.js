@@ -0,0 +1,65 @@
+// middleware/upload.js
+const multer = require('multer');
+const ImageService = require('../services/imageService');
+const ClaimDocumentService = require('../services/claimDocumentService');
+const ConversationService = require('../services/conversationService');
+
+// Build a memory-storage upload for one multipart field. Multer errors are
+// turned into 400 responses instead of falling through to the generic 500
+// handler.
+const createUpload = (field, { allowedTypes, maxSize, maxFiles }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxSize,
+      files: maxFiles
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+      }
+      cb(null, true);
+    }
+  }).array(field, maxFiles);
+
+  const messages = {
+    LIMIT_FILE_SIZE: `Each file must be smaller than ${maxSize / (1024 * 1024)}MB`,
+    LIMIT_FILE_COUNT: `At most ${maxFiles} files can be uploaded at once`,
+    LIMIT_UNEXPECTED_FILE: `Only ${allowedTypes.join(', ')} files are allowed in "${field}"`
+  };
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ message: messages[err.code] || err.message });
+      }
+
+      next(err);
+    });
+  };
+};
+
+// Item photos in the "images" field
+const uploadItemImages = createUpload('images', {
+  allowedTypes: ImageService.ALLOWED_MIME_TYPES,
+  maxSize: ImageService.MAX_IMAGE_SIZE,
+  maxFiles: ImageService.MAX_IMAGES_PER_ITEM
+});
+
+// Claim evidence in the "documents" field
+const uploadClaimDocuments = createUpload('documents', {
+  allowedTypes: ClaimDocumentService.ALLOWED_MIME_TYPES,
+  maxSize: ClaimDocumentService.MAX_DOCUMENT_SIZE,
+  maxFiles: ClaimDocumentService.MAX_DOCUMENTS_PER_CLAIM
+});
+
+// Message attachments in the "attachments" field
+const uploadMessageAttachments = createUpload('attachments', {
+  allowedTypes: ConversationService.ALLOWED_MIME_TYPES,
+  maxSize: ConversationService.MAX_ATTACHMENT_SIZE,
+  maxFiles: ConversationService.MAX_ATTACHMENTS_PER_MESSAGE
+});
+
+module.exports = { uploadItemImages, uploadClaimDocuments, uploadMessageAttachments };
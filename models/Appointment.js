@@ -0,0 +1,92 @@
+// models/Appointment.js
+const mongoose = require('mongoose');
+
+const APPOINTMENT_STATUSES = ['booked', 'cancelled', 'completed'];
+
+// A pickup booked by the claimant of an approved claim, in one of the
+// branch's slots
+const AppointmentSchema = new mongoose.Schema({
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Claim',
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  claimant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Which of the slot's places this booking holds, 0 to capacity - 1
+  seat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: APPOINTMENT_STATUSES,
+    default: 'booked'
+  },
+  // Bumped on every reschedule or cancellation, so calendar apps replace
+  // the event they already have instead of adding another
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  rescheduledAt: {
+    type: Date
+  },
+  cancellation: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    cancelledAt: Date
+  },
+  // Set once both sides have been reminded about the current time
+  remindedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// One booked pickup per claim, and no more bookings in a slot than it has
+// places, even when requests race
+AppointmentSchema.index(
+  { claim: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+AppointmentSchema.index(
+  { branch: 1, startsAt: 1, seat: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+
+// Indexes for the branch schedule, the claimant's bookings and reminders
+AppointmentSchema.index({ branch: 1, startsAt: 1 });
+AppointmentSchema.index({ claimant: 1, startsAt: -1 });
+AppointmentSchema.index({ status: 1, startsAt: 1, remindedAt: 1 });
+
+AppointmentSchema.statics.STATUSES = APPOINTMENT_STATUSES;
+
+module.exports = mongoose.model('Appointment', AppointmentSchema);
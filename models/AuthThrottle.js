@@ -0,0 +1,56 @@
+// models/AuthThrottle.js
+const mongoose = require('mongoose');
+
+// Counter for failed logins or reset-email requests against one account or
+// IP address. Kept in the database so every server instance sees the same
+// counts.
+const AuthThrottleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['login_account', 'login_ip', 'reset_email', 'reset_ip'],
+    required: true
+  },
+  // Lowercased email for account scopes, address for IP scopes
+  identifier: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStart: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Number of lockouts so far; each one lasts longer than the last
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+AuthThrottleSchema.index({ scope: 1, identifier: 1 }, { unique: true });
+AuthThrottleSchema.index({ lockedUntil: 1 });
+// Stale counters are removed by MongoDB itself
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+AuthThrottleSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+AuthThrottleSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('AuthThrottle', AuthThrottleSchema);
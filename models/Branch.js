@@ -0,0 +1,149 @@
+// models/Branch.js
+const mongoose = require('mongoose');
+
+// Whether Intl knows an IANA timezone name such as "Asia/Colombo"
+const isTimeZone = value => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const OpeningHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number, // 0 = Sunday ... 6 = Saturday
+    required: true,
+    min: 0,
+    max: 6
+  },
+  open: {
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  close: {
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  closed: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const BranchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  // Items reported in these districts/locations belong to this branch.
+  // Stored lowercase so lookups are exact, case-insensitive matches.
+  districts: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  locations: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  openingHours: [OpeningHoursSchema],
+  // How claimants book pickups: slots of slotMinutes within the opening
+  // hours, each open to `capacity` claimants, up to bookingWindowDays ahead.
+  // Opening hours are read in the branch's timezone.
+  pickup: {
+    slotMinutes: {
+      type: Number,
+      default: 30,
+      min: 5,
+      max: 240
+    },
+    capacity: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 50
+    },
+    bookingWindowDays: {
+      type: Number,
+      default: 14,
+      min: 1,
+      max: 90
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isTimeZone,
+        message: 'Timezone must be an IANA name such as "Asia/Colombo"'
+      }
+    }
+  },
+  // Last reviewer handed a claim here by round-robin assignment
+  lastClaimReviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  contact: {
+    phone: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+BranchSchema.index({ districts: 1 });
+BranchSchema.index({ locations: 1 });
+
+// Static method to find the branch covering an item. An exact location
+// match wins over a district match.
+BranchSchema.statics.resolveForItem = async function({ location, district }) {
+  const normalize = value => (value || '').trim().toLowerCase();
+
+  if (location) {
+    const byLocation = await this.findOne({ isActive: true, locations: normalize(location) });
+    if (byLocation) return byLocation;
+  }
+
+  if (district) {
+    return this.findOne({ isActive: true, districts: normalize(district) });
+  }
+
+  return null;
+};
+
+// Method to show an instant as a date and time at the branch
+BranchSchema.methods.localTimeLabel = function(date) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: (this.pickup && this.pickup.timezone) || 'UTC',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  }).format(date);
+};
+
+BranchSchema.statics.isTimeZone = isTimeZone;
+
+module.exports = mongoose.model('Branch', BranchSchema);
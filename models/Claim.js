@@ -0,0 +1,222 @@
+// models/Claim.js
+const mongoose = require('mongoose');
+
+const CLAIM_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+const APPEAL_STATUSES = ['pending', 'under_review', 'granted', 'denied'];
+
+// Claim evidence kept in private storage. The storage key is never sent to
+// clients; files are fetched through short-lived signed download links.
+const VerificationDocumentSchema = new mongoose.Schema({
+  key: {
+    type: String
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: 'uploadedAt', updatedAt: false },
+  toJSON: {
+    transform: (doc, ret) => {
+      // Legacy documents may still carry client-supplied url/publicId
+      delete ret.key;
+      delete ret.url;
+      delete ret.publicId;
+      return ret;
+    }
+  }
+});
+
+// A claimant's answer, with the question as it read when they answered
+const ClaimAnswerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  questionText: {
+    type: String
+  },
+  answer: {
+    type: String,
+    required: true,
+    maxlength: 500
+  }
+}, { _id: false });
+
+// A rejection as it was decided; kept even after an appeal reopens the claim
+const ClaimRejectionSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Rejected because another claim on the item was approved
+  automatic: {
+    type: Boolean,
+    default: false
+  },
+  rejectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// The claimant's one appeal against a rejection. Granting it reopens the
+// claim for review; denying it leaves the rejection standing.
+const ClaimAppealSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: APPEAL_STATUSES,
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  documents: [VerificationDocumentSchema],
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewStartedAt: {
+    type: Date
+  },
+  decisionNotes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: {
+    type: Date
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const ClaimSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  // Copied from the item so staff lists can be scoped to a branch
+  // without a lookup
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  verificationDocuments: [VerificationDocumentSchema],
+  answers: [ClaimAnswerSchema],
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  // Set when the claim was started from a confirmed Match
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match'
+  },
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    default: 'pending'
+  },
+  // The staff member responsible for reviewing the claim
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  },
+  assignmentMethod: {
+    type: String,
+    enum: ['round_robin', 'least_loaded', 'reassigned', 'self']
+  },
+  // When the claim last went back to pending; the review SLA runs from
+  // here, or from createdAt if it never left pending
+  pendingSince: {
+    type: Date
+  },
+  // Set once branch admins have been told the claim is past its SLA
+  escalatedAt: {
+    type: Date
+  },
+  rejections: [ClaimRejectionSchema],
+  withdrawal: {
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    withdrawnAt: Date
+  },
+  appeal: ClaimAppealSchema
+}, {
+  timestamps: true,
+  // Every save checks and bumps __v, so a decision made on a stale copy of
+  // the claim fails instead of overwriting someone else's
+  optimisticConcurrency: true
+});
+
+// Method to find evidence sent with the claim or with its appeal
+ClaimSchema.methods.findDocument = function(documentId) {
+  return this.verificationDocuments.id(documentId) ||
+    (this.appeal ? this.appeal.documents.id(documentId) : null);
+};
+
+// Static method to find a claim only if it belongs to the given item.
+// Malformed IDs find nothing rather than throwing a cast error.
+ClaimSchema.statics.findOnItem = function(item, claimId) {
+  return this.findOne({
+    _id: mongoose.Types.ObjectId.isValid(claimId) ? claimId : null,
+    item: item._id || item
+  });
+};
+
+// Indexes for the claimant's list, staff lists and the review queues
+ClaimSchema.index({ item: 1, status: 1 });
+ClaimSchema.index({ claimedBy: 1, createdAt: -1 });
+ClaimSchema.index({ branch: 1, status: 1, createdAt: -1 });
+ClaimSchema.index({ reviewer: 1, status: 1 });
+ClaimSchema.index({ 'appeal.status': 1, branch: 1 });
+ClaimSchema.index({ status: 1, escalatedAt: 1 });
+
+// Guards that hold even when requests race: one live claim per claimant per
+// item (withdrawn claims don't count), and one approved claim per item.
+// Partial filters with $in need MongoDB 6.0 or later.
+ClaimSchema.index(
+  { item: 1, claimedBy: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'approved', 'rejected'] } } }
+);
+ClaimSchema.index(
+  { item: 1 },
+  { unique: true, partialFilterExpression: { status: 'approved' } }
+);
+
+ClaimSchema.statics.STATUSES = CLAIM_STATUSES;
+ClaimSchema.statics.APPEAL_STATUSES = APPEAL_STATUSES;
+
+module.exports = mongoose.model('Claim', ClaimSchema);
@@ -0,0 +1,60 @@
+// models/Conversation.js
+const mongoose = require('mongoose');
+
+// Someone who has joined the thread. lastReadAt doubles as the read
+// receipt: every message sent up to then has been seen by this user.
+const ParticipantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['claimant', 'reporter', 'staff'],
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastReadAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// A message thread about one claim, or about an item as a whole when claim
+// is empty. Claim threads are for the claimant, the reporter and branch
+// staff; item threads for the reporter and branch staff.
+const ConversationSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  participants: [ParticipantSchema],
+  lastMessageAt: {
+    type: Date
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+ConversationSchema.index({ item: 1, claim: 1 }, { unique: true });
+ConversationSchema.index({ 'participants.user': 1, lastMessageAt: -1 });
+
+// Method to find a user's participant entry
+ConversationSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(participant =>
+    (participant.user._id || participant.user).toString() === userId.toString());
+};
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
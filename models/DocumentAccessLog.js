@@ -0,0 +1,43 @@
+// models/DocumentAccessLog.js
+const mongoose = require('mongoose');
+
+const DocumentAccessLogSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['upload', 'link_issued', 'download', 'denied']
+  },
+  reason: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+DocumentAccessLogSchema.index({ document: 1, createdAt: -1 });
+DocumentAccessLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DocumentAccessLog', DocumentAccessLogSchema);
@@ -0,0 +1,92 @@
+// models/Invitation.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const InvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // 'staff', 'admin' or a custom role key
+  role: {
+    type: String,
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+InvitationSchema.index({ email: 1, createdAt: -1 });
+
+InvitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'pending';
+});
+
+// Never send the token hash to clients
+InvitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+InvitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate invitation token; only its hash is stored
+InvitationSchema.methods.createInviteToken = function(expiresInDays) {
+  const inviteToken = crypto.randomBytes(32).toString('hex');
+
+  this.tokenHash = this.constructor.hashToken(inviteToken);
+  this.expiresAt = Date.now() + expiresInDays * 24 * 60 * 60 * 1000;
+
+  return inviteToken;
+};
+
+// Query for an invitation that can still be redeemed
+InvitationSchema.statics.findRedeemable = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    acceptedAt: { $exists: false },
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
@@ -1,48 +1,114 @@
 // models/Item.js
 
 const mongoose = require('mongoose');
+const { ITEM_STATUSES, canTransition, InvalidTransitionError } = require('../config/itemLifecycle');
+const ExpiryPolicyService = require('../services/expiryPolicyService');
 
-const VerificationDocumentSchema = new mongoose.Schema({
-  url: {
+// Reference to an uploaded photo; the files themselves live in storage
+const ImageSchema = new mongoose.Schema({
+  key: {
     type: String,
     required: true
   },
-  name: {
+  url: {
     type: String,
     required: true
   },
-  type: {
-    type: String,
-    required: true
+  thumbnailKey: {
+    type: String
+  },
+  thumbnailUrl: {
+    type: String
+  },
+  contentType: {
+    type: String
   },
   size: {
     type: Number
   },
-  publicId: {
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  originalName: {
     type: String
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: { createdAt: 'uploadedAt', updatedAt: false } });
+
+// Private question only the true owner should be able to answer. The
+// expected answer is never selected or serialized unless asked for
+// explicitly, so it cannot leak through item responses.
+const VerificationQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300
+  },
+  answer: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+    select: false
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.answer;
+      return ret;
+    }
   }
-}, { 
-  _id: false,  // Don't create _id for subdocuments
-  strict: false // Allow additional fields if needed
 });
 
-const ClaimSchema = new mongoose.Schema({
-  claimedBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+// One status change. Actor is empty for changes the system made itself,
+// such as a listing running past its expiry date.
+const StatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: ITEM_STATUSES
+  },
+  to: {
+    type: String,
+    enum: ITEM_STATUSES,
     required: true
   },
-  verificationDocuments: [VerificationDocumentSchema],
-  notes: {
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
     type: String,
+    trim: true,
     maxlength: 500
   },
-  status: {
-    type: String,
-    enum: ['pending', 'approved', 'rejected'],
-    default: 'pending'
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// An owner pushing the expiry date back
+const RenewalSchema = new mongoose.Schema({
+  renewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  previousExpiryDate: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date,
+    required: true
   }
-}, { timestamps: true });
+}, { _id: false, timestamps: { createdAt: 'renewedAt', updatedAt: false } });
 
 const ItemSchema = new mongoose.Schema({
   title: {
@@ -67,9 +133,11 @@ const ItemSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'claimed', 'returned', 'expired'],
+    enum: ITEM_STATUSES,
     default: 'active'
   },
+  // Append-only; change status through transitionTo so this stays complete
+  statusHistory: [StatusChangeSchema],
   location: {
     type: String,
     required: true
@@ -78,13 +146,33 @@ const ItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Branch responsible for the item, resolved from location/district
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Optional exact position, GeoJSON order is [longitude, latitude]
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (value) => !value || (value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90),
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
   date: {
     type: Date,
     required: true
   },
-  images: [{
-    type: String // e.g., image URLs or base64 strings
-  }],
+  images: [ImageSchema],
   contactInfo: {
     name: {
       type: String,
@@ -99,6 +187,13 @@ const ItemSchema = new mongoose.Schema({
       required: true
     }
   },
+  // 'platform' hides contactInfo from everyone but branch staff, so
+  // claimants reach the reporter through messages only
+  contactPreference: {
+    type: String,
+    enum: ['direct', 'platform'],
+    default: 'direct'
+  },
   additionalDetails: {
     color: String,
     brand: String,
@@ -117,37 +212,120 @@ const ItemSchema = new mongoose.Schema({
   policeReportNumber: {
     type: String,
     trim: true
-  },  
-  claims: [ClaimSchema],
+  },
+  policeHandoverDate: {
+    type: Date
+  },
+  // The expiryDate each notice was sent for, so a renewed listing gets
+  // fresh notices when its new date comes round
+  expiryNotices: {
+    reminderFor: Date,
+    expiredFor: Date
+  },
+  verificationQuestions: [VerificationQuestionSchema],
+  // Set from the expiry policy for the item's category and branch
   expiryDate: {
-    type: Date,
-    default: function () {
-      return new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days from now
-    }
-  }
+    type: Date
+  },
+  renewals: [RenewalSchema]
 }, {
-  timestamps: true
+  timestamps: true,
+  // Populated claims are included in responses; no id alias alongside _id
+  id: false,
+  toJSON: { virtuals: true }
+});
+
+// Claims live in their own collection; populate('claims') to load them
+ItemSchema.virtual('claims', {
+  ref: 'Claim',
+  localField: '_id',
+  foreignField: 'item'
 });
 
 // Indexes for efficient search
 ItemSchema.index({ title: 'text', description: 'text', category: 1, type: 1, status: 1 });
 ItemSchema.index({ location: 1, date: -1 });
-ItemSchema.index({ 'claims.claimedBy': 1 });
-ItemSchema.index({ 'claims.status': 1 });
+ItemSchema.index({ geoLocation: '2dsphere' });
+ItemSchema.index({ branch: 1, status: 1 });
+ItemSchema.index({ status: 1, expiryDate: 1 });
+
+// Static method to turn API input ({ lat, lng }) into a GeoJSON point
+ItemSchema.statics.toGeoPoint = function(input) {
+  if (!input || input.lat === undefined || input.lng === undefined) return null;
+
+  return {
+    type: 'Point',
+    coordinates: [parseFloat(input.lng), parseFloat(input.lat)]
+  };
+};
 
-// Pre-save middleware to automatically expire items
+// Static method to expire every active listing past its expiry date in one
+// update, recording the change the same way transitionTo would
+ItemSchema.statics.expireOverdue = function() {
+  const now = new Date();
+
+  return this.updateMany(
+    { status: 'active', expiryDate: { $lt: now } },
+    {
+      $set: { status: 'expired' },
+      $push: { statusHistory: { from: 'active', to: 'expired', reason: 'Listing expired', at: now } }
+    }
+  );
+};
+
+// Method to move the item to another status, recording who did it and why.
+// Throws InvalidTransitionError for moves the lifecycle does not allow.
+ItemSchema.methods.transitionTo = function(to, { actor, reason } = {}) {
+  const from = this.status;
+
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(from, to);
+  }
+
+  this.status = to;
+  this.statusHistory.push({ from, to, actor, reason });
+  return this;
+};
+
+// Static method to move an item on only if it is still in the status it was
+// read in, so two requests can't both act on the same state. Resolves to
+// the updated item, or null if its status changed in the meantime.
+ItemSchema.statics.transitionIfUnchanged = function(item, to, { actor, reason } = {}) {
+  const from = item.status;
+
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(from, to);
+  }
+
+  return this.findOneAndUpdate(
+    { _id: item._id, status: from },
+    {
+      $set: { status: to },
+      $push: { statusHistory: { from, to, actor, reason, at: new Date() } }
+    },
+    { new: true }
+  );
+};
+
+// Pre-validate middleware to give new items the expiry date their policy sets
+ItemSchema.pre('validate', async function() {
+  if (this.isNew && !this.expiryDate) {
+    this.expiryDate = await ExpiryPolicyService.expiryDateFor(this);
+  }
+});
+
+// Pre-save middleware to start the history and automatically expire items
 ItemSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, actor: this.reportedBy, reason: 'Item reported' });
+  }
+
   if (this.status === 'active' && this.expiryDate < new Date()) {
-    this.status = 'expired';
+    this.transitionTo('expired', { reason: 'Listing expired' });
   }
   next();
 });
 
-// Method to get approved claim
-ItemSchema.methods.getApprovedClaim = function() {
-  return this.claims.find(claim => claim.status === 'approved');
-};
-
 // Method to check if item can accept new claims
 ItemSchema.methods.canAcceptClaims = function() {
   return this.status === 'active' && this.expiryDate > new Date();
@@ -0,0 +1,66 @@
+// models/Job.js
+const mongoose = require('mongoose');
+
+// Run state of a scheduled job, shared by every server instance. The lock
+// fields make sure only one instance runs a job at a time; a lock that
+// outlives lockedUntil belonged to an instance that died mid-run.
+const JobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastStartedAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastStatus: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed']
+  },
+  lastError: {
+    type: String
+  },
+  // Whatever the job reported, e.g. how many items it touched
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastDurationMs: {
+    type: Number
+  },
+  lastTriggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for whether some instance currently holds the lock
+JobSchema.virtual('isRunning').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+JobSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Job', JobSchema);
@@ -0,0 +1,93 @@
+// models/Match.js
+const mongoose = require('mongoose');
+
+const MatchSchema = new mongoose.Schema({
+  lostItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  foundItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  breakdown: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['suggested', 'confirmed', 'dismissed'],
+    default: 'suggested'
+  },
+  actedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actedAt: {
+    type: Date
+  },
+  // Set once both reporters have been told about the match
+  notifiedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One record per lost/found pair
+MatchSchema.index({ lostItem: 1, foundItem: 1 }, { unique: true });
+MatchSchema.index({ foundItem: 1, status: 1 });
+MatchSchema.index({ lostItem: 1, status: 1 });
+
+// Static method to find every match an item takes part in
+MatchSchema.statics.forItem = function(itemId, filter = {}) {
+  return this.find({
+    $or: [{ lostItem: itemId }, { foundItem: itemId }],
+    ...filter
+  });
+};
+
+// Static method to record a scored pair without overriding reporter feedback
+MatchSchema.statics.recordSuggestion = async function(itemA, itemB, score, breakdown) {
+  const lostItem = itemA.type === 'lost' ? itemA._id : itemB._id;
+  const foundItem = itemA.type === 'lost' ? itemB._id : itemA._id;
+
+  const upsert = () => this.findOneAndUpdate(
+    { lostItem, foundItem },
+    {
+      $set: { score, breakdown },
+      $setOnInsert: { status: 'suggested' }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Another pass inserted the pair first; update the record it made
+    if (error.code !== 11000) throw error;
+    return upsert();
+  }
+};
+
+// Method to pre-fill the claim a lost item's reporter submits on the found item
+MatchSchema.methods.buildClaimDraft = function(lostItem) {
+  const lostOn = new Date(lostItem.date).toISOString().split('T')[0];
+  const notes = `This matches my lost item "${lostItem.title}", lost at ${lostItem.location}, ${lostItem.district} on ${lostOn}.`;
+
+  return {
+    itemId: this.foundItem,
+    matchId: this._id,
+    notes: notes.slice(0, 500)
+  };
+};
+
+module.exports = mongoose.model('Match', MatchSchema);
@@ -0,0 +1,54 @@
+// models/Message.js
+const mongoose = require('mongoose');
+
+// File sent with a message, kept in private storage like claim evidence and
+// fetched through short-lived signed links
+const AttachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.key;
+      return ret;
+    }
+  }
+});
+
+const MessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  attachments: [AttachmentSchema]
+}, {
+  timestamps: true
+});
+
+MessageSchema.index({ conversation: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Message', MessageSchema);
@@ -14,10 +14,20 @@ const NotificationSchema = new mongoose.Schema({
       'claim_submitted',
       'claim_approved', 
       'claim_rejected',
+      'claim_withdrawn',
+      'claim_under_review',
+      'claim_assigned',
+      'claim_escalated',
+      'claim_appealed',
+      'appeal_updated',
+      'pickup_booked',
+      'pickup_updated',
+      'pickup_reminder',
       'item_returned',
       'match_found',
       'deadline_reminder',
-      'item_expired'
+      'item_expired',
+      'new_message'
     ]
   },
   title: {
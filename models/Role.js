@@ -0,0 +1,55 @@
+// models/Role.js
+const mongoose = require('mongoose');
+const { BUILT_IN_ROLES, isPermission } = require('../config/permissions');
+
+// Admin-defined role, e.g. a front-desk volunteer who logs found items but
+// cannot approve claims. Users with a custom role belong to a branch, like
+// staff.
+const RoleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_-]{1,39}$/,
+    validate: {
+      validator: key => !BUILT_IN_ROLES[key],
+      message: 'Built-in role names cannot be reused'
+    }
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: permissions => permissions.every(isPermission),
+      message: 'Unknown permission'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to check a role key names a usable role
+RoleSchema.statics.isAssignable = async function(key) {
+  if (BUILT_IN_ROLES[key]) return true;
+  return Boolean(await this.exists({ key, isActive: true }));
+};
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,89 @@
+// models/Session.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only hashes are stored: a database leak must not hand out live tokens
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token this one replaced, kept to detect a rotated token being reused
+  previousTokenHash: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// Expired sessions are removed by MongoDB itself
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Never send token hashes to clients
+SessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash;
+    delete ret.previousTokenHash;
+    return ret;
+  }
+});
+
+SessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+SessionSchema.statics.generateToken = function() {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Filter for sessions that can still be used
+SessionSchema.statics.activeFilter = function(extra = {}) {
+  return {
+    ...extra,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  };
+};
+
+// Revoke every active session of a user, optionally keeping one
+SessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const filter = this.activeFilter({ user: userId });
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,38 @@
+// models/Setting.js
+const mongoose = require('mongoose');
+
+// Admin-editable system settings, one document per key
+const SettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to a default
+SettingSchema.statics.getValue = async function(key, defaultValue) {
+  const setting = await this.findOne({ key }).lean();
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+// Static method to create or replace a setting
+SettingSchema.statics.setValue = function(key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', SettingSchema);
@@ -2,6 +2,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const Role = require('./Role');
+const { isPermission } = require('../config/permissions');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -25,15 +27,28 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // 'user', 'staff', 'admin' or the key of a custom Role
   role: {
     type: String,
-    enum: ['user', 'staff', 'admin'],
-    default: 'user'
+    default: 'user',
+    validate: {
+      validator: role => Role.isAssignable(role),
+      message: props => `Unknown role: ${props.value}`
+    }
+  },
+  // Permissions granted to this user on top of their role's
+  permissions: {
+    type: [String],
+    validate: {
+      validator: permissions => permissions.every(isPermission),
+      message: 'Unknown permission'
+    }
   },
   branch: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
     required: function() {
-      return this.role === 'staff' || this.role === 'admin';
+      return this.role !== 'user';
     }
   },
   isVerified: {
@@ -65,6 +80,42 @@ const UserSchema = new mongoose.Schema({
   },
   resetPasswordExpires: {
     type: Date
+  },
+  emailVerificationToken: {
+    type: String
+  },
+  emailVerificationExpires: {
+    type: Date
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication. Secrets and recovery code hashes are
+  // never selected unless asked for explicitly.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
   }
 }, {
   timestamps: true
@@ -102,4 +153,19 @@ UserSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+// Generate email verification token
+UserSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -1,32 +1,204 @@
 // routes/adminRoutes.js
 const express = require('express');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const { isPermission } = require('../config/permissions');
+const Item = require('../models/Item');
+const Branch = require('../models/Branch');
 const {
   getAllUsers,
   updateUser,
   deleteUser,
+  getUserLocks,
+  clearUserLocks,
+  getActiveLocks,
+  clearLock,
   getSystemOverview,
   bulkUpdateItems,
   exportData
 } = require('../controllers/adminController');
-const { protect, admin } = require('../middleware/auth');
+const {
+  getBranches,
+  getBranch,
+  createBranch,
+  updateBranch,
+  deleteBranch
+} = require('../controllers/branchController');
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const {
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor
+} = require('../controllers/twoFactorController');
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  updateUserPermissions
+} = require('../controllers/roleController');
+const { getJobs, runJob } = require('../controllers/jobController');
+const {
+  getExpiryPolicy,
+  updateExpiryPolicy,
+  getClaimReviewPolicy,
+  updateClaimReviewPolicy
+} = require('../controllers/settingsController');
+const ClaimReviewPolicyService = require('../services/claimReviewPolicyService');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// All routes require admin access
-router.use(protect, admin);
+// Branch validation rules
+const branchFieldValidation = [
+  body('districts').optional().isArray().withMessage('Districts must be an array'),
+  body('locations').optional().isArray().withMessage('Locations must be an array'),
+  body('openingHours').optional().isArray().withMessage('Opening hours must be an array'),
+  body('openingHours.*.day').optional().isInt({ min: 0, max: 6 }).withMessage('Day must be 0 (Sunday) to 6 (Saturday)'),
+  body(['openingHours.*.open', 'openingHours.*.close']).optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Times must be in HH:MM format'),
+  body('pickup').optional().isObject().withMessage('Pickup settings must be an object'),
+  body('pickup.slotMinutes').optional().isInt({ min: 5, max: 240 }).withMessage('Slot length must be 5-240 minutes'),
+  body('pickup.capacity').optional().isInt({ min: 1, max: 50 }).withMessage('Slot capacity must be 1-50'),
+  body('pickup.bookingWindowDays').optional().isInt({ min: 1, max: 90 }).withMessage('Booking window must be 1-90 days'),
+  body('pickup.timezone').optional().custom(Branch.isTimeZone).withMessage('Timezone must be an IANA name such as "Asia/Colombo"'),
+  body('contact.email').optional().isEmail().withMessage('Valid contact email is required')
+];
+
+const createBranchValidation = [
+  body('name').isString().withMessage('Branch name must be text').bail().notEmpty().withMessage('Branch name is required'),
+  body('code').isString().withMessage('Branch code must be text').bail().notEmpty().withMessage('Branch code is required'),
+  ...branchFieldValidation
+];
+
+const updateBranchValidation = [
+  body('name').optional().isString().withMessage('Branch name must be text').bail().notEmpty().withMessage('Branch name cannot be empty'),
+  body('code').optional().isString().withMessage('Branch code must be text').bail().notEmpty().withMessage('Branch code cannot be empty'),
+  ...branchFieldValidation
+];
+
+const invitationValidation = [
+  body('email').isEmail().withMessage('Please enter a valid email'),
+  body('role').notEmpty().withMessage('Role is required'),
+  body('branch').isMongoId().withMessage('Valid branch is required')
+];
+
+const twoFactorPolicyValidation = [
+  body('requiredRoles').isArray().withMessage('Required roles must be an array'),
+  body('requiredRoles.*').isString().not().equals('user').withMessage('Only staff, admin and custom roles can require 2FA')
+];
+
+// Day counts are whole days; category maps are keyed by item category
+const isCategoryMap = value => Object.keys(value).every(key => Item.schema.path('category').enumValues.includes(key));
+const days = (field, max = 3650) => body(field).isInt({ min: 1, max }).withMessage(`Days must be a whole number from 1 to ${max}`).toInt();
+
+const expiryPolicyValidation = [
+  days('listingDays').optional(),
+  days('policeHandoverDays').optional(),
+  days('renewalGraceDays', 365).optional(),
+  body('maxRenewals').optional().isInt({ min: 0, max: 20 }).withMessage('maxRenewals must be between 0 and 20').toInt(),
+  body('categories').optional().isObject().custom(isCategoryMap).withMessage('categories must map item categories to days'),
+  days('categories.*'),
+  body('branches').optional().isObject()
+    .custom(value => Object.keys(value).every(id => mongoose.Types.ObjectId.isValid(id)))
+    .withMessage('branches must be keyed by branch id'),
+  body('branches.*').isObject().withMessage('Each branch policy must be an object'),
+  days('branches.*.listingDays').optional(),
+  days('branches.*.policeHandoverDays').optional(),
+  body('branches.*.categories').optional().isObject().custom(isCategoryMap)
+    .withMessage('Branch categories must map item categories to days'),
+  days('branches.*.categories.*')
+];
+
+const claimReviewPolicyValidation = [
+  body('assignment').optional().isIn(ClaimReviewPolicyService.ASSIGNMENT_STRATEGIES)
+    .withMessage(`Assignment must be one of ${ClaimReviewPolicyService.ASSIGNMENT_STRATEGIES.join(', ')}`),
+  body('slaHours').optional().isInt({ min: 1, max: 720 }).withMessage('slaHours must be between 1 and 720').toInt()
+];
+
+const permissionListValidation = [
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').custom(isPermission).withMessage('Unknown permission')
+];
+
+const createRoleValidation = [
+  body('key').matches(/^[a-z][a-z0-9_-]{1,39}$/i).withMessage('Key must be 2-40 letters, numbers, dashes or underscores'),
+  body('name').notEmpty().withMessage('Role name is required'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').custom(isPermission).withMessage('Unknown permission')
+];
+
+const updateRoleValidation = [
+  body('name').optional().notEmpty().withMessage('Role name cannot be empty'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').custom(isPermission).withMessage('Unknown permission'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
+// All routes require a signed-in user; each declares its own permission
+router.use(protect);
+
+const canManageUsers = requirePermission('users.manage');
+const canManageRoles = requirePermission('roles.manage');
+const canManageSecurity = requirePermission('security.manage');
+const canManageBranches = requirePermission('branches.manage');
 
 // User management
-router.get('/users', getAllUsers);
-router.put('/users/:id', updateUser);
-router.delete('/users/:id', deleteUser);
+router.get('/users', canManageUsers, getAllUsers);
+router.put('/users/:id', canManageUsers, updateUser);
+router.delete('/users/:id', canManageUsers, deleteUser);
+router.put('/users/:id/permissions', canManageRoles, permissionListValidation, updateUserPermissions);
+router.delete('/users/:id/two-factor', canManageSecurity, resetUserTwoFactor);
+router.get('/users/:id/locks', canManageUsers, getUserLocks);
+router.delete('/users/:id/locks', canManageUsers, clearUserLocks);
+
+// Roles and permissions
+router.get('/roles', canManageRoles, getRoles);
+router.post('/roles', canManageRoles, createRoleValidation, createRole);
+router.put('/roles/:id', canManageRoles, updateRoleValidation, updateRole);
+router.delete('/roles/:id', canManageRoles, deleteRole);
+
+// Security settings
+router.get('/security/two-factor', canManageSecurity, getTwoFactorPolicy);
+router.put('/security/two-factor', canManageSecurity, twoFactorPolicyValidation, updateTwoFactorPolicy);
+router.get('/security/locks', canManageUsers, getActiveLocks);
+router.delete('/security/locks/:id', canManageUsers, clearLock);
+
+// Staff onboarding
+router.get('/invitations', canManageUsers, getInvitations);
+router.post('/invitations', canManageUsers, invitationValidation, createInvitation);
+router.delete('/invitations/:id', canManageUsers, revokeInvitation);
+
+// Branch management
+router.get('/branches', canManageBranches, getBranches);
+router.post('/branches', canManageBranches, createBranchValidation, createBranch);
+router.get('/branches/:id', canManageBranches, getBranch);
+router.put('/branches/:id', canManageBranches, updateBranchValidation, updateBranch);
+router.delete('/branches/:id', canManageBranches, deleteBranch);
 
 // System overview
-router.get('/overview', getSystemOverview);
+router.get('/overview', requirePermission('system.overview'), getSystemOverview);
+
+// Item settings
+router.get('/settings/expiry-policy', requirePermission('settings.manage'), getExpiryPolicy);
+router.put('/settings/expiry-policy', requirePermission('settings.manage'), expiryPolicyValidation, updateExpiryPolicy);
+
+// Claim settings
+router.get('/settings/claim-review-policy', requirePermission('settings.manage'), getClaimReviewPolicy);
+router.put('/settings/claim-review-policy', requirePermission('settings.manage'), claimReviewPolicyValidation, updateClaimReviewPolicy);
+
+// Scheduled jobs
+router.get('/jobs', requirePermission('jobs.manage'), getJobs);
+router.post('/jobs/:name/run', requirePermission('jobs.manage'), runJob);
 
 // Bulk operations
-router.put('/items/bulk-update', bulkUpdateItems);
+router.put('/items/bulk-update', requirePermission('items.bulk_update'), bulkUpdateItems);
 
 // Data export
-router.get('/export', exportData);
+router.get('/export', requirePermission('data.export'), exportData);
 
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,11 @@
 // routes/analytics.js
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { getAnalytics, getAvailableBranches } = require('../controllers/analyticsController');
 
 // Routes
-router.get('/', protect, getAnalytics);
-router.get('/branches', protect, getAvailableBranches);
+router.get('/', protect, requirePermission('analytics.view'), getAnalytics);
+router.get('/branches', protect, requirePermission('analytics.view'), getAvailableBranches);
 
 module.exports = router;
\ No newline at end of file
@@ -6,11 +6,28 @@ const {
   loginUser,
   getUserProfile,
   updateUserProfile,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  revokeSession,
   forgotPassword,
   resetPassword,
   validateResetToken,
+  verifyEmail,
+  resendVerificationEmail,
+  validateInvitation,
+  acceptInvitation,
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} = require('../controllers/twoFactorController');
+const { protect, protectAllowingTwoFactorSetup, staffAccount } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -27,6 +44,25 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required'),
 ];
 
+const refreshValidation = [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+];
+
+const totpCodeValidation = [
+  body('code').matches(/^\d{6}$/).withMessage('A 6-digit authentication code is required'),
+];
+
+const disableTwoFactorValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  ...totpCodeValidation,
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/).withMessage('A 6-digit authentication code or a recovery code is required'),
+];
+
 const forgotPasswordValidation = [
   body('email').isEmail().withMessage('Please enter a valid email'),
 ];
@@ -35,13 +71,37 @@ const resetPasswordValidation = [
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
 ];
 
+const acceptInviteValidation = [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('phone').notEmpty().withMessage('Phone number is required'),
+];
+
 // Routes
 router.post('/register', registerValidation, registerUser);
 router.post('/login', loginValidation, loginUser);
-router.get('/profile', protect, getUserProfile);
+router.post('/login/2fa', twoFactorLoginValidation, verifyTwoFactorLogin);
+router.get('/profile', protectAllowingTwoFactorSetup, getUserProfile);
 router.put('/profile', protect, updateUserProfile);
+router.post('/refresh', refreshValidation, refreshSession);
+router.post('/logout', protectAllowingTwoFactorSetup, logoutUser);
+router.post('/logout-all', protectAllowingTwoFactorSetup, logoutAllSessions);
+router.get('/sessions', protectAllowingTwoFactorSetup, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
 router.get('/reset-password/:token', validateResetToken);
 router.post('/reset-password/:token', resetPasswordValidation, resetPassword);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', protect, resendVerificationEmail);
+
+// Two-factor authentication (staff, admin and custom-role accounts)
+router.get('/2fa', protectAllowingTwoFactorSetup, staffAccount, getTwoFactorStatus);
+router.post('/2fa/setup', protectAllowingTwoFactorSetup, staffAccount, setupTwoFactor);
+router.post('/2fa/enable', protectAllowingTwoFactorSetup, staffAccount, totpCodeValidation, enableTwoFactor);
+router.post('/2fa/disable', protect, staffAccount, disableTwoFactorValidation, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, staffAccount, totpCodeValidation, regenerateRecoveryCodes);
+
+router.get('/accept-invite/:token', validateInvitation);
+router.post('/accept-invite/:token', acceptInviteValidation, acceptInvitation);
 
 module.exports = router;
\ No newline at end of file
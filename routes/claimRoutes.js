@@ -1,11 +1,49 @@
 // routes/claimRoutes.js
 const express = require('express');
-const { getMyClaims } = require('../controllers/claimController');
-const { protect } = require('../middleware/auth');
+const { query } = require('express-validator');
+const { getMyClaims, getClaims, getClaim, downloadClaimDocument } = require('../controllers/claimController');
+const { getAppealQueue } = require('../controllers/claimAppealController');
+const { protect, requirePermission } = require('../middleware/auth');
+const Claim = require('../models/Claim');
 
 const router = express.Router();
 
+const isStatusList = statuses => value => value.split(',').every(status => statuses.includes(status));
+
+const claimListValidation = [
+  query('status').optional().custom(isStatusList(Claim.STATUSES))
+    .withMessage(`Status must be a comma-separated list of ${Claim.STATUSES.join(', ')}`),
+  query('appealStatus').optional().custom(isStatusList(Claim.APPEAL_STATUSES))
+    .withMessage(`appealStatus must be a comma-separated list of ${Claim.APPEAL_STATUSES.join(', ')}`),
+  query(['item', 'claimant', 'branch']).optional().isMongoId().withMessage('Invalid ID'),
+  query('reviewer').optional().custom(value => ['me', 'unassigned'].includes(value) || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('reviewer must be me, unassigned or a user ID'),
+  query(['from', 'to']).optional().isISO8601().withMessage('Dates must be ISO 8601'),
+  query('sort').optional().isIn(['newest', 'oldest']).withMessage('sort must be newest or oldest'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+const appealQueueValidation = [
+  query('status').optional().custom(isStatusList(Claim.APPEAL_STATUSES))
+    .withMessage(`Status must be a comma-separated list of ${Claim.APPEAL_STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+];
+
+// Staff claim list, scoped to the reviewer's branch unless branches.all
+router.get('/', protect, requirePermission('claims.view'), claimListValidation, getClaims);
+
 // Get user's claims
 router.get('/my-claims', protect, getMyClaims);
 
+// Appeal review queue, scoped to the reviewer's branch unless branches.all
+router.get('/appeals', protect, requirePermission('claims.view'), appealQueueValidation, getAppealQueue);
+
+// Download claim evidence - authorized by the signed token, not a session
+router.get('/documents/download', downloadClaimDocument);
+
+// Single claim for its claimant or branch reviewers
+router.get('/:id', protect, getClaim);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,50 @@
+// routes/conversationRoutes.js
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  openConversation,
+  getConversations,
+  getConversation,
+  getMessages,
+  sendMessage,
+  markConversationRead,
+  getAttachmentLink,
+  downloadAttachment
+} = require('../controllers/conversationController');
+const { protect } = require('../middleware/auth');
+const { uploadMessageAttachments } = require('../middleware/upload');
+
+const router = express.Router();
+
+const openValidation = [
+  body('itemId').isMongoId().withMessage('Valid item ID is required'),
+  body('claimId').optional().isMongoId().withMessage('Invalid claim ID')
+];
+
+const messageListValidation = [
+  query('before').optional().isISO8601().withMessage('before must be a date'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+const messageValidation = [
+  body('body').optional().isString().isLength({ max: 2000 }).withMessage('Messages must be less than 2000 characters')
+];
+
+// Download attachments - authorized by the signed token, not a session
+router.get('/attachments/download', downloadAttachment);
+
+// Threads are open to the claimant, the reporter and branch claims.view holders
+router.route('/')
+  .get(protect, getConversations)
+  .post(protect, openValidation, openConversation);
+
+router.get('/:id', protect, getConversation);
+router.put('/:id/read', protect, markConversationRead);
+
+router.route('/:id/messages')
+  .get(protect, messageListValidation, getMessages)
+  .post(protect, uploadMessageAttachments, messageValidation, sendMessage); // multipart "attachments" optional
+
+router.get('/:id/messages/:messageId/attachments/:attachmentId/link', protect, getAttachmentLink);
+
+module.exports = router;
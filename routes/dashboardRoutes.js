@@ -6,14 +6,14 @@ const {
   getUserDashboardStats,
   getLocationStats
 } = require('../controllers/dashboardController');
-const { protect, staffOrAdmin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Admin/Staff dashboard routes
-router.get('/stats', protect, staffOrAdmin, getDashboardStats);
-router.get('/activity', protect, staffOrAdmin, getRecentActivity);
-router.get('/location-stats', protect, staffOrAdmin, getLocationStats);
+router.get('/stats', protect, requirePermission('dashboard.view'), getDashboardStats);
+router.get('/activity', protect, requirePermission('dashboard.view'), getRecentActivity);
+router.get('/location-stats', protect, requirePermission('dashboard.view'), getLocationStats);
 
 // User dashboard routes
 router.get('/user-stats', protect, getUserDashboardStats);
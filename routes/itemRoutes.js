@@ -1,67 +1,251 @@
 // routes/itemRoutes.js
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   createItem,
   getItems,
   getItem,
   updateItem,
+  updateItemStatus,
+  renewItem,
   deleteItem,
   getMyItems,
   searchMatches,
+  addItemImages,
+  deleteItemImage,
   handoverToPolice
 } = require('../controllers/itemController');
 const {
   submitClaim,
+  addClaimDocuments,
+  withdrawClaim,
+  getClaimDocumentLink,
   getItemClaims,
   updateClaimStatus,
   markItemReturned,
 } = require('../controllers/claimController');
-const { protect, staffOrAdmin } = require('../middleware/auth');
+const {
+  assignClaimReviewer,
+  assignClaimToMe
+} = require('../controllers/claimAssignmentController');
+const {
+  fileAppeal,
+  startAppealReview,
+  decideAppeal
+} = require('../controllers/claimAppealController');
+const {
+  getPickupSlots,
+  getPickup,
+  bookPickup,
+  reschedulePickup,
+  cancelPickup,
+  getPickupCalendar
+} = require('../controllers/pickupController');
+const {
+  getVerificationQuestions,
+  updateVerificationQuestions
+} = require('../controllers/verificationQuestionController');
+const {
+  getItemMatches,
+  saveMatch,
+  confirmMatch,
+  dismissMatch
+} = require('../controllers/matchController');
+const { protect, optionalAuth, requirePermission, requireVerified } = require('../middleware/auth');
+const { uploadItemImages, uploadClaimDocuments } = require('../middleware/upload');
+const { ITEM_STATUSES } = require('../config/itemLifecycle');
+const VerificationQuestionService = require('../services/verificationQuestionService');
 
 const router = express.Router();
 
+// Optional coordinates, sent as { lat, lng }
+const geoLocationValidation = [
+  body('geoLocation').optional({ values: 'null' }).isObject().withMessage('geoLocation must be an object with lat and lng'),
+  body('geoLocation.lat').if(body('geoLocation').exists({ values: 'null' }))
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('geoLocation.lng').if(body('geoLocation').exists({ values: 'null' }))
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+];
+
+const branchValidation = [
+  body('branch').optional().isMongoId().withMessage('Invalid branch')
+];
+
+const listValidation = [
+  query('near').optional()
+    .matches(/^-?\d+(\.\d+)?,-?\d+(\.\d+)?$/).withMessage('near must be "lat,lng"').bail()
+    .custom(value => {
+      const [lat, lng] = value.split(',').map(parseFloat);
+      return lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+    }).withMessage('near is out of range'),
+  query('radius').optional().isFloat({ gt: 0, max: 500 }).withMessage('radius must be between 0 and 500 km'),
+  // Only visible fields, so result order can't reveal hidden ones
+  query('sortBy').optional().isIn(['createdAt', 'date', 'title', 'distance'])
+    .withMessage('sortBy must be createdAt, date, title or distance'),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc')
+];
+
+// Item field rules. Creating requires every field; updating applies the
+// same rules to whichever fields are sent.
+const itemFieldRules = ({ partial }) => {
+  const field = name => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('title').notEmpty().withMessage('Title is required'),
+    field('description').notEmpty().withMessage('Description is required'),
+    field('category').isIn(['electronics', 'clothing', 'accessories', 'documents', 'keys', 'bags', 'books', 'other'])
+      .withMessage('Invalid category'),
+    field('type').isIn(['lost', 'found']).withMessage('Type must be either lost or found'),
+    field('location').notEmpty().withMessage('Location is required'),
+    field('district').notEmpty().withMessage('District is required'),
+    field('date').isISO8601().withMessage('Valid date is required'),
+    field('contactInfo.name').notEmpty().withMessage('Contact name is required'),
+    field('contactInfo.email').isEmail().withMessage('Valid contact email is required'),
+    field('contactInfo.phone').notEmpty().withMessage('Contact phone is required'),
+    body('contactPreference').optional().isIn(['direct', 'platform'])
+      .withMessage('Contact preference must be direct or platform'),
+    body('additionalDetails').optional().isObject().withMessage('additionalDetails must be an object'),
+    ...branchValidation,
+    ...geoLocationValidation
+  ];
+};
+
 // Item validation rules
-const itemValidation = [
-  body('title').notEmpty().withMessage('Title is required'),
-  body('description').notEmpty().withMessage('Description is required'),
-  body('category').isIn(['electronics', 'clothing', 'accessories', 'documents', 'keys', 'bags', 'books', 'other'])
-    .withMessage('Invalid category'),
-  body('type').isIn(['lost', 'found']).withMessage('Type must be either lost or found'),
-  body('location').notEmpty().withMessage('Location is required'),
-  body('district').notEmpty().withMessage('District is required'),
-  body('date').isISO8601().withMessage('Valid date is required'),
-  body('contactInfo.name').notEmpty().withMessage('Contact name is required'),
-  body('contactInfo.email').isEmail().withMessage('Valid contact email is required'),
-  body('contactInfo.phone').notEmpty().withMessage('Contact phone is required')
+const itemValidation = itemFieldRules({ partial: false });
+
+const itemUpdateValidation = [
+  ...itemFieldRules({ partial: true }),
+  body('contactInfo').optional().isObject().withMessage('contactInfo must be an object'),
+  body('expiryDate').optional().isISO8601().withMessage('Valid expiry date is required')
+];
+
+const statusValidation = [
+  body('status').isIn(ITEM_STATUSES).withMessage('Invalid status'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+];
+
+const matchValidation = [
+  body('itemId').isMongoId().withMessage('Valid item ID is required'),
+  query(['textWeight', 'detailsWeight', 'locationWeight', 'dateWeight']).optional().isFloat({ min: 0 })
+    .withMessage('Weights must be non-negative numbers'),
+  query('minScore').optional().isFloat({ min: 0, max: 100 }).withMessage('minScore must be between 0 and 100'),
+  query('maxDays').optional().isInt({ min: 1, max: 365 }).withMessage('maxDays must be between 1 and 365'),
+  query('maxDistanceKm').optional().isFloat({ gt: 0, max: 500 }).withMessage('maxDistanceKm must be between 0 and 500'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+const saveMatchValidation = [
+  body('itemId').isMongoId().withMessage('Valid item ID is required')
 ];
 
 const claimValidation = [
-  body('notes').optional().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters'),
+  body('matchId').optional().isMongoId().withMessage('Invalid match ID')
+];
+
+const claimStatusValidation = [
+  body('status').isIn(['pending', 'approved', 'rejected']).withMessage('Invalid status'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters'),
+  body('version').optional().isInt({ min: 0 }).withMessage('Version must be a non-negative integer').toInt()
+];
+
+const reviewerValidation = [
+  body('reviewerId').isMongoId().withMessage('Valid reviewer ID is required')
+];
+
+const withdrawValidation = [
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+];
+
+const appealValidation = [
+  body('reason').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Appeal reason must be 1-1000 characters')
+];
+
+const appealDecisionValidation = [
+  body('decision').isIn(['granted', 'denied']).withMessage('Decision must be granted or denied'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
+];
+
+const pickupSlotsValidation = [
+  query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('from must be a YYYY-MM-DD date'),
+  query('days').optional().isInt({ min: 1, max: 90 }).withMessage('days must be 1-90').toInt()
+];
+
+const pickupTimeValidation = [
+  body('startsAt').isISO8601().withMessage('startsAt must be an ISO 8601 date-time')
+];
+
+const pickupCancelValidation = [
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+];
+
+const verificationQuestionValidation = [
+  body('questions').isArray({ max: VerificationQuestionService.MAX_QUESTIONS })
+    .withMessage(`Questions must be an array of at most ${VerificationQuestionService.MAX_QUESTIONS}`),
+  body('questions.*._id').optional().isMongoId().withMessage('Invalid question ID'),
+  body('questions.*.question').isString().trim().isLength({ min: 1, max: 300 })
+    .withMessage('Each question must be 1-300 characters'),
+  body('questions.*.answer').optional().isString().trim().isLength({ min: 1, max: 200 })
+    .withMessage('Each answer must be 1-200 characters')
 ];
 
 // Item routes
 router.route('/')
-  .get(getItems)                           // Public - Get all items with filters
-  .post(protect, itemValidation, createItem); // Private - Create new item
+  .get(optionalAuth, listValidation, getItems) // Public - Get all items with filters (shaped by viewer)
+  .post(protect, requireVerified, requirePermission('items.create'), itemValidation, createItem); // Private - Create new item (verified email)
 
 router.get('/my-items', protect, getMyItems);    // Private - Get user's items
-router.post('/search-matches', protect, searchMatches); // Private - Search for matches
+router.post('/search-matches', protect, matchValidation, searchMatches); // Private - Search for matches
 
 router.route('/:id')
-  .get(getItem)                            // Public - Get single item
-  .put(protect, updateItem)                // Private - Update item (owner/staff/admin)
-  .delete(protect, deleteItem);            // Private - Delete item (owner/staff/admin)
+  .get(optionalAuth, getItem)              // Public - Get single item (shaped by viewer)
+  .put(protect, itemUpdateValidation, updateItem) // Private - Update item (owner or items.manage)
+  .delete(protect, deleteItem);            // Private - Delete item (owner or items.manage)
+
+router.put('/:id/status', protect, requirePermission('items.manage'), statusValidation, updateItemStatus); // items.manage - Change status
+router.post('/:id/renew', protect, renewItem); // Private - Renew listing (owner or items.manage)
+
+// Image routes
+router.post('/:id/images', protect, uploadItemImages, addItemImages);   // Private - Upload photos (owner or items.manage)
+router.delete('/:id/images/:imageId', protect, deleteItemImage);       // Private - Delete a photo (owner or items.manage)
+
+// Match routes
+router.get('/:id/matches', protect, getItemMatches); // Private - List persisted matches (owner or matches.manage)
+router.post('/:id/matches', protect, saveMatchValidation, saveMatch); // Private - Save a searched pair (owner or matches.manage)
+router.put('/:id/matches/:matchId/confirm', protect, confirmMatch); // Private - Confirm a match
+router.put('/:id/matches/:matchId/dismiss', protect, dismissMatch); // Private - Dismiss a match
+
+// Verification question routes (expected answers never appear in item responses)
+router.route('/:id/verification-questions')
+  .get(protect, getVerificationQuestions) // Found-item reporter, items.manage or branch claims.view
+  .put(protect, verificationQuestionValidation, updateVerificationQuestions); // Found-item reporter or items.manage
 
 // Claim routes
-router.post('/:id/claim', protect, claimValidation, submitClaim); // Private - Submit claim
-router.get('/:id/claims', protect, staffOrAdmin, getItemClaims);  // Staff/Admin - Get item claims
-router.put('/:itemId/claims/:claimId', protect, staffOrAdmin, updateClaimStatus); // Staff/Admin - Update claim status
-router.put('/:id/return', protect, staffOrAdmin, markItemReturned); // Staff/Admin - Mark as returned
+router.post('/:id/claim', protect, requireVerified, requirePermission('claims.submit'), uploadClaimDocuments, claimValidation, submitClaim); // Private - Submit claim (multipart "documents" optional)
+router.post('/:itemId/claims/:claimId/documents', protect, uploadClaimDocuments, addClaimDocuments); // Claimant - Add evidence
+router.get('/:itemId/claims/:claimId/documents/:documentId/link', protect, getClaimDocumentLink); // Claimant/branch claims.view - Signed download link (claim or appeal evidence)
+router.post('/:itemId/claims/:claimId/withdraw', protect, withdrawValidation, withdrawClaim); // Claimant - Withdraw a pending claim
+router.post('/:itemId/claims/:claimId/appeal', protect, uploadClaimDocuments, appealValidation, fileAppeal); // Claimant - Appeal a rejection (multipart "documents" required)
+router.put('/:itemId/claims/:claimId/appeal/review', protect, requirePermission('claims.approve'), startAppealReview); // claims.approve - Take up an appeal
+router.put('/:itemId/claims/:claimId/appeal', protect, requirePermission('claims.approve'), appealDecisionValidation, decideAppeal); // claims.approve - Grant or deny an appeal
+router.get('/:id/claims', protect, requirePermission('claims.view'), getItemClaims);  // claims.view - Get item claims
+router.put('/:itemId/claims/:claimId', protect, requirePermission('claims.approve'), claimStatusValidation, updateClaimStatus); // claims.approve - Update claim status
+router.put('/:itemId/claims/:claimId/reviewer', protect, requirePermission('claims.assign'), reviewerValidation, assignClaimReviewer); // claims.assign - Reassign reviewer
+router.post('/:itemId/claims/:claimId/assign-to-me', protect, requirePermission('claims.approve'), assignClaimToMe); // claims.approve - Take a claim to review
+router.put('/:id/return', protect, requirePermission('items.return'), markItemReturned); // items.return - Mark as returned
+
+// Pickup appointment routes (claimant of an approved claim, or branch items.return)
+router.get('/:itemId/claims/:claimId/pickup/slots', protect, pickupSlotsValidation, getPickupSlots); // Open slots with places left
+router.get('/:itemId/claims/:claimId/pickup/calendar', protect, getPickupCalendar); // Pickup as an .ics file
+router.route('/:itemId/claims/:claimId/pickup')
+  .get(protect, getPickup) // Booked pickup, if any
+  .post(protect, pickupTimeValidation, bookPickup) // Claimant - Book a slot
+  .put(protect, pickupTimeValidation, reschedulePickup) // Move to another slot
+  .delete(protect, pickupCancelValidation, cancelPickup); // Cancel
 router.put(
   '/handover/:id',
   protect,
-  staffOrAdmin,
+  requirePermission('items.handover'),
   handoverToPolice
 );
 
@@ -1,17 +1,24 @@
 // routes/staffRoutes.js
 const express = require('express');
+const { query } = require('express-validator');
 const {
   getStaffDashboardStats,
   getStaffRecentActivity,
   getItemsRequiringAttention,
   getStaffLocationAnalytics
 } = require('../controllers/staffController');
-const { protect, staffOrAdmin } = require('../middleware/auth');
+const { getPickupSchedule } = require('../controllers/pickupController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// All routes require staff or admin access
-router.use(protect, staffOrAdmin);
+const pickupScheduleValidation = [
+  query('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('date must be a YYYY-MM-DD date'),
+  query('branch').optional().isMongoId().withMessage('Invalid branch')
+];
+
+// All routes require dashboard access
+router.use(protect, requirePermission('dashboard.view'));
 
 // Staff dashboard routes
 router.get('/dashboard/stats', getStaffDashboardStats);
@@ -19,4 +26,7 @@ router.get('/dashboard/activity', getStaffRecentActivity);
 router.get('/dashboard/attention', getItemsRequiringAttention);
 router.get('/dashboard/analytics', getStaffLocationAnalytics);
 
+// Pickup appointments
+router.get('/pickups', requirePermission('items.return'), pickupScheduleValidation, getPickupSchedule);
+
 module.exports = router;
\ No newline at end of file
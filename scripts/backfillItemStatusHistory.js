@@ -0,0 +1,51 @@
+// scripts/backfillItemStatusHistory.js
+// One-off migration for the item lifecycle: police handovers used to be
+// recorded as expired items with handedOverToPolice set, so move them to
+// handed_to_police, then give every item without a history a starting
+// entry for its current status.
+//
+// Usage: node scripts/backfillItemStatusHistory.js
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+const run = async () => {
+  await connectDB();
+
+  const items = mongoose.connection.collection('items');
+
+  const handedOver = await items.updateMany(
+    { handedOverToPolice: true, status: { $ne: 'handed_to_police' } },
+    [{
+      $set: {
+        status: 'handed_to_police',
+        policeHandoverDate: { $ifNull: ['$policeHandoverDate', '$updatedAt'] }
+      }
+    }]
+  );
+
+  // The real history is unknown, so record where each item stands now
+  const seeded = await items.updateMany(
+    { $or: [{ statusHistory: { $exists: false } }, { statusHistory: { $size: 0 } }] },
+    [{
+      $set: {
+        statusHistory: [{
+          to: '$status',
+          reason: 'Status before history was recorded',
+          at: '$updatedAt'
+        }]
+      }
+    }]
+  );
+
+  console.log(`Moved ${handedOver.modifiedCount} handed-over item(s) to handed_to_police`);
+  console.log(`Seeded status history on ${seeded.modifiedCount} item(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
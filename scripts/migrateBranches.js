@@ -0,0 +1,66 @@
+// scripts/migrateBranches.js
+// One-off migration: turns the free-text User.branch strings into Branch
+// documents, points staff at them by id, and assigns existing items to the
+// branch covering their location/district.
+//
+// New branches start with no districts/locations; fill those in through
+// /api/admin/branches and re-run this script to assign items.
+//
+// Usage: node scripts/migrateBranches.js
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Branch = require('../models/Branch');
+
+const toCode = (name) => name.replace(/[^a-z0-9]/gi, '').slice(0, 6).toUpperCase() || 'BRANCH';
+
+const run = async () => {
+  await connectDB();
+
+  // Raw collections: legacy string branches don't cast to ObjectId
+  const users = mongoose.connection.collection('users');
+  const items = mongoose.connection.collection('items');
+
+  const legacyNames = await users.distinct('branch', { branch: { $type: 'string' } });
+  let usersUpdated = 0;
+
+  for (const name of legacyNames) {
+    const trimmed = name.trim();
+    if (!trimmed) continue;
+
+    let branch = await Branch.findOne({ name: trimmed });
+    if (!branch) {
+      let code = toCode(trimmed);
+      let suffix = 1;
+      while (await Branch.exists({ code })) {
+        code = `${toCode(trimmed)}${suffix++}`;
+      }
+      branch = await Branch.create({ name: trimmed, code });
+      console.log(`Created branch "${trimmed}" (${code})`);
+    }
+
+    const result = await users.updateMany({ branch: name }, { $set: { branch: branch._id } });
+    usersUpdated += result.modifiedCount;
+  }
+
+  let itemsAssigned = 0;
+  const cursor = items.find({ branch: { $exists: false } }, { projection: { location: 1, district: 1 } });
+
+  for await (const item of cursor) {
+    const branch = await Branch.resolveForItem(item);
+    if (!branch) continue;
+
+    await items.updateOne({ _id: item._id }, { $set: { branch: branch._id } });
+    itemsAssigned++;
+  }
+
+  console.log(`Updated ${usersUpdated} user(s), assigned ${itemsAssigned} item(s) to branches`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+// scripts/migrateClaimsToCollection.js
+// One-off migration for claims moving out of items into their own
+// collection: copy each embedded claim across with its item and branch,
+// keeping its _id so document keys, threads and notifications still point
+// at it, then drop the embedded array. Safe to re-run; claims already
+// copied are left as they are. An item whose claims don't all copy (a
+// duplicate of another claim, say) keeps its array and is reported, and
+// the script exits non-zero.
+//
+// Usage: node scripts/migrateClaimsToCollection.js
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+const run = async () => {
+  await connectDB();
+
+  const items = mongoose.connection.collection('items');
+  const claims = mongoose.connection.collection('claims');
+
+  const cursor = items.find(
+    { claims: { $exists: true } },
+    { projection: { claims: 1, branch: 1, createdAt: 1 } }
+  );
+
+  let itemCount = 0;
+  let copied = 0;
+  let failed = 0;
+
+  for await (const item of cursor) {
+    const operations = (item.claims || []).map(claim => ({
+      updateOne: {
+        filter: { _id: claim._id },
+        update: {
+          $setOnInsert: {
+            ...claim,
+            item: item._id,
+            branch: item.branch,
+            // Early claims only kept claimDate
+            createdAt: claim.createdAt || claim.claimDate || item.createdAt,
+            updatedAt: claim.updatedAt || claim.claimDate || item.createdAt,
+            __v: 0
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    if (operations.length > 0) {
+      try {
+        const result = await claims.bulkWrite(operations, { ordered: false });
+        copied += result.upsertedCount;
+      } catch (error) {
+        if (!error.writeErrors || !error.result) throw error;
+
+        // The rest of the batch still ran; report what didn't
+        copied += error.result.upsertedCount;
+        failed += error.writeErrors.length;
+        for (const writeError of error.writeErrors) {
+          console.error(`Item ${item._id}: could not copy claim ${item.claims[writeError.index]._id} (${writeError.errmsg})`);
+        }
+        continue;
+      }
+    }
+
+    await items.updateOne({ _id: item._id }, { $unset: { claims: '' } });
+    itemCount += 1;
+  }
+
+  console.log(`Copied ${copied} claim(s) out of ${itemCount} item(s), ${failed} claim(s) failed`);
+  await mongoose.disconnect();
+
+  if (failed > 0) process.exitCode = 1;
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
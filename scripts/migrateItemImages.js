@@ -0,0 +1,85 @@
+// scripts/migrateItemImages.js
+// One-off migration: moves legacy Item.images strings (URLs or base64 data
+// URIs) into storage-backed image references. An item with an image that
+// fails keeps its images as they were, so the script can be re-run to retry.
+//
+// Usage: node scripts/migrateItemImages.js
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const ImageService = require('../services/imageService');
+
+const DATA_URI = /^data:(image\/[a-z+.-]+);base64,(.+)$/i;
+
+const migrateImage = async (itemId, value) => {
+  const dataUri = value.match(DATA_URI);
+
+  if (dataUri) {
+    const file = {
+      buffer: Buffer.from(dataUri[2], 'base64'),
+      originalname: 'migrated-image'
+    };
+    return ImageService.storeItemImage(itemId, file);
+  }
+
+  // Plain URLs are kept as external references with nothing to clean up
+  const id = new mongoose.Types.ObjectId();
+  return { _id: id, key: `external/${itemId}/${id}`, url: value, thumbnailUrl: value };
+};
+
+const run = async () => {
+  await connectDB();
+
+  // Read through the raw collection: legacy string entries don't cast to
+  // the current image schema
+  const items = mongoose.connection.collection('items');
+  const cursor = items.find({ images: { $elemMatch: { $type: 'string' } } });
+
+  let migrated = 0;
+  let failed = 0;
+
+  for await (const item of cursor) {
+    const images = [];
+    const migratedImages = [];
+    let itemFailed = false;
+
+    for (const value of item.images) {
+      if (typeof value !== 'string') {
+        images.push(value);
+        continue;
+      }
+
+      try {
+        const image = { _id: new mongoose.Types.ObjectId(), ...await migrateImage(item._id, value), uploadedAt: new Date() };
+        images.push(image);
+        migratedImages.push(image);
+      } catch (error) {
+        itemFailed = true;
+        failed++;
+        console.error(`Item ${item._id}: could not migrate image (${error.message})`);
+      }
+    }
+
+    // A mix of strings and image references wouldn't load, so an item with
+    // a failure is left as it was and the files stored for it are removed
+    if (itemFailed) {
+      await Promise.all(migratedImages.map(image => ImageService.removeImageFiles(image)));
+      continue;
+    }
+
+    await items.updateOne({ _id: item._id }, { $set: { images } });
+    migrated++;
+  }
+
+  console.log(`Migrated images on ${migrated} item(s), ${failed} image(s) failed`);
+  await mongoose.disconnect();
+
+  if (failed > 0) process.exitCode = 1;
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+// scripts/verifyExistingUsers.js
+// One-off migration: accounts created before email verification existed
+// were never sent a link, so mark them verified instead of locking them out
+// of reporting items and submitting claims.
+//
+// Pass a cutoff date to only grandfather accounts created before it.
+//
+// Usage: node scripts/verifyExistingUsers.js [YYYY-MM-DD]
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+const run = async () => {
+  const cutoff = process.argv[2] ? new Date(process.argv[2]) : new Date();
+  if (Number.isNaN(cutoff.getTime())) {
+    throw new Error(`Invalid cutoff date: ${process.argv[2]}`);
+  }
+
+  await connectDB();
+
+  const users = mongoose.connection.collection('users');
+
+  // Skip accounts that registered after the feature shipped and have a link pending
+  const result = await users.updateMany(
+    {
+      isVerified: { $ne: true },
+      emailVerificationToken: { $exists: false },
+      createdAt: { $lt: cutoff }
+    },
+    { $set: { isVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing user(s) as verified`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,8 +1,10 @@
 // server.js
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const SchedulerService = require('./services/schedulerService');
 
 // Load environment variables
 dotenv.config();
@@ -12,14 +14,27 @@ connectDB();
 
 const app = express();
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For, or every
+// client shares the proxy's address in login throttling
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   credentials: true,
 }));
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Photos are uploaded as multipart files, so JSON bodies stay small
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+// Uploaded files for the local storage driver
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/uploads', express.static(path.resolve(process.env.UPLOAD_DIR || 'uploads')));
+}
 
 // Routes
 app.get('/api/ping', (req, res) => {
@@ -31,6 +46,7 @@ app.use('/api/items', require('./routes/itemRoutes'));
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/claims', require('./routes/claimRoutes'));
 app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/conversations', require('./routes/conversationRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
 app.use('/api/dashboard', require('./routes/dashboardRoutes'));
 app.use('/api/staff', require('./routes/staffRoutes'));
@@ -51,4 +67,10 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Expiry sweeps and reminders; set JOBS_ENABLED=false on instances that
+  // should only serve requests
+  if (process.env.JOBS_ENABLED !== 'false') {
+    SchedulerService.start();
+  }
 });
\ No newline at end of file
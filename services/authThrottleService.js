@@ -0,0 +1,166 @@
+// services/authThrottleService.js
+const AuthThrottle = require('../models/AuthThrottle');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// maxAttempts within window triggers a lock of lockBase, doubling with each
+// repeat lock up to lockMax. After delayAfter attempts every further attempt
+// must wait 2^n seconds (up to maxDelay) since the previous one.
+const RULES = {
+  login_account: { maxAttempts: 5, window: 15 * MINUTE, delayAfter: 3, maxDelay: 30 * 1000, lockBase: 15 * MINUTE, lockMax: 24 * HOUR },
+  login_ip: { maxAttempts: 30, window: 15 * MINUTE, delayAfter: 10, maxDelay: 30 * 1000, lockBase: 15 * MINUTE, lockMax: 24 * HOUR },
+  reset_email: { maxAttempts: 3, window: HOUR, lockBase: HOUR, lockMax: HOUR },
+  reset_ip: { maxAttempts: 10, window: HOUR, lockBase: HOUR, lockMax: 6 * HOUR }
+};
+
+// Lock history is forgotten a day after the last attempt
+const RETENTION = 24 * HOUR;
+
+const normalize = (scope, identifier) =>
+  scope.endsWith('_ip') ? String(identifier) : String(identifier).trim().toLowerCase();
+
+class AuthThrottleService {
+
+  /**
+   * Whether a key may attempt right now. Returns { allowed: true } or
+   * { allowed: false, locked, retryAfter } with retryAfter in seconds.
+   */
+  static async check(scope, identifier) {
+    const rule = RULES[scope];
+    const now = Date.now();
+    const throttle = await AuthThrottle.findOne({ scope, identifier: normalize(scope, identifier) });
+
+    if (!throttle) return { allowed: true };
+
+    if (throttle.lockedUntil && throttle.lockedUntil > now) {
+      return {
+        allowed: false,
+        locked: true,
+        retryAfter: Math.ceil((throttle.lockedUntil - now) / 1000)
+      };
+    }
+
+    const inWindow = throttle.windowStart > now - rule.window;
+    if (rule.delayAfter && inWindow && throttle.count >= rule.delayAfter && throttle.lastAttemptAt) {
+      const delay = Math.min(2 ** (throttle.count - rule.delayAfter) * 1000, rule.maxDelay);
+      const waitUntil = throttle.lastAttemptAt.getTime() + delay;
+
+      if (waitUntil > now) {
+        return { allowed: false, locked: false, retryAfter: Math.ceil((waitUntil - now) / 1000) };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Check several keys at once and report the longest wait
+   */
+  static async checkAll(keys) {
+    const results = await Promise.all(keys.map(([scope, identifier]) => this.check(scope, identifier)));
+    const blocked = results.filter(result => !result.allowed);
+
+    if (blocked.length === 0) return { allowed: true };
+
+    return blocked.reduce((longest, result) => (result.retryAfter > longest.retryAfter ? result : longest));
+  }
+
+  /**
+   * Count an attempt (a failed login, or any reset-email request) and lock
+   * the key once it reaches the limit
+   */
+  static async record(scope, identifier) {
+    const rule = RULES[scope];
+    const now = new Date();
+    const key = { scope, identifier: normalize(scope, identifier) };
+
+    let throttle = await AuthThrottle.findOneAndUpdate(
+      key,
+      {
+        $inc: { count: 1 },
+        $set: { lastAttemptAt: now, expiresAt: new Date(now.getTime() + RETENTION) },
+        $setOnInsert: { windowStart: now }
+      },
+      { upsert: true, new: true }
+    );
+
+    // Window has passed: this attempt starts a new one
+    if (throttle.windowStart < now.getTime() - rule.window && throttle.count > 1) {
+      throttle = await AuthThrottle.findOneAndUpdate(
+        key,
+        { $set: { count: 1, windowStart: now } },
+        { new: true }
+      );
+    }
+
+    if (throttle.count >= rule.maxAttempts) {
+      const lockMs = Math.min(rule.lockBase * 2 ** throttle.lockCount, rule.lockMax);
+      const lockedUntil = new Date(now.getTime() + lockMs);
+
+      throttle = await AuthThrottle.findOneAndUpdate(
+        key,
+        {
+          $set: {
+            lockedUntil,
+            count: 0,
+            windowStart: now,
+            expiresAt: new Date(lockedUntil.getTime() + RETENTION)
+          },
+          $inc: { lockCount: 1 }
+        },
+        { new: true }
+      );
+    }
+
+    return throttle;
+  }
+
+  /**
+   * Successful login: forget the account's failures. IP counters are left
+   * alone so one good password doesn't reset a spraying attacker.
+   */
+  static async reset(scope, identifier) {
+    await AuthThrottle.deleteOne({ scope, identifier: normalize(scope, identifier) });
+  }
+
+  static async findForAccount(email) {
+    return AuthThrottle.find({
+      scope: { $in: ['login_account', 'reset_email'] },
+      identifier: normalize('login_account', email)
+    });
+  }
+
+  static async clearForAccount(email) {
+    const result = await AuthThrottle.deleteMany({
+      scope: { $in: ['login_account', 'reset_email'] },
+      identifier: normalize('login_account', email)
+    });
+    return result.deletedCount;
+  }
+
+  /**
+   * Body and Retry-After value for a 429 response
+   */
+  static rejection(result) {
+    const minutes = Math.ceil(result.retryAfter / 60);
+
+    return {
+      retryAfter: result.retryAfter,
+      body: result.locked
+        ? { message: `Too many attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, code: 'TEMPORARILY_LOCKED', retryAfter: result.retryAfter }
+        : { message: `Please wait ${result.retryAfter} second${result.retryAfter === 1 ? '' : 's'} before trying again.`, code: 'TOO_MANY_ATTEMPTS', retryAfter: result.retryAfter }
+    };
+  }
+
+  static async findLocked({ scope } = {}) {
+    const filter = { lockedUntil: { $gt: new Date() } };
+    if (scope) filter.scope = scope;
+
+    return AuthThrottle.find(filter).sort({ lockedUntil: -1 });
+  }
+}
+
+AuthThrottleService.RULES = RULES;
+
+module.exports = AuthThrottleService;
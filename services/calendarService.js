@@ -0,0 +1,69 @@
+// services/calendarService.js
+
+const PRODUCT_ID = '-//Lost & Found System//Pickups//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'lost-and-found';
+
+// iCalendar UTC date-time, e.g. 20260101T093000Z
+const formatDate = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape text values as RFC 5545 requires
+const escapeText = value => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting
+// with a space
+const foldLine = line => {
+  const chunks = [];
+  let rest = Buffer.from(line, 'utf8');
+
+  while (rest.length > 75) {
+    // Don't split a multi-byte character
+    let cut = chunks.length === 0 ? 75 : 74;
+    while ((rest[cut] & 0xc0) === 0x80) cut -= 1;
+    chunks.push(rest.subarray(0, cut).toString('utf8'));
+    rest = rest.subarray(cut);
+  }
+  chunks.push(rest.toString('utf8'));
+
+  return chunks.join('\r\n ');
+};
+
+class CalendarService {
+
+  /**
+   * A pickup appointment as an iCalendar file. Reschedules keep the UID
+   * and raise SEQUENCE, so calendar apps update the event they have; a
+   * cancelled appointment is sent as a cancellation of it.
+   */
+  static renderPickup(appointment, { item, branch }) {
+    const cancelled = appointment.status === 'cancelled';
+    const location = [branch.name, branch.address].filter(Boolean).join(', ');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+      'BEGIN:VEVENT',
+      `UID:pickup-${appointment._id}@${UID_DOMAIN}`,
+      `SEQUENCE:${appointment.sequence || 0}`,
+      `DTSTAMP:${formatDate(appointment.updatedAt || new Date())}`,
+      `DTSTART:${formatDate(appointment.startsAt)}`,
+      `DTEND:${formatDate(appointment.endsAt)}`,
+      `SUMMARY:${escapeText(`Pick up "${item.title}"`)}`,
+      `LOCATION:${escapeText(location)}`,
+      `DESCRIPTION:${escapeText(`Collect your ${item.type} item "${item.title}" from the ${branch.name} branch. Bring photo ID.`)}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = CalendarService;
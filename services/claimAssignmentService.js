@@ -0,0 +1,151 @@
+// services/claimAssignmentService.js
+const Claim = require('../models/Claim');
+const User = require('../models/User');
+const Branch = require('../models/Branch');
+const PermissionService = require('./permissionService');
+const NotificationService = require('./notificationService');
+const ClaimReviewPolicyService = require('./claimReviewPolicyService');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Tries at taking the next round-robin turn before settling for the last pick
+const ROTATION_ATTEMPTS = 5;
+
+class ClaimAssignmentService {
+
+  /**
+   * Active staff at a branch who can decide claims, in a stable order
+   */
+  static async reviewersFor(branch) {
+    return User.find({
+      ...(await PermissionService.holdersFilter('claims.approve')),
+      branch,
+      isActive: true
+    })
+      .select('_id name')
+      .sort({ _id: 1 });
+  }
+
+  /**
+   * Pending claims each reviewer currently holds
+   */
+  static async pendingLoad(reviewerIds) {
+    const counts = await Claim.aggregate([
+      { $match: { reviewer: { $in: reviewerIds }, status: 'pending' } },
+      { $group: { _id: '$reviewer', pending: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(({ _id, pending }) => [_id.toString(), pending]));
+  }
+
+  /**
+   * The reviewer after the branch's last one, wrapping around. The branch
+   * only moves on if no other claim moved it first; when one did, the
+   * turn is taken again from where that left it.
+   */
+  static async nextInRotation(branch, reviewers) {
+    let reviewer = reviewers[0];
+
+    for (let attempt = 0; attempt < ROTATION_ATTEMPTS; attempt += 1) {
+      const current = await Branch.findById(branch).select('lastClaimReviewer');
+      if (!current) break;
+
+      const last = current.lastClaimReviewer || null;
+      reviewer = reviewers.find(candidate => last && candidate._id.toString() > last.toString()) || reviewers[0];
+
+      const advanced = await Branch.findOneAndUpdate(
+        { _id: branch, lastClaimReviewer: last },
+        { $set: { lastClaimReviewer: reviewer._id } }
+      );
+      if (advanced) break;
+    }
+
+    return reviewer._id;
+  }
+
+  /**
+   * Choose the reviewer for a new claim at a branch, by the configured
+   * strategy. Returns null when the branch has no one who can review.
+   */
+  static async pickReviewer(branch) {
+    if (!branch) return null;
+
+    const reviewers = await this.reviewersFor(branch);
+    if (reviewers.length === 0) return null;
+
+    const { assignment } = await ClaimReviewPolicyService.getPolicy();
+
+    if (assignment === 'round_robin') {
+      return { reviewer: await this.nextInRotation(branch, reviewers), method: 'round_robin' };
+    }
+
+    // Least loaded; ties go to whoever comes first, so it stays predictable
+    const load = await this.pendingLoad(reviewers.map(reviewer => reviewer._id));
+    const reviewer = reviewers.reduce((best, candidate) =>
+      (load.get(candidate._id.toString()) || 0) < (load.get(best._id.toString()) || 0) ? candidate : best);
+
+    return { reviewer: reviewer._id, method: 'least_loaded' };
+  }
+
+  /**
+   * Whether a user can be handed claims on an item: active, able to decide
+   * claims, and reaching the item's branch
+   */
+  static async canReview(user, item) {
+    if (!user || !user.isActive) return false;
+
+    const permissions = await PermissionService.resolve(user);
+    return permissions.has('claims.approve') && PermissionService.coversBranch(user, permissions, item.branch);
+  }
+
+  /**
+   * Hand a pending claim to a reviewer. Only applies while the claim is
+   * still pending; returns the updated claim, or null if it no longer is.
+   */
+  static assign(claim, reviewerId, method) {
+    return Claim.findOneAndUpdate(
+      { _id: claim._id, status: 'pending' },
+      { $set: { reviewer: reviewerId, assignedAt: new Date(), assignmentMethod: method } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Tell branch admins about claims pending past the review SLA. Each
+   * claim is escalated once per pending spell; the marker is set before
+   * notifying so overlapping runs can't notify twice.
+   */
+  static async escalateOverdue(now = new Date()) {
+    const policy = await ClaimReviewPolicyService.getPolicy();
+    const cutoff = new Date(now.getTime() - policy.slaHours * HOUR_MS);
+
+    const overdue = {
+      status: 'pending',
+      escalatedAt: null,
+      $or: [
+        { pendingSince: { $lte: cutoff } },
+        { pendingSince: null, createdAt: { $lte: cutoff } }
+      ]
+    };
+
+    const claims = await Claim.find(overdue)
+      .select('item reviewer pendingSince createdAt')
+      .populate('item', 'title type branch');
+
+    let escalated = 0;
+
+    for (const claim of claims) {
+      const { modifiedCount } = await Claim.updateOne(
+        { _id: claim._id, status: 'pending', escalatedAt: null },
+        { $set: { escalatedAt: now } }
+      );
+      if (modifiedCount === 0 || !claim.item) continue;
+
+      await NotificationService.handleClaimEscalated(claim.item, claim, ClaimReviewPolicyService.dueAt(claim, policy));
+      escalated += 1;
+    }
+
+    return { escalated };
+  }
+}
+
+module.exports = ClaimAssignmentService;
@@ -0,0 +1,146 @@
+// services/claimDocumentService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const { privateStorage } = require('./storage');
+const DocumentAccessLog = require('../models/DocumentAccessLog');
+const PermissionService = require('./permissionService');
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const MAX_DOCUMENT_SIZE = (Number(process.env.DOCUMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+const MAX_DOCUMENTS_PER_CLAIM = 5;
+const SIGNED_URL_TTL = '5m';
+const TOKEN_AUDIENCE = 'claim-document';
+
+const EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+class ClaimDocumentService {
+
+  /**
+   * Check the file really is what its MIME type claims. Images are
+   * re-encoded so EXIF data (including GPS) is not kept.
+   */
+  static async sanitize(file) {
+    if (file.mimetype === 'application/pdf') {
+      if (file.buffer.subarray(0, 5).toString() !== '%PDF-') {
+        throw new Error(`${file.originalname} is not a valid PDF`);
+      }
+      return file.buffer;
+    }
+
+    try {
+      const { format } = await sharp(file.buffer).metadata();
+      if (`image/${format}` !== file.mimetype) {
+        throw new Error('format mismatch');
+      }
+      return await sharp(file.buffer).rotate().toBuffer();
+    } catch (error) {
+      throw new Error(`${file.originalname} is not a valid image`);
+    }
+  }
+
+  /**
+   * Store uploaded evidence privately. Returns the sub-documents to keep on
+   * the claim; nothing in them is directly fetchable.
+   */
+  static async storeDocuments(itemId, claimId, files) {
+    const stored = [];
+
+    try {
+      for (const file of files) {
+        const buffer = await this.sanitize(file);
+        const key = `claims/${itemId}/${claimId}/${crypto.randomUUID()}.${EXTENSIONS[file.mimetype]}`;
+
+        await privateStorage.save(key, buffer, file.mimetype);
+
+        stored.push({
+          key,
+          name: file.originalname,
+          type: file.mimetype,
+          size: buffer.length
+        });
+      }
+    } catch (error) {
+      await this.removeDocuments(stored);
+      throw error;
+    }
+
+    return stored;
+  }
+
+  static async removeDocuments(documents) {
+    await Promise.all(documents.filter(doc => doc.key).map(async (doc) => {
+      try {
+        await privateStorage.remove(doc.key);
+      } catch (error) {
+        console.error(`Error removing claim document ${doc.key}:`, error);
+      }
+    }));
+  }
+
+  static read(document) {
+    return privateStorage.read(document.key);
+  }
+
+  /**
+   * Whether a user may see a claim's evidence: the claimant themselves,
+   * anyone with access to every branch, or claim reviewers of the branch
+   * the item belongs to
+   */
+  static canAccess(user, permissions, item, claim) {
+    const claimantId = claim.claimedBy._id || claim.claimedBy;
+
+    if (claimantId.toString() === user.id) return true;
+    if (!permissions.has('claims.view')) return false;
+
+    return PermissionService.coversBranch(user, permissions, item.branch);
+  }
+
+  /**
+   * Short-lived token that lets the bearer download a single document
+   */
+  static createDownloadToken(item, claim, document, user) {
+    return jwt.sign(
+      {
+        item: item._id.toString(),
+        claim: claim._id.toString(),
+        document: document._id.toString(),
+        user: user.id
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: SIGNED_URL_TTL, audience: TOKEN_AUDIENCE }
+    );
+  }
+
+  static verifyDownloadToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCE });
+  }
+
+  /**
+   * Record an access attempt. Never throws: a failed audit write should not
+   * turn into a failed request.
+   */
+  static async logAccess(req, entry) {
+    try {
+      await DocumentAccessLog.create({
+        ...entry,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    } catch (error) {
+      console.error('Error logging document access:', error);
+    }
+  }
+}
+
+ClaimDocumentService.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
+ClaimDocumentService.MAX_DOCUMENT_SIZE = MAX_DOCUMENT_SIZE;
+ClaimDocumentService.MAX_DOCUMENTS_PER_CLAIM = MAX_DOCUMENTS_PER_CLAIM;
+ClaimDocumentService.EXTENSIONS = EXTENSIONS;
+
+module.exports = ClaimDocumentService;
@@ -0,0 +1,60 @@
+// services/claimReviewPolicyService.js
+const Setting = require('../models/Setting');
+
+const POLICY_KEY = 'claims.reviewPolicy';
+const POLICY_CACHE_MS = 30 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const ASSIGNMENT_STRATEGIES = ['least_loaded', 'round_robin'];
+
+// Used for anything the stored policy leaves out
+const DEFAULT_POLICY = {
+  // How new claims are shared among a branch's reviewers
+  assignment: 'least_loaded',
+  // How long a claim may stay pending before branch admins are told
+  slaHours: 48
+};
+
+let policyCache = null;
+
+class ClaimReviewPolicyService {
+
+  /**
+   * The stored policy over the defaults. Cached briefly because every new
+   * claim reads it.
+   */
+  static async getPolicy() {
+    if (policyCache && policyCache.expiresAt > Date.now()) {
+      return policyCache.policy;
+    }
+
+    const stored = await Setting.getValue(POLICY_KEY, {});
+    const policy = { ...DEFAULT_POLICY, ...stored };
+    policyCache = { policy, expiresAt: Date.now() + POLICY_CACHE_MS };
+    return policy;
+  }
+
+  static async setPolicy(policy, updatedBy) {
+    const stored = {};
+    Object.keys(DEFAULT_POLICY).forEach(key => {
+      if (policy[key] !== undefined) stored[key] = policy[key];
+    });
+
+    await Setting.setValue(POLICY_KEY, stored, updatedBy);
+    policyCache = null;
+    return { ...DEFAULT_POLICY, ...stored };
+  }
+
+  /**
+   * When a pending claim's review falls due. Claims from before the SLA
+   * existed run from when they were made.
+   */
+  static dueAt(claim, policy) {
+    const since = claim.pendingSince || claim.createdAt;
+    return new Date(new Date(since).getTime() + policy.slaHours * HOUR_MS);
+  }
+}
+
+ClaimReviewPolicyService.ASSIGNMENT_STRATEGIES = ASSIGNMENT_STRATEGIES;
+
+module.exports = ClaimReviewPolicyService;
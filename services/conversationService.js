@@ -0,0 +1,192 @@
+// services/conversationService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { privateStorage } = require('./storage');
+const ClaimDocumentService = require('./claimDocumentService');
+const PermissionService = require('./permissionService');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 3;
+const SIGNED_URL_TTL = '5m';
+const TOKEN_AUDIENCE = 'message-attachment';
+
+const idOf = ref => (ref._id || ref).toString();
+
+class ConversationService {
+
+  /**
+   * The part a user plays in a thread about this item, or this claim on
+   * it, or null when they may not join: the claimant (claim threads only),
+   * the reporter, or claim reviewers of the item's branch
+   */
+  static roleFor(user, permissions, item, claim) {
+    if (claim && idOf(claim.claimedBy) === user.id) return 'claimant';
+    if (idOf(item.reportedBy) === user.id) return 'reporter';
+    if (!permissions.has('claims.view')) return null;
+
+    return PermissionService.coversBranch(user, permissions, item.branch) ? 'staff' : null;
+  }
+
+  /**
+   * Find or start the thread for an item or one of its claims. The
+   * reporter and claimant are in it from the start so they hear about the
+   * first message; staff join when they open it.
+   */
+  static async open(item, claim) {
+    const filter = { item: item._id, claim: claim ? claim._id : null };
+    const participants = [{ user: idOf(item.reportedBy), role: 'reporter' }];
+    if (claim) participants.push({ user: idOf(claim.claimedBy), role: 'claimant' });
+
+    try {
+      return await Conversation.findOneAndUpdate(
+        filter,
+        { $setOnInsert: { participants } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two requests started the same thread at once
+      if (error.code !== 11000) throw error;
+      return Conversation.findOne(filter);
+    }
+  }
+
+  static async join(conversation, user, role) {
+    if (conversation.getParticipant(user._id)) return conversation;
+
+    const joined = await Conversation.findOneAndUpdate(
+      { _id: conversation._id, 'participants.user': { $ne: user._id } },
+      { $push: { participants: { user: user._id, role } } },
+      { new: true }
+    );
+
+    return joined || Conversation.findById(conversation._id);
+  }
+
+  /**
+   * Move a participant's read receipt forward; it never moves back
+   */
+  static markRead(conversationId, userId, at = new Date()) {
+    return Conversation.updateOne(
+      { _id: conversationId, 'participants.user': userId },
+      { $max: { 'participants.$.lastReadAt': at } }
+    );
+  }
+
+  /**
+   * Messages in a thread the user hasn't read yet
+   */
+  static unreadCount(conversation, userId) {
+    const participant = conversation.getParticipant(userId);
+
+    return Message.countDocuments({
+      conversation: conversation._id,
+      sender: { $ne: userId },
+      ...(participant && participant.lastReadAt ? { createdAt: { $gt: participant.lastReadAt } } : {})
+    });
+  }
+
+  /**
+   * Who other than the sender has read a message, going by each
+   * participant's read receipt
+   */
+  static readBy(conversation, message) {
+    return conversation.participants
+      .filter(participant =>
+        idOf(participant.user) !== idOf(message.sender) &&
+        participant.lastReadAt && participant.lastReadAt >= message.createdAt)
+      .map(participant => idOf(participant.user));
+  }
+
+  /**
+   * Save a message with its already stored attachments and bump the
+   * thread. Sending a message counts as having read everything before it.
+   */
+  static async postMessage(conversation, sender, { _id, body, attachments = [] }) {
+    const message = new Message({ _id, conversation: conversation._id, sender: sender._id, body, attachments });
+
+    try {
+      await message.save();
+    } catch (error) {
+      await this.removeAttachments(message.attachments);
+      throw error;
+    }
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $max: { lastMessageAt: message.createdAt }, $inc: { messageCount: 1 } }
+    );
+    await this.markRead(conversation._id, sender._id, message.createdAt);
+
+    return message;
+  }
+
+  /**
+   * Store attachments privately, checked the same way as claim evidence
+   */
+  static async storeAttachments(conversationId, messageId, files) {
+    const stored = [];
+
+    try {
+      for (const file of files) {
+        const buffer = await ClaimDocumentService.sanitize(file);
+        const extension = ClaimDocumentService.EXTENSIONS[file.mimetype];
+        const key = `messages/${conversationId}/${messageId}/${crypto.randomUUID()}.${extension}`;
+
+        await privateStorage.save(key, buffer, file.mimetype);
+
+        stored.push({
+          key,
+          name: file.originalname,
+          type: file.mimetype,
+          size: buffer.length
+        });
+      }
+    } catch (error) {
+      await this.removeAttachments(stored);
+      throw error;
+    }
+
+    return stored;
+  }
+
+  static async removeAttachments(attachments) {
+    await Promise.all(attachments.filter(attachment => attachment.key).map(async (attachment) => {
+      try {
+        await privateStorage.remove(attachment.key);
+      } catch (error) {
+        console.error(`Error removing message attachment ${attachment.key}:`, error);
+      }
+    }));
+  }
+
+  static read(attachment) {
+    return privateStorage.read(attachment.key);
+  }
+
+  /**
+   * Short-lived token that lets the bearer download a single attachment
+   */
+  static createDownloadToken(message, attachment, user) {
+    return jwt.sign(
+      {
+        conversation: message.conversation.toString(),
+        message: message._id.toString(),
+        attachment: attachment._id.toString(),
+        user: user.id
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: SIGNED_URL_TTL, audience: TOKEN_AUDIENCE }
+    );
+  }
+
+  static verifyDownloadToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCE });
+  }
+}
+
+ConversationService.ALLOWED_MIME_TYPES = ClaimDocumentService.ALLOWED_MIME_TYPES;
+ConversationService.MAX_ATTACHMENT_SIZE = ClaimDocumentService.MAX_DOCUMENT_SIZE;
+ConversationService.MAX_ATTACHMENTS_PER_MESSAGE = MAX_ATTACHMENTS_PER_MESSAGE;
+
+module.exports = ConversationService;
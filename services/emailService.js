@@ -1,6 +1,11 @@
 // services/emailService.js - CORRECTED VERSION
 const nodemailer = require('nodemailer');
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape a value for an email's HTML; anything a user typed goes through this
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
 class EmailService {
   constructor() {
     // FIXED: Changed from createTransporter to createTransport
@@ -111,6 +116,155 @@ class EmailService {
     }
   }
 
+  // Shared layout for emails built around a single call-to-action link
+  renderActionEmail({ heading, paragraphs, buttonLabel, url, notes }) {
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .header { background-color: #8249C0; color: white; padding: 20px; text-align: center; }
+            .content { padding: 30px; background-color: #f9f9f9; }
+            .button { display: inline-block; background-color: #8249C0; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+            .warning { background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${escapeHtml(heading)}</h1>
+            </div>
+            <div class="content">
+              <p>Hello,</p>
+              ${paragraphs.map(text => `<p>${text}</p>`).join('\n              ')}
+              <div style="text-align: center;">
+                <a href="${escapeHtml(url)}" class="button">${escapeHtml(buttonLabel)}</a>
+              </div>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; background-color: #f1f1f1; padding: 10px; border-radius: 3px;">
+                ${escapeHtml(url)}
+              </p>
+              <div class="warning">
+                <strong>⚠️ Important:</strong>
+                <ul>
+                  ${notes.map(note => `<li>${note}</li>`).join('\n                  ')}
+                </ul>
+              </div>
+              <p>Best regards,<br>Lost & Found Team</p>
+            </div>
+            <div class="footer">
+              <p>This is an automated email. Please do not reply to this email.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+  }
+
+  async send(mailOptions) {
+    try {
+      await this.transporter.sendMail({
+        from: `"Lost & Found System" <${process.env.EMAIL_USER}>`,
+        ...mailOptions
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendInvitationEmail(to, inviteToken, { role, branchName, invitedBy, expiresInDays }) {
+    const inviteURL = `${process.env.FRONTEND_URL}/accept-invite/${inviteToken}`;
+
+    return this.send({
+      to,
+      subject: 'You have been invited to the Lost & Found team',
+      html: this.renderActionEmail({
+        heading: 'Staff Invitation',
+        paragraphs: [
+          `${escapeHtml(invitedBy)} has invited you to join the Lost & Found System as <strong>${escapeHtml(role)}</strong>${branchName ? ` at the <strong>${escapeHtml(branchName)}</strong> branch` : ''}.`,
+          'Click the button below to set your password and activate your account:'
+        ],
+        buttonLabel: 'Accept Invitation',
+        url: inviteURL,
+        notes: [
+          `This invitation expires in ${expiresInDays} days and can only be used once`,
+          "If you weren't expecting this invitation, please ignore this email",
+          'For security, never share this link with anyone'
+        ]
+      })
+    });
+  }
+
+  async sendVerificationEmail(to, verificationToken) {
+    const verifyURL = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+
+    return this.send({
+      to,
+      subject: 'Verify your email address',
+      html: this.renderActionEmail({
+        heading: 'Verify Your Email',
+        paragraphs: [
+          'Thanks for signing up to the Lost & Found System.',
+          'Please confirm your email address so you can report items and submit claims:'
+        ],
+        buttonLabel: 'Verify Email',
+        url: verifyURL,
+        notes: [
+          'This link will expire in 24 hours',
+          "If you didn't create an account, please ignore this email"
+        ]
+      })
+    });
+  }
+
+  // Pickup confirmations, changes and cancellations, with the appointment
+  // attached as an iCalendar file so it can go straight into a calendar.
+  // `change` is booked, rescheduled or cancelled.
+  async sendPickupEmail(to, { change, itemTitle, when, branchName, branchAddress, calendar }) {
+    const title = escapeHtml(itemTitle);
+    const time = `<strong>${escapeHtml(when)}</strong>`;
+    const place = escapeHtml([branchName, branchAddress].filter(Boolean).join(', '));
+
+    const content = {
+      booked: {
+        heading: 'Pickup Booked',
+        paragraph: `Your pickup of "${title}" is booked for ${time} at:`
+      },
+      rescheduled: {
+        heading: 'Pickup Rescheduled',
+        paragraph: `Your pickup of "${title}" has moved to ${time} at:`
+      },
+      cancelled: {
+        heading: 'Pickup Cancelled',
+        paragraph: `Your pickup of "${title}" on ${time} has been cancelled. You can book a new time from your claims page. The branch was:`
+      }
+    }[change];
+
+    return this.send({
+      to,
+      subject: `${content.heading}: ${itemTitle}`,
+      html: this.renderActionEmail({
+        heading: content.heading,
+        paragraphs: [content.paragraph, place],
+        buttonLabel: 'View My Claims',
+        url: `${process.env.FRONTEND_URL}/my-claims`,
+        notes: [
+          'Bring photo ID and anything else that shows the item is yours',
+          "If you can't make it, reschedule or cancel from your claims page"
+        ]
+      }),
+      attachments: [{
+        filename: 'pickup.ics',
+        content: calendar,
+        contentType: `text/calendar; charset=utf-8; method=${change === 'cancelled' ? 'CANCEL' : 'REQUEST'}`
+      }]
+    });
+  }
+
   // Test email connection (optional - useful for debugging)
   async testConnection() {
     try {
@@ -0,0 +1,84 @@
+// services/expiryPolicyService.js
+const Setting = require('../models/Setting');
+
+const POLICY_KEY = 'items.expiryPolicy';
+const POLICY_CACHE_MS = 30 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used for anything the stored policy leaves out
+const DEFAULT_POLICY = {
+  // How long a listing stays up, in days
+  listingDays: 30,
+  // Per-category listing days, e.g. { documents: 90 }
+  categories: {},
+  // Per-branch overrides keyed by branch id:
+  // { listingDays, categories, policeHandoverDays }
+  branches: {},
+  // How old an unclaimed item must be before it can go to the police
+  policeHandoverDays: 30,
+  // How many times an owner can renew one listing
+  maxRenewals: 2,
+  // How long after expiring a listing can still be renewed
+  renewalGraceDays: 14
+};
+
+let policyCache = null;
+
+class ExpiryPolicyService {
+
+  /**
+   * The stored policy over the defaults. Cached briefly because every new
+   * item reads it.
+   */
+  static async getPolicy() {
+    if (policyCache && policyCache.expiresAt > Date.now()) {
+      return policyCache.policy;
+    }
+
+    const stored = await Setting.getValue(POLICY_KEY, {});
+    const policy = { ...DEFAULT_POLICY, ...stored };
+    policyCache = { policy, expiresAt: Date.now() + POLICY_CACHE_MS };
+    return policy;
+  }
+
+  static async setPolicy(policy, updatedBy) {
+    const stored = {};
+    Object.keys(DEFAULT_POLICY).forEach(key => {
+      if (policy[key] !== undefined) stored[key] = policy[key];
+    });
+
+    await Setting.setValue(POLICY_KEY, stored, updatedBy);
+    policyCache = null;
+    return { ...DEFAULT_POLICY, ...stored };
+  }
+
+  /**
+   * The rules that apply to one item. The most specific listing length
+   * wins: branch and category, then category, then branch, then the
+   * default. Category goes before branch because category lengths usually
+   * come from retention rules (documents, for instance) that a branch
+   * shouldn't shorten.
+   */
+  static async resolve({ category, branch }) {
+    const policy = await this.getPolicy();
+    const branchPolicy = (branch && policy.branches[branch.toString()]) || {};
+    const branchCategories = branchPolicy.categories || {};
+
+    return {
+      listingDays: branchCategories[category] ??
+        policy.categories[category] ??
+        branchPolicy.listingDays ??
+        policy.listingDays,
+      policeHandoverDays: branchPolicy.policeHandoverDays ?? policy.policeHandoverDays,
+      maxRenewals: policy.maxRenewals,
+      renewalGraceDays: policy.renewalGraceDays
+    };
+  }
+
+  static async expiryDateFor(item, from = new Date()) {
+    const { listingDays } = await this.resolve(item);
+    return new Date(from.getTime() + listingDays * DAY_MS);
+  }
+}
+
+module.exports = ExpiryPolicyService;
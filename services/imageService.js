@@ -0,0 +1,120 @@
+// services/imageService.js
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { publicStorage: storage } = require('./storage');
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_SIZE = (Number(process.env.IMAGE_MAX_SIZE_MB) || 5) * 1024 * 1024;
+const MAX_IMAGES_PER_ITEM = 6;
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+
+// sharp format name -> stored MIME type and extension
+const OUTPUT_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+class ImageService {
+
+  /**
+   * Re-encode an upload and build its thumbnail. Re-encoding drops all
+   * metadata, so EXIF GPS coordinates never reach storage.
+   */
+  static async processImage(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw new Error('File is not a readable image');
+    }
+
+    // The declared MIME type is client-supplied, so check the real format too
+    const output = OUTPUT_FORMATS[metadata.format];
+    if (!output) {
+      throw new Error(`Unsupported image format: ${metadata.format}`);
+    }
+
+    // rotate() applies the EXIF orientation before the metadata is discarded
+    const base = sharp(buffer).rotate();
+
+    const { data: image, info } = await base
+      .clone()
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .toFormat(metadata.format)
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await base
+      .clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+      .toFormat(metadata.format)
+      .toBuffer();
+
+    return {
+      image,
+      thumbnail,
+      width: info.width,
+      height: info.height,
+      ...output
+    };
+  }
+
+  /**
+   * Process and store an uploaded file for an item. Returns the reference
+   * kept on Item.images.
+   */
+  static async storeItemImage(itemId, file, uploadedBy) {
+    const processed = await this.processImage(file.buffer);
+    const id = crypto.randomUUID();
+
+    const key = `items/${itemId}/${id}.${processed.extension}`;
+    const thumbnailKey = `items/${itemId}/${id}_thumb.${processed.extension}`;
+
+    const stored = await storage.save(key, processed.image, processed.contentType);
+
+    let storedThumbnail;
+    try {
+      storedThumbnail = await storage.save(thumbnailKey, processed.thumbnail, processed.contentType);
+    } catch (error) {
+      await storage.remove(key);
+      throw error;
+    }
+
+    return {
+      key,
+      url: stored.url,
+      thumbnailKey,
+      thumbnailUrl: storedThumbnail.url,
+      contentType: processed.contentType,
+      size: processed.image.length,
+      width: processed.width,
+      height: processed.height,
+      originalName: file.originalname,
+      uploadedBy
+    };
+  }
+
+  /**
+   * Remove the stored files behind an image reference. Errors are logged so
+   * a missing file never blocks deleting the reference itself. External
+   * references (migrated plain URLs) have no stored files.
+   */
+  static async removeImageFiles(image) {
+    const keys = [image.key, image.thumbnailKey].filter(key => key && !key.startsWith('external/'));
+
+    await Promise.all(keys.map(async (key) => {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error(`Error removing stored file ${key}:`, error);
+      }
+    }));
+  }
+}
+
+ImageService.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
+ImageService.MAX_IMAGE_SIZE = MAX_IMAGE_SIZE;
+ImageService.MAX_IMAGES_PER_ITEM = MAX_IMAGES_PER_ITEM;
+
+module.exports = ImageService;
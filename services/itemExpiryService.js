@@ -0,0 +1,79 @@
+// services/itemExpiryService.js
+const Item = require('../models/Item');
+const NotificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_DAYS = parseInt(process.env.EXPIRY_REMINDER_DAYS, 10) || 3;
+
+// Items that expired longer ago than this are never announced, so the first
+// sweep after deploying doesn't notify about every listing that ever expired
+const EXPIRED_NOTICE_LOOKBACK_DAYS = 7;
+
+// Items whose notice of the given kind hasn't been sent for their current expiryDate
+const noticePending = kind => ({
+  $expr: { $ne: [`$expiryNotices.${kind}`, '$expiryDate'] }
+});
+
+class ItemExpiryService {
+
+  /**
+   * Expire active listings past their expiry date, then tell the reporter
+   * of every newly expired item, including ones expired on save or by staff
+   */
+  static async expireOverdueItems() {
+    const result = await Item.expireOverdue();
+
+    const items = await Item.find({
+      status: 'expired',
+      expiryDate: { $gte: new Date(Date.now() - EXPIRED_NOTICE_LOOKBACK_DAYS * DAY_MS) },
+      ...noticePending('expiredFor')
+    }).select('title type reportedBy expiryDate');
+
+    const notified = await this.sendNotices(items, 'expiredFor', item =>
+      NotificationService.handleItemExpired(item));
+
+    return { expired: result.modifiedCount, notified };
+  }
+
+  /**
+   * Remind reporters that their listing expires within REMINDER_DAYS,
+   * once per expiry date
+   */
+  static async sendDeadlineReminders() {
+    const now = new Date();
+
+    const items = await Item.find({
+      status: 'active',
+      expiryDate: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS * DAY_MS) },
+      ...noticePending('reminderFor')
+    }).select('title type reportedBy expiryDate');
+
+    const reminded = await this.sendNotices(items, 'reminderFor', item =>
+      NotificationService.handleDeadlineReminder(item, Math.ceil((item.expiryDate - now) / DAY_MS)));
+
+    return { reminded };
+  }
+
+  /**
+   * Mark each notice as sent before sending it, so a retried or overlapping
+   * run can never notify twice
+   */
+  static async sendNotices(items, kind, send) {
+    let sent = 0;
+
+    for (const item of items) {
+      const marked = await Item.updateOne(
+        { _id: item._id, expiryDate: item.expiryDate, ...noticePending(kind) },
+        { $set: { [`expiryNotices.${kind}`]: item.expiryDate } }
+      );
+      if (marked.modifiedCount === 0) continue;
+
+      await send(item);
+      sent += 1;
+    }
+
+    return sent;
+  }
+}
+
+module.exports = ItemExpiryService;
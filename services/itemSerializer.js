@@ -0,0 +1,134 @@
+// services/itemSerializer.js
+const PermissionService = require('./permissionService');
+
+const idOf = ref => ref && (ref._id || ref).toString();
+
+// "Jane Doe" -> "Jane D."
+const maskName = (name = '') => {
+  const [first, ...rest] = name.trim().split(/\s+/);
+  return [first, ...rest.map(part => `${part[0]}.`)].join(' ');
+};
+
+// "jane.doe@example.com" -> "j***@example.com"
+const maskEmail = (email = '') => {
+  const [local, domain] = email.split('@');
+  return domain ? `${local[0]}***@${domain}` : '***';
+};
+
+// "+94 77 123 4567" -> "+** ** *** **67"
+const maskPhone = (phone = '') => phone.replace(/\d(?=(?:\D*\d){2})/g, '*');
+
+const claimSummary = claim => ({
+  _id: claim._id,
+  status: claim.status,
+  createdAt: claim.createdAt,
+  updatedAt: claim.updatedAt
+});
+
+class ItemSerializer {
+
+  /**
+   * How much of an item a viewer may see: branch staff see everything, the
+   * reporter their own listing, a claimant their own claim, and everyone
+   * else (including anonymous visitors) the public listing
+   */
+  static viewerRole(item, user, permissions) {
+    if (!user) return 'public';
+
+    if (permissions.has('claims.view') && PermissionService.coversBranch(user, permissions, item.branch)) {
+      return 'staff';
+    }
+    if (idOf(item.reportedBy) === user.id) return 'reporter';
+    if ((item.claims || []).some(claim => idOf(claim.claimedBy) === user.id)) return 'claimant';
+
+    return 'public';
+  }
+
+  /**
+   * The reporter's contact details as a viewer may see them. Platform-only
+   * listings show none; otherwise they are masked unless the viewer holds
+   * an approved claim on the item.
+   */
+  static contactFor(item, role, user) {
+    const contactInfo = item.contactInfo || {};
+
+    if (item.contactPreference === 'platform') return null;
+
+    const approvedClaimant = role === 'claimant' && item.claims.some(claim =>
+      idOf(claim.claimedBy) === user.id && claim.status === 'approved');
+    if (approvedClaimant) return contactInfo;
+
+    return {
+      name: maskName(contactInfo.name),
+      email: maskEmail(contactInfo.email),
+      phone: maskPhone(contactInfo.phone)
+    };
+  }
+
+  /**
+   * Shape an item (document or plain object) for the viewer; user and
+   * permissions are empty for anonymous requests
+   */
+  static serialize(item, user, permissions = new Set()) {
+    const data = typeof item.toJSON === 'function' ? item.toJSON() : { ...item };
+    const role = this.viewerRole(data, user, permissions);
+
+    if (role === 'staff') return data;
+
+    const { claims = [], statusHistory, renewals, expiryNotices, ...listing } = data;
+
+    if (role === 'reporter') {
+      return {
+        ...listing,
+        statusHistory,
+        renewals,
+        claimsSummary: {
+          total: claims.length,
+          pending: claims.filter(claim => claim.status === 'pending').length,
+          approved: claims.filter(claim => claim.status === 'approved').length,
+          rejected: claims.filter(claim => claim.status === 'rejected').length,
+          withdrawn: claims.filter(claim => claim.status === 'withdrawn').length,
+          claims: claims.map(claimSummary)
+        }
+      };
+    }
+
+    // Only a claimant sees who reported the item; the public listing gets
+    // the reporter's name masked, as with the contact details
+    const reporterName = listing.reportedBy && listing.reportedBy.name;
+    const shaped = {
+      ...listing,
+      reportedBy: listing.reportedBy && {
+        _id: idOf(listing.reportedBy),
+        name: role === 'claimant' ? reporterName : reporterName && maskName(reporterName)
+      },
+      contactInfo: this.contactFor({ ...data, claims }, role, user)
+    };
+
+    if (role === 'claimant') {
+      shaped.myClaims = claims
+        .filter(claim => idOf(claim.claimedBy) === user.id)
+        .map(claim => ({
+          ...claimSummary(claim),
+          notes: claim.notes,
+          rejections: (claim.rejections || []).map(({ reason, automatic, rejectedAt }) => ({ reason, automatic, rejectedAt })),
+          withdrawal: claim.withdrawal,
+          appeal: claim.appeal && {
+            status: claim.appeal.status,
+            reason: claim.appeal.reason,
+            decisionNotes: claim.appeal.decisionNotes,
+            submittedAt: claim.appeal.submittedAt,
+            decidedAt: claim.appeal.decidedAt
+          }
+        }));
+    }
+
+    return shaped;
+  }
+
+  static serializeMany(items, user, permissions) {
+    return items.map(item => this.serialize(item, user, permissions));
+  }
+}
+
+module.exports = ItemSerializer;
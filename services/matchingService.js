@@ -0,0 +1,412 @@
+// services/matchingService.js
+const Item = require('../models/Item');
+const Match = require('../models/Match');
+const NotificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Relative importance of each factor. Weights are normalized at scoring time,
+// so callers only need to supply them in the right proportion.
+const DEFAULT_WEIGHTS = {
+  text: 0.35,
+  details: 0.25,
+  location: 0.2,
+  date: 0.2
+};
+
+const DEFAULT_OPTIONS = {
+  minScore: 30,       // 0-100, candidates below this are dropped
+  maxDays: 30,        // candidate window either side of the source item's date
+  maxDistanceKm: 25,  // location score falls to 0 at this distance
+  limit: 20
+};
+
+// Score a background pass must reach before reporters are notified
+const AUTO_MATCH_MIN_SCORE = Number(process.env.AUTO_MATCH_MIN_SCORE) || 60;
+
+// Fields that, when changed, warrant a fresh matching pass
+const MATCH_FIELDS = [
+  'title', 'description', 'category', 'type', 'location', 'district', 'geoLocation', 'date',
+  'additionalDetails'
+];
+
+// Item IDs with a pass already queued or running, each flagged when the
+// item changes again after its pass has read it
+const pendingPasses = new Map();
+
+// Identifiers (serial numbers, ID numbers) are far more telling than a colour
+const DETAIL_WEIGHTS = {
+  identifiers: 0.4,
+  brand: 0.25,
+  color: 0.2,
+  size: 0.15
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'is', 'it', 'my', 'near',
+  'of', 'on', 'or', 'the', 'to', 'was', 'with', 'lost', 'found', 'item'
+]);
+
+class MatchingService {
+
+  /**
+   * Split free text into a set of normalized, comparable tokens
+   */
+  static tokenize(text) {
+    if (!text) return new Set();
+
+    const tokens = String(text)
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+      .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss'))
+        ? token.slice(0, -1)
+        : token);
+
+    return new Set(tokens);
+  }
+
+  /**
+   * Dice coefficient between two token sets (0-1)
+   */
+  static similarity(tokensA, tokensB) {
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    let shared = 0;
+    tokensA.forEach(token => {
+      if (tokensB.has(token)) shared++;
+    });
+
+    return (2 * shared) / (tokensA.size + tokensB.size);
+  }
+
+  static sharedTokens(tokensA, tokensB) {
+    return [...tokensA].filter(token => tokensB.has(token));
+  }
+
+  /**
+   * Title and description overlap. The title carries more weight because
+   * descriptions tend to be long and noisy.
+   */
+  static scoreText(source, candidate) {
+    const sourceTitle = this.tokenize(source.title);
+    const candidateTitle = this.tokenize(candidate.title);
+    const sourceAll = this.tokenize(`${source.title} ${source.description}`);
+    const candidateAll = this.tokenize(`${candidate.title} ${candidate.description}`);
+
+    const titleScore = this.similarity(sourceTitle, candidateTitle);
+    const descriptionScore = this.similarity(sourceAll, candidateAll);
+
+    return {
+      score: 0.6 * titleScore + 0.4 * descriptionScore,
+      matched: this.sharedTokens(sourceAll, candidateAll)
+    };
+  }
+
+  /**
+   * Compare additionalDetails field by field. Only fields filled in on both
+   * items are compared; returns null when there is nothing to compare.
+   */
+  static scoreDetails(source, candidate) {
+    const sourceDetails = source.additionalDetails || {};
+    const candidateDetails = candidate.additionalDetails || {};
+
+    let weightedScore = 0;
+    let totalWeight = 0;
+    const fields = {};
+
+    Object.keys(DETAIL_WEIGHTS).forEach(field => {
+      const sourceTokens = this.tokenize(sourceDetails[field]);
+      const candidateTokens = this.tokenize(candidateDetails[field]);
+
+      if (sourceTokens.size === 0 || candidateTokens.size === 0) return;
+
+      const fieldScore = this.similarity(sourceTokens, candidateTokens);
+      fields[field] = Number(fieldScore.toFixed(2));
+      weightedScore += DETAIL_WEIGHTS[field] * fieldScore;
+      totalWeight += DETAIL_WEIGHTS[field];
+    });
+
+    if (totalWeight === 0) return null;
+
+    return {
+      score: weightedScore / totalWeight,
+      fields
+    };
+  }
+
+  /**
+   * Great-circle distance in km between two GeoJSON points
+   */
+  static distanceKm(pointA, pointB) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const [lngA, latA] = pointA.coordinates;
+    const [lngB, latB] = pointB.coordinates;
+
+    const dLat = toRadians(latB - latA);
+    const dLng = toRadians(lngB - lngA);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(latA)) * Math.cos(toRadians(latB)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * 6371 * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Real distance when both items have coordinates; otherwise same district
+   * plus overlap of the free-text location
+   */
+  static scoreLocation(source, candidate, maxDistanceKm = DEFAULT_OPTIONS.maxDistanceKm) {
+    const hasPoint = item => Boolean(item.geoLocation && item.geoLocation.coordinates &&
+      item.geoLocation.coordinates.length === 2);
+
+    if (hasPoint(source) && hasPoint(candidate)) {
+      const distance = this.distanceKm(source.geoLocation, candidate.geoLocation);
+
+      return {
+        score: Math.max(0, 1 - distance / maxDistanceKm),
+        distanceKm: Number(distance.toFixed(2))
+      };
+    }
+
+    const sameDistrict = Boolean(source.district && candidate.district) &&
+      source.district.trim().toLowerCase() === candidate.district.trim().toLowerCase();
+
+    const sourceLocation = (source.location || '').trim().toLowerCase();
+    const candidateLocation = (candidate.location || '').trim().toLowerCase();
+
+    const locationScore = sourceLocation && sourceLocation === candidateLocation
+      ? 1
+      : this.similarity(this.tokenize(sourceLocation), this.tokenize(candidateLocation));
+
+    return {
+      score: 0.4 * (sameDistrict ? 1 : 0) + 0.6 * locationScore,
+      sameDistrict
+    };
+  }
+
+  /**
+   * Linear decay from 1 (same day) to 0 at maxDays apart
+   */
+  static scoreDate(source, candidate, maxDays) {
+    const daysApart = Math.abs(new Date(source.date) - new Date(candidate.date)) / DAY_MS;
+
+    return {
+      score: Math.max(0, 1 - daysApart / maxDays),
+      daysApart: Number(daysApart.toFixed(1))
+    };
+  }
+
+  /**
+   * Score a candidate against the source item.
+   * Returns the overall score (0-100) and a per-factor breakdown.
+   */
+  static scorePair(source, candidate, weights = DEFAULT_WEIGHTS, limits = DEFAULT_OPTIONS) {
+    const factors = {
+      text: this.scoreText(source, candidate),
+      details: this.scoreDetails(source, candidate),
+      location: this.scoreLocation(source, candidate, limits.maxDistanceKm),
+      date: this.scoreDate(source, candidate, limits.maxDays)
+    };
+
+    // Factors without data (null) are left out and the rest re-normalized
+    const applicableWeight = Object.keys(factors)
+      .filter(name => factors[name] !== null)
+      .reduce((sum, name) => sum + (weights[name] || 0), 0);
+
+    let total = 0;
+    const breakdown = {};
+
+    Object.keys(factors).forEach(name => {
+      const factor = factors[name];
+
+      if (factor === null) {
+        breakdown[name] = { score: null, weight: 0, contribution: 0 };
+        return;
+      }
+
+      const weight = applicableWeight > 0 ? (weights[name] || 0) / applicableWeight : 0;
+      const contribution = factor.score * weight * 100;
+      total += contribution;
+
+      const { score, ...detail } = factor;
+      breakdown[name] = {
+        score: Number((score * 100).toFixed(1)),
+        weight: Number(weight.toFixed(3)),
+        contribution: Number(contribution.toFixed(1)),
+        ...detail
+      };
+    });
+
+    return {
+      score: Number(total.toFixed(1)),
+      breakdown
+    };
+  }
+
+  /**
+   * Merge caller-supplied weights/thresholds with the defaults
+   */
+  static resolveOptions(overrides = {}) {
+    const weights = { ...DEFAULT_WEIGHTS };
+
+    Object.keys(DEFAULT_WEIGHTS).forEach(name => {
+      const value = overrides.weights ? overrides.weights[name] : undefined;
+      if (value !== undefined && value !== null && !isNaN(value)) {
+        weights[name] = Number(value);
+      }
+    });
+
+    const pick = (key) => {
+      const value = overrides[key];
+      return value !== undefined && value !== null && !isNaN(value)
+        ? Number(value)
+        : DEFAULT_OPTIONS[key];
+    };
+
+    return {
+      weights,
+      minScore: pick('minScore'),
+      maxDays: pick('maxDays'),
+      maxDistanceKm: pick('maxDistanceKm'),
+      limit: pick('limit')
+    };
+  }
+
+  /**
+   * Find and rank active opposite-type candidates for an item. Only a
+   * background pass sets `persist` to record the ranked pairs; a search
+   * just reads the records already kept for them.
+   */
+  static async findMatches(sourceItem, overrides = {}) {
+    const { weights, minScore, maxDays, maxDistanceKm, limit } = this.resolveOptions(overrides);
+    const { persist = false } = overrides;
+
+    const oppositeType = sourceItem.type === 'lost' ? 'found' : 'lost';
+    const sourceDate = new Date(sourceItem.date).getTime();
+
+    const candidates = await Item.find({
+      _id: { $ne: sourceItem._id },
+      type: oppositeType,
+      category: sourceItem.category,
+      status: 'active',
+      date: {
+        $gte: new Date(sourceDate - maxDays * DAY_MS),
+        $lte: new Date(sourceDate + maxDays * DAY_MS)
+      }
+    }).populate('reportedBy', 'name email');
+
+    // Pairs already on record, by the other item; those a reporter or staff
+    // member dismissed stay hidden
+    const records = new Map((await Match.forItem(sourceItem._id)).map(match => [
+      (match.lostItem.equals(sourceItem._id) ? match.foundItem : match.lostItem).toString(),
+      match
+    ]));
+    const isDismissed = candidate => {
+      const record = records.get(candidate._id.toString());
+      return Boolean(record) && record.status === 'dismissed';
+    };
+
+    const ranked = candidates
+      .filter(candidate => !isDismissed(candidate))
+      .map(candidate => ({
+        item: candidate,
+        ...this.scorePair(sourceItem, candidate, weights, { maxDays, maxDistanceKm })
+      }))
+      .filter(match => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    // Pairs not on record yet come back without an id; saving one is up
+    // to the reporter (POST /api/items/:id/matches)
+    const matches = await Promise.all(ranked.map(async (match) => {
+      const record = persist
+        ? await Match.recordSuggestion(sourceItem, match.item, match.score, match.breakdown)
+        : records.get(match.item._id.toString());
+      return {
+        matchId: record ? record._id : null,
+        status: record ? record.status : null,
+        ...match
+      };
+    }));
+
+    return {
+      matches,
+      options: { weights, minScore, maxDays, maxDistanceKm, limit }
+    };
+  }
+
+  /**
+   * Whether an update touches any field that affects matching
+   */
+  static affectsMatching(updates = {}) {
+    return MATCH_FIELDS.some(field => updates[field] !== undefined);
+  }
+
+  /**
+   * Queue a background matching pass for an item. Passes for the same item
+   * are coalesced; an update that arrives while a pass is running gets one
+   * more pass after it. Failures are logged rather than surfaced to the caller.
+   */
+  static queueMatching(itemId) {
+    const key = itemId.toString();
+    if (pendingPasses.has(key)) {
+      pendingPasses.set(key, true);
+      return;
+    }
+
+    pendingPasses.set(key, false);
+
+    setImmediate(async () => {
+      do {
+        // Anything arriving from here on is after this pass reads the item
+        pendingPasses.set(key, false);
+        try {
+          await this.runMatchingPass(key);
+        } catch (error) {
+          console.error('Auto-matching error (non-blocking):', error);
+        }
+      } while (pendingPasses.get(key));
+
+      pendingPasses.delete(key);
+    });
+  }
+
+  /**
+   * Match an item against active opposite-type items and notify both
+   * reporters of every pair above the auto-match threshold, once per Match.
+   */
+  static async runMatchingPass(itemId) {
+    const item = await Item.findById(itemId);
+    if (!item || item.status !== 'active') return [];
+
+    const { matches } = await this.findMatches(item, { minScore: AUTO_MATCH_MIN_SCORE, persist: true });
+    const notified = [];
+
+    for (const match of matches) {
+      const matchedItem = match.item;
+      const matchedReporter = matchedItem.reportedBy._id || matchedItem.reportedBy;
+
+      // Nothing to tell someone who reported both sides
+      if (matchedReporter.toString() === item.reportedBy.toString()) continue;
+
+      // Claim the notification atomically so concurrent passes can't both send it
+      const unnotified = await Match.findOneAndUpdate(
+        { _id: match.matchId, status: 'suggested', notifiedAt: { $exists: false } },
+        { $set: { notifiedAt: new Date() } }
+      );
+      if (!unnotified) continue;
+
+      await NotificationService.handleMatchFound(item, matchedItem, match.score);
+      await NotificationService.handleMatchFound(matchedItem, item, match.score);
+      notified.push(matchedItem._id);
+    }
+
+    return notified;
+  }
+}
+
+MatchingService.MATCH_FIELDS = MATCH_FIELDS;
+MatchingService.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+MatchingService.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = MatchingService;
@@ -1,6 +1,7 @@
 // services/notificationService.js
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const PermissionService = require('./permissionService');
 
 class NotificationService {
   
@@ -40,18 +41,21 @@ class NotificationService {
   }
 
   /**
-   * Get all admin and staff user IDs
+   * Get IDs of active users holding a permission, optionally only those
+   * whose permissions reach a branch (its own staff, or branches.all)
    */
-  static async getAdminStaffIds() {
+  static async getUserIdsWithPermission(permission, branch) {
     try {
-      const adminStaff = await User.find({ 
-        role: { $in: ['admin', 'staff'] },
-        isActive: true 
-      }).select('_id');
+      const conditions = [await PermissionService.holdersFilter(permission)];
+      if (branch) {
+        conditions.push({ $or: [{ branch }, await PermissionService.holdersFilter('branches.all')] });
+      }
+
+      const holders = await User.find({ $and: conditions, isActive: true }).select('_id');
       
-      return adminStaff.map(user => user._id);
+      return holders.map(user => user._id);
     } catch (error) {
-      console.error('Error getting admin/staff IDs:', error);
+      console.error('Error getting user IDs with permission:', error);
       return [];
     }
   }
@@ -59,7 +63,7 @@ class NotificationService {
   /**
    * Handle claim submitted notifications
    */
-  static async handleClaimSubmitted(item, claimant) {
+  static async handleClaimSubmitted(item, claimant, reviewerId) {
     try {
       // 1. Notify item owner
       await this.createNotification(item.reportedBy, {
@@ -75,20 +79,26 @@ class NotificationService {
         }
       });
 
-      // 2. Notify all admins and staff
-      const adminStaffIds = await this.getAdminStaffIds();
-      
-      if (adminStaffIds.length > 0) {
-        await this.createBulkNotifications(adminStaffIds, {
+      // 2. Notify the assigned reviewer, or the branch admins when the
+      // branch had nobody to assign it to
+      const recipientIds = reviewerId
+        ? [reviewerId]
+        : await this.getUserIdsWithPermission('claims.assign', item.branch);
+
+      if (recipientIds.length > 0) {
+        await this.createBulkNotifications(recipientIds, {
           type: 'claim_submitted',
-          title: 'New Claim Requires Review',
-          message: `${claimant.name} submitted a claim for ${item.type} item "${item.title}". Please review and approve/reject.`,
+          title: reviewerId ? 'New Claim Requires Review' : 'New Claim Needs a Reviewer',
+          message: reviewerId
+            ? `${claimant.name} submitted a claim for ${item.type} item "${item.title}". Please review and approve/reject.`
+            : `${claimant.name} submitted a claim for ${item.type} item "${item.title}", but no reviewer is available at the branch.`,
           relatedItem: item._id,
           relatedUser: claimant._id,
           data: {
             itemTitle: item.title,
             itemType: item.type,
             claimantName: claimant.name,
+            assigned: Boolean(reviewerId),
             requiresAction: true
           }
         });
@@ -109,14 +119,19 @@ class NotificationService {
       await this.createNotification(claimant._id, {
         type: 'claim_approved',
         title: 'Claim Approved!',
-        message: `Great news! Your claim for "${item.title}" has been approved. Please contact the item owner to arrange pickup.`,
+        message: item.branch
+          ? `Great news! Your claim for "${item.title}" has been approved. Book a pickup time at the branch from your claims page.`
+          : item.contactPreference === 'platform'
+            ? `Great news! Your claim for "${item.title}" has been approved. Message the item owner through the claim conversation to arrange pickup.`
+            : `Great news! Your claim for "${item.title}" has been approved. Please contact the item owner to arrange pickup.`,
         relatedItem: item._id,
         relatedUser: approvedBy._id,
         data: {
           itemTitle: item.title,
           itemType: item.type,
           approvedBy: approvedBy.name,
-          contactInfo: item.contactInfo
+          contactInfo: item.contactPreference === 'platform' ? null : item.contactInfo,
+          canBookPickup: Boolean(item.branch)
         }
       });
 
@@ -163,6 +178,293 @@ class NotificationService {
     }
   }
 
+  /**
+   * Handle claim withdrawn notifications for the item's reporter
+   */
+  static async handleClaimWithdrawn(item, claimant, reason) {
+    try {
+      await this.createNotification(item.reportedBy, {
+        type: 'claim_withdrawn',
+        title: 'Claim Withdrawn',
+        message: `${claimant.name} withdrew their claim for your ${item.type} item "${item.title}".`,
+        relatedItem: item._id,
+        relatedUser: claimant._id,
+        data: {
+          itemTitle: item.title,
+          itemType: item.type,
+          claimantName: claimant.name,
+          reason
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling claim withdrawn notifications:', error);
+    }
+  }
+
+  /**
+   * Handle a decided claim being put back into review
+   */
+  static async handleClaimReopened(item, claimant, updatedBy) {
+    try {
+      await this.createNotification(claimant._id, {
+        type: 'claim_under_review',
+        title: 'Claim Back Under Review',
+        message: `Your claim for "${item.title}" is being reviewed again.`,
+        relatedItem: item._id,
+        relatedUser: updatedBy._id,
+        data: {
+          itemTitle: item.title,
+          itemType: item.type,
+          updatedBy: updatedBy.name
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling claim reopened notifications:', error);
+    }
+  }
+
+  /**
+   * Handle claim appeal notifications for everyone who can decide claims
+   */
+  static async handleClaimAppealed(item, claim, claimant) {
+    try {
+      const reviewerIds = await this.getUserIdsWithPermission('claims.approve', item.branch);
+      if (reviewerIds.length === 0) return;
+
+      await this.createBulkNotifications(reviewerIds, {
+        type: 'claim_appealed',
+        title: 'Claim Appeal Requires Review',
+        message: `${claimant.name} appealed the rejection of their claim for ${item.type} item "${item.title}".`,
+        relatedItem: item._id,
+        relatedUser: claimant._id,
+        data: {
+          claimId: claim._id,
+          itemTitle: item.title,
+          itemType: item.type,
+          claimantName: claimant.name,
+          documentCount: claim.appeal.documents.length,
+          requiresAction: true
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling claim appealed notifications:', error);
+    }
+  }
+
+  /**
+   * Handle a claim being handed to a reviewer by someone else
+   */
+  static async handleClaimAssigned(item, claim, assignedBy) {
+    try {
+      await this.createNotification(claim.reviewer, {
+        type: 'claim_assigned',
+        title: 'Claim Assigned to You',
+        message: `${assignedBy.name} assigned you a claim for ${item.type} item "${item.title}".`,
+        relatedItem: item._id,
+        relatedUser: assignedBy._id,
+        data: {
+          claimId: claim._id,
+          itemTitle: item.title,
+          itemType: item.type,
+          assignedBy: assignedBy.name,
+          requiresAction: true
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling claim assigned notifications:', error);
+    }
+  }
+
+  /**
+   * Handle claims pending past the review SLA: the branch admins and the
+   * assigned reviewer hear about it
+   */
+  static async handleClaimEscalated(item, claim, dueAt) {
+    try {
+      const adminIds = await this.getUserIdsWithPermission('claims.assign', item.branch);
+      const recipientIds = [...adminIds, ...(claim.reviewer ? [claim.reviewer] : [])]
+        .filter((id, index, ids) => ids.findIndex(other => other.toString() === id.toString()) === index);
+
+      if (recipientIds.length === 0) return;
+
+      await this.createBulkNotifications(recipientIds, {
+        type: 'claim_escalated',
+        title: 'Claim Review Overdue',
+        message: `A claim for ${item.type} item "${item.title}" has been pending past its review deadline.`,
+        relatedItem: item._id,
+        data: {
+          claimId: claim._id,
+          itemTitle: item.title,
+          itemType: item.type,
+          reviewer: claim.reviewer,
+          dueAt,
+          requiresAction: true
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling claim escalated notifications:', error);
+    }
+  }
+
+  /**
+   * Handle appeal progress notifications for the claimant
+   */
+  static async handleAppealUpdated(item, claim, updatedBy) {
+    const messages = {
+      under_review: `Your appeal for "${item.title}" is now being reviewed.`,
+      granted: `Your appeal for "${item.title}" was granted. Your claim is back under review.`,
+      denied: `Your appeal for "${item.title}" was denied. The original decision stands.`
+    };
+
+    try {
+      await this.createNotification(claim.claimedBy._id || claim.claimedBy, {
+        type: 'appeal_updated',
+        title: 'Appeal Update',
+        message: messages[claim.appeal.status],
+        relatedItem: item._id,
+        relatedUser: updatedBy._id,
+        data: {
+          claimId: claim._id,
+          itemTitle: item.title,
+          itemType: item.type,
+          appealStatus: claim.appeal.status,
+          notes: claim.appeal.decisionNotes
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling appeal updated notifications:', error);
+    }
+  }
+
+  /**
+   * Who at the branch hears about a claim's pickup: the claim's reviewer,
+   * or whoever handles returns there when it has none
+   */
+  static async getPickupStaffIds(claim, branchId) {
+    if (claim && claim.reviewer) return [claim.reviewer._id || claim.reviewer];
+    return this.getUserIdsWithPermission('items.return', branchId);
+  }
+
+  /**
+   * Handle a pickup being booked, for the branch staff who will hand it over
+   */
+  static async handlePickupBooked(appointment, item, branch, claim, claimant) {
+    try {
+      const staffIds = await this.getPickupStaffIds(claim, branch._id);
+      if (staffIds.length === 0) return;
+
+      await this.createBulkNotifications(staffIds, {
+        type: 'pickup_booked',
+        title: 'Pickup Booked',
+        message: `${claimant.name} booked a pickup of "${item.title}" for ${branch.localTimeLabel(appointment.startsAt)}.`,
+        relatedItem: item._id,
+        relatedUser: claimant._id,
+        data: {
+          appointmentId: appointment._id,
+          claimId: claim._id,
+          itemTitle: item.title,
+          itemType: item.type,
+          startsAt: appointment.startsAt,
+          endsAt: appointment.endsAt
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling pickup booked notifications:', error);
+    }
+  }
+
+  /**
+   * Handle a pickup being moved or cancelled, for the claimant and branch
+   * staff other than whoever made the change
+   */
+  static async handlePickupUpdated(appointment, item, branch, claim, updatedBy) {
+    const cancelled = appointment.status === 'cancelled';
+    const when = branch.localTimeLabel(appointment.startsAt);
+
+    try {
+      const staffIds = await this.getPickupStaffIds(claim, branch._id);
+      const recipientIds = [appointment.claimant, ...staffIds]
+        .filter((id, index, ids) => ids.findIndex(other => other.toString() === id.toString()) === index)
+        .filter(id => id.toString() !== updatedBy._id.toString());
+
+      if (recipientIds.length === 0) return;
+
+      await this.createBulkNotifications(recipientIds, {
+        type: 'pickup_updated',
+        title: cancelled ? 'Pickup Cancelled' : 'Pickup Rescheduled',
+        message: cancelled
+          ? `${updatedBy.name} cancelled the pickup of "${item.title}" on ${when}.`
+          : `${updatedBy.name} moved the pickup of "${item.title}" to ${when}.`,
+        relatedItem: item._id,
+        relatedUser: updatedBy._id,
+        data: {
+          appointmentId: appointment._id,
+          claimId: claim._id,
+          itemTitle: item.title,
+          itemType: item.type,
+          status: appointment.status,
+          startsAt: appointment.startsAt,
+          endsAt: appointment.endsAt,
+          reason: cancelled ? appointment.cancellation.reason : undefined
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling pickup updated notifications:', error);
+    }
+  }
+
+  /**
+   * Handle pickup reminders for the claimant and branch staff
+   */
+  static async handlePickupReminder(appointment, item, branch, claim) {
+    const when = branch.localTimeLabel(appointment.startsAt);
+
+    try {
+      await this.createNotification(appointment.claimant, {
+        type: 'pickup_reminder',
+        title: 'Pickup Reminder',
+        message: `Reminder: your pickup of "${item.title}" at the ${branch.name} branch is on ${when}. Please bring photo ID.`,
+        relatedItem: item._id,
+        data: {
+          appointmentId: appointment._id,
+          itemTitle: item.title,
+          itemType: item.type,
+          startsAt: appointment.startsAt,
+          branchName: branch.name,
+          branchAddress: branch.address
+        }
+      });
+
+      const staffIds = await this.getPickupStaffIds(claim, branch._id);
+      if (staffIds.length === 0) return;
+
+      await this.createBulkNotifications(staffIds, {
+        type: 'pickup_reminder',
+        title: 'Upcoming Pickup',
+        message: `"${item.title}" is due to be collected on ${when}.`,
+        relatedItem: item._id,
+        relatedUser: appointment.claimant,
+        data: {
+          appointmentId: appointment._id,
+          itemTitle: item.title,
+          itemType: item.type,
+          startsAt: appointment.startsAt
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling pickup reminder notifications:', error);
+    }
+  }
+
   /**
    * Handle item returned notifications
    */
@@ -209,6 +511,60 @@ class NotificationService {
     }
   }
 
+  /**
+   * Handle new message notifications for everyone in the thread but the sender
+   */
+  static async handleNewMessage(conversation, message, sender, item) {
+    try {
+      const recipientIds = conversation.participants
+        .map(participant => participant.user._id || participant.user)
+        .filter(userId => userId.toString() !== sender._id.toString());
+
+      if (recipientIds.length === 0) return;
+
+      await this.createBulkNotifications(recipientIds, {
+        type: 'new_message',
+        title: 'New Message',
+        message: `${sender.name} sent a message about "${item.title}".`,
+        relatedItem: item._id,
+        relatedUser: sender._id,
+        data: {
+          conversationId: conversation._id,
+          messageId: message._id,
+          itemTitle: item.title,
+          senderName: sender.name,
+          preview: (message.body || '').slice(0, 100),
+          attachmentCount: message.attachments.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling new message notifications:', error);
+    }
+  }
+
+  /**
+   * Handle item expired notifications
+   */
+  static async handleItemExpired(item) {
+    try {
+      await this.createNotification(item.reportedBy, {
+        type: 'item_expired',
+        title: 'Item Listing Expired',
+        message: `Your ${item.type} item "${item.title}" has expired and is no longer listed.`,
+        relatedItem: item._id,
+        data: {
+          itemTitle: item.title,
+          itemType: item.type,
+          expiryDate: item.expiryDate
+        }
+      });
+
+    } catch (error) {
+      console.error('Error handling item expired notifications:', error);
+    }
+  }
+
   /**
    * Handle match found notifications
    */
@@ -220,6 +576,7 @@ class NotificationService {
         message: `We found a potential match for your ${item.type} item "${item.title}". Check it out!`,
         relatedItem: matchedItem._id,
         data: {
+          originalItemId: item._id,
           originalItemTitle: item.title,
           originalItemType: item.type,
           matchedItemTitle: matchedItem.title,
@@ -0,0 +1,74 @@
+// services/permissionService.js
+const Role = require('../models/Role');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+
+const ROLE_CACHE_MS = 30 * 1000;
+
+let roleCache = null;
+
+class PermissionService {
+
+  /**
+   * Permissions of every active custom role, keyed by role. Cached briefly
+   * because it is read on every authenticated request.
+   */
+  static async getCustomRoles() {
+    if (roleCache && roleCache.expiresAt > Date.now()) {
+      return roleCache.roles;
+    }
+
+    const roles = await Role.find({ isActive: true }).select('key permissions').lean();
+    const byKey = new Map(roles.map(role => [role.key, role.permissions]));
+
+    roleCache = { roles: byKey, expiresAt: Date.now() + ROLE_CACHE_MS };
+    return byKey;
+  }
+
+  static clearCache() {
+    roleCache = null;
+  }
+
+  static async getRolePermissions(roleKey) {
+    if (BUILT_IN_ROLES[roleKey]) return BUILT_IN_ROLES[roleKey].permissions;
+
+    const customRoles = await this.getCustomRoles();
+    return customRoles.get(roleKey) || [];
+  }
+
+  /**
+   * Everything a user may do: their role's permissions plus any granted to
+   * them directly
+   */
+  static async resolve(user) {
+    const rolePermissions = await this.getRolePermissions(user.role);
+    return new Set([...rolePermissions, ...(user.permissions || [])]);
+  }
+
+  /**
+   * Whether a user's permissions reach a branch: every branch with
+   * branches.all, otherwise only their own
+   */
+  static coversBranch(user, permissions, branch) {
+    if (permissions.has('branches.all')) return true;
+
+    return Boolean(user.branch && branch) &&
+      (branch._id || branch).toString() === user.branch.toString();
+  }
+
+  /**
+   * User filter matching everyone who holds a permission, through their
+   * role or a direct grant
+   */
+  static async holdersFilter(permission) {
+    const customRoles = await this.getCustomRoles();
+
+    const roles = [
+      ...Object.keys(BUILT_IN_ROLES).filter(key => BUILT_IN_ROLES[key].permissions.includes(permission)),
+      ...[...customRoles].filter(([, permissions]) => permissions.includes(permission)).map(([key]) => key)
+    ];
+
+    return { $or: [{ role: { $in: roles } }, { permissions: permission }] };
+  }
+}
+
+module.exports = PermissionService;
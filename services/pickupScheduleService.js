@@ -0,0 +1,282 @@
+// services/pickupScheduleService.js
+const Appointment = require('../models/Appointment');
+const NotificationService = require('./notificationService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const REMINDER_HOURS = parseInt(process.env.PICKUP_REMINDER_HOURS, 10) || 24;
+
+// Used for anything a branch's pickup settings leave out
+const DEFAULT_PICKUP = {
+  slotMinutes: 30,
+  capacity: 1,
+  bookingWindowDays: 14,
+  timezone: 'UTC'
+};
+
+// Minutes after midnight for an "HH:MM" time
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// "YYYY-MM-DD" date arithmetic, done in UTC so it never crosses a DST change
+const parseDate = date => date.split('-').map(Number);
+const addDays = (date, days) => {
+  const [year, month, day] = parseDate(date);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+const weekday = date => {
+  const [year, month, day] = parseDate(date);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// The wall-clock reading of an instant in a timezone
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+};
+
+// How far a timezone's clocks are ahead of UTC at an instant
+const zoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+class PickupScheduleService {
+
+  /**
+   * A branch's pickup settings over the defaults
+   */
+  static settingsFor(branch) {
+    const pickup = branch.pickup || {};
+    return Object.fromEntries(Object.entries(DEFAULT_PICKUP)
+      .map(([key, value]) => [key, pickup[key] ?? value]));
+  }
+
+  /**
+   * The calendar date ("YYYY-MM-DD") an instant falls on in a timezone
+   */
+  static localDate(date, timeZone) {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * The instant a timezone's clocks read `minutes` past midnight on a date.
+   * The offset is checked again at the result, for days the clocks change.
+   */
+  static zonedTime(date, minutes, timeZone) {
+    const [year, month, day] = parseDate(date);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const guess = wallClock - zoneOffset(new Date(wallClock), timeZone);
+
+    return new Date(wallClock - zoneOffset(new Date(guess), timeZone));
+  }
+
+  /**
+   * Every slot the branch's opening hours give on a date, open or not.
+   * A day may have more than one opening-hours entry (a lunch break, say).
+   */
+  static slotsOn(branch, date) {
+    const { slotMinutes, timezone } = this.settingsFor(branch);
+
+    return (branch.openingHours || [])
+      .filter(hours => hours.day === weekday(date) && !hours.closed && hours.open && hours.close)
+      .flatMap(hours => {
+        const slots = [];
+        for (let start = toMinutes(hours.open); start + slotMinutes <= toMinutes(hours.close); start += slotMinutes) {
+          slots.push({
+            startsAt: this.zonedTime(date, start, timezone),
+            endsAt: this.zonedTime(date, start + slotMinutes, timezone)
+          });
+        }
+        return slots;
+      })
+      .sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  /**
+   * Bookings held in each slot between two instants, keyed by start time
+   */
+  static async bookedCounts(branchId, from, to) {
+    const counts = await Appointment.aggregate([
+      { $match: { branch: branchId, status: 'booked', startsAt: { $gte: from, $lte: to } } },
+      { $group: { _id: '$startsAt', booked: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(({ _id, booked }) => [_id.getTime(), booked]));
+  }
+
+  /**
+   * Upcoming slots with the places left in each, by branch-local date.
+   * Starts from `from` (a "YYYY-MM-DD" date, default today) and covers up
+   * to `days` days that have slots, never past the booking window.
+   */
+  static async availability(branch, { from, days } = {}, now = new Date()) {
+    const { capacity, bookingWindowDays, timezone } = this.settingsFor(branch);
+    const today = this.localDate(now, timezone);
+    const lastDay = addDays(today, bookingWindowDays);
+
+    const schedule = [];
+    for (let date = from && from > today ? from : today; date <= lastDay; date = addDays(date, 1)) {
+      if (days && schedule.length >= days) break;
+
+      const slots = this.slotsOn(branch, date).filter(slot => slot.startsAt > now);
+      if (slots.length > 0) schedule.push({ date, slots });
+    }
+
+    if (schedule.length === 0) return [];
+
+    const booked = await this.bookedCounts(
+      branch._id,
+      schedule[0].slots[0].startsAt,
+      schedule[schedule.length - 1].slots.slice(-1)[0].startsAt
+    );
+
+    return schedule.map(({ date, slots }) => ({
+      date,
+      slots: slots.map(slot => ({
+        ...slot,
+        remaining: Math.max(capacity - (booked.get(slot.startsAt.getTime()) || 0), 0)
+      }))
+    }));
+  }
+
+  /**
+   * The bookable slot starting at an instant, or null if there is none:
+   * not on the branch's hours, already started, or beyond the window
+   */
+  static findSlot(branch, startsAt, now = new Date()) {
+    const { bookingWindowDays, timezone } = this.settingsFor(branch);
+    const date = this.localDate(startsAt, timezone);
+
+    if (startsAt <= now || date > addDays(this.localDate(now, timezone), bookingWindowDays)) {
+      return null;
+    }
+
+    return this.slotsOn(branch, date).find(slot => slot.startsAt.getTime() === startsAt.getTime()) || null;
+  }
+
+  /**
+   * Take the first free place in a slot. `write(seat)` saves the booking
+   * in that place; the slot index turns away places already taken, so
+   * racing bookings can't overfill it. Resolves to what `write` returned,
+   * or null when every place is taken.
+   */
+  static async takeSeat(branch, write) {
+    const { capacity } = this.settingsFor(branch);
+
+    for (let seat = 0; seat < capacity; seat += 1) {
+      try {
+        return await write(seat);
+      } catch (error) {
+        const seatTaken = error.code === 11000 && (!error.keyPattern || error.keyPattern.seat);
+        if (!seatTaken) throw error;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Book a pickup for an approved claim. Resolves to null if the slot is
+   * full; a second booking for the claim fails on the claim index.
+   */
+  static book({ claim, item, branch }, slot) {
+    return this.takeSeat(branch, seat => Appointment.create({
+      claim: claim._id,
+      item: item._id,
+      branch: branch._id,
+      claimant: claim.claimedBy,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      seat
+    }));
+  }
+
+  /**
+   * Move a booked pickup to another slot. Resolves to null if the slot is
+   * full or the pickup is no longer booked.
+   */
+  static reschedule(appointment, branch, slot) {
+    return this.takeSeat(branch, seat => Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'booked' },
+      {
+        $set: {
+          startsAt: slot.startsAt,
+          endsAt: slot.endsAt,
+          seat,
+          rescheduledAt: new Date(),
+          remindedAt: null
+        },
+        $inc: { sequence: 1 }
+      },
+      { new: true }
+    ));
+  }
+
+  /**
+   * Cancel a booked pickup. Resolves to null if it was no longer booked.
+   */
+  static cancel(appointment, cancelledBy, reason) {
+    return Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'booked' },
+      {
+        $set: {
+          status: 'cancelled',
+          cancellation: { by: cancelledBy, reason, cancelledAt: new Date() }
+        },
+        $inc: { sequence: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Remind the claimant and branch staff of pickups starting within
+   * REMINDER_HOURS, once per booked time. Each is marked before notifying
+   * so overlapping runs can't remind twice.
+   */
+  static async sendReminders(now = new Date()) {
+    const appointments = await Appointment.find({
+      status: 'booked',
+      remindedAt: null,
+      startsAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_HOURS * HOUR_MS) }
+    })
+      .populate('item', 'title type status')
+      .populate('branch', 'name address pickup')
+      .populate('claim', 'reviewer');
+
+    let reminded = 0;
+
+    for (const appointment of appointments) {
+      const { modifiedCount } = await Appointment.updateOne(
+        { _id: appointment._id, status: 'booked', startsAt: appointment.startsAt, remindedAt: null },
+        { $set: { remindedAt: now } }
+      );
+      if (modifiedCount === 0 || !appointment.item || !appointment.branch) continue;
+      // Nothing to collect once the item has moved on
+      if (appointment.item.status !== 'claimed') continue;
+
+      await NotificationService.handlePickupReminder(appointment, appointment.item, appointment.branch, appointment.claim);
+      reminded += 1;
+    }
+
+    return { reminded };
+  }
+}
+
+module.exports = PickupScheduleService;
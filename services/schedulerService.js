@@ -0,0 +1,163 @@
+// services/schedulerService.js
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const ItemExpiryService = require('./itemExpiryService');
+const ClaimAssignmentService = require('./claimAssignmentService');
+const PickupScheduleService = require('./pickupScheduleService');
+
+const MINUTE_MS = 60 * 1000;
+const TICK_MS = MINUTE_MS;
+
+// Longer than any job should take; a lock older than this is taken over
+const LOCK_MS = 10 * MINUTE_MS;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const JOBS = {
+  'expire-items': {
+    description: 'Expire listings past their expiry date and notify their reporters',
+    intervalMinutes: parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES, 10) || 60,
+    run: () => ItemExpiryService.expireOverdueItems()
+  },
+  'deadline-reminders': {
+    description: 'Remind reporters that their listing is about to expire',
+    intervalMinutes: parseInt(process.env.DEADLINE_REMINDER_INTERVAL_MINUTES, 10) || 360,
+    run: () => ItemExpiryService.sendDeadlineReminders()
+  },
+  'escalate-claims': {
+    description: 'Tell branch admins about claims pending past the review SLA',
+    intervalMinutes: parseInt(process.env.CLAIM_ESCALATION_INTERVAL_MINUTES, 10) || 30,
+    run: () => ClaimAssignmentService.escalateOverdue()
+  },
+  'pickup-reminders': {
+    description: 'Remind claimants and branch staff of upcoming pickups',
+    intervalMinutes: parseInt(process.env.PICKUP_REMINDER_INTERVAL_MINUTES, 10) || 15,
+    run: () => PickupScheduleService.sendReminders()
+  }
+};
+
+let timer = null;
+
+class SchedulerService {
+
+  static isJob(name) {
+    return Object.prototype.hasOwnProperty.call(JOBS, name);
+  }
+
+  /**
+   * Start checking for due jobs every minute. Every instance can run the
+   * scheduler; the lock decides which one runs each job.
+   */
+  static start() {
+    if (timer) return;
+
+    timer = setInterval(() => this.tick(), TICK_MS);
+    timer.unref();
+    setImmediate(() => this.tick());
+  }
+
+  static stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  static async tick() {
+    for (const name of Object.keys(JOBS)) {
+      try {
+        await this.run(name);
+      } catch (error) {
+        console.error(`Scheduled job ${name} error:`, error);
+      }
+    }
+  }
+
+  /**
+   * Run a job if this instance can take its lock. Scheduled runs only go
+   * once the job is due; forced ones run straight away. Returns the job
+   * state after the run, or null when another run holds the lock or the
+   * job isn't due.
+   */
+  static async run(name, { force = false, triggeredBy } = {}) {
+    const definition = JOBS[name];
+    const now = new Date();
+
+    try {
+      await Job.updateOne({ name }, { $setOnInsert: { nextRunAt: now } }, { upsert: true });
+    } catch (error) {
+      // Another instance created it first
+      if (error.code !== 11000) throw error;
+    }
+
+    const job = await Job.findOneAndUpdate(
+      {
+        name,
+        ...(force ? {} : { nextRunAt: { $lte: now } }),
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: {
+          lockedBy: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + LOCK_MS),
+          lastStartedAt: now,
+          lastStatus: 'running',
+          lastTriggeredBy: triggeredBy || null
+        }
+      },
+      { new: true }
+    );
+
+    if (!job) return null;
+
+    const update = {};
+    const counters = { runCount: 1 };
+
+    try {
+      update.lastResult = await definition.run();
+      update.lastStatus = 'succeeded';
+      update.lastError = null;
+    } catch (error) {
+      console.error(`Scheduled job ${name} failed:`, error);
+      update.lastStatus = 'failed';
+      update.lastError = error.message;
+      counters.failureCount = 1;
+    }
+
+    const finishedAt = new Date();
+
+    return Job.findOneAndUpdate(
+      { name, lockedBy: INSTANCE_ID },
+      {
+        $set: {
+          ...update,
+          lastFinishedAt: finishedAt,
+          lastDurationMs: finishedAt - now,
+          nextRunAt: new Date(finishedAt.getTime() + definition.intervalMinutes * MINUTE_MS),
+          lockedBy: null,
+          lockedUntil: null
+        },
+        $inc: counters
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Every job with its schedule and persisted state; state is null for a
+   * job that has never been picked up
+   */
+  static async getStatus() {
+    const jobs = await Job.find({ name: { $in: Object.keys(JOBS) } })
+      .populate('lastTriggeredBy', 'name email');
+    const byName = new Map(jobs.map(job => [job.name, job]));
+
+    return Object.entries(JOBS).map(([name, { description, intervalMinutes }]) => ({
+      name,
+      description,
+      intervalMinutes,
+      state: byName.get(name) || null
+    }));
+  }
+}
+
+module.exports = SchedulerService;
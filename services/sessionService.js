@@ -0,0 +1,118 @@
+// services/sessionService.js
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+class SessionService {
+
+  static refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Short-lived access token bound to a session, so revoking the session
+   * stops the token at the next request
+   */
+  static signAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { id: userId.toString(), sid: sessionId.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  static verifyAccessToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  }
+
+  static tokenPair(session, refreshToken) {
+    return {
+      token: this.signAccessToken(session.user, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  }
+
+  /**
+   * Start a session for a user who just proved who they are (login,
+   * registration, password reset, invitation)
+   */
+  static async createSession(user, req) {
+    const refreshToken = Session.generateToken();
+
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: Session.hashToken(refreshToken),
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      expiresAt: this.refreshExpiry()
+    });
+
+    return { session, ...this.tokenPair(session, refreshToken) };
+  }
+
+  /**
+   * Swap a refresh token for a new pair. Each refresh token works once;
+   * presenting an already-rotated one means it was copied, so the whole
+   * session is revoked.
+   */
+  static async rotate(refreshToken, req) {
+    const tokenHash = Session.hashToken(refreshToken);
+    const nextToken = Session.generateToken();
+
+    // Find and rotate in one step so two concurrent refreshes can't both win
+    const session = await Session.findOneAndUpdate(
+      Session.activeFilter({ refreshTokenHash: tokenHash }),
+      {
+        $set: {
+          refreshTokenHash: Session.hashToken(nextToken),
+          previousTokenHash: tokenHash,
+          lastUsedAt: new Date(),
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          expiresAt: this.refreshExpiry()
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      await Session.updateOne(
+        Session.activeFilter({ previousTokenHash: tokenHash }),
+        { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+      );
+      return null;
+    }
+
+    return { session, ...this.tokenPair(session, nextToken) };
+  }
+
+  static async findActive(sessionId) {
+    return Session.findOne(Session.activeFilter({ _id: sessionId }));
+  }
+
+  static async revoke(sessionId, userId, reason = 'logout') {
+    const result = await Session.updateOne(
+      Session.activeFilter({ _id: sessionId, user: userId }),
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  static async revokeAll(userId, reason, exceptSessionId) {
+    const result = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+    return result.modifiedCount;
+  }
+
+  static async listActive(userId) {
+    return Session.find(Session.activeFilter({ user: userId }))
+      .sort({ lastUsedAt: -1 });
+  }
+}
+
+SessionService.ACCESS_TOKEN_TTL = ACCESS_TOKEN_TTL;
+SessionService.REFRESH_TOKEN_DAYS = REFRESH_TOKEN_DAYS;
+
+module.exports = SessionService;
@@ -0,0 +1,39 @@
+// services/storage/index.js
+// Picks the storage adapter from STORAGE_DRIVER. Every adapter exposes
+// save(key, buffer, contentType), read(key), remove(key) and getUrl(key).
+//
+// publicStorage holds files served directly (item photos). privateStorage
+// holds files that must only be read through the API (claim evidence): a
+// directory that is never served statically, or a separate private bucket.
+const LocalStorageAdapter = require('./localStorage');
+
+const createStorage = ({ isPrivate = false } = {}) => {
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return new LocalStorageAdapter(isPrivate ? {
+        rootDir: process.env.PRIVATE_UPLOAD_DIR || 'private_uploads',
+        publicPath: null
+      } : {});
+    case 's3': {
+      // Only load the AWS SDK when it is actually used
+      const S3StorageAdapter = require('./s3Storage');
+      if (!isPrivate) return new S3StorageAdapter();
+
+      // Never fall back to the public bucket for files that must stay private
+      const bucket = process.env.S3_PRIVATE_BUCKET;
+      if (!bucket || bucket === process.env.S3_BUCKET) {
+        throw new Error('S3_PRIVATE_BUCKET is required when STORAGE_DRIVER=s3 and must differ from S3_BUCKET');
+      }
+      return new S3StorageAdapter({ bucket, publicUrl: null });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+module.exports = {
+  publicStorage: createStorage(),
+  privateStorage: createStorage({ isPrivate: true })
+};
@@ -0,0 +1,52 @@
+// services/storage/localStorage.js
+const fs = require('fs/promises');
+const path = require('path');
+
+class LocalStorageAdapter {
+  constructor(options = {}) {
+    this.rootDir = path.resolve(options.rootDir || process.env.UPLOAD_DIR || 'uploads');
+    // A null publicPath marks a directory that is never served statically
+    this.publicPath = options.publicPath === null ? null : (options.publicPath || '/uploads');
+  }
+
+  /**
+   * Resolve a storage key to an absolute path, refusing keys that escape rootDir
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { key, url: this.getUrl(key) };
+  }
+
+  async read(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      // Already gone is as good as removed
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getUrl(key) {
+    return this.publicPath ? `${this.publicPath}/${key}` : null;
+  }
+}
+
+module.exports = LocalStorageAdapter;
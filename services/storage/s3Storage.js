@@ -0,0 +1,68 @@
+// services/storage/s3Storage.js
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+class S3StorageAdapter {
+  constructor(options = {}) {
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+
+    const endpoint = options.endpoint || process.env.S3_ENDPOINT;
+
+    this.client = new S3Client({
+      region: options.region || process.env.S3_REGION || 'us-east-1',
+      endpoint,
+      // MinIO, R2 and most other S3-compatible services need path-style URLs
+      forcePathStyle: Boolean(endpoint),
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+
+    // A null publicUrl marks a private bucket whose objects have no public URL
+    this.publicUrl = options.publicUrl === null ? null : (options.publicUrl || process.env.S3_PUBLIC_URL ||
+      (endpoint ? `${endpoint}/${this.bucket}` : `https://${this.bucket}.s3.amazonaws.com`)
+    ).replace(/\/$/, '');
+  }
+
+  async save(key, buffer, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+
+    return { key, url: this.getUrl(key) };
+  }
+
+  async read(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  getUrl(key) {
+    return this.publicUrl ? `${this.publicUrl}/${key}` : null;
+  }
+}
+
+module.exports = S3StorageAdapter;
@@ -0,0 +1,139 @@
+// services/totpService.js
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const WINDOW = 1; // accept one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+
+class TotpService {
+
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  static base32Decode(input) {
+    const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 secret');
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  static generateSecret() {
+    return this.base32Encode(crypto.randomBytes(SECRET_BYTES));
+  }
+
+  static currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / PERIOD);
+  }
+
+  /**
+   * HOTP value for a time step (RFC 4226 dynamic truncation over HMAC-SHA1)
+   */
+  static generateCode(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return binary.toString().padStart(DIGITS, '0');
+  }
+
+  /**
+   * Returns the matching time step, or null. Callers store the step and pass
+   * it back as lastUsedStep so a code can't be replayed.
+   */
+  static verifyCode(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+    const current = this.currentStep();
+    for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+      if (step <= lastUsedStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * otpauth:// URI that authenticator apps read from a QR code
+   */
+  static provisioningUri(secret, accountName) {
+    const issuer = process.env.TOTP_ISSUER || 'Lost & Found';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  static hashRecoveryCode(code) {
+    const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Fresh set of one-time recovery codes. The plain codes are shown to the
+   * user once; only the hashes are stored.
+   */
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => this.hashRecoveryCode(code))
+    };
+  }
+}
+
+module.exports = TotpService;
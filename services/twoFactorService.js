@@ -0,0 +1,103 @@
+// services/twoFactorService.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const TotpService = require('./totpService');
+
+const REQUIRED_ROLES_KEY = 'auth.twoFactorRequiredRoles';
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_AUDIENCE = '2fa-challenge';
+const POLICY_CACHE_MS = 30 * 1000;
+
+let policyCache = null;
+
+class TwoFactorService {
+
+  /**
+   * Roles that must have 2FA enabled. Cached briefly because protect reads
+   * it on every staff/admin request.
+   */
+  static async getRequiredRoles() {
+    if (policyCache && policyCache.expiresAt > Date.now()) {
+      return policyCache.roles;
+    }
+
+    const roles = await Setting.getValue(REQUIRED_ROLES_KEY, []);
+    policyCache = { roles, expiresAt: Date.now() + POLICY_CACHE_MS };
+    return roles;
+  }
+
+  static async setRequiredRoles(roles, updatedBy) {
+    await Setting.setValue(REQUIRED_ROLES_KEY, roles, updatedBy);
+    policyCache = null;
+    return roles;
+  }
+
+  static async isRequiredFor(user) {
+    // Plain user accounts are never forced; every branch role can be
+    if (user.role === 'user') return false;
+    const roles = await this.getRequiredRoles();
+    return roles.includes(user.role);
+  }
+
+  /**
+   * Proof that the password step passed; exchanged for a session once the
+   * second factor checks out
+   */
+  static createChallengeToken(user) {
+    return jwt.sign(
+      { id: user._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TTL, audience: CHALLENGE_AUDIENCE }
+    );
+  }
+
+  static verifyChallengeToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+  }
+
+  /**
+   * Check an authenticator code against the enabled secret. The accepted
+   * time step is recorded in the same update that checks it, so each code
+   * works once.
+   */
+  static async verifyTotp(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) return false;
+
+    const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+    const step = TotpService.verifyCode(user.twoFactor.secret, code, lastUsedStep);
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Spend a recovery code. Returns how many are left, or null if the code
+   * was not valid.
+   */
+  static async useRecoveryCode(userId, code) {
+    const hash = TotpService.hashRecoveryCode(code);
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } },
+      { new: true }
+    ).select('+twoFactor.recoveryCodes');
+
+    return user ? user.twoFactor.recoveryCodes.length : null;
+  }
+}
+
+module.exports = TwoFactorService;
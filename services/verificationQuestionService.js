@@ -0,0 +1,136 @@
+// services/verificationQuestionService.js
+
+const MAX_QUESTIONS = 5;
+
+// Thresholds for the reviewer hint; the score is never a verdict
+const STRONG_MATCH = 0.85;
+const PARTIAL_MATCH = 0.5;
+
+// Lowercase, accents and punctuation stripped, whitespace collapsed
+const normalize = text => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const bigrams = text => {
+  if (text.length < 2) return [text];
+
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    pairs.push(text.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+const idOf = ref => (ref._id || ref).toString();
+
+class VerificationQuestionService {
+
+  /**
+   * How alike two answers are, from 0 to 1: the better of a Dice
+   * coefficient over character pairs (forgiving typos) and the share of
+   * expected words the answer contains (forgiving word order and extras)
+   */
+  static similarity(expected, given) {
+    const a = normalize(expected);
+    const b = normalize(given);
+
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const remaining = new Map();
+    bigrams(a).forEach(pair => remaining.set(pair, (remaining.get(pair) || 0) + 1));
+
+    let shared = 0;
+    const givenPairs = bigrams(b);
+    givenPairs.forEach(pair => {
+      const count = remaining.get(pair);
+      if (count) {
+        shared += 1;
+        remaining.set(pair, count - 1);
+      }
+    });
+
+    const dice = (2 * shared) / (bigrams(a).length + givenPairs.length);
+
+    const givenWords = new Set(b.split(' '));
+    const expectedWords = a.split(' ');
+    const recall = expectedWords.filter(word => givenWords.has(word)).length / expectedWords.length;
+
+    return Math.max(dice, recall);
+  }
+
+  static hint(score) {
+    if (score >= STRONG_MATCH) return 'strong';
+    if (score >= PARTIAL_MATCH) return 'partial';
+    return 'weak';
+  }
+
+  /**
+   * Match submitted answers to an item's questions. Answers may arrive as
+   * an array of { questionId, answer } or, from multipart forms, as a JSON
+   * string of one. Returns the answers to store and the IDs of questions
+   * left unanswered.
+   */
+  static collectAnswers(questions, submitted) {
+    let list = submitted || [];
+
+    if (typeof list === 'string') {
+      try {
+        list = JSON.parse(list);
+      } catch (error) {
+        list = [];
+      }
+    }
+    if (!Array.isArray(list)) list = Object.values(list);
+
+    const byQuestion = new Map(list
+      .filter(entry => entry && entry.questionId)
+      .map(entry => [String(entry.questionId), String(entry.answer || '').trim().slice(0, 500)]));
+
+    const answers = [];
+    const missing = [];
+
+    questions.forEach(question => {
+      const answer = byQuestion.get(idOf(question));
+      if (answer) {
+        answers.push({ question: question._id, questionText: question.question, answer });
+      } else {
+        missing.push(question._id);
+      }
+    });
+
+    return { answers, missing };
+  }
+
+  /**
+   * A claim's answers next to the expected ones, for reviewers only.
+   * Questions must be loaded with their answers selected.
+   */
+  static compare(questions, claim) {
+    const answers = claim.answers || [];
+
+    return answers.map(entry => {
+      const question = questions.find(candidate => idOf(candidate) === idOf(entry.question));
+      const expectedAnswer = question ? question.answer : null;
+      const score = expectedAnswer ? this.similarity(expectedAnswer, entry.answer) : null;
+
+      return {
+        question: entry.questionText,
+        expectedAnswer,
+        answer: entry.answer,
+        similarity: score === null ? null : Math.round(score * 100) / 100,
+        hint: score === null ? null : this.hint(score),
+        // The question was changed or removed after this claim was made
+        questionChanged: !question || question.question !== entry.questionText
+      };
+    });
+  }
+}
+
+VerificationQuestionService.MAX_QUESTIONS = MAX_QUESTIONS;
+
+module.exports = VerificationQuestionService;
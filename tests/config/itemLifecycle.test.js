@@ -0,0 +1,70 @@
+// tests/config/itemLifecycle.test.js
+const {
+  ITEM_STATUSES,
+  ITEM_TRANSITIONS,
+  DEDICATED_TRANSITIONS,
+  DEDICATED_EXITS,
+  isItemStatus,
+  canTransition,
+  allowedTransitions,
+  InvalidTransitionError
+} = require('../../config/itemLifecycle');
+
+describe('item lifecycle', () => {
+  it('has a transition entry for every status, leading only to known statuses', () => {
+    expect(Object.keys(ITEM_TRANSITIONS).sort()).toEqual([...ITEM_STATUSES].sort());
+
+    for (const targets of Object.values(ITEM_TRANSITIONS)) {
+      targets.forEach(target => expect(ITEM_STATUSES).toContain(target));
+    }
+  });
+
+  it('only routes known statuses through dedicated endpoints', () => {
+    Object.keys(DEDICATED_TRANSITIONS).forEach(status => expect(isItemStatus(status)).toBe(true));
+    Object.keys(DEDICATED_EXITS).forEach(status => expect(isItemStatus(status)).toBe(true));
+  });
+
+  it.each([
+    ['active', 'claimed'],
+    ['active', 'expired'],
+    ['claimed', 'returned'],
+    ['claimed', 'active'],
+    ['expired', 'active'],
+    ['expired', 'disposed'],
+    ['in_storage', 'claimed'],
+    ['in_storage', 'handed_to_police']
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['active', 'returned'],
+    ['active', 'disposed'],
+    ['active', 'active'],
+    ['claimed', 'expired'],
+    ['claimed', 'disposed']
+  ])('refuses %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  it.each(['returned', 'disposed', 'handed_to_police'])('has no way out of %s', status => {
+    expect(allowedTransitions(status)).toEqual([]);
+    ITEM_STATUSES.forEach(to => expect(canTransition(status, to)).toBe(false));
+  });
+
+  it('treats unknown statuses as having no transitions', () => {
+    expect(isItemStatus('lost')).toBe(false);
+    expect(canTransition('lost', 'active')).toBe(false);
+    expect(canTransition('active', 'lost')).toBe(false);
+    expect(allowedTransitions('lost')).toEqual([]);
+  });
+
+  it('describes a refused move with where the item could go instead', () => {
+    const error = new InvalidTransitionError('claimed', 'disposed');
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('InvalidTransitionError');
+    expect(error.message).toBe('Cannot change item status from claimed to disposed');
+    expect(error.allowed).toEqual(['returned', 'active', 'in_storage']);
+  });
+});
@@ -0,0 +1,33 @@
+// tests/config/itemUpdatePolicy.test.js
+const { allowedItemFields } = require('../../config/itemUpdatePolicy');
+
+describe('allowedItemFields', () => {
+  it('lets owners describe their item but not handle it', () => {
+    const allowed = allowedItemFields({ isOwner: true, permissions: new Set() });
+
+    expect(allowed.has('title')).toBe(true);
+    expect(allowed.has('contactInfo')).toBe(true);
+    expect(allowed.has('status')).toBe(false);
+    expect(allowed.has('branch')).toBe(false);
+  });
+
+  it('adds operational fields for items.manage', () => {
+    const allowed = allowedItemFields({ isOwner: false, permissions: new Set(['items.manage']) });
+
+    expect(allowed.has('description')).toBe(true);
+    expect(allowed.has('branch')).toBe(true);
+    expect(allowed.has('expiryDate')).toBe(true);
+  });
+
+  it('never allows fields with their own endpoints', () => {
+    const allowed = allowedItemFields({ isOwner: true, permissions: new Set(['items.manage']) });
+
+    ['status', 'claims', 'images', 'reportedBy', 'handedOverToPolice'].forEach(field => {
+      expect(allowed.has(field)).toBe(false);
+    });
+  });
+
+  it('allows nothing to anyone else', () => {
+    expect(allowedItemFields({ isOwner: false, permissions: new Set(['claims.view']) }).size).toBe(0);
+  });
+});
@@ -0,0 +1,194 @@
+// tests/controllers/authController.test.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const emailService = require('../../services/emailService');
+const SessionService = require('../../services/sessionService');
+const TwoFactorService = require('../../services/twoFactorService');
+const AuthThrottleService = require('../../services/authThrottleService');
+const { loginUser, updateUserProfile, verifyEmail, resendVerificationEmail } = require('../../controllers/authController');
+const { verifyTwoFactorLogin } = require('../../controllers/twoFactorController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// An already-saved, verified user whose changes Mongoose tracks
+const existingUser = (fields = {}) => {
+  const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Jane',
+    email: 'jane@example.com',
+    role: 'user',
+    isVerified: true,
+    ...fields
+  });
+  user.save = jest.fn().mockResolvedValue(user);
+  return user;
+};
+
+let savedSecret;
+let sendVerificationEmail;
+
+beforeEach(() => {
+  savedSecret = process.env.JWT_SECRET;
+  process.env.JWT_SECRET = 'test-secret';
+  sendVerificationEmail = jest.spyOn(emailService, 'sendVerificationEmail').mockResolvedValue({ success: true });
+});
+
+afterEach(() => {
+  process.env.JWT_SECRET = savedSecret;
+  jest.restoreAllMocks();
+});
+
+describe('updateUserProfile', () => {
+  it('asks for verification again when the email changes', async () => {
+    const user = existingUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const res = response();
+
+    await updateUserProfile({ user: { id: user.id }, sessionId: 'session-1', body: { email: 'new@example.com' } }, res);
+
+    expect(user.isVerified).toBe(false);
+    expect(user.emailVerificationToken).toBeDefined();
+    const [to, token] = sendVerificationEmail.mock.calls[0];
+    expect(to).toBe('new@example.com');
+    expect(crypto.createHash('sha256').update(token).digest('hex')).toBe(user.emailVerificationToken);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ email: 'new@example.com', isVerified: false }));
+  });
+
+  it('leaves verification alone for other changes', async () => {
+    const user = existingUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const res = response();
+
+    await updateUserProfile({ user: { id: user.id }, sessionId: 'session-1', body: { name: 'Janet', email: 'jane@example.com' } }, res);
+
+    expect(user.isVerified).toBe(true);
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ name: 'Janet', isVerified: true }));
+  });
+});
+
+describe('verifyEmail', () => {
+  it('verifies the user the token was issued to', async () => {
+    const user = existingUser({ isVerified: false });
+    const token = user.createEmailVerificationToken();
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const res = response();
+
+    await verifyEmail({ params: { token } }, res);
+
+    expect(findOne.mock.calls[0][0].emailVerificationToken).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    expect(user.isVerified).toBe(true);
+    expect(user.emailVerificationToken).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('rejects unknown or expired tokens', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const res = response();
+
+    await verifyEmail({ params: { token: 'nope' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('resendVerificationEmail', () => {
+  it('sends at most one email a minute', async () => {
+    const user = existingUser({ isVerified: false, emailVerificationSentAt: new Date(Date.now() - 10 * 1000) });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const res = response();
+
+    await resendVerificationEmail({ user: { id: user.id } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  it('sends a fresh link once the minute is up', async () => {
+    const user = existingUser({ isVerified: false, emailVerificationSentAt: new Date(Date.now() - 2 * 60 * 1000) });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const res = response();
+
+    await resendVerificationEmail({ user: { id: user.id } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(sendVerificationEmail).toHaveBeenCalledWith('jane@example.com', expect.any(String));
+  });
+});
+
+describe('login throttling', () => {
+  const login = { body: { email: 'jane@example.com', password: 'secret' }, ip: '10.0.0.1', get: () => 'jest' };
+
+  let reset;
+  let record;
+
+  beforeEach(() => {
+    jest.spyOn(AuthThrottleService, 'checkAll').mockResolvedValue({ allowed: true });
+    reset = jest.spyOn(AuthThrottleService, 'reset').mockResolvedValue();
+    record = jest.spyOn(AuthThrottleService, 'record').mockResolvedValue();
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue();
+    jest.spyOn(SessionService, 'createSession').mockResolvedValue({ token: 'access', refreshToken: 'refresh', expiresIn: '15m' });
+    jest.spyOn(TwoFactorService, 'getRequiredRoles').mockResolvedValue([]);
+  });
+
+  const signingIn = (fields) => {
+    const user = existingUser({ twoFactor: { enabled: false }, ...fields });
+    user.comparePassword = jest.fn().mockResolvedValue(true);
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    return user;
+  };
+
+  it('clears the failure count when a session is issued', async () => {
+    signingIn();
+    const res = response();
+
+    await loginUser(login, res);
+
+    expect(reset).toHaveBeenCalledWith('login_account', 'jane@example.com');
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ token: 'access' }));
+  });
+
+  it('keeps the failure count while the second factor is still owed', async () => {
+    signingIn({ twoFactor: { enabled: true } });
+    const res = response();
+
+    await loginUser(login, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ twoFactorRequired: true }));
+    expect(reset).not.toHaveBeenCalled();
+    expect(SessionService.createSession).not.toHaveBeenCalled();
+  });
+
+  it('counts a wrong code against the account', async () => {
+    const user = existingUser({ twoFactor: { enabled: true }, isActive: true });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(TwoFactorService, 'verifyTotp').mockResolvedValue(false);
+    const challengeToken = TwoFactorService.createChallengeToken(user);
+    const res = response();
+
+    await verifyTwoFactorLogin({ ...login, body: { challengeToken, code: '000000' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(record).toHaveBeenCalledWith('login_account', 'jane@example.com');
+    expect(reset).not.toHaveBeenCalled();
+  });
+
+  it('clears the failure count once the code checks out', async () => {
+    const user = existingUser({ twoFactor: { enabled: true }, isActive: true });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(TwoFactorService, 'verifyTotp').mockResolvedValue(true);
+    const challengeToken = TwoFactorService.createChallengeToken(user);
+    const res = response();
+
+    await verifyTwoFactorLogin({ ...login, body: { challengeToken, code: '123456' } }, res);
+
+    expect(reset).toHaveBeenCalledWith('login_account', 'jane@example.com');
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ token: 'access' }));
+  });
+});
@@ -0,0 +1,95 @@
+// tests/controllers/branchController.test.js
+const Branch = require('../../models/Branch');
+const adminRoutes = require('../../routes/adminRoutes');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const BRANCH_MANAGER = new Set(['branches.manage']);
+
+// Run a route's permission check, validation and controller the way Express
+// would, after the router-level auth middleware
+const callRoute = async (method, path, req) => {
+  const layer = adminRoutes.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  const res = response();
+
+  for (const { handle } of layer.route.stack) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+
+  return res;
+};
+
+const createBranch = body => callRoute('post', '/branches', { body, permissions: BRANCH_MANAGER });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/admin/branches', () => {
+  it('creates the branch', async () => {
+    jest.spyOn(Branch, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(Branch, 'create').mockImplementation(async data => ({ _id: 'branch-1', ...data }));
+
+    const res = await createBranch({ name: 'Colombo Fort', code: 'cmb', districts: ['Colombo'] });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(create).toHaveBeenCalledWith({ name: 'Colombo Fort', code: 'cmb', districts: ['Colombo'] });
+  });
+
+  it('needs branches.manage', async () => {
+    const create = jest.spyOn(Branch, 'create');
+
+    const res = await callRoute('post', '/branches', { body: { name: 'Colombo Fort', code: 'CMB' }, permissions: new Set() });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a name or code that is not text', async () => {
+    const findOne = jest.spyOn(Branch, 'findOne');
+
+    const res = await createBranch({ name: 'Colombo Fort', code: ['CMB'] });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].errors[0]).toMatchObject({ path: 'code', msg: 'Branch code must be text' });
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects a duplicate found up front', async () => {
+    jest.spyOn(Branch, 'findOne').mockResolvedValue({ _id: 'branch-1' });
+    const create = jest.spyOn(Branch, 'create');
+
+    const res = await createBranch({ name: 'Colombo Fort', code: 'CMB' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a duplicate created concurrently', async () => {
+    jest.spyOn(Branch, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Branch, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const res = await createBranch({ name: 'Colombo Fort', code: 'CMB' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'A branch with this name or code already exists' });
+  });
+});
+
+describe('PUT /api/admin/branches/:id', () => {
+  it('rejects an empty code', async () => {
+    const findById = jest.spyOn(Branch, 'findById');
+
+    const res = await callRoute('put', '/branches/:id', { params: { id: 'branch-1' }, body: { code: '' }, permissions: BRANCH_MANAGER });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
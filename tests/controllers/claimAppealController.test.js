@@ -0,0 +1,116 @@
+// tests/controllers/claimAppealController.test.js
+const mongoose = require('mongoose');
+const Item = require('../../models/Item');
+const Claim = require('../../models/Claim');
+const NotificationService = require('../../services/notificationService');
+const { decideAppeal, startAppealReview } = require('../../controllers/claimAppealController');
+
+const BRANCH_ID = new mongoose.Types.ObjectId();
+const staff = { _id: new mongoose.Types.ObjectId(), id: 'user-staff', branch: BRANCH_ID };
+const REVIEW_PERMISSIONS = new Set(['claims.view', 'claims.approve']);
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+let item;
+let claim;
+
+const request = (body = {}, user = staff) => ({
+  params: { itemId: item._id.toString(), claimId: claim._id.toString() },
+  body,
+  user,
+  permissions: REVIEW_PERMISSIONS
+});
+
+beforeEach(() => {
+  claim = {
+    _id: new mongoose.Types.ObjectId(),
+    status: 'rejected',
+    appeal: { status: 'under_review' }
+  };
+  item = {
+    _id: new mongoose.Types.ObjectId(),
+    status: 'active',
+    branch: BRANCH_ID
+  };
+  jest.spyOn(Item, 'findById').mockImplementation(async () => item);
+  jest.spyOn(Claim, 'findOnItem').mockImplementation(async () => claim);
+  jest.spyOn(NotificationService, 'handleAppealUpdated').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('decideAppeal', () => {
+  it('puts the claim back to pending when granted', async () => {
+    const advance = jest.spyOn(Claim, 'findOneAndUpdate').mockResolvedValue(claim);
+    const res = response();
+
+    await decideAppeal(request({ decision: 'granted', notes: 'Receipt checks out' }), res);
+
+    const [filter, update] = advance.mock.calls[0];
+    expect(filter).toEqual({ _id: claim._id, 'appeal.status': { $in: ['pending', 'under_review'] } });
+    expect(update.$set).toMatchObject({
+      'appeal.status': 'granted',
+      'appeal.decisionNotes': 'Receipt checks out',
+      status: 'pending',
+      escalatedAt: null
+    });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Appeal granted' }));
+  });
+
+  it.each(['claimed', 'returned', 'disposed'])('refuses to grant while the item is %s', async (status) => {
+    item.status = status;
+    const advance = jest.spyOn(Claim, 'findOneAndUpdate');
+    const res = response();
+
+    await decideAppeal(request({ decision: 'granted' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: `Appeals cannot be granted while the item is ${status}` });
+    expect(advance).not.toHaveBeenCalled();
+  });
+
+  it('still lets an appeal be denied once the item has moved on', async () => {
+    item.status = 'claimed';
+    const advance = jest.spyOn(Claim, 'findOneAndUpdate').mockResolvedValue(claim);
+
+    await decideAppeal(request({ decision: 'denied' }), response());
+
+    expect(advance.mock.calls[0][1].$set).not.toHaveProperty('status');
+  });
+
+  it('reports an appeal another reviewer decided first', async () => {
+    jest.spyOn(Claim, 'findOneAndUpdate').mockResolvedValue(null);
+    const res = response();
+
+    await decideAppeal(request({ decision: 'denied' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('keeps staff to appeals on their own branch', async () => {
+    const res = response();
+
+    await decideAppeal(request({ decision: 'granted' }, { ...staff, branch: new mongoose.Types.ObjectId() }), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('startAppealReview', () => {
+  it('takes up only a pending appeal', async () => {
+    const advance = jest.spyOn(Claim, 'findOneAndUpdate').mockResolvedValue(null);
+    const res = response();
+
+    await startAppealReview(request(), res);
+
+    expect(advance.mock.calls[0][0]['appeal.status']).toEqual({ $in: ['pending'] });
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
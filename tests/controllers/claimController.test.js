@@ -0,0 +1,287 @@
+// tests/controllers/claimController.test.js
+const mongoose = require('mongoose');
+const Item = require('../../models/Item');
+const Claim = require('../../models/Claim');
+const Appointment = require('../../models/Appointment');
+const ClaimDocumentService = require('../../services/claimDocumentService');
+const ClaimAssignmentService = require('../../services/claimAssignmentService');
+const PickupScheduleService = require('../../services/pickupScheduleService');
+const NotificationService = require('../../services/notificationService');
+const { submitClaim, withdrawClaim, getItemClaims, updateClaimStatus, markItemReturned, getClaims } = require('../../controllers/claimController');
+
+const ITEM_ID = new mongoose.Types.ObjectId().toString();
+const CLAIM_ID = new mongoose.Types.ObjectId().toString();
+const BRANCH_ID = new mongoose.Types.ObjectId().toString();
+
+// A chainable stand-in for a Mongoose query that resolves to `value`
+const query = value => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const otherBranchStaff = { id: 'user-other', role: 'staff', branch: new mongoose.Types.ObjectId() };
+const REVIEW_PERMISSIONS = new Set(['claims.view', 'claims.approve', 'items.return']);
+
+let item;
+
+beforeEach(() => {
+  item = { _id: ITEM_ID, status: 'claimed', branch: BRANCH_ID };
+  jest.spyOn(Item, 'findById').mockImplementation(() => query(item));
+  jest.spyOn(Claim, 'findOnItem').mockImplementation(() => query(null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('branch scoping', () => {
+  it('keeps staff from deciding claims on another branch', async () => {
+    const res = response();
+
+    await updateClaimStatus({
+      params: { itemId: ITEM_ID, claimId: CLAIM_ID },
+      body: { status: 'approved' },
+      user: otherBranchStaff,
+      permissions: REVIEW_PERMISSIONS
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(Claim.findOnItem).not.toHaveBeenCalled();
+  });
+
+  it('keeps staff from reading claims on another branch', async () => {
+    const res = response();
+
+    await getItemClaims({ params: { id: ITEM_ID }, user: otherBranchStaff, permissions: REVIEW_PERMISSIONS }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Not authorized to view claims for this branch' });
+  });
+
+  it('keeps staff from returning items of another branch', async () => {
+    const res = response();
+
+    await markItemReturned({ params: { id: ITEM_ID }, body: {}, user: otherBranchStaff, permissions: REVIEW_PERMISSIONS }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('lets branches.all act on any branch', async () => {
+    const res = response();
+
+    await markItemReturned({
+      params: { id: ITEM_ID },
+      body: { claimId: CLAIM_ID },
+      user: otherBranchStaff,
+      permissions: new Set([...REVIEW_PERMISSIONS, 'branches.all'])
+    }, res);
+
+    expect(res.status).not.toHaveBeenCalledWith(403);
+    expect(Claim.findOnItem).toHaveBeenCalledWith(item, CLAIM_ID);
+  });
+});
+
+describe('getClaims', () => {
+  let find;
+
+  const list = (queryParams, user, permissions = new Set(['claims.view'])) => ({ query: queryParams, user, permissions });
+
+  beforeEach(() => {
+    find = jest.spyOn(Claim, 'find').mockImplementation(() => {
+      const chain = query([]);
+      chain.sort = () => chain;
+      chain.skip = () => chain;
+      chain.limit = () => chain;
+      return chain;
+    });
+    jest.spyOn(Claim, 'countDocuments').mockResolvedValue(0);
+  });
+
+  it('keeps staff to their own branch whatever branch they ask for', async () => {
+    const staff = { _id: 'user-staff', branch: BRANCH_ID };
+
+    await getClaims(list({ branch: 'elsewhere', status: 'pending,approved', reviewer: 'me' }, staff), response());
+
+    expect(find.mock.calls[0][0]).toEqual({
+      branch: BRANCH_ID,
+      status: { $in: ['pending', 'approved'] },
+      reviewer: 'user-staff'
+    });
+  });
+
+  it('lets branches.all filter by any branch', async () => {
+    await getClaims(list({ branch: BRANCH_ID, reviewer: 'unassigned' }, { _id: 'user-admin' }, new Set(['claims.view', 'branches.all'])), response());
+
+    expect(find.mock.calls[0][0]).toEqual({ branch: BRANCH_ID, reviewer: null });
+  });
+
+  it('needs a branch for staff without branches.all', async () => {
+    const res = response();
+
+    await getClaims(list({}, { _id: 'user-staff' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateClaimStatus race guards', () => {
+  const reviewer = { _id: new mongoose.Types.ObjectId(), id: 'user-staff', branch: BRANCH_ID };
+
+  let claim;
+
+  const decision = body => ({
+    params: { itemId: ITEM_ID, claimId: CLAIM_ID },
+    body,
+    user: reviewer,
+    permissions: REVIEW_PERMISSIONS
+  });
+
+  const expectConflict = (res, message) => {
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ message, data: item });
+  };
+
+  beforeEach(() => {
+    item = { _id: ITEM_ID, status: 'active', branch: BRANCH_ID, verificationQuestions: [] };
+    claim = { _id: CLAIM_ID, status: 'pending', __v: 1, rejections: [], save: jest.fn().mockResolvedValue() };
+    Claim.findOnItem.mockImplementation(() => query(claim));
+  });
+
+  it('refuses a decision made on an older version of the claim', async () => {
+    const res = response();
+
+    await updateClaimStatus(decision({ status: 'approved', version: 0 }), res);
+
+    expectConflict(res, 'This claim has changed since you loaded it');
+    expect(claim.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses a second approval on the same item', async () => {
+    claim.save.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    const res = response();
+
+    await updateClaimStatus(decision({ status: 'approved' }), res);
+
+    expectConflict(res, 'Another claim on this item has already been approved');
+  });
+
+  it('refuses a decision when the claim changed while it was being saved', async () => {
+    claim.save.mockRejectedValue(new mongoose.Error.VersionError(claim, 1, ['status']));
+    const res = response();
+
+    await updateClaimStatus(decision({ status: 'rejected' }), res);
+
+    expectConflict(res, 'This claim was changed by someone else');
+  });
+
+  it('undoes an approval when the item moved on in the meantime', async () => {
+    jest.spyOn(Item, 'transitionIfUnchanged').mockResolvedValue(null);
+    const undo = jest.spyOn(Claim, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const res = response();
+
+    await updateClaimStatus(decision({ status: 'approved' }), res);
+
+    expect(Item.transitionIfUnchanged).toHaveBeenCalledWith(item, 'claimed', expect.any(Object));
+    expect(undo).toHaveBeenCalledWith(
+      { _id: CLAIM_ID, status: 'approved' },
+      { $set: { status: 'pending' }, $inc: { __v: 1 } }
+    );
+    expectConflict(res, 'The item changed while the claim was being approved');
+  });
+});
+
+describe('updateClaimStatus taking back an approval', () => {
+  const reviewer = { _id: new mongoose.Types.ObjectId(), id: 'user-staff', branch: BRANCH_ID };
+
+  let claim;
+
+  beforeEach(() => {
+    item = { _id: ITEM_ID, status: 'claimed', branch: BRANCH_ID, reportedBy: { _id: 'user-reporter' } };
+    claim = { _id: CLAIM_ID, status: 'approved', claimedBy: { _id: 'user-claimant' }, rejections: [], save: jest.fn().mockResolvedValue() };
+    Claim.findOnItem.mockImplementation(() => query(claim));
+    jest.spyOn(Item, 'transitionIfUnchanged').mockResolvedValue(item);
+    jest.spyOn(NotificationService, 'handleClaimReopened').mockResolvedValue();
+  });
+
+  it('puts the item back up and calls off the claimant\'s pickup', async () => {
+    const pickup = { _id: 'pickup-1', status: 'booked' };
+    jest.spyOn(Appointment, 'findOne').mockResolvedValue(pickup);
+    const cancel = jest.spyOn(PickupScheduleService, 'cancel').mockResolvedValue(pickup);
+
+    await updateClaimStatus({
+      params: { itemId: ITEM_ID, claimId: CLAIM_ID },
+      body: { status: 'pending' },
+      user: reviewer,
+      permissions: REVIEW_PERMISSIONS
+    }, response());
+
+    expect(Item.transitionIfUnchanged).toHaveBeenCalledWith(item, 'active', expect.objectContaining({ reason: 'Approved claim changed to pending' }));
+    expect(Appointment.findOne).toHaveBeenCalledWith({ claim: CLAIM_ID, status: 'booked' });
+    expect(cancel).toHaveBeenCalledWith(pickup, reviewer._id, 'Claim changed to pending');
+  });
+});
+
+describe('withdrawClaim race guard', () => {
+  const claimantId = new mongoose.Types.ObjectId();
+  const claimant = { _id: claimantId, id: claimantId.toString() };
+
+  it('answers a claim reviewed mid-withdrawal with only what the claimant may see', async () => {
+    const claim = { _id: CLAIM_ID, claimedBy: claimantId, status: 'pending', save: jest.fn() };
+    claim.save.mockRejectedValue(new mongoose.Error.VersionError(claim, 1, ['status']));
+    Claim.findOnItem.mockImplementation(() => query(claim));
+    item = {
+      _id: ITEM_ID,
+      status: 'claimed',
+      branch: BRANCH_ID,
+      reportedBy: { _id: 'user-reporter', name: 'Jane Doe' },
+      contactPreference: 'direct',
+      contactInfo: { name: 'Jane Doe', email: 'jane@example.com', phone: '0771234567' },
+      claims: [
+        { _id: CLAIM_ID, claimedBy: claimantId, status: 'rejected' },
+        { _id: 'claim-other', claimedBy: 'user-other', status: 'approved', notes: 'My wallet' }
+      ]
+    };
+    const res = response();
+
+    await withdrawClaim({ params: { itemId: ITEM_ID, claimId: CLAIM_ID }, body: {}, user: claimant, permissions: new Set() }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    const { message, data } = res.json.mock.calls[0][0];
+    expect(message).toBe('This claim was reviewed before it could be withdrawn');
+    expect(data).not.toHaveProperty('claims');
+    expect(data.myClaims).toEqual([expect.objectContaining({ _id: CLAIM_ID, status: 'rejected' })]);
+    expect(data.contactInfo.email).toBe('j***@example.com');
+  });
+});
+
+describe('submitClaim race guard', () => {
+  it('turns away a second claim that raced the first and removes its uploads', async () => {
+    item = { _id: ITEM_ID, status: 'active', branch: BRANCH_ID, verificationQuestions: [] };
+    const stored = [{ key: 'claims/doc-1' }];
+    jest.spyOn(Claim, 'exists').mockResolvedValue(null);
+    jest.spyOn(ClaimDocumentService, 'storeDocuments').mockResolvedValue(stored);
+    jest.spyOn(ClaimDocumentService, 'removeDocuments').mockResolvedValue();
+    jest.spyOn(ClaimAssignmentService, 'pickReviewer').mockResolvedValue(null);
+    jest.spyOn(Claim.prototype, 'save')
+      .mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    const res = response();
+
+    await submitClaim({ params: { id: ITEM_ID }, body: {}, user: { id: new mongoose.Types.ObjectId().toString() } }, res);
+
+    expect(ClaimDocumentService.removeDocuments).toHaveBeenCalledWith(stored);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'You have already submitted a claim for this item' });
+  });
+});
@@ -0,0 +1,322 @@
+// tests/controllers/itemController.test.js
+const mongoose = require('mongoose');
+const Item = require('../../models/Item');
+const Claim = require('../../models/Claim');
+const Branch = require('../../models/Branch');
+const Appointment = require('../../models/Appointment');
+const PickupScheduleService = require('../../services/pickupScheduleService');
+const NotificationService = require('../../services/notificationService');
+const ExpiryPolicyService = require('../../services/expiryPolicyService');
+const MatchingService = require('../../services/matchingService');
+const { getItems, updateItem, updateItemStatus, renewItem } = require('../../controllers/itemController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const policy = {
+  listingDays: 30,
+  categories: {},
+  branches: {},
+  policeHandoverDays: 30,
+  maxRenewals: 2,
+  renewalGraceDays: 14
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getItems near a point', () => {
+  beforeEach(() => {
+    jest.spyOn(Item, 'aggregate').mockResolvedValue([{
+      items: [{ _id: 'item-1', distance: 1.2 }],
+      total: [{ count: 3 }]
+    }]);
+    jest.spyOn(Item, 'populate').mockImplementation(async items => items);
+  });
+
+  it('searches within the radius in km around lat,lng, nearest first', async () => {
+    const res = response();
+
+    await getItems({ query: { near: '6.9344,79.85', radius: '5', type: 'found', limit: '1' } }, res);
+
+    const [pipeline] = Item.aggregate.mock.calls[0];
+    expect(pipeline[0].$geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: [79.85, 6.9344] },
+      maxDistance: 5000,
+      distanceMultiplier: 0.001,
+      query: { type: 'found' }
+    });
+    expect(pipeline.some(stage => stage.$sort)).toBe(false);
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: [expect.objectContaining({ _id: 'item-1', distance: 1.2 })],
+      pagination: { current: 1, pages: 3, total: 3, hasNext: true, hasPrev: false }
+    });
+  });
+
+  it('sorts by another field only when asked', async () => {
+    await getItems({ query: { near: '6.9,79.8', sortBy: 'date', sortOrder: 'asc' } }, response());
+
+    const [pipeline] = Item.aggregate.mock.calls[0];
+    expect(pipeline).toContainEqual({ $sort: { date: 1 } });
+    expect(pipeline[0].$geoNear.maxDistance).toBe(10000);
+  });
+});
+
+describe('updateItem', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const itemId = new mongoose.Types.ObjectId();
+
+  let item;
+
+  const update = (body, { user = { id: ownerId.toString() }, permissions = new Set() } = {}) => ({
+    params: { id: itemId.toString() },
+    body,
+    user,
+    permissions
+  });
+
+  beforeEach(() => {
+    item = { _id: itemId, reportedBy: ownerId, status: 'active', location: 'Fort', district: 'Colombo' };
+    jest.spyOn(Item, 'findById').mockResolvedValue(item);
+    jest.spyOn(Item, 'findByIdAndUpdate').mockReturnValue({ populate: async () => item });
+    jest.spyOn(MatchingService, 'queueMatching').mockImplementation(() => {});
+  });
+
+  it('refuses fields outside the policy and names them', async () => {
+    const res = response();
+
+    await updateItem(update({ title: 'Wallet', status: 'returned', reportedBy: 'someone' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      message: 'These fields cannot be updated: status, reportedBy',
+      fields: ['status', 'reportedBy']
+    });
+    expect(Item.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('merges contact details instead of replacing them', async () => {
+    await updateItem(update({ contactInfo: { phone: '0771234567' } }), response());
+
+    const [, updates] = Item.findByIdAndUpdate.mock.calls[0];
+    expect(updates).toEqual({ 'contactInfo.phone': '0771234567' });
+  });
+
+  it('refuses an empty update', async () => {
+    const res = response();
+
+    await updateItem(update({}), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'No fields to update' });
+  });
+
+  it('lets items.manage change how the item is handled', async () => {
+    const res = response();
+
+    await updateItem(update({ expiryDate: '2027-01-01' }, {
+      user: { id: 'staff-1' },
+      permissions: new Set(['items.manage'])
+    }), res);
+
+    expect(Item.findByIdAndUpdate.mock.calls[0][1]).toEqual({ expiryDate: '2027-01-01' });
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: item });
+  });
+
+  describe('moving to another branch', () => {
+    const newBranch = new mongoose.Types.ObjectId();
+
+    let pickup;
+
+    beforeEach(() => {
+      pickup = null;
+      item.branch = new mongoose.Types.ObjectId();
+      jest.spyOn(Branch, 'resolveForItem').mockResolvedValue({ _id: newBranch });
+      Item.findByIdAndUpdate.mockReturnValue({ populate: async () => ({ ...item, branch: newBranch }) });
+      jest.spyOn(Claim, 'updateMany').mockResolvedValue({});
+      jest.spyOn(Appointment, 'findOne').mockImplementation(() => {
+        const chain = { populate: () => chain, then: (resolve, reject) => Promise.resolve(pickup).then(resolve, reject) };
+        return chain;
+      });
+    });
+
+    it('moves the item\'s claims along', async () => {
+      await updateItem(update({ location: 'Kandy', district: 'Kandy' }), response());
+
+      expect(Claim.updateMany).toHaveBeenCalledWith({ item: itemId }, { $set: { branch: newBranch } });
+    });
+
+    it('calls off a pickup booked at the old branch', async () => {
+      pickup = { _id: 'pickup-1', branch: { name: 'Fort' }, claim: { reviewer: null } };
+      const cancelled = { ...pickup, status: 'cancelled' };
+      const cancel = jest.spyOn(PickupScheduleService, 'cancel').mockResolvedValue(cancelled);
+      const notify = jest.spyOn(NotificationService, 'handlePickupUpdated').mockResolvedValue();
+
+      await updateItem(update({ location: 'Kandy', district: 'Kandy' }, { user: { _id: ownerId, id: ownerId.toString() } }), response());
+
+      expect(Appointment.findOne).toHaveBeenCalledWith({ item: itemId, status: 'booked' });
+      expect(cancel).toHaveBeenCalledWith(pickup, ownerId, 'The item moved to another branch');
+      expect(notify).toHaveBeenCalledWith(cancelled, expect.objectContaining({ branch: newBranch }), pickup.branch, pickup.claim, expect.any(Object));
+    });
+  });
+
+  it('leaves claims alone when the branch stays the same', async () => {
+    const moveClaims = jest.spyOn(Claim, 'updateMany');
+
+    await updateItem(update({ title: 'Brown wallet' }), response());
+
+    expect(moveClaims).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateItemStatus', () => {
+  const staff = { _id: new mongoose.Types.ObjectId(), id: 'staff-1' };
+
+  let item;
+
+  const changeStatus = (status, reason = 'Checked the shelf') => ({
+    params: { id: 'item-1' },
+    body: { status, reason },
+    user: staff
+  });
+
+  beforeEach(() => {
+    item = new Item({ status: 'active', expiryDate: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+    item.save = jest.fn().mockResolvedValue(item);
+    jest.spyOn(Item, 'findById').mockImplementation(async () => item);
+    jest.spyOn(ExpiryPolicyService, 'getPolicy').mockResolvedValue(policy);
+  });
+
+  it('records the move with its reason', async () => {
+    const res = response();
+
+    await updateItemStatus(changeStatus('in_storage'), res);
+
+    expect(item.status).toBe('in_storage');
+    expect(item.statusHistory[item.statusHistory.length - 1]).toMatchObject({ from: 'active', to: 'in_storage', reason: 'Checked the shelf' });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, message: 'Item marked as in_storage' }));
+  });
+
+  it('sends statuses with their own endpoint there', async () => {
+    const res = response();
+
+    await updateItemStatus(changeStatus('returned'), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'To mark an item returned, use PUT /api/items/:id/return' });
+    expect(item.save).not.toHaveBeenCalled();
+  });
+
+  it('leaves claimed items to the claim and return endpoints', async () => {
+    item.status = 'claimed';
+    const res = response();
+
+    await updateItemStatus(changeStatus('active'), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toMatch(/^To move a claimed item on, change its approved claim/);
+    expect(item.status).toBe('claimed');
+    expect(item.save).not.toHaveBeenCalled();
+  });
+
+  it('lists where the item can go instead of a refused move', async () => {
+    item.status = 'expired';
+    const res = response();
+
+    await updateItemStatus(changeStatus('expired'), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      message: 'Cannot change item status from expired to expired',
+      allowed: ['active', 'in_storage', 'disposed']
+    });
+  });
+
+  it('gives a renewed listing a future expiry date', async () => {
+    item.status = 'expired';
+    item.expiryDate = new Date(Date.now() - 1000);
+
+    await updateItemStatus(changeStatus('active', 'Owner asked to renew'), response());
+
+    expect(item.status).toBe('active');
+    expect(item.expiryDate.getTime()).toBeGreaterThan(Date.now());
+  });
+});
+
+describe('renewItem', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const owner = { _id: new mongoose.Types.ObjectId() };
+  owner.id = owner._id.toString();
+
+  let item;
+
+  const renew = (user = owner, permissions = new Set()) => ({ params: { id: 'item-1' }, user, permissions });
+
+  beforeEach(() => {
+    item = new Item({ status: 'active', reportedBy: owner._id, expiryDate: new Date(Date.now() + 5 * DAY_MS) });
+    item.save = jest.fn().mockResolvedValue(item);
+    jest.spyOn(Item, 'findById').mockImplementation(async () => item);
+    jest.spyOn(ExpiryPolicyService, 'getPolicy').mockResolvedValue({ ...policy, maxRenewals: 1 });
+  });
+
+  it('extends an active listing from its current expiry', async () => {
+    const previousExpiryDate = item.expiryDate;
+    const res = response();
+
+    await renewItem(renew(), res);
+
+    expect(item.expiryDate.getTime()).toBe(previousExpiryDate.getTime() + 30 * DAY_MS);
+    expect(item.renewals[0]).toMatchObject({ renewedBy: owner._id, previousExpiryDate });
+    expect(res.json.mock.calls[0][0].data.renewalsLeft).toBe(0);
+  });
+
+  it('reactivates an expired listing within the grace period', async () => {
+    item.status = 'expired';
+    item.expiryDate = new Date(Date.now() - 3 * DAY_MS);
+
+    await renewItem(renew(), response());
+
+    expect(item.status).toBe('active');
+    expect(item.expiryDate.getTime()).toBeGreaterThan(Date.now() + 29 * DAY_MS);
+    expect(item.statusHistory[item.statusHistory.length - 1]).toMatchObject({ from: 'expired', to: 'active', reason: 'Listing renewed' });
+  });
+
+  it('refuses once the grace period is over', async () => {
+    item.status = 'expired';
+    item.expiryDate = new Date(Date.now() - 15 * DAY_MS);
+    const res = response();
+
+    await renewItem(renew(), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Listings can only be renewed within 14 days of expiring' });
+    expect(item.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses past the renewal limit', async () => {
+    item.renewals.push({ renewedBy: owner._id, expiryDate: item.expiryDate });
+    const res = response();
+
+    await renewItem(renew(), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toMatch(/maximum of 1 time/);
+  });
+
+  it('lets only the owner or items.manage renew', async () => {
+    const other = { _id: new mongoose.Types.ObjectId(), id: 'someone-else' };
+    const res = response();
+
+    await renewItem(renew(other), res);
+    expect(res.status).toHaveBeenCalledWith(403);
+
+    await renewItem(renew(other, new Set(['items.manage'])), response());
+    expect(item.renewals).toHaveLength(1);
+  });
+});
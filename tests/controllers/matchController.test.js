@@ -0,0 +1,82 @@
+// tests/controllers/matchController.test.js
+const mongoose = require('mongoose');
+const Item = require('../../models/Item');
+const Match = require('../../models/Match');
+const { saveMatch } = require('../../controllers/matchController');
+
+const reporter = { id: new mongoose.Types.ObjectId().toString(), role: 'user' };
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const lostItem = {
+  _id: new mongoose.Types.ObjectId(),
+  type: 'lost',
+  reportedBy: reporter.id,
+  title: 'Black phone',
+  description: 'Black phone in a red case',
+  location: 'Town hall',
+  district: 'Galle',
+  date: new Date('2026-10-01')
+};
+const foundItem = { ...lostItem, _id: new mongoose.Types.ObjectId(), type: 'found', reportedBy: 'someone-else' };
+
+const save = (itemId, user = reporter, permissions = new Set()) => ({
+  params: { id: lostItem._id.toString() },
+  body: { itemId },
+  user,
+  permissions
+});
+
+const itemsById = items => jest.spyOn(Item, 'findById')
+  .mockImplementation(id => Promise.resolve(items.find(item => item._id.toString() === String(id)) || null));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('saveMatch', () => {
+  it('scores and records the pair', async () => {
+    itemsById([lostItem, foundItem]);
+    const recordSuggestion = jest.spyOn(Match, 'recordSuggestion').mockResolvedValue({ _id: 'match-1' });
+    const res = response();
+
+    await saveMatch(save(foundItem._id.toString()), res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { _id: 'match-1' } });
+    const [, , score, breakdown] = recordSuggestion.mock.calls[0];
+    expect(score).toBeGreaterThan(50);
+    expect(Object.keys(breakdown)).toEqual(expect.arrayContaining(['text', 'date']));
+  });
+
+  it('refuses to pair two items of the same type', async () => {
+    const otherLost = { ...lostItem, _id: new mongoose.Types.ObjectId() };
+    itemsById([lostItem, otherLost]);
+    const recordSuggestion = jest.spyOn(Match, 'recordSuggestion');
+    const res = response();
+
+    await saveMatch(save(otherLost._id.toString()), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(recordSuggestion).not.toHaveBeenCalled();
+  });
+
+  it('is only open to the reporter and matches.manage', async () => {
+    itemsById([lostItem, foundItem]);
+    jest.spyOn(Match, 'recordSuggestion').mockResolvedValue({ _id: 'match-1' });
+    const stranger = { id: 'stranger', role: 'user' };
+
+    const refused = response();
+    await saveMatch(save(foundItem._id.toString(), stranger), refused);
+    expect(refused.status).toHaveBeenCalledWith(403);
+
+    const allowed = response();
+    await saveMatch(save(foundItem._id.toString(), stranger, new Set(['matches.manage'])), allowed);
+    expect(allowed.status).toHaveBeenCalledWith(201);
+  });
+});
@@ -0,0 +1,138 @@
+// tests/middleware/auth.test.js
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const SessionService = require('../../services/sessionService');
+const TwoFactorService = require('../../services/twoFactorService');
+const { protect, protectAllowingTwoFactorSetup, requirePermission, requireVerified } = require('../../middleware/auth');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+
+let savedSecret;
+
+beforeEach(() => {
+  savedSecret = process.env.JWT_SECRET;
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+afterEach(() => {
+  process.env.JWT_SECRET = savedSecret;
+  jest.restoreAllMocks();
+});
+
+const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+const signedInAs = (user) => {
+  jest.spyOn(SessionService, 'findActive').mockResolvedValue({ _id: sessionId, user: userId });
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select: async () => ({ _id: userId, isActive: true, role: 'user', twoFactor: { enabled: false }, ...user })
+  });
+  return bearer(SessionService.signAccessToken(userId, sessionId));
+};
+
+describe('protect', () => {
+  it('loads the user of a live session', async () => {
+    const req = signedInAs();
+    const next = jest.fn();
+
+    await protect(req, response(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.sessionId).toBe(sessionId);
+    expect(req.permissions.has('claims.submit')).toBe(true);
+  });
+
+  it('stops tokens of a revoked session', async () => {
+    jest.spyOn(SessionService, 'findActive').mockResolvedValue(null);
+    const res = response();
+    const next = jest.fn();
+
+    await protect(bearer(SessionService.signAccessToken(userId, sessionId)), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Session expired or revoked' });
+  });
+
+  it('stops tokens issued without a session', async () => {
+    const findActive = jest.spyOn(SessionService, 'findActive');
+    const legacy = jwt.sign({ id: userId.toString() }, process.env.JWT_SECRET);
+    const res = response();
+
+    await protect(bearer(legacy), res, jest.fn());
+
+    expect(findActive).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('holds back roles that must enrol in 2FA until they have', async () => {
+    jest.spyOn(TwoFactorService, 'getRequiredRoles').mockResolvedValue(['admin']);
+    const res = response();
+    const next = jest.fn();
+
+    await protect(signedInAs({ role: 'admin' }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TWO_FACTOR_SETUP_REQUIRED' }));
+  });
+
+  it('lets them reach the enrolment routes', async () => {
+    jest.spyOn(TwoFactorService, 'getRequiredRoles').mockResolvedValue(['admin']);
+    const next = jest.fn();
+
+    await protectAllowingTwoFactorSetup(signedInAs({ role: 'admin' }), response(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('requirePermission', () => {
+  it('needs every permission listed', () => {
+    const next = jest.fn();
+    const res = response();
+
+    requirePermission('claims.view', 'claims.approve')({ permissions: new Set(['claims.view']) }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ missingPermissions: ['claims.approve'] }));
+  });
+
+  it('lets holders through', () => {
+    const next = jest.fn();
+
+    requirePermission('claims.view')({ permissions: new Set(['claims.view']) }, response(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('requireVerified', () => {
+  it('lets verified users through', () => {
+    const next = jest.fn();
+
+    requireVerified({ user: { isVerified: true } }, response(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('stops unverified users with a code the client can act on', () => {
+    const next = jest.fn();
+    const res = response();
+
+    requireVerified({ user: { isVerified: false } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'EMAIL_NOT_VERIFIED' }));
+  });
+});
@@ -0,0 +1,31 @@
+// tests/models/branch.test.js
+const Branch = require('../../models/Branch');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Branch.resolveForItem', () => {
+  it('prefers a branch covering the exact location', async () => {
+    const findOne = jest.spyOn(Branch, 'findOne').mockResolvedValueOnce({ _id: 'fort' });
+
+    await expect(Branch.resolveForItem({ location: ' Fort Station ', district: 'Colombo' })).resolves.toEqual({ _id: 'fort' });
+    expect(findOne).toHaveBeenCalledWith({ isActive: true, locations: 'fort station' });
+  });
+
+  it('falls back on the district', async () => {
+    const findOne = jest.spyOn(Branch, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ _id: 'colombo' });
+
+    await expect(Branch.resolveForItem({ location: 'Somewhere', district: 'Colombo' })).resolves.toEqual({ _id: 'colombo' });
+    expect(findOne).toHaveBeenLastCalledWith({ isActive: true, districts: 'colombo' });
+  });
+
+  it('is null when nothing covers the item', async () => {
+    jest.spyOn(Branch, 'findOne');
+
+    await expect(Branch.resolveForItem({})).resolves.toBeNull();
+    expect(Branch.findOne).not.toHaveBeenCalled();
+  });
+});
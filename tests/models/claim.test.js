@@ -0,0 +1,43 @@
+// tests/models/claim.test.js
+const mongoose = require('mongoose');
+const Claim = require('../../models/Claim');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Claim', () => {
+  describe('findOnItem', () => {
+    it('looks the claim up only on the given item', () => {
+      const findOne = jest.spyOn(Claim, 'findOne').mockReturnValue(null);
+      const item = { _id: new mongoose.Types.ObjectId() };
+      const claimId = new mongoose.Types.ObjectId().toString();
+
+      Claim.findOnItem(item, claimId);
+
+      expect(findOne).toHaveBeenCalledWith({ _id: claimId, item: item._id });
+    });
+
+    it('finds nothing for a malformed ID instead of failing to cast', () => {
+      const findOne = jest.spyOn(Claim, 'findOne').mockReturnValue(null);
+
+      Claim.findOnItem('item-1', 'not-an-id');
+
+      expect(findOne).toHaveBeenCalledWith({ _id: null, item: 'item-1' });
+    });
+  });
+
+  it('finds evidence sent with the claim or with its appeal', () => {
+    const document = () => ({ key: 'claims/doc.pdf', name: 'doc.pdf', type: 'application/pdf', size: 10 });
+    const claim = new Claim({
+      item: new mongoose.Types.ObjectId(),
+      claimedBy: new mongoose.Types.ObjectId(),
+      verificationDocuments: [document()],
+      appeal: { status: 'pending', reason: 'New receipt', documents: [document()] }
+    });
+
+    expect(claim.findDocument(claim.verificationDocuments[0]._id)).toBe(claim.verificationDocuments[0]);
+    expect(claim.findDocument(claim.appeal.documents[0]._id)).toBe(claim.appeal.documents[0]);
+    expect(claim.findDocument(new mongoose.Types.ObjectId())).toBeNull();
+  });
+});
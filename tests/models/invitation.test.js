@@ -0,0 +1,54 @@
+// tests/models/invitation.test.js
+const mongoose = require('mongoose');
+const Invitation = require('../../models/Invitation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const invitation = (fields = {}) => new Invitation({
+  email: 'New@Example.com',
+  role: 'staff',
+  branch: new mongoose.Types.ObjectId(),
+  invitedBy: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+describe('Invitation', () => {
+  it('stores only the hash of the token it hands out', () => {
+    const pending = invitation();
+    const token = pending.createInviteToken(7);
+
+    expect(pending.tokenHash).toBe(Invitation.hashToken(token));
+    expect(pending.tokenHash).not.toBe(token);
+    expect(pending.expiresAt.getTime()).toBeCloseTo(Date.now() + 7 * DAY_MS, -3);
+  });
+
+  it('keeps the token hash out of JSON', () => {
+    const pending = invitation();
+    pending.createInviteToken(7);
+
+    const json = pending.toJSON();
+    expect(json.tokenHash).toBeUndefined();
+    expect(json.email).toBe('new@example.com');
+    expect(json.status).toBe('pending');
+  });
+
+  it('derives its status', () => {
+    expect(invitation({ expiresAt: new Date(Date.now() - 1000) }).status).toBe('expired');
+    expect(invitation({ expiresAt: new Date(Date.now() + DAY_MS), revokedAt: new Date() }).status).toBe('revoked');
+    expect(invitation({ expiresAt: new Date(Date.now() - 1000), acceptedAt: new Date() }).status).toBe('accepted');
+  });
+
+  it('looks up only invitations that can still be redeemed', () => {
+    const findOne = jest.spyOn(Invitation, 'findOne').mockReturnValue(null);
+
+    Invitation.findRedeemable('abc');
+
+    expect(findOne).toHaveBeenCalledWith({
+      tokenHash: Invitation.hashToken('abc'),
+      acceptedAt: { $exists: false },
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: expect.any(Number) }
+    });
+    findOne.mockRestore();
+  });
+});
@@ -0,0 +1,83 @@
+// tests/models/item.test.js
+const mongoose = require('mongoose');
+const Item = require('../../models/Item');
+const { InvalidTransitionError } = require('../../config/itemLifecycle');
+
+describe('Item.toGeoPoint', () => {
+  it('turns { lat, lng } into a GeoJSON point, longitude first', () => {
+    expect(Item.toGeoPoint({ lat: '6.9344', lng: 79.85 })).toEqual({ type: 'Point', coordinates: [79.85, 6.9344] });
+  });
+
+  it('is null without both coordinates', () => {
+    expect(Item.toGeoPoint(null)).toBeNull();
+    expect(Item.toGeoPoint({ lat: 6.9 })).toBeNull();
+  });
+});
+
+describe('Item geoLocation', () => {
+  it('rejects coordinates out of range', () => {
+    const item = new Item({ geoLocation: { type: 'Point', coordinates: [200, 6.9] } });
+
+    expect(item.validateSync().errors['geoLocation.coordinates'].message).toBe('Coordinates must be [longitude, latitude]');
+  });
+
+  it('is optional', () => {
+    const item = new Item({});
+
+    expect(item.validateSync().errors.geoLocation).toBeUndefined();
+    expect(item.geoLocation.coordinates).toBeUndefined();
+  });
+});
+
+describe('Item#transitionTo', () => {
+  const actor = new mongoose.Types.ObjectId();
+
+  it('moves the item on and records who did it and why', () => {
+    const item = new Item({ status: 'active' });
+
+    item.transitionTo('in_storage', { actor, reason: 'Moved to the back office' });
+
+    expect(item.status).toBe('in_storage');
+    expect(item.statusHistory[item.statusHistory.length - 1]).toMatchObject({
+      from: 'active',
+      to: 'in_storage',
+      actor,
+      reason: 'Moved to the back office'
+    });
+  });
+
+  it('refuses moves the lifecycle does not allow', () => {
+    const item = new Item({ status: 'returned' });
+
+    expect(() => item.transitionTo('active')).toThrow(InvalidTransitionError);
+    expect(item.status).toBe('returned');
+    expect(item.statusHistory).toHaveLength(0);
+  });
+});
+
+describe('Item.transitionIfUnchanged', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only updates the item while it is still in the status it was read in', async () => {
+    const item = { _id: new mongoose.Types.ObjectId(), status: 'active' };
+    const update = jest.spyOn(Item, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(Item.transitionIfUnchanged(item, 'claimed', { reason: 'Claim approved' })).resolves.toBeNull();
+
+    const [filter, change, options] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: item._id, status: 'active' });
+    expect(change.$set).toEqual({ status: 'claimed' });
+    expect(change.$push.statusHistory).toMatchObject({ from: 'active', to: 'claimed', reason: 'Claim approved' });
+    expect(options).toEqual({ new: true });
+  });
+
+  it('refuses moves the lifecycle does not allow, without writing', () => {
+    const update = jest.spyOn(Item, 'findOneAndUpdate');
+
+    expect(() => Item.transitionIfUnchanged({ _id: 'item-1', status: 'returned' }, 'active'))
+      .toThrow(InvalidTransitionError);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
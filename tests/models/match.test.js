@@ -0,0 +1,65 @@
+// tests/models/match.test.js
+const mongoose = require('mongoose');
+const Match = require('../../models/Match');
+
+const lostItem = { _id: new mongoose.Types.ObjectId(), type: 'lost' };
+const foundItem = { _id: new mongoose.Types.ObjectId(), type: 'found' };
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Match.recordSuggestion', () => {
+  it('keys the record by the lost and found side whichever way round it is given', async () => {
+    const upsert = jest.spyOn(Match, 'findOneAndUpdate').mockResolvedValue({ _id: 'match-1' });
+
+    await Match.recordSuggestion(foundItem, lostItem, 72, { text: {} });
+
+    const [filter, update, options] = upsert.mock.calls[0];
+    expect(filter).toEqual({ lostItem: lostItem._id, foundItem: foundItem._id });
+    expect(update).toEqual({ $set: { score: 72, breakdown: { text: {} } }, $setOnInsert: { status: 'suggested' } });
+    expect(options).toMatchObject({ upsert: true });
+  });
+
+  it('updates the record a concurrent upsert inserted first', async () => {
+    const upsert = jest.spyOn(Match, 'findOneAndUpdate')
+      .mockRejectedValueOnce(duplicateKey())
+      .mockResolvedValueOnce({ _id: 'match-1' });
+
+    await expect(Match.recordSuggestion(lostItem, foundItem, 60, {})).resolves.toEqual({ _id: 'match-1' });
+    expect(upsert).toHaveBeenCalledTimes(2);
+  });
+
+  it('passes other errors on', async () => {
+    jest.spyOn(Match, 'findOneAndUpdate').mockRejectedValue(new Error('connection lost'));
+
+    await expect(Match.recordSuggestion(lostItem, foundItem, 60, {})).rejects.toThrow('connection lost');
+  });
+});
+
+describe('Match#buildClaimDraft', () => {
+  it('points the claim at the found item and describes the lost one', () => {
+    const match = new Match({ lostItem: lostItem._id, foundItem: foundItem._id, score: 80 });
+
+    const draft = match.buildClaimDraft({
+      title: 'Blue backpack',
+      location: 'Main library',
+      district: 'Galle',
+      date: new Date('2026-10-01T09:00:00Z')
+    });
+
+    expect(draft.itemId).toBe(match.foundItem);
+    expect(draft.matchId).toBe(match._id);
+    expect(draft.notes).toBe('This matches my lost item "Blue backpack", lost at Main library, Galle on 2026-10-01.');
+  });
+
+  it('keeps the notes within the claim limit', () => {
+    const match = new Match({ lostItem: lostItem._id, foundItem: foundItem._id, score: 80 });
+
+    const draft = match.buildClaimDraft({ title: 'x'.repeat(600), location: 'Hall', district: 'Galle', date: new Date() });
+
+    expect(draft.notes).toHaveLength(500);
+  });
+});
@@ -0,0 +1,92 @@
+// tests/services/authThrottleService.test.js
+const AuthThrottle = require('../../models/AuthThrottle');
+const AuthThrottleService = require('../../services/authThrottleService');
+
+const MINUTE = 60 * 1000;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AuthThrottleService', () => {
+  describe('check', () => {
+    it('allows keys with no history', async () => {
+      jest.spyOn(AuthThrottle, 'findOne').mockResolvedValue(null);
+
+      await expect(AuthThrottleService.check('login_account', 'a@example.com')).resolves.toEqual({ allowed: true });
+    });
+
+    it('matches accounts case-insensitively', async () => {
+      const findOne = jest.spyOn(AuthThrottle, 'findOne').mockResolvedValue(null);
+
+      await AuthThrottleService.check('login_account', ' Jane@Example.com ');
+
+      expect(findOne).toHaveBeenCalledWith({ scope: 'login_account', identifier: 'jane@example.com' });
+    });
+
+    it('reports how long a lock has left', async () => {
+      jest.spyOn(AuthThrottle, 'findOne').mockResolvedValue({ lockedUntil: new Date(Date.now() + 5 * MINUTE) });
+
+      await expect(AuthThrottleService.check('login_account', 'a@example.com'))
+        .resolves.toEqual({ allowed: false, locked: true, retryAfter: 300 });
+    });
+
+    it('spaces out attempts after the first few failures', async () => {
+      jest.spyOn(AuthThrottle, 'findOne').mockResolvedValue({
+        count: 4,
+        windowStart: new Date(),
+        lastAttemptAt: new Date()
+      });
+
+      // Fourth failure on login_account (delayAfter 3): wait 2s
+      await expect(AuthThrottleService.check('login_account', 'a@example.com'))
+        .resolves.toEqual({ allowed: false, locked: false, retryAfter: 2 });
+    });
+  });
+
+  it('reports the longest wait of several keys', async () => {
+    jest.spyOn(AuthThrottle, 'findOne')
+      .mockResolvedValueOnce({ lockedUntil: new Date(Date.now() + MINUTE) })
+      .mockResolvedValueOnce({ lockedUntil: new Date(Date.now() + 10 * MINUTE) });
+
+    const result = await AuthThrottleService.checkAll([['login_account', 'a@example.com'], ['login_ip', '10.0.0.1']]);
+
+    expect(result.retryAfter).toBe(600);
+  });
+
+  describe('record', () => {
+    it('locks a key that reaches the limit, longer each time', async () => {
+      const update = jest.spyOn(AuthThrottle, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ count: 5, lockCount: 2, windowStart: new Date() })
+        .mockResolvedValueOnce({ lockCount: 3 });
+
+      const before = Date.now();
+      await AuthThrottleService.record('login_account', 'a@example.com');
+
+      const [, lock] = update.mock.calls[1];
+      // 15 minutes doubled for each earlier lock
+      expect(lock.$set.lockedUntil.getTime() - before).toBeGreaterThanOrEqual(60 * MINUTE);
+      expect(lock.$set.lockedUntil.getTime() - before).toBeLessThan(61 * MINUTE);
+      expect(lock.$set.count).toBe(0);
+      expect(lock.$inc).toEqual({ lockCount: 1 });
+    });
+
+    it('starts a new window once the old one has passed', async () => {
+      const update = jest.spyOn(AuthThrottle, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ count: 4, lockCount: 0, windowStart: new Date(Date.now() - 20 * MINUTE) })
+        .mockResolvedValueOnce({ count: 1, lockCount: 0 });
+
+      await AuthThrottleService.record('login_account', 'a@example.com');
+
+      expect(update).toHaveBeenCalledTimes(2);
+      expect(update.mock.calls[1][1].$set.count).toBe(1);
+    });
+  });
+
+  it('words locks and delays differently', () => {
+    expect(AuthThrottleService.rejection({ locked: true, retryAfter: 61 }).body)
+      .toMatchObject({ code: 'TEMPORARILY_LOCKED', message: 'Too many attempts. Try again in 2 minutes.' });
+    expect(AuthThrottleService.rejection({ locked: false, retryAfter: 1 }).body)
+      .toMatchObject({ code: 'TOO_MANY_ATTEMPTS', message: 'Please wait 1 second before trying again.' });
+  });
+});
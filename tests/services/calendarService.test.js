@@ -0,0 +1,85 @@
+// tests/services/calendarService.test.js
+const CalendarService = require('../../services/calendarService');
+
+const appointment = (overrides = {}) => ({
+  _id: '64b000000000000000000001',
+  status: 'booked',
+  sequence: 0,
+  startsAt: new Date('2026-10-20T03:30:00Z'),
+  endsAt: new Date('2026-10-20T04:00:00Z'),
+  updatedAt: new Date('2026-10-19T10:15:30.123Z'),
+  ...overrides
+});
+
+const item = { title: 'Blue backpack', type: 'found' };
+const branch = { name: 'Colombo Fort', address: '1 Station Road' };
+
+const render = (overrides, context = { item, branch }) =>
+  CalendarService.renderPickup(appointment(overrides), context);
+
+// Undo line folding to read whole properties back
+const unfold = ics => ics.replace(/\r\n /g, '');
+const property = (ics, name) => unfold(ics).split('\r\n').find(line => line.startsWith(`${name}:`));
+
+describe('CalendarService.renderPickup', () => {
+  it('writes a booked pickup as a confirmed event request', () => {
+    const ics = render();
+
+    expect(property(ics, 'METHOD')).toBe('METHOD:REQUEST');
+    expect(property(ics, 'STATUS')).toBe('STATUS:CONFIRMED');
+    expect(property(ics, 'UID')).toBe('UID:pickup-64b000000000000000000001@lost-and-found');
+    expect(property(ics, 'SEQUENCE')).toBe('SEQUENCE:0');
+    expect(property(ics, 'DTSTART')).toBe('DTSTART:20261020T033000Z');
+    expect(property(ics, 'DTEND')).toBe('DTEND:20261020T040000Z');
+    expect(property(ics, 'DTSTAMP')).toBe('DTSTAMP:20261019T101530Z');
+    expect(property(ics, 'LOCATION')).toBe('LOCATION:Colombo Fort\\, 1 Station Road');
+  });
+
+  it('writes a cancelled pickup as a cancellation of the same event', () => {
+    const ics = render({ status: 'cancelled', sequence: 2 });
+
+    expect(property(ics, 'METHOD')).toBe('METHOD:CANCEL');
+    expect(property(ics, 'STATUS')).toBe('STATUS:CANCELLED');
+    expect(property(ics, 'UID')).toBe('UID:pickup-64b000000000000000000001@lost-and-found');
+    expect(property(ics, 'SEQUENCE')).toBe('SEQUENCE:2');
+  });
+
+  it('ends every line with CRLF', () => {
+    const ics = render();
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  it('escapes text values', () => {
+    const ics = render({}, {
+      item: { title: 'Keys; wallet, phone\\case\nand "charger"', type: 'lost' },
+      branch: { name: 'Main', address: '' }
+    });
+
+    expect(property(ics, 'SUMMARY')).toBe('SUMMARY:Pick up "Keys\\; wallet\\, phone\\\\case\\nand "charger""');
+    expect(property(ics, 'LOCATION')).toBe('LOCATION:Main');
+  });
+
+  it('keeps item text from adding properties of its own', () => {
+    const ics = render({}, {
+      item: { title: 'Bag\r\nATTENDEE:mailto:someone@example.com', type: 'found' },
+      branch
+    });
+
+    expect(unfold(ics).split('\r\n').filter(line => line.startsWith('ATTENDEE'))).toEqual([]);
+  });
+
+  it('folds lines at 75 octets without splitting characters', () => {
+    const ics = render({}, {
+      item: { title: 'Sac à dos bleu avec étiquette — trouvé près du quai numéro trois, café inclus ☕☕☕', type: 'found' },
+      branch
+    });
+    const lines = ics.split('\r\n').slice(0, -1);
+
+    lines.forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+    expect(ics).not.toContain('�');
+    expect(property(ics, 'SUMMARY')).toBe('SUMMARY:Pick up "Sac à dos bleu avec étiquette — trouvé près du quai numéro trois\\, café inclus ☕☕☕"');
+  });
+});
@@ -0,0 +1,133 @@
+// tests/services/claimAssignmentService.test.js
+const Branch = require('../../models/Branch');
+const Claim = require('../../models/Claim');
+const NotificationService = require('../../services/notificationService');
+const ClaimAssignmentService = require('../../services/claimAssignmentService');
+const ClaimReviewPolicyService = require('../../services/claimReviewPolicyService');
+
+const reviewers = ['a1', 'b2', 'c3'].map(_id => ({ _id }));
+
+// Each call reads the branch as the next entry in `lastReviewers`
+const branchReads = lastReviewers => {
+  const findById = jest.spyOn(Branch, 'findById');
+  lastReviewers.forEach(lastClaimReviewer => findById.mockReturnValueOnce({
+    select: () => Promise.resolve({ lastClaimReviewer })
+  }));
+  return findById;
+};
+
+beforeEach(() => {
+  jest.spyOn(ClaimAssignmentService, 'reviewersFor').mockResolvedValue(reviewers);
+  jest.spyOn(ClaimReviewPolicyService, 'getPolicy').mockResolvedValue({ assignment: 'round_robin' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ClaimAssignmentService.pickReviewer round robin', () => {
+  it('starts with the first reviewer on a branch that has had none', async () => {
+    branchReads([undefined]);
+    const advance = jest.spyOn(Branch, 'findOneAndUpdate').mockResolvedValue({});
+
+    await expect(ClaimAssignmentService.pickReviewer('branch-1'))
+      .resolves.toEqual({ reviewer: 'a1', method: 'round_robin' });
+    expect(advance).toHaveBeenCalledWith(
+      { _id: 'branch-1', lastClaimReviewer: null },
+      { $set: { lastClaimReviewer: 'a1' } }
+    );
+  });
+
+  it('moves on from the last reviewer and wraps around', async () => {
+    branchReads(['a1', 'c3']);
+    jest.spyOn(Branch, 'findOneAndUpdate').mockResolvedValue({});
+
+    expect((await ClaimAssignmentService.pickReviewer('branch-1')).reviewer).toBe('b2');
+    expect((await ClaimAssignmentService.pickReviewer('branch-1')).reviewer).toBe('a1');
+  });
+
+  it('takes the turn again when another claim moved the rotation first', async () => {
+    branchReads(['a1', 'b2']);
+    const advance = jest.spyOn(Branch, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({});
+
+    await expect(ClaimAssignmentService.pickReviewer('branch-1'))
+      .resolves.toEqual({ reviewer: 'c3', method: 'round_robin' });
+    expect(advance).toHaveBeenLastCalledWith(
+      { _id: 'branch-1', lastClaimReviewer: 'b2' },
+      { $set: { lastClaimReviewer: 'c3' } }
+    );
+  });
+
+  it('settles for its last pick if the rotation keeps moving', async () => {
+    branchReads(['a1', 'a1', 'a1', 'a1', 'a1']);
+    const advance = jest.spyOn(Branch, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect((await ClaimAssignmentService.pickReviewer('branch-1')).reviewer).toBe('b2');
+    expect(advance).toHaveBeenCalledTimes(5);
+  });
+});
+
+describe('ClaimAssignmentService.pickReviewer least loaded', () => {
+  beforeEach(() => {
+    ClaimReviewPolicyService.getPolicy.mockResolvedValue({ assignment: 'least_loaded' });
+  });
+
+  it('picks the reviewer holding the fewest pending claims', async () => {
+    jest.spyOn(ClaimAssignmentService, 'pendingLoad').mockResolvedValue(new Map([['a1', 3], ['b2', 1]]));
+
+    await expect(ClaimAssignmentService.pickReviewer('branch-1')).resolves.toEqual({ reviewer: 'c3', method: 'least_loaded' });
+  });
+
+  it('breaks ties by reviewer order', async () => {
+    jest.spyOn(ClaimAssignmentService, 'pendingLoad').mockResolvedValue(new Map([['a1', 2], ['b2', 1], ['c3', 1]]));
+
+    await expect(ClaimAssignmentService.pickReviewer('branch-1')).resolves.toEqual({ reviewer: 'b2', method: 'least_loaded' });
+  });
+
+  it('leaves claims unassigned on a branch without reviewers', async () => {
+    ClaimAssignmentService.reviewersFor.mockResolvedValue([]);
+
+    await expect(ClaimAssignmentService.pickReviewer('branch-1')).resolves.toBeNull();
+    await expect(ClaimAssignmentService.pickReviewer(null)).resolves.toBeNull();
+  });
+});
+
+describe('ClaimAssignmentService.escalateOverdue', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+  const now = new Date('2026-03-10T12:00:00Z');
+  const item = { _id: 'item-1', title: 'Wallet' };
+
+  let find;
+
+  beforeEach(() => {
+    ClaimReviewPolicyService.getPolicy.mockResolvedValue({ assignment: 'least_loaded', slaHours: 48 });
+    find = jest.spyOn(Claim, 'find').mockReturnValue({
+      select: () => ({
+        populate: async () => [{ _id: 'claim-late', item, pendingSince: new Date(now.getTime() - 50 * HOUR_MS) }]
+      })
+    });
+  });
+
+  it('marks and reports each claim past the SLA once', async () => {
+    const mark = jest.spyOn(Claim, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const notify = jest.spyOn(NotificationService, 'handleClaimEscalated').mockResolvedValue();
+
+    await expect(ClaimAssignmentService.escalateOverdue(now)).resolves.toEqual({ escalated: 1 });
+
+    const [filter] = find.mock.calls[0];
+    expect(filter).toMatchObject({ status: 'pending', escalatedAt: null });
+    expect(filter.$or[0].pendingSince.$lte).toEqual(new Date(now.getTime() - 48 * HOUR_MS));
+    expect(mark).toHaveBeenCalledWith({ _id: 'claim-late', status: 'pending', escalatedAt: null }, { $set: { escalatedAt: now } });
+    expect(notify).toHaveBeenCalledWith(item, expect.objectContaining({ _id: 'claim-late' }), new Date(now.getTime() - 2 * HOUR_MS));
+  });
+
+  it('skips claims another run escalated first', async () => {
+    jest.spyOn(Claim, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const notify = jest.spyOn(NotificationService, 'handleClaimEscalated').mockResolvedValue();
+
+    await expect(ClaimAssignmentService.escalateOverdue(now)).resolves.toEqual({ escalated: 0 });
+    expect(notify).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+// tests/services/claimDocumentService.test.js
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const { privateStorage } = require('../../services/storage');
+const ClaimDocumentService = require('../../services/claimDocumentService');
+
+const item = { _id: 'item-1', branch: 'branch-1' };
+const claim = { _id: 'claim-1', claimedBy: 'user-1' };
+const document = { _id: 'doc-1', key: 'claims/item-1/claim-1/a.pdf' };
+
+const pdf = { originalname: 'receipt.pdf', mimetype: 'application/pdf', buffer: Buffer.from('%PDF-1.7 ...') };
+
+let savedSecret;
+
+beforeEach(() => {
+  savedSecret = process.env.JWT_SECRET;
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+afterEach(() => {
+  process.env.JWT_SECRET = savedSecret;
+  jest.restoreAllMocks();
+});
+
+describe('ClaimDocumentService', () => {
+  describe('sanitize', () => {
+    it('passes real PDFs through', async () => {
+      await expect(ClaimDocumentService.sanitize(pdf)).resolves.toBe(pdf.buffer);
+    });
+
+    it('rejects files posing as PDFs', async () => {
+      const fake = { ...pdf, buffer: Buffer.from('<html>') };
+
+      await expect(ClaimDocumentService.sanitize(fake)).rejects.toThrow('receipt.pdf is not a valid PDF');
+    });
+
+    it('rejects images whose content does not match their type', async () => {
+      const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#fff' } }).png().toBuffer();
+
+      await expect(ClaimDocumentService.sanitize({ originalname: 'id.jpg', mimetype: 'image/jpeg', buffer: png }))
+        .rejects.toThrow('id.jpg is not a valid image');
+    });
+  });
+
+  describe('storeDocuments', () => {
+    it('stores each file privately under the claim', async () => {
+      const save = jest.spyOn(privateStorage, 'save').mockResolvedValue({});
+
+      const stored = await ClaimDocumentService.storeDocuments('item-1', 'claim-1', [pdf]);
+
+      expect(stored).toEqual([{ key: expect.stringMatching(/^claims\/item-1\/claim-1\/[\w-]+\.pdf$/), name: 'receipt.pdf', type: 'application/pdf', size: pdf.buffer.length }]);
+      expect(save).toHaveBeenCalledWith(stored[0].key, pdf.buffer, 'application/pdf');
+    });
+
+    it('removes what it stored when a later file is rejected', async () => {
+      jest.spyOn(privateStorage, 'save').mockResolvedValue({});
+      const remove = jest.spyOn(privateStorage, 'remove').mockResolvedValue();
+      const fake = { ...pdf, originalname: 'fake.pdf', buffer: Buffer.from('nope') };
+
+      await expect(ClaimDocumentService.storeDocuments('item-1', 'claim-1', [pdf, fake])).rejects.toThrow('fake.pdf is not a valid PDF');
+      expect(remove).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('canAccess', () => {
+    const reviewer = new Set(['claims.view']);
+    const none = new Set();
+
+    it('lets the claimant and reviewers of every branch in', () => {
+      expect(ClaimDocumentService.canAccess({ id: 'user-1' }, none, item, claim)).toBe(true);
+      expect(ClaimDocumentService.canAccess({ id: 'admin-1' }, new Set(['claims.view', 'branches.all']), item, claim)).toBe(true);
+    });
+
+    it('lets in reviewers of the item branch only', () => {
+      expect(ClaimDocumentService.canAccess({ id: 'staff-1', branch: 'branch-1' }, reviewer, item, claim)).toBe(true);
+      expect(ClaimDocumentService.canAccess({ id: 'staff-2', branch: 'branch-2' }, reviewer, item, claim)).toBe(false);
+      expect(ClaimDocumentService.canAccess({ id: 'staff-3' }, reviewer, item, claim)).toBe(false);
+      expect(ClaimDocumentService.canAccess({ id: 'user-2', branch: 'branch-1' }, none, item, claim)).toBe(false);
+    });
+  });
+
+  describe('download tokens', () => {
+    it('round-trips the document they were issued for', () => {
+      const token = ClaimDocumentService.createDownloadToken(item, claim, document, { id: 'user-1' });
+
+      expect(ClaimDocumentService.verifyDownloadToken(token)).toMatchObject({
+        item: 'item-1',
+        claim: 'claim-1',
+        document: 'doc-1',
+        user: 'user-1'
+      });
+    });
+
+    it('are not interchangeable with other tokens signed by the same secret', () => {
+      const sessionToken = jwt.sign({ id: 'user-1' }, process.env.JWT_SECRET);
+
+      expect(() => ClaimDocumentService.verifyDownloadToken(sessionToken)).toThrow(/audience/);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+// tests/services/conversationService.test.js
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const { privateStorage } = require('../../services/storage');
+const ConversationService = require('../../services/conversationService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const asUser = _id => ({ _id, id: _id.toString() });
+
+describe('ConversationService', () => {
+  const reporterId = id();
+  const claimantId = id();
+  const branch = id();
+  const item = { _id: id(), reportedBy: reporterId, branch };
+  const claim = { _id: id(), claimedBy: claimantId };
+
+  let originalSecret;
+
+  beforeEach(() => {
+    originalSecret = process.env.JWT_SECRET;
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    process.env.JWT_SECRET = originalSecret;
+    jest.restoreAllMocks();
+  });
+
+  describe('roleFor', () => {
+    it('knows the claimant only on their claim thread', () => {
+      expect(ConversationService.roleFor(asUser(claimantId), new Set(), item, claim)).toBe('claimant');
+      expect(ConversationService.roleFor(asUser(claimantId), new Set(), item, null)).toBeNull();
+      expect(ConversationService.roleFor(asUser(reporterId), new Set(), item, claim)).toBe('reporter');
+    });
+
+    it('lets claim reviewers in for their own branch unless they cover all branches', () => {
+      const staff = { ...asUser(id()), branch };
+      const elsewhere = { ...asUser(id()), branch: id() };
+
+      expect(ConversationService.roleFor(staff, new Set(['claims.view']), item, claim)).toBe('staff');
+      expect(ConversationService.roleFor(elsewhere, new Set(['claims.view']), item, claim)).toBeNull();
+      expect(ConversationService.roleFor(elsewhere, new Set(['claims.view', 'branches.all']), item, claim)).toBe('staff');
+      expect(ConversationService.roleFor(staff, new Set(), item, claim)).toBeNull();
+    });
+  });
+
+  describe('open', () => {
+    it('starts the thread with the reporter and claimant in it', async () => {
+      const upsert = jest.spyOn(Conversation, 'findOneAndUpdate').mockResolvedValue({});
+
+      await ConversationService.open(item, claim);
+
+      const [filter, update, options] = upsert.mock.calls[0];
+      expect(filter).toEqual({ item: item._id, claim: claim._id });
+      expect(update.$setOnInsert.participants).toEqual([
+        { user: reporterId.toString(), role: 'reporter' },
+        { user: claimantId.toString(), role: 'claimant' }
+      ]);
+      expect(options.upsert).toBe(true);
+    });
+
+    it('reads back the thread another request started at the same time', async () => {
+      jest.spyOn(Conversation, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+      const existing = { _id: 'conversation-1' };
+      const findOne = jest.spyOn(Conversation, 'findOne').mockResolvedValue(existing);
+
+      await expect(ConversationService.open(item, null)).resolves.toBe(existing);
+      expect(findOne).toHaveBeenCalledWith({ item: item._id, claim: null });
+    });
+  });
+
+  it('counts a message as read by participants whose receipt is past it', () => {
+    const staffId = id();
+    const sentAt = new Date('2026-03-01T10:00:00Z');
+    const conversation = new Conversation({
+      item: item._id,
+      participants: [
+        { user: reporterId, role: 'reporter', lastReadAt: new Date('2026-03-01T11:00:00Z') },
+        { user: claimantId, role: 'claimant', lastReadAt: new Date('2026-03-01T12:00:00Z') },
+        { user: staffId, role: 'staff', lastReadAt: new Date('2026-03-01T09:00:00Z') }
+      ]
+    });
+
+    const readBy = ConversationService.readBy(conversation, { sender: claimantId, createdAt: sentAt });
+
+    expect(readBy).toEqual([reporterId.toString()]);
+  });
+
+  describe('postMessage', () => {
+    const conversation = { _id: id() };
+    const sender = asUser(claimantId);
+    const attachments = [{ key: 'messages/a.png', name: 'a.png', type: 'image/png', size: 10 }];
+
+    it('bumps the thread and moves the sender\'s read receipt up to the message', async () => {
+      jest.spyOn(Message.prototype, 'save').mockImplementation(async function() {
+        this.createdAt = new Date('2026-03-01T10:00:00Z');
+        return this;
+      });
+      const update = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({});
+
+      const message = await ConversationService.postMessage(conversation, sender, { body: 'Is it still there?' });
+
+      expect(update.mock.calls[0]).toEqual([
+        { _id: conversation._id },
+        { $max: { lastMessageAt: message.createdAt }, $inc: { messageCount: 1 } }
+      ]);
+      expect(update.mock.calls[1]).toEqual([
+        { _id: conversation._id, 'participants.user': sender._id },
+        { $max: { 'participants.$.lastReadAt': message.createdAt } }
+      ]);
+    });
+
+    it('removes stored attachments when the message cannot be saved', async () => {
+      jest.spyOn(Message.prototype, 'save').mockRejectedValue(new Error('validation failed'));
+      const remove = jest.spyOn(privateStorage, 'remove').mockResolvedValue();
+
+      await expect(ConversationService.postMessage(conversation, sender, { body: 'Hi', attachments })).rejects.toThrow('validation failed');
+      expect(remove).toHaveBeenCalledWith('messages/a.png');
+    });
+  });
+
+  it('issues download tokens only for message attachments', () => {
+    const message = { _id: id(), conversation: id() };
+    const attachment = { _id: id() };
+    const token = ConversationService.createDownloadToken(message, attachment, asUser(claimantId));
+
+    expect(ConversationService.verifyDownloadToken(token)).toMatchObject({
+      message: message._id.toString(),
+      attachment: attachment._id.toString(),
+      user: claimantId.toString()
+    });
+
+    const other = jwt.sign({ message: 'x' }, 'test-secret', { audience: 'claim-document' });
+    expect(() => ConversationService.verifyDownloadToken(other)).toThrow(/audience/);
+  });
+});
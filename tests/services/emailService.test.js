@@ -0,0 +1,84 @@
+// tests/services/emailService.test.js
+const emailService = require('../../services/emailService');
+
+const SCRIPT = '<script>alert("x")</script>';
+const ESCAPED_SCRIPT = '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;';
+
+let sendMail;
+
+beforeEach(() => {
+  sendMail = jest.spyOn(emailService.transporter, 'sendMail').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const sentMail = () => sendMail.mock.calls[0][0];
+
+describe('emailService', () => {
+  it('escapes who sent an invitation and where to', async () => {
+    await emailService.sendInvitationEmail('new@example.com', 'token', {
+      role: 'staff',
+      branchName: `Fort ${SCRIPT}`,
+      invitedBy: `Jane & "Co" <a href="https://evil.example">click</a>`,
+      expiresInDays: 7
+    });
+
+    const { html } = sentMail();
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('evil.example">');
+    expect(html).toContain(`Fort ${ESCAPED_SCRIPT}`);
+    expect(html).toContain('Jane &amp; &quot;Co&quot; &lt;a href=&quot;https://evil.example&quot;&gt;');
+  });
+
+  it('links the invitation to the accept page', async () => {
+    await emailService.sendInvitationEmail('new@example.com', 'abc123', { role: 'admin', invitedBy: 'Jane', expiresInDays: 3 });
+
+    const { to, html } = sentMail();
+    expect(to).toBe('new@example.com');
+    expect(html).toContain(`href="${process.env.FRONTEND_URL}/accept-invite/abc123"`);
+    expect(html).toContain('expires in 3 days');
+  });
+
+  it('escapes item and branch details in pickup emails', async () => {
+    await emailService.sendPickupEmail('claimant@example.com', {
+      change: 'booked',
+      itemTitle: `Bag ${SCRIPT}`,
+      when: 'Tue 20 Oct, 09:00',
+      branchName: "O'Brien <b>Hall</b>",
+      branchAddress: '1 Main St',
+      calendar: 'BEGIN:VCALENDAR'
+    });
+
+    const { html, subject, attachments } = sentMail();
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('<b>Hall</b>');
+    expect(html).toContain(`"Bag ${ESCAPED_SCRIPT}"`);
+    expect(html).toContain('O&#39;Brien &lt;b&gt;Hall&lt;/b&gt;, 1 Main St');
+    // Subjects are plain text, so they go as written
+    expect(subject).toBe(`Pickup Booked: Bag ${SCRIPT}`);
+    expect(attachments[0].contentType).toContain('method=REQUEST');
+  });
+
+  it('sends cancellations with a cancelling calendar attachment', async () => {
+    await emailService.sendPickupEmail('claimant@example.com', {
+      change: 'cancelled',
+      itemTitle: 'Bag',
+      when: 'Tue 20 Oct, 09:00',
+      branchName: 'Fort',
+      calendar: 'BEGIN:VCALENDAR'
+    });
+
+    expect(sentMail().subject).toBe('Pickup Cancelled: Bag');
+    expect(sentMail().attachments[0].contentType).toContain('method=CANCEL');
+  });
+
+  it('reports a failed send instead of throwing', async () => {
+    sendMail.mockRejectedValue(new Error('SMTP down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(emailService.sendVerificationEmail('user@example.com', 'token'))
+      .resolves.toEqual({ success: false, error: 'SMTP down' });
+  });
+});
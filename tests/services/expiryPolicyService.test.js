@@ -0,0 +1,75 @@
+// tests/services/expiryPolicyService.test.js
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let Setting;
+let ExpiryPolicyService;
+
+// Fresh modules per test so the policy cache starts empty
+beforeEach(() => {
+  jest.isolateModules(() => {
+    Setting = require('../../models/Setting');
+    ExpiryPolicyService = require('../../services/expiryPolicyService');
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const stored = policy => jest.spyOn(Setting, 'getValue').mockResolvedValue(policy);
+
+describe('ExpiryPolicyService', () => {
+  describe('resolve', () => {
+    beforeEach(() => {
+      stored({
+        listingDays: 20,
+        categories: { documents: 90 },
+        branches: {
+          'branch-1': { listingDays: 10, categories: { keys: 5 }, policeHandoverDays: 60 }
+        }
+      });
+    });
+
+    it('prefers branch and category, then category, then branch, then the default', async () => {
+      await expect(ExpiryPolicyService.resolve({ category: 'keys', branch: 'branch-1' })).resolves.toMatchObject({ listingDays: 5 });
+      await expect(ExpiryPolicyService.resolve({ category: 'documents', branch: 'branch-1' })).resolves.toMatchObject({ listingDays: 90 });
+      await expect(ExpiryPolicyService.resolve({ category: 'bags', branch: 'branch-1' })).resolves.toMatchObject({ listingDays: 10 });
+      await expect(ExpiryPolicyService.resolve({ category: 'bags' })).resolves.toMatchObject({ listingDays: 20 });
+    });
+
+    it('fills what the stored policy leaves out from the defaults', async () => {
+      await expect(ExpiryPolicyService.resolve({ category: 'bags', branch: 'branch-2' })).resolves.toEqual({
+        listingDays: 20,
+        policeHandoverDays: 30,
+        maxRenewals: 2,
+        renewalGraceDays: 14
+      });
+      await expect(ExpiryPolicyService.resolve({ category: 'bags', branch: 'branch-1' })).resolves.toMatchObject({ policeHandoverDays: 60 });
+    });
+  });
+
+  it('dates expiry from the resolved listing length', async () => {
+    stored({ categories: { documents: 90 } });
+    const from = new Date('2026-01-01T00:00:00Z');
+
+    const expiryDate = await ExpiryPolicyService.expiryDateFor({ category: 'documents' }, from);
+
+    expect(expiryDate.getTime()).toBe(from.getTime() + 90 * DAY_MS);
+  });
+
+  it('caches the policy until it is replaced', async () => {
+    const getValue = stored({ listingDays: 20 });
+    const setValue = jest.spyOn(Setting, 'setValue').mockResolvedValue({});
+
+    await ExpiryPolicyService.getPolicy();
+    await ExpiryPolicyService.getPolicy();
+    expect(getValue).toHaveBeenCalledTimes(1);
+
+    const policy = await ExpiryPolicyService.setPolicy({ listingDays: 45, unknown: true }, 'admin-1');
+    expect(setValue).toHaveBeenCalledWith('items.expiryPolicy', { listingDays: 45 }, 'admin-1');
+    expect(policy.listingDays).toBe(45);
+
+    await ExpiryPolicyService.getPolicy();
+    expect(getValue).toHaveBeenCalledTimes(2);
+  });
+});
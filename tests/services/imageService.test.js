@@ -0,0 +1,91 @@
+// tests/services/imageService.test.js
+const sharp = require('sharp');
+const { publicStorage: storage } = require('../../services/storage');
+const ImageService = require('../../services/imageService');
+
+const png = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } }
+}).png().toBuffer();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ImageService', () => {
+  describe('processImage', () => {
+    it('scales large images down and builds a square thumbnail', async () => {
+      const processed = await ImageService.processImage(await png(3000, 1500));
+
+      expect(processed).toMatchObject({ width: 2048, height: 1024, contentType: 'image/png', extension: 'png' });
+      const thumbnail = await sharp(processed.thumbnail).metadata();
+      expect([thumbnail.width, thumbnail.height]).toEqual([320, 320]);
+    });
+
+    it('drops EXIF metadata', async () => {
+      const tagged = await sharp(await png(40, 40))
+        .jpeg()
+        .withMetadata({ exif: { IFD0: { Copyright: 'Someone' } } })
+        .toBuffer();
+      expect((await sharp(tagged).metadata()).exif).toBeDefined();
+
+      const processed = await ImageService.processImage(tagged);
+
+      expect((await sharp(processed.image).metadata()).exif).toBeUndefined();
+    });
+
+    it('rejects files that are not images', async () => {
+      await expect(ImageService.processImage(Buffer.from('not an image'))).rejects.toThrow('File is not a readable image');
+    });
+
+    it('rejects formats it does not store, whatever the declared type', async () => {
+      const gif = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#000' } }).gif().toBuffer();
+
+      await expect(ImageService.processImage(gif)).rejects.toThrow('Unsupported image format: gif');
+    });
+  });
+
+  describe('storeItemImage', () => {
+    it('stores the image and its thumbnail under the item', async () => {
+      const save = jest.spyOn(storage, 'save').mockImplementation(async key => ({ key, url: `/uploads/${key}` }));
+
+      const image = await ImageService.storeItemImage('item-1', { buffer: await png(10, 10), originalname: 'a.png' }, 'user-1');
+
+      expect(save).toHaveBeenCalledTimes(2);
+      expect(image.key).toMatch(/^items\/item-1\/[\w-]+\.png$/);
+      expect(image.thumbnailKey).toBe(image.key.replace('.png', '_thumb.png'));
+      expect(image).toMatchObject({ url: `/uploads/${image.key}`, originalName: 'a.png', uploadedBy: 'user-1' });
+    });
+
+    it('removes the image again when the thumbnail cannot be stored', async () => {
+      jest.spyOn(storage, 'save')
+        .mockImplementationOnce(async key => ({ key, url: `/uploads/${key}` }))
+        .mockRejectedValueOnce(new Error('disk full'));
+      const remove = jest.spyOn(storage, 'remove').mockResolvedValue();
+
+      await expect(ImageService.storeItemImage('item-1', { buffer: await png(10, 10) })).rejects.toThrow('disk full');
+      expect(remove).toHaveBeenCalledWith(expect.stringMatching(/^items\/item-1\/[\w-]+\.png$/));
+    });
+  });
+
+  describe('removeImageFiles', () => {
+    it('removes both stored files and logs failures instead of throwing', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const remove = jest.spyOn(storage, 'remove')
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('gone'));
+
+      await ImageService.removeImageFiles({ key: 'items/1/a.png', thumbnailKey: 'items/1/a_thumb.png' });
+
+      expect(remove.mock.calls).toEqual([['items/1/a.png'], ['items/1/a_thumb.png']]);
+      expect(console.error).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves external references alone', async () => {
+      const remove = jest.spyOn(storage, 'remove');
+
+      await ImageService.removeImageFiles({ key: 'external/item-1/abc', url: 'https://example.com/a.jpg' });
+
+      expect(remove).not.toHaveBeenCalled();
+    });
+  });
+});
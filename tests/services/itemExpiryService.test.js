@@ -0,0 +1,62 @@
+// tests/services/itemExpiryService.test.js
+const Item = require('../../models/Item');
+const NotificationService = require('../../services/notificationService');
+const ItemExpiryService = require('../../services/itemExpiryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const found = items => jest.spyOn(Item, 'find').mockReturnValue({ select: async () => items });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ItemExpiryService', () => {
+  describe('sendNotices', () => {
+    it('marks each notice as sent for the current expiry date before sending it', async () => {
+      const expiryDate = new Date();
+      const mark = jest.spyOn(Item, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const send = jest.fn(async () => {
+        expect(mark).toHaveBeenCalledTimes(1);
+      });
+
+      await expect(ItemExpiryService.sendNotices([{ _id: 'item-1', expiryDate }], 'expiredFor', send)).resolves.toBe(1);
+
+      const [filter, update] = mark.mock.calls[0];
+      expect(filter).toMatchObject({ _id: 'item-1', expiryDate });
+      expect(update).toEqual({ $set: { 'expiryNotices.expiredFor': expiryDate } });
+    });
+
+    it('skips items another run already notified', async () => {
+      jest.spyOn(Item, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const send = jest.fn();
+
+      await expect(ItemExpiryService.sendNotices([{ _id: 'item-1', expiryDate: new Date() }], 'expiredFor', send)).resolves.toBe(0);
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  it('expires overdue items and announces only recent expiries', async () => {
+    jest.spyOn(Item, 'expireOverdue').mockResolvedValue({ modifiedCount: 3 });
+    const find = found([{ _id: 'item-1', expiryDate: new Date() }]);
+    jest.spyOn(Item, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const notify = jest.spyOn(NotificationService, 'handleItemExpired').mockResolvedValue();
+
+    await expect(ItemExpiryService.expireOverdueItems()).resolves.toEqual({ expired: 3, notified: 1 });
+
+    const [filter] = find.mock.calls[0];
+    expect(filter.status).toBe('expired');
+    expect(Date.now() - filter.expiryDate.$gte.getTime()).toBeCloseTo(7 * DAY_MS, -3);
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  it('reminds reporters with the days left', async () => {
+    const expiryDate = new Date(Date.now() + 2 * DAY_MS - 1000);
+    found([{ _id: 'item-1', expiryDate }]);
+    jest.spyOn(Item, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const remind = jest.spyOn(NotificationService, 'handleDeadlineReminder').mockResolvedValue();
+
+    await expect(ItemExpiryService.sendDeadlineReminders()).resolves.toEqual({ reminded: 1 });
+    expect(remind).toHaveBeenCalledWith(expect.objectContaining({ _id: 'item-1' }), 2);
+  });
+});
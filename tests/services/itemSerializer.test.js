@@ -0,0 +1,134 @@
+// tests/services/itemSerializer.test.js
+const ItemSerializer = require('../../services/itemSerializer');
+
+const STAFF = new Set(['claims.view', 'claims.approve']);
+
+const reporter = { id: 'user-reporter', branch: null };
+const claimant = { id: 'user-claimant', branch: null };
+const stranger = { id: 'user-stranger', branch: null };
+const branchStaff = { id: 'user-staff', branch: 'branch-1' };
+const otherStaff = { id: 'user-other-staff', branch: 'branch-2' };
+
+const item = (overrides = {}) => ({
+  _id: 'item-1',
+  title: 'Blue backpack',
+  branch: 'branch-1',
+  contactPreference: 'email',
+  reportedBy: { _id: 'user-reporter', name: 'Jane Doe' },
+  contactInfo: { name: 'Jane Doe', email: 'jane.doe@example.com', phone: '+94 77 123 4567' },
+  statusHistory: [{ to: 'active' }],
+  renewals: [],
+  expiryNotices: [],
+  claims: [
+    { _id: 'claim-1', claimedBy: 'user-claimant', status: 'pending', notes: 'Mine', rejections: [] },
+    { _id: 'claim-2', claimedBy: 'user-someone', status: 'rejected', notes: 'Private', rejections: [] }
+  ],
+  ...overrides
+});
+
+const MASKED_CONTACT = { name: 'Jane D.', email: 'j***@example.com', phone: '+** ** *** **67' };
+
+describe('ItemSerializer', () => {
+  describe('viewerRole', () => {
+    it.each([
+      ['anonymous visitors', undefined, new Set(), 'public'],
+      ['unrelated users', stranger, new Set(), 'public'],
+      ['the reporter', reporter, new Set(), 'reporter'],
+      ['claimants', claimant, new Set(), 'claimant'],
+      ['staff at the branch', branchStaff, STAFF, 'staff'],
+      ['staff covering every branch', otherStaff, new Set([...STAFF, 'branches.all']), 'staff']
+    ])('treats %s as %s', (_, user, permissions, role) => {
+      expect(ItemSerializer.viewerRole(item(), user, permissions)).toBe(role);
+    });
+
+    it('does not treat staff at another branch as staff', () => {
+      expect(ItemSerializer.viewerRole(item(), otherStaff, STAFF)).toBe('public');
+    });
+  });
+
+  describe('serialize', () => {
+    it('gives staff the whole item', () => {
+      expect(ItemSerializer.serialize(item(), branchStaff, STAFF)).toEqual(item());
+    });
+
+    it('shows the public listing with everything personal masked or left out', () => {
+      const data = ItemSerializer.serialize(item());
+
+      expect(data.title).toBe('Blue backpack');
+      expect(data.reportedBy).toEqual({ _id: 'user-reporter', name: 'Jane D.' });
+      expect(data.contactInfo).toEqual(MASKED_CONTACT);
+      ['claims', 'statusHistory', 'renewals', 'expiryNotices', 'myClaims', 'claimsSummary']
+        .forEach(key => expect(data).not.toHaveProperty(key));
+    });
+
+    it('masks the same way for signed-in users with nothing to do with the item', () => {
+      const data = ItemSerializer.serialize(item(), stranger, new Set());
+
+      expect(data.reportedBy.name).toBe('Jane D.');
+      expect(data.contactInfo).toEqual(MASKED_CONTACT);
+      expect(data).not.toHaveProperty('claims');
+    });
+
+    it('shows no contact details on platform-only listings', () => {
+      expect(ItemSerializer.serialize(item({ contactPreference: 'platform' })).contactInfo).toBeNull();
+    });
+
+    it('shows claimants their own claims only, and the contact masked until approved', () => {
+      const data = ItemSerializer.serialize(item(), claimant, new Set());
+
+      expect(data.reportedBy).toEqual({ _id: 'user-reporter', name: 'Jane Doe' });
+      expect(data.contactInfo).toEqual(MASKED_CONTACT);
+      expect(data.myClaims).toHaveLength(1);
+      expect(data.myClaims[0]).toMatchObject({ _id: 'claim-1', status: 'pending', notes: 'Mine' });
+      expect(data).not.toHaveProperty('claims');
+    });
+
+    it('shows an approved claimant the full contact details', () => {
+      const approved = item({
+        claims: [{ _id: 'claim-1', claimedBy: 'user-claimant', status: 'approved', rejections: [] }]
+      });
+
+      expect(ItemSerializer.serialize(approved, claimant, new Set()).contactInfo).toEqual(approved.contactInfo);
+    });
+
+    it('keeps reviewer-only appeal details from claimants', () => {
+      const appealed = item({
+        claims: [{
+          _id: 'claim-1',
+          claimedBy: 'user-claimant',
+          status: 'rejected',
+          rejections: [{ reason: 'No proof', automatic: false, rejectedAt: 'then', rejectedBy: 'user-staff' }],
+          appeal: { status: 'pending', reason: 'Here is proof', reviewer: 'user-staff', internalNotes: 'hmm' }
+        }]
+      });
+      const [myClaim] = ItemSerializer.serialize(appealed, claimant, new Set()).myClaims;
+
+      expect(myClaim.rejections).toEqual([{ reason: 'No proof', automatic: false, rejectedAt: 'then' }]);
+      expect(myClaim.appeal).toEqual({
+        status: 'pending',
+        reason: 'Here is proof',
+        decisionNotes: undefined,
+        submittedAt: undefined,
+        decidedAt: undefined
+      });
+    });
+
+    it('gives the reporter a summary of claims without claimant details', () => {
+      const data = ItemSerializer.serialize(item(), reporter, new Set());
+
+      expect(data.contactInfo).toEqual(item().contactInfo);
+      expect(data.statusHistory).toEqual([{ to: 'active' }]);
+      expect(data.claimsSummary).toMatchObject({ total: 2, pending: 1, rejected: 1, approved: 0 });
+      data.claimsSummary.claims.forEach(claim => {
+        expect(Object.keys(claim).sort()).toEqual(['_id', 'createdAt', 'status', 'updatedAt']);
+      });
+      expect(data).not.toHaveProperty('claims');
+    });
+
+    it('serializes documents through toJSON', () => {
+      const document = { toJSON: () => item() };
+
+      expect(ItemSerializer.serialize(document).reportedBy.name).toBe('Jane D.');
+    });
+  });
+});
@@ -0,0 +1,349 @@
+// tests/services/matchingService.test.js
+const Item = require('../../models/Item');
+const Match = require('../../models/Match');
+const MatchingService = require('../../services/matchingService');
+const NotificationService = require('../../services/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const lostWallet = {
+  _id: 'lost-1',
+  type: 'lost',
+  category: 'wallets',
+  title: 'Brown leather wallet',
+  description: 'Lost my brown leather wallet with cards near the bus stand',
+  location: 'Fort bus stand',
+  district: 'Colombo',
+  date: new Date('2026-10-10'),
+  additionalDetails: { color: 'brown', brand: 'Fossil' }
+};
+
+const foundWallet = {
+  _id: 'found-1',
+  type: 'found',
+  category: 'wallets',
+  title: 'Leather wallet found',
+  description: 'Brown wallet with some cards inside',
+  location: 'Fort bus stand',
+  district: 'Colombo',
+  date: new Date('2026-10-11'),
+  additionalDetails: { color: 'Brown', brand: 'fossil' }
+};
+
+const foundUmbrella = {
+  _id: 'found-2',
+  type: 'found',
+  category: 'wallets',
+  title: 'Black umbrella',
+  description: 'Folding umbrella left on a train',
+  location: 'Kandy station',
+  district: 'Kandy',
+  date: new Date('2026-11-05')
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MatchingService', () => {
+  describe('tokenize', () => {
+    it('lowercases, drops stop words and one-letter tokens, and folds plurals', () => {
+      expect([...MatchingService.tokenize('The Keys and a Wallet, lost at 5th Street!')])
+        .toEqual(['key', 'wallet', '5th', 'street']);
+    });
+
+    it('keeps words ending in double s', () => {
+      expect([...MatchingService.tokenize('glass case')]).toEqual(['glass', 'case']);
+    });
+
+    it('handles missing text', () => {
+      expect(MatchingService.tokenize(undefined).size).toBe(0);
+    });
+  });
+
+  describe('similarity', () => {
+    it('is the Dice coefficient of two token sets', () => {
+      expect(MatchingService.similarity(new Set(['a1', 'b2']), new Set(['b2', 'c3', 'd4']))).toBeCloseTo(0.4);
+    });
+
+    it('is 0 when either side is empty', () => {
+      expect(MatchingService.similarity(new Set(), new Set(['a1']))).toBe(0);
+    });
+  });
+
+  describe('scoreDetails', () => {
+    it('compares only the details both items have', () => {
+      const { score, fields } = MatchingService.scoreDetails(
+        { additionalDetails: { color: 'red', brand: 'Acme', size: 'large' } },
+        { additionalDetails: { color: 'Red', brand: 'Other' } }
+      );
+
+      expect(fields).toEqual({ color: 1, brand: 0 });
+      // color carries 0.2 and brand 0.25 of the weight
+      expect(score).toBeCloseTo(0.2 / 0.45);
+    });
+
+    it('has nothing to say when no detail is on both items', () => {
+      expect(MatchingService.scoreDetails({ additionalDetails: { color: 'red' } }, {})).toBeNull();
+    });
+  });
+
+  describe('distanceKm', () => {
+    it('is the great-circle distance between two points', () => {
+      const fort = { type: 'Point', coordinates: [79.8500, 6.9344] };
+      const kandy = { type: 'Point', coordinates: [80.6337, 7.2906] };
+
+      expect(MatchingService.distanceKm(fort, kandy)).toBeCloseTo(95, -1);
+      expect(MatchingService.distanceKm(fort, fort)).toBe(0);
+    });
+  });
+
+  describe('scoreLocation', () => {
+    const at = (lng, lat) => ({ geoLocation: { type: 'Point', coordinates: [lng, lat] } });
+
+    it('decays with the distance between coordinates', () => {
+      // 0.1 degrees of latitude is about 11 km
+      const location = MatchingService.scoreLocation(at(79.85, 6.9), at(79.85, 7.0), 22);
+
+      expect(location.distanceKm).toBeCloseTo(11.1, 1);
+      expect(location.score).toBeCloseTo(0.5, 1);
+      expect(MatchingService.scoreLocation(at(79.85, 6.9), at(79.85, 7.0), 10).score).toBe(0);
+    });
+
+    it('falls back on district and place names without coordinates on both sides', () => {
+      const location = MatchingService.scoreLocation({ ...lostWallet, ...at(79.85, 6.9) }, foundWallet);
+
+      expect(location).toEqual({ score: 1, sameDistrict: true });
+    });
+  });
+
+  describe('scorePair', () => {
+    it('scores a likely pair well above an unlikely one', () => {
+      const likely = MatchingService.scorePair(lostWallet, foundWallet);
+      const unlikely = MatchingService.scorePair(lostWallet, foundUmbrella);
+
+      expect(likely.score).toBeGreaterThan(60);
+      expect(unlikely.score).toBeLessThan(10);
+    });
+
+    it('explains the score factor by factor', () => {
+      const { score, breakdown } = MatchingService.scorePair(lostWallet, foundWallet);
+
+      expect(Object.keys(breakdown)).toEqual(['text', 'details', 'location', 'date']);
+      expect(breakdown.text.matched).toEqual(expect.arrayContaining(['brown', 'leather', 'wallet']));
+      expect(breakdown.details.fields).toEqual({ brand: 1, color: 1 });
+      expect(breakdown.location.sameDistrict).toBe(true);
+      expect(breakdown.date.daysApart).toBe(1);
+
+      const contributions = Object.values(breakdown).reduce((sum, factor) => sum + factor.contribution, 0);
+      expect(contributions).toBeCloseTo(score, 0);
+    });
+
+    it('spreads the weight of a factor without data over the others', () => {
+      const { breakdown } = MatchingService.scorePair(lostWallet, foundUmbrella);
+
+      expect(breakdown.details).toEqual({ score: null, weight: 0, contribution: 0 });
+      const weights = ['text', 'location', 'date'].map(name => breakdown[name].weight);
+      expect(weights.reduce((sum, weight) => sum + weight, 0)).toBeCloseTo(1, 2);
+    });
+
+    it('follows the weights it is given', () => {
+      const dateOnly = { text: 0, details: 0, location: 0, date: 1 };
+
+      expect(MatchingService.scorePair(lostWallet, foundWallet, dateOnly).score).toBeCloseTo(100 * (1 - 1 / 30), 0);
+    });
+
+    it('follows the limits it is given', () => {
+      const dateOnly = { text: 0, details: 0, location: 0, date: 1 };
+
+      expect(MatchingService.scorePair(lostWallet, foundWallet, dateOnly, { maxDays: 2 }).score).toBeCloseTo(50, 0);
+    });
+  });
+
+  describe('resolveOptions', () => {
+    it('takes numeric overrides and falls back on anything else', () => {
+      const options = MatchingService.resolveOptions({
+        weights: { text: '2', date: 'lots' },
+        minScore: '45',
+        maxDays: null,
+        limit: 'ten'
+      });
+
+      expect(options.weights).toEqual({ ...MatchingService.DEFAULT_WEIGHTS, text: 2 });
+      expect(options.minScore).toBe(45);
+      expect(options.maxDays).toBe(MatchingService.DEFAULT_OPTIONS.maxDays);
+      expect(options.limit).toBe(MatchingService.DEFAULT_OPTIONS.limit);
+    });
+  });
+
+  describe('findMatches', () => {
+    const candidatesFound = candidates => jest.spyOn(Item, 'find')
+      .mockReturnValue({ populate: () => Promise.resolve(candidates) });
+    const record = (foundItem, status) => ({
+      _id: `match-${foundItem}`,
+      lostItem: { equals: id => id === 'lost-1' },
+      foundItem,
+      status
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Match, 'forItem').mockResolvedValue([]);
+    });
+
+    it('looks for active opposite-type items in the same category around the date', async () => {
+      const find = candidatesFound([]);
+
+      await MatchingService.findMatches(lostWallet, { maxDays: 7 });
+
+      const [filter] = find.mock.calls[0];
+      expect(filter).toMatchObject({ _id: { $ne: 'lost-1' }, type: 'found', category: 'wallets', status: 'active' });
+      expect(filter.date.$gte).toEqual(new Date(lostWallet.date.getTime() - 7 * DAY_MS));
+      expect(filter.date.$lte).toEqual(new Date(lostWallet.date.getTime() + 7 * DAY_MS));
+    });
+
+    it('ranks candidates above the threshold, best first, up to the limit', async () => {
+      const closeCopy = { ...foundWallet, _id: 'found-3', date: lostWallet.date };
+      candidatesFound([foundUmbrella, foundWallet, closeCopy]);
+
+      const { matches } = await MatchingService.findMatches(lostWallet, { minScore: 30, limit: 1 });
+
+      expect(matches.map(match => match.item._id)).toEqual(['found-3']);
+    });
+
+    it('hides dismissed pairs and reads the records of the others', async () => {
+      const closeCopy = { ...foundWallet, _id: 'found-3', date: lostWallet.date };
+      candidatesFound([foundWallet, closeCopy]);
+      Match.forItem.mockResolvedValue([record('found-1', 'confirmed'), record('found-3', 'dismissed')]);
+      const recordSuggestion = jest.spyOn(Match, 'recordSuggestion');
+
+      const { matches } = await MatchingService.findMatches(lostWallet);
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0]).toMatchObject({ matchId: 'match-found-1', status: 'confirmed' });
+      expect(recordSuggestion).not.toHaveBeenCalled();
+    });
+
+    it('leaves pairs off record unless asked to persist them', async () => {
+      candidatesFound([foundWallet]);
+      const recordSuggestion = jest.spyOn(Match, 'recordSuggestion')
+        .mockResolvedValue({ _id: 'match-new', status: 'suggested' });
+
+      const searched = await MatchingService.findMatches(lostWallet);
+      expect(searched.matches[0]).toMatchObject({ matchId: null, status: null });
+      expect(recordSuggestion).not.toHaveBeenCalled();
+
+      const persisted = await MatchingService.findMatches(lostWallet, { persist: true });
+      expect(persisted.matches[0]).toMatchObject({ matchId: 'match-new', status: 'suggested' });
+      expect(recordSuggestion).toHaveBeenCalledWith(lostWallet, foundWallet, expect.any(Number), expect.any(Object));
+    });
+  });
+
+  describe('queueMatching', () => {
+    // Let queued setImmediate callbacks and the promises they await run
+    const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('runs a pass in the background, once for repeated requests', async () => {
+      const run = jest.spyOn(MatchingService, 'runMatchingPass').mockResolvedValue([]);
+
+      MatchingService.queueMatching('item-1');
+      MatchingService.queueMatching('item-1');
+      expect(run).not.toHaveBeenCalled();
+
+      await settle();
+      expect(run).toHaveBeenCalledTimes(1);
+      expect(run).toHaveBeenCalledWith('item-1');
+    });
+
+    it('runs once more for an update that arrives during a pass', async () => {
+      let finishPass;
+      const run = jest.spyOn(MatchingService, 'runMatchingPass')
+        .mockImplementationOnce(() => new Promise(resolve => { finishPass = resolve; }))
+        .mockResolvedValue([]);
+
+      MatchingService.queueMatching('item-2');
+      await settle();
+      expect(run).toHaveBeenCalledTimes(1);
+
+      // The running pass read the item before these updates
+      MatchingService.queueMatching('item-2');
+      MatchingService.queueMatching('item-2');
+      finishPass([]);
+      await settle();
+
+      expect(run).toHaveBeenCalledTimes(2);
+
+      MatchingService.queueMatching('item-2');
+      await settle();
+      expect(run).toHaveBeenCalledTimes(3);
+    });
+
+    it('keeps going after a failed pass', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const run = jest.spyOn(MatchingService, 'runMatchingPass')
+        .mockRejectedValueOnce(new Error('db down'))
+        .mockResolvedValue([]);
+
+      MatchingService.queueMatching('item-3');
+      await settle();
+      MatchingService.queueMatching('item-3');
+      await settle();
+
+      expect(run).toHaveBeenCalledTimes(2);
+      expect(console.error).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('runMatchingPass', () => {
+    const source = { ...lostWallet, status: 'active', reportedBy: 'user-1' };
+    const withReporter = (item, reportedBy) => ({ ...item, reportedBy: { _id: reportedBy } });
+
+    beforeEach(() => {
+      jest.spyOn(NotificationService, 'handleMatchFound').mockResolvedValue();
+    });
+
+    it('notifies both reporters of each new pair above the threshold', async () => {
+      jest.spyOn(Item, 'findById').mockResolvedValue(source);
+      const findMatches = jest.spyOn(MatchingService, 'findMatches').mockResolvedValue({
+        matches: [{ matchId: 'match-1', item: withReporter(foundWallet, 'user-2'), score: 80 }]
+      });
+      const claimNotification = jest.spyOn(Match, 'findOneAndUpdate').mockResolvedValue({ _id: 'match-1' });
+
+      await expect(MatchingService.runMatchingPass('lost-1')).resolves.toEqual(['found-1']);
+
+      expect(findMatches.mock.calls[0][1]).toMatchObject({ persist: true });
+      expect(findMatches.mock.calls[0][1].minScore).toBeGreaterThan(MatchingService.DEFAULT_OPTIONS.minScore);
+      expect(claimNotification.mock.calls[0][0]).toMatchObject({ _id: 'match-1', notifiedAt: { $exists: false } });
+      expect(NotificationService.handleMatchFound).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips pairs already notified and items the same person reported', async () => {
+      jest.spyOn(Item, 'findById').mockResolvedValue(source);
+      jest.spyOn(MatchingService, 'findMatches').mockResolvedValue({
+        matches: [
+          { matchId: 'match-1', item: withReporter(foundWallet, 'user-2'), score: 80 },
+          { matchId: 'match-2', item: withReporter(foundUmbrella, 'user-1'), score: 70 }
+        ]
+      });
+      // Another pass already sent the notification for match-1
+      jest.spyOn(Match, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(MatchingService.runMatchingPass('lost-1')).resolves.toEqual([]);
+      expect(NotificationService.handleMatchFound).not.toHaveBeenCalled();
+    });
+
+    it('leaves items that are no longer active alone', async () => {
+      jest.spyOn(Item, 'findById').mockResolvedValue({ ...source, status: 'claimed' });
+      const findMatches = jest.spyOn(MatchingService, 'findMatches');
+
+      await expect(MatchingService.runMatchingPass('lost-1')).resolves.toEqual([]);
+      expect(findMatches).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('affectsMatching', () => {
+    it('is true only for fields that feed the score', () => {
+      expect(MatchingService.affectsMatching({ title: 'New title' })).toBe(true);
+      expect(MatchingService.affectsMatching({ contactInfo: { phone: '123' } })).toBe(false);
+    });
+  });
+});
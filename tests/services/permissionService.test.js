@@ -0,0 +1,77 @@
+// tests/services/permissionService.test.js
+const Role = require('../../models/Role');
+const PermissionService = require('../../services/permissionService');
+const { BUILT_IN_ROLES } = require('../../config/permissions');
+
+const customRoles = roles => jest.spyOn(Role, 'find').mockReturnValue({
+  select: () => ({ lean: async () => roles })
+});
+
+beforeEach(() => {
+  PermissionService.clearCache();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PermissionService', () => {
+  describe('resolve', () => {
+    it('gives built-in roles their fixed permissions', async () => {
+      const find = customRoles([]);
+
+      const permissions = await PermissionService.resolve({ role: 'staff' });
+
+      expect([...permissions]).toEqual(BUILT_IN_ROLES.staff.permissions);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('adds permissions granted to the user directly', async () => {
+      const permissions = await PermissionService.resolve({ role: 'user', permissions: ['items.return'] });
+
+      expect(permissions.has('items.create')).toBe(true);
+      expect(permissions.has('items.return')).toBe(true);
+    });
+
+    it('reads custom roles from the database, briefly cached', async () => {
+      const find = customRoles([{ key: 'front_desk', permissions: ['items.create', 'items.manage'] }]);
+
+      const permissions = await PermissionService.resolve({ role: 'front_desk' });
+      await PermissionService.resolve({ role: 'front_desk' });
+
+      expect([...permissions]).toEqual(['items.create', 'items.manage']);
+      expect(find).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives an unknown or deactivated role nothing', async () => {
+      customRoles([]);
+
+      await expect(PermissionService.resolve({ role: 'retired' })).resolves.toEqual(new Set());
+    });
+  });
+
+  it('finds holders of a permission through roles and direct grants', async () => {
+    customRoles([
+      { key: 'front_desk', permissions: ['items.create'] },
+      { key: 'reviewer', permissions: ['claims.approve'] }
+    ]);
+
+    await expect(PermissionService.holdersFilter('claims.approve')).resolves.toEqual({
+      $or: [{ role: { $in: ['staff', 'admin', 'reviewer'] } }, { permissions: 'claims.approve' }]
+    });
+  });
+});
+
+describe('Role', () => {
+  it('cannot take the name of a built-in role', () => {
+    const role = new Role({ key: 'admin', name: 'Admin' });
+
+    expect(role.validateSync().errors.key.message).toBe('Built-in role names cannot be reused');
+  });
+
+  it('only holds known permissions', () => {
+    const role = new Role({ key: 'front_desk', name: 'Front desk', permissions: ['items.create', 'items.delete_all'] });
+
+    expect(role.validateSync().errors.permissions.message).toBe('Unknown permission');
+  });
+});
@@ -0,0 +1,159 @@
+// tests/services/pickupScheduleService.test.js
+const PickupScheduleService = require('../../services/pickupScheduleService');
+
+const MONDAY = 1;
+const SUNDAY = 0;
+
+const branchIn = (timezone, openingHours, pickup = {}) => ({
+  _id: 'branch-1',
+  openingHours,
+  pickup: { timezone, ...pickup }
+});
+
+const startTimes = slots => slots.map(slot => slot.startsAt.toISOString());
+
+describe('PickupScheduleService', () => {
+  describe('settingsFor', () => {
+    it('fills in what the branch leaves out', () => {
+      expect(PickupScheduleService.settingsFor({})).toEqual({
+        slotMinutes: 30,
+        capacity: 1,
+        bookingWindowDays: 14,
+        timezone: 'UTC'
+      });
+    });
+
+    it('keeps what the branch sets, including zero', () => {
+      expect(PickupScheduleService.settingsFor({ pickup: { slotMinutes: 15, bookingWindowDays: 0 } }))
+        .toMatchObject({ slotMinutes: 15, bookingWindowDays: 0, capacity: 1 });
+    });
+  });
+
+  describe('localDate', () => {
+    it('gives the date on the branch clock, not in UTC', () => {
+      const instant = new Date('2026-10-19T20:00:00Z');
+
+      expect(PickupScheduleService.localDate(instant, 'UTC')).toBe('2026-10-19');
+      expect(PickupScheduleService.localDate(instant, 'Asia/Colombo')).toBe('2026-10-20');
+      expect(PickupScheduleService.localDate(new Date('2026-10-19T02:00:00Z'), 'America/New_York')).toBe('2026-10-18');
+    });
+  });
+
+  describe('slotsOn', () => {
+    it('splits opening hours into slots in the branch timezone', () => {
+      const branch = branchIn('Asia/Colombo', [{ day: MONDAY, open: '09:00', close: '10:00' }]);
+      const slots = PickupScheduleService.slotsOn(branch, '2026-10-19');
+
+      expect(startTimes(slots)).toEqual(['2026-10-19T03:30:00.000Z', '2026-10-19T04:00:00.000Z']);
+      expect(slots[1].endsAt.toISOString()).toBe('2026-10-19T04:30:00.000Z');
+    });
+
+    it('drops a slot that would run past closing', () => {
+      const branch = branchIn('UTC', [{ day: MONDAY, open: '09:00', close: '10:15' }], { slotMinutes: 30 });
+
+      expect(startTimes(PickupScheduleService.slotsOn(branch, '2026-10-19')))
+        .toEqual(['2026-10-19T09:00:00.000Z', '2026-10-19T09:30:00.000Z']);
+    });
+
+    it('covers every opening on the day, in order', () => {
+      const branch = branchIn('UTC', [
+        { day: MONDAY, open: '14:00', close: '15:00' },
+        { day: MONDAY, open: '09:00', close: '10:00' }
+      ], { slotMinutes: 60 });
+
+      expect(startTimes(PickupScheduleService.slotsOn(branch, '2026-10-19')))
+        .toEqual(['2026-10-19T09:00:00.000Z', '2026-10-19T14:00:00.000Z']);
+    });
+
+    it('has nothing on closed days or days without hours', () => {
+      const branch = branchIn('UTC', [
+        { day: MONDAY, open: '09:00', close: '10:00', closed: true },
+        { day: SUNDAY, open: '09:00', close: '10:00' }
+      ]);
+
+      expect(PickupScheduleService.slotsOn(branch, '2026-10-19')).toEqual([]);
+      expect(PickupScheduleService.slotsOn(branch, '2026-10-20')).toEqual([]);
+      expect(PickupScheduleService.slotsOn({ pickup: {} }, '2026-10-19')).toEqual([]);
+    });
+
+    it('follows the clocks going back', () => {
+      // New York falls back from 02:00 EDT to 01:00 EST on 1 November 2026
+      const branch = branchIn('America/New_York', [{ day: SUNDAY, open: '01:00', close: '03:00' }]);
+
+      expect(startTimes(PickupScheduleService.slotsOn(branch, '2026-11-01'))).toEqual([
+        '2026-11-01T05:00:00.000Z',
+        '2026-11-01T05:30:00.000Z',
+        '2026-11-01T07:00:00.000Z',
+        '2026-11-01T07:30:00.000Z'
+      ]);
+    });
+
+    it('uses the standard-time offset after the change', () => {
+      const branch = branchIn('America/New_York', [{ day: MONDAY, open: '09:00', close: '09:30' }]);
+
+      expect(startTimes(PickupScheduleService.slotsOn(branch, '2026-10-19'))).toEqual(['2026-10-19T13:00:00.000Z']);
+      expect(startTimes(PickupScheduleService.slotsOn(branch, '2026-11-02'))).toEqual(['2026-11-02T14:00:00.000Z']);
+    });
+  });
+
+  describe('findSlot', () => {
+    const branch = branchIn('Asia/Colombo', [{ day: MONDAY, open: '09:00', close: '10:00' }], { bookingWindowDays: 7 });
+    const now = new Date('2026-10-18T12:00:00Z');
+
+    it('finds a slot starting at the instant', () => {
+      const slot = PickupScheduleService.findSlot(branch, new Date('2026-10-19T04:00:00Z'), now);
+
+      expect(slot).toEqual({
+        startsAt: new Date('2026-10-19T04:00:00Z'),
+        endsAt: new Date('2026-10-19T04:30:00Z')
+      });
+    });
+
+    it('refuses instants between slots', () => {
+      expect(PickupScheduleService.findSlot(branch, new Date('2026-10-19T04:10:00Z'), now)).toBeNull();
+    });
+
+    it('refuses slots that have started', () => {
+      const later = new Date('2026-10-19T04:00:00Z');
+      expect(PickupScheduleService.findSlot(branch, new Date('2026-10-19T04:00:00Z'), later)).toBeNull();
+    });
+
+    it('refuses slots past the booking window', () => {
+      expect(PickupScheduleService.findSlot(branch, new Date('2026-10-26T03:30:00Z'), now)).toBeNull();
+    });
+  });
+
+  describe('takeSeat', () => {
+    const seatTaken = () => Object.assign(new Error('duplicate key'), { code: 11000, keyPattern: { branch: 1, startsAt: 1, seat: 1 } });
+
+    it('moves on to the next place when one is taken', async () => {
+      const write = jest.fn()
+        .mockRejectedValueOnce(seatTaken())
+        .mockResolvedValueOnce({ seat: 1 });
+
+      await expect(PickupScheduleService.takeSeat({ pickup: { capacity: 3 } }, write)).resolves.toEqual({ seat: 1 });
+      expect(write.mock.calls).toEqual([[0], [1]]);
+    });
+
+    it('gives up once every place is taken', async () => {
+      const write = jest.fn().mockRejectedValue(seatTaken());
+
+      await expect(PickupScheduleService.takeSeat({ pickup: { capacity: 2 } }, write)).resolves.toBeNull();
+      expect(write).toHaveBeenCalledTimes(2);
+    });
+
+    it('passes on a clash with the one-booking-per-claim index', async () => {
+      const duplicate = Object.assign(new Error('duplicate key'), { code: 11000, keyPattern: { claim: 1 } });
+      const write = jest.fn().mockRejectedValue(duplicate);
+
+      await expect(PickupScheduleService.takeSeat({ pickup: { capacity: 2 } }, write)).rejects.toBe(duplicate);
+      expect(write).toHaveBeenCalledTimes(1);
+    });
+
+    it('passes on other errors', async () => {
+      const failure = new Error('connection lost');
+
+      await expect(PickupScheduleService.takeSeat({}, jest.fn().mockRejectedValue(failure))).rejects.toBe(failure);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+// tests/services/schedulerService.test.js
+const Job = require('../../models/Job');
+const ItemExpiryService = require('../../services/itemExpiryService');
+const SchedulerService = require('../../services/schedulerService');
+
+let lock;
+
+beforeEach(() => {
+  jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+  // First call takes the lock, second records the outcome
+  lock = jest.spyOn(Job, 'findOneAndUpdate')
+    .mockResolvedValueOnce({ name: 'expire-items' })
+    .mockImplementationOnce(async (filter, update) => ({ name: 'expire-items', ...update.$set }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SchedulerService.run', () => {
+  it('runs a due job under a lock and records the result', async () => {
+    jest.spyOn(ItemExpiryService, 'expireOverdueItems').mockResolvedValue({ expired: 2, notified: 2 });
+
+    const job = await SchedulerService.run('expire-items');
+
+    const [filter, take] = lock.mock.calls[0];
+    expect(filter.nextRunAt).toEqual({ $lte: expect.any(Date) });
+    expect(take.$set.lastStatus).toBe('running');
+
+    const [releaseFilter, release] = lock.mock.calls[1];
+    expect(releaseFilter.lockedBy).toBe(take.$set.lockedBy);
+    expect(release.$set).toMatchObject({ lastStatus: 'succeeded', lastResult: { expired: 2, notified: 2 }, lockedBy: null });
+    expect(release.$inc).toEqual({ runCount: 1 });
+    expect(job.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('does nothing when another run holds the lock or the job is not due', async () => {
+    lock.mockReset().mockResolvedValue(null);
+    const expire = jest.spyOn(ItemExpiryService, 'expireOverdueItems');
+
+    await expect(SchedulerService.run('expire-items')).resolves.toBeNull();
+    expect(expire).not.toHaveBeenCalled();
+  });
+
+  it('runs a forced job before it is due', async () => {
+    jest.spyOn(ItemExpiryService, 'expireOverdueItems').mockResolvedValue({});
+
+    await SchedulerService.run('expire-items', { force: true, triggeredBy: 'admin-1' });
+
+    const [filter, take] = lock.mock.calls[0];
+    expect(filter.nextRunAt).toBeUndefined();
+    expect(take.$set.lastTriggeredBy).toBe('admin-1');
+  });
+
+  it('records a failed run and still releases the lock', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(ItemExpiryService, 'expireOverdueItems').mockRejectedValue(new Error('db down'));
+
+    await SchedulerService.run('expire-items');
+
+    const [, release] = lock.mock.calls[1];
+    expect(release.$set).toMatchObject({ lastStatus: 'failed', lastError: 'db down', lockedUntil: null });
+    expect(release.$inc).toEqual({ runCount: 1, failureCount: 1 });
+  });
+
+  it('tolerates another instance creating the job record first', async () => {
+    Job.updateOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    jest.spyOn(ItemExpiryService, 'expireOverdueItems').mockResolvedValue({});
+
+    await expect(SchedulerService.run('expire-items')).resolves.not.toBeNull();
+  });
+});
+
+describe('SchedulerService.isJob', () => {
+  it('knows its jobs by name', () => {
+    expect(SchedulerService.isJob('deadline-reminders')).toBe(true);
+    expect(SchedulerService.isJob('toString')).toBe(false);
+  });
+});
@@ -0,0 +1,91 @@
+// tests/services/sessionService.test.js
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../../models/Session');
+const SessionService = require('../../services/sessionService');
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+const req = { ip: '10.0.0.1', get: () => 'jest' };
+
+let savedSecret;
+
+beforeEach(() => {
+  savedSecret = process.env.JWT_SECRET;
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+afterEach(() => {
+  process.env.JWT_SECRET = savedSecret;
+  jest.restoreAllMocks();
+});
+
+describe('SessionService', () => {
+  it('binds access tokens to their session', () => {
+    const token = SessionService.signAccessToken(userId, sessionId);
+
+    expect(SessionService.verifyAccessToken(token)).toMatchObject({ id: userId.toString(), sid: sessionId.toString() });
+  });
+
+  it('stores only the hash of a new refresh token', async () => {
+    const create = jest.spyOn(Session, 'create').mockImplementation(async data => ({ _id: sessionId, ...data }));
+
+    const { refreshToken, token } = await SessionService.createSession({ _id: userId }, req);
+
+    const [data] = create.mock.calls[0];
+    expect(data.refreshTokenHash).toBe(Session.hashToken(refreshToken));
+    expect(JSON.stringify(data)).not.toContain(refreshToken);
+    expect(jwt.decode(token).sid).toBe(sessionId.toString());
+  });
+
+  describe('rotate', () => {
+    it('swaps a live refresh token for a new one in a single update', async () => {
+      const update = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue({ _id: sessionId, user: userId });
+
+      const rotated = await SessionService.rotate('old-token', req);
+
+      const [filter, { $set }] = update.mock.calls[0];
+      expect(filter).toMatchObject({ refreshTokenHash: Session.hashToken('old-token'), revokedAt: { $exists: false } });
+      expect($set.previousTokenHash).toBe(Session.hashToken('old-token'));
+      expect($set.refreshTokenHash).toBe(Session.hashToken(rotated.refreshToken));
+      expect(rotated.refreshToken).not.toBe('old-token');
+    });
+
+    it('revokes the session when an already-rotated token comes back', async () => {
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+      const revoke = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(SessionService.rotate('stolen-token', req)).resolves.toBeNull();
+
+      const [filter, update] = revoke.mock.calls[0];
+      expect(filter.previousTokenHash).toBe(Session.hashToken('stolen-token'));
+      expect(update.$set.revokedReason).toBe('token_reuse');
+    });
+  });
+
+  it('revokes the other sessions of a user and keeps the current one', async () => {
+    const updateMany = jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await expect(SessionService.revokeAll(userId, 'password_changed', sessionId)).resolves.toBe(2);
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toMatchObject({ user: userId, _id: { $ne: sessionId } });
+    expect(update.$set.revokedReason).toBe('password_changed');
+  });
+});
+
+describe('Session', () => {
+  it('keeps token hashes out of JSON', () => {
+    const session = new Session({
+      user: userId,
+      refreshTokenHash: 'hash',
+      previousTokenHash: 'old-hash',
+      expiresAt: new Date(Date.now() + 60 * 1000)
+    });
+
+    const json = session.toJSON();
+    expect(json.refreshTokenHash).toBeUndefined();
+    expect(json.previousTokenHash).toBeUndefined();
+    expect(json.isActive).toBe(true);
+  });
+});
@@ -0,0 +1,65 @@
+// tests/services/storage/index.test.js
+const STORAGE_ENV = ['STORAGE_DRIVER', 'S3_BUCKET', 'S3_PRIVATE_BUCKET', 'PRIVATE_UPLOAD_DIR'];
+const savedEnv = {};
+
+// Load the storage module afresh under the given environment
+const loadStorage = (env) => {
+  Object.assign(process.env, env);
+  let storage;
+  jest.isolateModules(() => {
+    storage = require('../../../services/storage');
+  });
+  return storage;
+};
+
+beforeEach(() => {
+  STORAGE_ENV.forEach(name => {
+    savedEnv[name] = process.env[name];
+    delete process.env[name];
+  });
+});
+
+afterEach(() => {
+  STORAGE_ENV.forEach(name => {
+    if (savedEnv[name] === undefined) delete process.env[name];
+    else process.env[name] = savedEnv[name];
+  });
+});
+
+describe('storage', () => {
+  it('keeps private local files in their own unserved directory', () => {
+    const { publicStorage, privateStorage } = loadStorage({ PRIVATE_UPLOAD_DIR: 'evidence' });
+
+    expect(privateStorage.constructor.name).toBe('LocalStorageAdapter');
+    expect(privateStorage.rootDir).not.toBe(publicStorage.rootDir);
+    expect(privateStorage.rootDir).toMatch(/evidence$/);
+    expect(privateStorage.getUrl('claims/1/doc.pdf')).toBeNull();
+  });
+
+  it('uses the private bucket for private files on S3', () => {
+    const { publicStorage, privateStorage } = loadStorage({
+      STORAGE_DRIVER: 's3',
+      S3_BUCKET: 'photos',
+      S3_PRIVATE_BUCKET: 'evidence'
+    });
+
+    expect(publicStorage.constructor.name).toBe('S3StorageAdapter');
+    expect(publicStorage.bucket).toBe('photos');
+    expect(privateStorage.bucket).toBe('evidence');
+    expect(privateStorage.getUrl('claims/1/doc.pdf')).toBeNull();
+  });
+
+  it('refuses to start on S3 without a private bucket', () => {
+    expect(() => loadStorage({ STORAGE_DRIVER: 's3', S3_BUCKET: 'photos' }))
+      .toThrow('S3_PRIVATE_BUCKET is required when STORAGE_DRIVER=s3 and must differ from S3_BUCKET');
+  });
+
+  it('refuses a private bucket that is also the public one', () => {
+    expect(() => loadStorage({ STORAGE_DRIVER: 's3', S3_BUCKET: 'photos', S3_PRIVATE_BUCKET: 'photos' }))
+      .toThrow('S3_PRIVATE_BUCKET is required when STORAGE_DRIVER=s3 and must differ from S3_BUCKET');
+  });
+
+  it('rejects unknown drivers', () => {
+    expect(() => loadStorage({ STORAGE_DRIVER: 'ftp' })).toThrow('Unknown STORAGE_DRIVER: ftp');
+  });
+});
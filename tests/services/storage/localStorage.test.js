@@ -0,0 +1,47 @@
+// tests/services/storage/localStorage.test.js
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const LocalStorageAdapter = require('../../../services/storage/localStorage');
+
+let rootDir;
+let storage;
+
+beforeEach(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+  storage = new LocalStorageAdapter({ rootDir });
+});
+
+afterEach(async () => {
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('LocalStorageAdapter', () => {
+  it('saves under the root directory and serves from the public path', async () => {
+    const saved = await storage.save('items/1/a.png', Buffer.from('data'));
+
+    expect(saved).toEqual({ key: 'items/1/a.png', url: '/uploads/items/1/a.png' });
+    await expect(fs.readFile(path.join(rootDir, 'items/1/a.png'), 'utf8')).resolves.toBe('data');
+  });
+
+  it('reads back what it saved', async () => {
+    await storage.save('claims/1/doc.pdf', Buffer.from('%PDF-1.4'));
+
+    await expect(storage.read('claims/1/doc.pdf')).resolves.toEqual(Buffer.from('%PDF-1.4'));
+  });
+
+  it('has no URL for files in a directory that is not served', async () => {
+    const privateStorage = new LocalStorageAdapter({ rootDir, publicPath: null });
+
+    await expect(privateStorage.save('claims/1/doc.pdf', Buffer.from('data'))).resolves.toEqual({ key: 'claims/1/doc.pdf', url: null });
+  });
+
+  it('treats removing a missing file as done', async () => {
+    await expect(storage.remove('items/1/missing.png')).resolves.toBeUndefined();
+  });
+
+  it('refuses keys that escape the root directory', async () => {
+    await expect(storage.save('../outside.png', Buffer.from('data'))).rejects.toThrow('Invalid storage key');
+    expect(() => storage.resolve('items/../../etc/passwd')).toThrow('Invalid storage key');
+  });
+});
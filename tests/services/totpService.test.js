@@ -0,0 +1,119 @@
+// tests/services/totpService.test.js
+const TotpService = require('../../services/totpService');
+
+// RFC 6238 appendix B: the SHA-1 key is the ASCII string "12345678901234567890"
+const RFC_SECRET = TotpService.base32Encode(Buffer.from('12345678901234567890'));
+const PERIOD_MS = 30 * 1000;
+
+const atTime = seconds => jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TotpService', () => {
+  describe('base32', () => {
+    it('round-trips bytes', () => {
+      const bytes = Buffer.from('any secret bytes at all');
+      expect(TotpService.base32Decode(TotpService.base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('ignores padding, spaces and case when decoding', () => {
+      expect(TotpService.base32Decode('gezd gnbv==')).toEqual(TotpService.base32Decode('GEZDGNBV'));
+    });
+
+    it('rejects characters outside the alphabet', () => {
+      expect(() => TotpService.base32Decode('GEZD1')).toThrow('Invalid base32 secret');
+    });
+  });
+
+  describe('generateCode', () => {
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ])('matches the RFC 6238 test vector at %i seconds', (seconds, code) => {
+      expect(TotpService.generateCode(RFC_SECRET, TotpService.currentStep(seconds * 1000))).toBe(code);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1111111109;
+    const step = TotpService.currentStep(now * 1000);
+
+    it('accepts the current code and returns its step', () => {
+      atTime(now);
+      expect(TotpService.verifyCode(RFC_SECRET, '081804')).toBe(step);
+    });
+
+    it('accepts codes one step either side for clock drift', () => {
+      atTime(now);
+      expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+      expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    });
+
+    it('rejects codes from further away', () => {
+      atTime(now);
+      expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step - 2))).toBeNull();
+      expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step + 2))).toBeNull();
+    });
+
+    it('rejects a code already used', () => {
+      atTime(now);
+      expect(TotpService.verifyCode(RFC_SECRET, '081804', step)).toBeNull();
+    });
+
+    it('rejects a code from before the last one used', () => {
+      atTime(now);
+      const previous = TotpService.generateCode(RFC_SECRET, step - 1);
+      expect(TotpService.verifyCode(RFC_SECRET, previous, step)).toBeNull();
+    });
+
+    it('still accepts the next step after one was used', () => {
+      atTime(now + PERIOD_MS / 1000);
+      expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step + 1), step)).toBe(step + 1);
+    });
+
+    it('allows spaces in the code', () => {
+      atTime(now);
+      expect(TotpService.verifyCode(RFC_SECRET, '081 804')).toBe(step);
+    });
+
+    it.each([undefined, '', '12345', '1234567', '08180a', '+81804'])('rejects the malformed code %p', code => {
+      atTime(now);
+      expect(TotpService.verifyCode(RFC_SECRET, code)).toBeNull();
+    });
+
+    it('rejects a code made with another secret', () => {
+      atTime(now);
+      const other = TotpService.generateSecret();
+      expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(other, step))).toBeNull();
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('makes 160-bit base32 secrets', () => {
+      const secret = TotpService.generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(TotpService.base32Decode(secret)).toHaveLength(20);
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('returns plain codes with matching hashes', () => {
+      const { codes, hashes } = TotpService.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach((code, index) => {
+        expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        expect(hashes[index]).toBe(TotpService.hashRecoveryCode(code));
+      });
+    });
+
+    it('hashes codes the same however they are typed', () => {
+      expect(TotpService.hashRecoveryCode(' ABCDE-12345 ')).toBe(TotpService.hashRecoveryCode('abcde12345'));
+    });
+  });
+});
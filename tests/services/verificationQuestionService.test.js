@@ -0,0 +1,66 @@
+// tests/services/verificationQuestionService.test.js
+const mongoose = require('mongoose');
+const VerificationQuestionService = require('../../services/verificationQuestionService');
+
+const question = (text, answer) => ({ _id: new mongoose.Types.ObjectId(), question: text, answer });
+
+describe('VerificationQuestionService', () => {
+  describe('similarity', () => {
+    it('ignores case, accents and punctuation', () => {
+      expect(VerificationQuestionService.similarity('Café Crème!', 'cafe creme')).toBe(1);
+    });
+
+    it('forgives typos and word order', () => {
+      expect(VerificationQuestionService.similarity('blue leather strap', 'blu leather strap')).toBeGreaterThan(0.85);
+      expect(VerificationQuestionService.similarity('red sticker', 'it has a sticker, red')).toBe(1);
+    });
+
+    it('scores unrelated or empty answers low', () => {
+      expect(VerificationQuestionService.similarity('blue leather strap', 'silver chain')).toBeLessThan(0.5);
+      expect(VerificationQuestionService.similarity('blue', '')).toBe(0);
+    });
+  });
+
+  it('turns scores into reviewer hints', () => {
+    expect(VerificationQuestionService.hint(0.9)).toBe('strong');
+    expect(VerificationQuestionService.hint(0.6)).toBe('partial');
+    expect(VerificationQuestionService.hint(0.2)).toBe('weak');
+  });
+
+  describe('collectAnswers', () => {
+    const colour = question('What colour is it?', 'Blue');
+    const marks = question('Any marks?', 'Scratch on the back');
+
+    it('matches answers to questions and lists the unanswered ones', () => {
+      const { answers, missing } = VerificationQuestionService.collectAnswers([colour, marks], [
+        { questionId: colour._id.toString(), answer: '  blue  ' },
+        { questionId: marks._id.toString(), answer: '   ' }
+      ]);
+
+      expect(answers).toEqual([{ question: colour._id, questionText: 'What colour is it?', answer: 'blue' }]);
+      expect(missing).toEqual([marks._id]);
+    });
+
+    it('reads answers sent as JSON from multipart forms', () => {
+      const submitted = JSON.stringify([{ questionId: colour._id.toString(), answer: 'Blue' }]);
+
+      expect(VerificationQuestionService.collectAnswers([colour], submitted).missing).toEqual([]);
+      expect(VerificationQuestionService.collectAnswers([colour], 'not json').missing).toEqual([colour._id]);
+    });
+  });
+
+  it('compares a claim\'s answers with the expected ones and flags changed questions', () => {
+    const colour = question('What colour is it?', 'Blue');
+    const claim = {
+      answers: [
+        { question: colour._id, questionText: 'What colour is it?', answer: 'blue' },
+        { question: new mongoose.Types.ObjectId(), questionText: 'Removed question', answer: 'x' }
+      ]
+    };
+
+    expect(VerificationQuestionService.compare([colour], claim)).toEqual([
+      { question: 'What colour is it?', expectedAnswer: 'Blue', answer: 'blue', similarity: 1, hint: 'strong', questionChanged: false },
+      { question: 'Removed question', expectedAnswer: null, answer: 'x', similarity: null, hint: null, questionChanged: true }
+    ]);
+  });
+});